@@ -1,3 +1,4 @@
+import { createHash } from 'crypto';
 import { get, list } from '@vercel/blob';
 
 export default async function handler(req, res) {
@@ -53,6 +54,7 @@ export default async function handler(req, res) {
       success: true,
       filename: safeFilename,
       content: content,
+      revision: createHash('sha256').update(content, 'utf8').digest('hex').slice(0, 16), // Sent back as baseRevision when saving
       size: blob.size,
       modified: blob.uploadedAt.toISOString(),
     });
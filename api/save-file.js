@@ -1,4 +1,8 @@
-import { put } from '@vercel/blob';
+import { createHash } from 'crypto';
+import { get, list, put } from '@vercel/blob';
+
+// Same revision (content hash) as server.js, so clients can send it back as baseRevision
+const fileRevision = (content) => createHash('sha256').update(content, 'utf8').digest('hex').slice(0, 16);
 
 export default async function handler(req, res) {
   // CORS headers
@@ -17,7 +21,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { filename, content } = req.body;
+    const { filename, content, baseRevision } = req.body;
 
     if (!filename) {
       res.status(400).json({ success: false, error: 'Filename is required' });
@@ -30,6 +34,27 @@ export default async function handler(req, res) {
     // Ensure content is a string
     const contentString = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
 
+    // Refuse the save when the stored file changed since the client's copy was loaded (see server.js
+    // saveFileToServer); the check and the write are not atomic, so two saves at the same moment can still race
+    if (baseRevision !== undefined) {
+      const blobPath = `feat-spec/${safeFilename}`;
+      const { blobs } = await list({ prefix: blobPath });
+      const existing = blobs.find(b => b.pathname === blobPath);
+      const current = existing ? await (await get(existing.url)).text() : null;
+      const currentRevision = current === null ? null : fileRevision(current);
+      if (currentRevision !== baseRevision && current !== contentString) {
+        res.status(409).json({
+          success: false,
+          error: current === null
+            ? 'The file was deleted on the server since it was loaded'
+            : 'The file was changed on the server since it was loaded',
+          code: 'CONFLICT',
+          context: { filename: safeFilename, revision: currentRevision, content: current },
+        });
+        return;
+      }
+    }
+
     // Save to Vercel Blob Storage
     const blob = await put(`feat-spec/${safeFilename}`, contentString, {
       access: 'public',
@@ -40,6 +65,7 @@ export default async function handler(req, res) {
       success: true,
       filename: safeFilename,
       url: blob.url,
+      revision: fileRevision(contentString),
     });
   } catch (error) {
     console.error('Error saving file:', error);
@@ -6,6 +6,7 @@ class PromptSpecApp {
         // Initialize core systems
         this.eventSystem = EventSystem.getInstance();
         this.stateManager = new StateManager(this.eventSystem);
+        this.undoManager = new UndoManager(this.stateManager, this.eventSystem);
         this.pointerTracker = new PointerTracker();
         
         // Initialize StateUpdateHelper
@@ -15,7 +16,7 @@ class PromptSpecApp {
         this.dragDropHandler = new DragDropHandler(this.eventSystem, this.stateManager, this.pointerTracker, this.errorHandler);
         this.contextMenuHandler = new ContextMenuHandler(this.eventSystem, this.stateManager, this.pointerTracker, null);
         this.modalSystem = new ModalSystem(this.eventSystem, this.stateManager);
-        this.keyboardHandler = new KeyboardHandler(this.eventSystem, this.stateManager, {});
+        this.keyboardHandler = new KeyboardHandler(this.eventSystem, this.stateManager, { undoManager: this.undoManager });
         
         // Initialize ErrorHandler (after modalSystem for integration)
         this.errorHandler = new ErrorHandler(this.eventSystem, { modalSystem: this.modalSystem });
@@ -35,6 +36,9 @@ class PromptSpecApp {
         this.processStepService = new ProcessStepService(pipelineConfig);
         this.placeholderService = new PlaceholderService(promptLoader);
         this.automationOrchestrator = new AutomationOrchestrator(this.stateManager, pipelineConfig, this.eventSystem, this.stateUpdateHelper);
+        this.outputSchemaService = new OutputSchemaService(this.stateManager, this.eventSystem, pipelineConfig);
+        this.collaborationService = new CollaborationService(this.stateManager, this.eventSystem, this.undoManager, this.errorHandler);
+        this.runJournalService = new RunJournalService(this.stateManager, this.eventSystem);
         
         // Initialize managers
         this.projectManager = new ProjectManager(this.stateManager, this.eventSystem, this.dataLayer, null, pipelineConfig, this.stateUpdateHelper, this.errorHandler);
@@ -68,6 +72,8 @@ class PromptSpecApp {
         this.sectionManager.renderingEngine = this.renderingEngine;
         this.fileOperations.renderingEngine = this.renderingEngine;
         this.uiManager.renderingEngine = this.renderingEngine;
+        this.renderingEngine.collaboration = this.collaborationService;
+        this.dataLayer.conflictResolver = (conflict) => this.resolveSaveConflict(conflict);
         
         // Update contextMenuHandler with renderingEngine reference
         this.contextMenuHandler.renderingEngine = this.renderingEngine;
@@ -103,6 +109,14 @@ class PromptSpecApp {
         
         // Store references for quick start wizard
         this.quickStartWizard = null;
+        this.revisionHistoryView = null;
+        this.specExportDialog = null;
+        this.templateLibraryView = null;
+        this.pipelineEditor = null;
+        this.promptLintPanel = null;
+        this.abRunView = null;
+        this.traceabilityView = null;
+        this.runJournalView = null;
         this.initializationManager = new InitializationManager(
             this,
             this.stateManager,
@@ -134,6 +148,8 @@ class PromptSpecApp {
         
         // Update renderingEngine with multiAgentAutomation reference
         this.renderingEngine.multiAgentAutomation = this.multiAgentAutomation;
+        this.multiAgentAutomation.outputSchemaService = this.outputSchemaService;
+        this.multiAgentAutomation.runJournal = this.runJournalService;
         
         // Initialize Chat System (wait for ES modules to load)
         this.initializationManager.initializeChatSystem();
@@ -143,6 +159,11 @@ class PromptSpecApp {
         
         // Initialize application
         this.initializationManager.initialize();
+        
+        // User-defined templates (listed by the wizard and the new-project dialog)
+        if (window.ProjectTemplates) {
+            window.ProjectTemplates.loadUserTemplates();
+        }
     }
     
     // Setup manager callbacks
@@ -280,6 +301,19 @@ class PromptSpecApp {
             this.handleModalSave(event.data.type, event.data.data);
         });
         
+        // Tell the user when an older file was upgraded on load
+        this.eventSystem.register(window.EventType.FILE_MIGRATED, (event) => {
+            if (this.errorHandler) {
+                this.errorHandler.showUserNotification(ProjectGroupMigrations.formatReport(event.data.report), {
+                    source: 'PromptSpecApp',
+                    operation: 'migrateFile'
+                }, {
+                    severity: ErrorHandler.Severity.INFO,
+                    title: 'File Upgraded'
+                });
+            }
+        });
+        
         // Handle file operations
         this.eventSystem.register(window.EventType.FILE_LOADED, async (event) => {
             // Autosave previous project group before loading new one
@@ -333,24 +367,8 @@ class PromptSpecApp {
             // Load saved state
             const savedState = this.dataLayer.loadState();
             if (savedState) {
-            // Check if old format (pages) or new format (projects)
-            if (savedState.pages && !savedState.projects) {
-                // Migrate old format to new format
-                await this.migrateOldDataFormat(savedState);
-            } else if (savedState.projects && Array.isArray(savedState.projects)) {
-                // Check if projects need migration (old workflowType format)
-                const needsMigration = savedState.projects.some(p => 
-                    p.workflowType && !p.case
-                );
-                
-                if (needsMigration) {
-                    await this.migrateOldDataFormat(savedState);
-                } else {
-                    this.stateManager.loadState(savedState);
-                }
-            } else {
-                this.stateManager.loadState(savedState);
-            }
+            // DataLayer.loadState has already migrated older formats to the current schemaVersion
+            this.stateManager.loadState(savedState);
             
             // Initialize current project group name from loaded state
             if (savedState && savedState.metadata && savedState.metadata.projectGroupName) {
@@ -414,123 +432,6 @@ class PromptSpecApp {
         }
     }
     
-    /**
-     * Migrate a single old project to new format
-     * @private
-     * @returns {Object} Migrated project
-     */
-    async _migrateOldProject(oldProject) {
-        // Map old workflowType to case number
-        let caseNumber = 1; // Default to Case 1
-        if (oldProject.workflowType === 'ux-only') {
-            caseNumber = 2; // UX-only maps to Case 2
-        } else if (oldProject.workflowType === 'full') {
-            caseNumber = 1; // Full maps to Case 1
-        }
-        
-        // Create new project with case
-        const project = await this.stateManager.createProject(
-            oldProject.name || 'Migrated Project',
-            oldProject.description || 'Migrated from old format',
-            caseNumber
-        );
-        
-        // Migrate sections if they exist
-        if (oldProject.sections && Array.isArray(oldProject.sections)) {
-            for (const oldSection of oldProject.sections) {
-                // Find matching section in new project
-                const newSection = project.sections.find(s => 
-                    s.sectionId === oldSection.sectionId || 
-                    s.sectionName === oldSection.sectionName
-                );
-                
-                if (newSection) {
-                    // Migrate section data
-                    this.stateManager.updateSection(project.id, newSection.sectionId, {
-                        input: oldSection.input || '',
-                        output: oldSection.output || '',
-                        notes: oldSection.notes || '',
-                        status: oldSection.status || 'not_started'
-                    });
-                }
-            }
-        }
-        
-        return project;
-    }
-    
-    /**
-     * Migrate old pages format to new project format
-     * @private
-     * @returns {Object} New project created from pages
-     */
-    async _migrateOldPages(oldState) {
-        // Convert pages to projects (legacy format)
-        const firstPage = oldState.pages[0];
-        const project = await this.stateManager.createProject(
-            firstPage.title || 'Migrated Project',
-            'Migrated from old format',
-            1 // Default to Case 1
-        );
-        
-        // Note: Old elements can't be directly mapped to pipeline sections
-        // User will need to manually organize content into sections
-        
-        return project;
-    }
-    
-    // Migrate old data format (pages/elements) to new format (projects/sections)
-    async migrateOldDataFormat(oldState) {
-        console.log('Migrating old data format to new format...');
-        
-        // Create new state structure
-        const newState = {
-            projects: [],
-            activeProjectId: null,
-            settings: oldState.settings || this.stateManager.getDefaultSettings(),
-            metadata: {
-                ...oldState.metadata,
-                version: '2.1', // Updated version for case-based format
-                migrated: true,
-                migrationDate: new Date().toISOString()
-            }
-        };
-        
-        // Convert old projects to new format (if they exist)
-        if (oldState.projects && Array.isArray(oldState.projects)) {
-            for (const oldProject of oldState.projects) {
-                const project = await this._migrateOldProject(oldProject);
-                newState.projects.push(project);
-            }
-            
-            // Set active project
-            if (oldState.activeProjectId) {
-                const migratedProject = newState.projects.find(p => 
-                    p.name === oldState.projects.find(op => op.id === oldState.activeProjectId)?.name
-                );
-                if (migratedProject) {
-                    newState.activeProjectId = migratedProject.id;
-                }
-            } else if (newState.projects.length > 0) {
-                newState.activeProjectId = newState.projects[0].id;
-            }
-        } else if (oldState.pages && Array.isArray(oldState.pages) && oldState.pages.length > 0) {
-            const project = await this._migrateOldPages(oldState);
-            newState.projects = [project];
-            newState.activeProjectId = project.id;
-        }
-        
-        // Load the new state
-        this.stateManager.loadState(newState);
-        
-        // Load prompts for migrated projects
-        for (const project of newState.projects) {
-            await this.loadPromptsForProject(project.id);
-        }
-        
-        console.log('Migration complete');
-    }
-    
     // Create sample project for first-time users
     async createSampleProject() {
         const project = await this.createProject(
@@ -893,6 +794,102 @@ class PromptSpecApp {
             });
         }
         
+        // Export specification bundle (Markdown, HTML or per-step zip)
+        const exportSpecBundleBtn = document.getElementById('export-spec-bundle');
+        if (exportSpecBundleBtn) {
+            exportSpecBundleBtn.addEventListener('click', () => {
+                const activeProject = this.stateManager.getActiveProject();
+                if (!activeProject) {
+                    const error = 'No project selected';
+                    if (this.errorHandler) {
+                        this.errorHandler.showUserNotification(error, {
+                            source: 'PromptSpecApp',
+                            operation: 'exportSpecification'
+                        }, {
+                            severity: ErrorHandler.Severity.WARNING,
+                            title: 'No Project Selected'
+                        });
+                    } else {
+                        alert(error);
+                    }
+                    return;
+                }
+                this.showSpecExport(activeProject.id);
+            });
+        }
+        
+        // Traceability matrix of the active project
+        const traceabilityBtn = document.getElementById('open-traceability');
+        if (traceabilityBtn) {
+            traceabilityBtn.addEventListener('click', () => {
+                const activeProject = this.stateManager.getActiveProject();
+                if (!activeProject) {
+                    const error = 'No project selected';
+                    if (this.errorHandler) {
+                        this.errorHandler.showUserNotification(error, {
+                            source: 'PromptSpecApp',
+                            operation: 'showTraceability'
+                        }, {
+                            severity: ErrorHandler.Severity.WARNING,
+                            title: 'No Project Selected'
+                        });
+                    } else {
+                        alert(error);
+                    }
+                    return;
+                }
+                this.showTraceability(activeProject.id);
+            });
+        }
+        
+        // Run journal (opens on the active project's runs, or on all runs without one)
+        const runJournalBtn = document.getElementById('open-run-journal');
+        if (runJournalBtn) {
+            runJournalBtn.addEventListener('click', () => {
+                const activeProject = this.stateManager.getActiveProject();
+                this.showRunJournal(activeProject ? activeProject.id : null);
+            });
+        }
+        
+        // Shared editing session on the current project group's file
+        const collaborationBtn = document.getElementById('toggle-collaboration');
+        if (collaborationBtn) {
+            collaborationBtn.addEventListener('click', () => this.toggleCollaboration());
+        }
+        const collaborationStatus = document.getElementById('collaboration-status');
+        if (collaborationStatus) {
+            collaborationStatus.addEventListener('click', () => this.toggleCollaboration());
+        }
+        this.eventSystem.on(EventType.COLLABORATION_CHANGED, (status) => this.updateCollaborationStatus(status));
+        
+        // Project templates (list, import, export, delete)
+        const manageTemplatesBtn = document.getElementById('manage-templates');
+        if (manageTemplatesBtn) {
+            manageTemplatesBtn.addEventListener('click', () => {
+                this.getTemplateLibraryView()?.openLibrary();
+            });
+        }
+        
+        // Pipeline editor (custom cases)
+        const pipelineEditorBtn = document.getElementById('open-pipeline-editor');
+        if (pipelineEditorBtn) {
+            pipelineEditorBtn.addEventListener('click', () => {
+                this.getPipelineEditor()?.open();
+            });
+        }
+        
+        // Prompt linter panel
+        const promptLintBtn = document.getElementById('open-prompt-lint');
+        if (promptLintBtn) {
+            promptLintBtn.addEventListener('click', () => {
+                if (!window.PromptLintPanel) return;
+                if (!this.promptLintPanel) {
+                    this.promptLintPanel = new window.PromptLintPanel();
+                }
+                this.promptLintPanel.open();
+            });
+        }
+        
         // Export final specification
         const exportFinalSpecBtn = document.getElementById('export-final-spec');
         if (exportFinalSpecBtn) {
@@ -1170,8 +1167,8 @@ class PromptSpecApp {
                     } else if (modalId === 'automation-modal') {
                         modal.style.display = 'none';
                     } else if (modalId === 'cursor-cli-progress-modal') {
-                        const cancelBtn = modal.querySelector('#cursor-cli-cancel');
-                        if (cancelBtn) cancelBtn.click();
+                        const closeBtn = modal.querySelector('#cursor-cli-close');
+                        if (closeBtn) closeBtn.click();
                     } else if (modalId === 'multi-agent-progress-modal') {
                         const cancelBtn = modal.querySelector('#multi-agent-cancel');
                         if (cancelBtn) cancelBtn.click();
@@ -1334,6 +1331,30 @@ class PromptSpecApp {
             });
         }
         
+        // Undo history panel
+        const undoHistoryBtn = document.getElementById('undo-history-btn');
+        const undoHistoryPanel = document.getElementById('undo-history-panel');
+        if (undoHistoryBtn && undoHistoryPanel) {
+            undoHistoryBtn.addEventListener('click', () => {
+                undoHistoryPanel.style.display = undoHistoryPanel.style.display === 'none' ? 'flex' : 'none';
+                this.renderUndoHistory();
+            });
+            undoHistoryPanel.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-undo-action]');
+                if (e.target.id === 'undo-history-close') {
+                    undoHistoryPanel.style.display = 'none';
+                } else if (action) {
+                    if (action.dataset.undoAction === 'jump') {
+                        this.undoManager.jumpTo(action.dataset.commandId);
+                        this.renderingEngine.renderAll();
+                    } else {
+                        this.keyboardHandler.runUndo(action.dataset.undoAction);
+                    }
+                }
+            });
+            this.eventSystem.register(EventType.UNDO_HISTORY_CHANGED, () => this.renderUndoHistory());
+        }
+        
         // Process step results panel close button
         const processStepResultsClose = document.getElementById('process-step-results-close');
         if (processStepResultsClose) {
@@ -1497,9 +1518,14 @@ class PromptSpecApp {
         });
         
         // Cursor CLI close and cancel buttons
+        // Closing while following a server-side job only detaches; the job keeps running
         const cursorCLIClose = document.getElementById('cursor-cli-close');
         if (cursorCLIClose) {
             cursorCLIClose.addEventListener('click', () => {
+                if (this.cursorCLIAutomation && this.cursorCLIAutomation.currentJobId) {
+                    this.cursorCLIAutomation.detach();
+                    return;
+                }
                 const modal = document.getElementById('cursor-cli-progress-modal');
                 if (modal) {
                     const cancelBtn = modal.querySelector('#cursor-cli-cancel');
@@ -1587,6 +1613,8 @@ class PromptSpecApp {
                 const projectId = e.target.dataset.projectId;
                 const sectionId = e.target.dataset.sectionId;
                 await this.showInputGuidance(projectId, sectionId);
+            } else if (e.target.classList.contains('btn-history')) {
+                this.showSectionHistory(e.target.dataset.projectId, e.target.dataset.sectionId);
             }
         });
         
@@ -1757,6 +1785,21 @@ class PromptSpecApp {
                     }
                 }
                 break;
+            case 'export-specification':
+                if (context.type === 'project' && context.projectId) {
+                    this.showSpecExport(context.projectId);
+                }
+                break;
+            case 'traceability-matrix':
+                if (context.type === 'project' && context.projectId) {
+                    this.showTraceability(context.projectId);
+                }
+                break;
+            case 'save-as-template':
+                if (context.type === 'project' && context.projectId) {
+                    this.getTemplateLibraryView()?.openSave(context.projectId);
+                }
+                break;
             case 'set-active-project':
                 if (context.type === 'project' && context.projectId) {
                     this.stateManager.setActiveProject(context.projectId);
@@ -1983,6 +2026,16 @@ class PromptSpecApp {
                     }
                 }
                 break;
+            case 'section-history':
+                if (context.type === 'section' && context.projectId && context.sectionId) {
+                    this.showSectionHistory(context.projectId, context.sectionId);
+                }
+                break;
+            case 'ab-run':
+                if (context.type === 'section' && context.projectId && context.sectionId) {
+                    this.showABRun(context.projectId, context.sectionId);
+                }
+                break;
             case 'collapse-all-panels':
                 if (context.type === 'section' && context.projectId && context.sectionId) {
                     // Collapse all panels in the current section view
@@ -2018,7 +2071,7 @@ class PromptSpecApp {
                 break;
             case 'delete-step':
                 if (context.type === 'pipelineSection' && context.projectId && context.sectionId) {
-                    if (confirm('Delete this step? This action cannot be undone.')) {
+                    if (confirm('Delete this step? You can undo this with Ctrl+Z.')) {
                         const project = this.stateManager.getProject(context.projectId);
                         if (project) {
                             const sections = project.sections.filter(s => s.sectionId !== context.sectionId);
@@ -3315,7 +3368,10 @@ class PromptSpecApp {
                                 input: templateSection.input || existing.input,
                                 output: templateSection.output || existing.output,
                                 notes: templateSection.notes || existing.notes,
-                                status: templateSection.status || existing.status
+                                status: templateSection.status || existing.status,
+                                // User templates record the modifiers chosen in their source project
+                                modifiers: templateData.userDefined ? templateSection.modifiers : existing.modifiers,
+                                overrideInstructions: templateSection.overrideInstructions || existing.overrideInstructions
                             };
                         } else {
                             // Create new section from template
@@ -3323,14 +3379,14 @@ class PromptSpecApp {
                                 ...templateSection,
                                 automationId: templateSection.automationId || this._generateAutomationId(),
                                 validationStatus: null,
-                                prompt: '',
+                                prompt: templateSection.prompt || '',
                                 dependencies: templateSection.dependencies || [],
                                 modifiers: templateSection.modifiers || [],
-                                overrideInstructions: '',
-                                isProcessStep: false,
-                                isInferenceStep: false,
-                                processStepType: null,
-                                specialized: null,
+                                overrideInstructions: templateSection.overrideInstructions || '',
+                                isProcessStep: templateSection.isProcessStep || false,
+                                isInferenceStep: templateSection.isInferenceStep || false,
+                                processStepType: templateSection.processStepType || null,
+                                specialized: templateSection.specialized || null,
                                 lastModified: Date.now()
                             };
                         }
@@ -3398,11 +3454,18 @@ class PromptSpecApp {
         const promptLoader = window.PromptLoader;
         if (!promptLoader) return;
         
+        // Projects migrated from the legacy pages format have no steps yet; give them their case's pipeline
+        if (project.sections.length === 0 && project.case) {
+            const sections = await this.stateManager.createSections(project.case, project.caseChain);
+            this.stateManager.updateProject(projectId, { sections });
+            project.sections = sections; // Update local reference
+        }
+        
         // Ensure all sections have automation IDs
         for (const section of project.sections) {
             if (!section.automationId) {
                 const defaultId = this.generateDefaultAutomationId(projectId, section.sectionId);
-                this.stateManager.updateSection(projectId, section.sectionId, { automationId: defaultId });
+                this.stateManager.updateSection(projectId, section.sectionId, { automationId: defaultId }, { undoable: false });
                 section.automationId = defaultId; // Update local reference
             }
         }
@@ -3434,7 +3497,8 @@ class PromptSpecApp {
                     
                     // Always update to ensure Input Guidance is removed (even if already removed)
                     // This handles cases where prompts were loaded before this feature was added
-                    this.stateManager.updateSection(projectId, section.sectionId, { prompt });
+                    // Prompts are regenerated from templates, so loading them is not an undoable edit
+                    this.stateManager.updateSection(projectId, section.sectionId, { prompt }, { undoable: false });
                     
                     // Log removed input guidance only in debug mode (suppress normal console output)
                     // Uncomment the line below if you need to debug input guidance removal
@@ -3674,6 +3738,16 @@ class PromptSpecApp {
             return false;
         }
         
+        // Flag placeholders that survived substitution before the prompt is pasted into an agent
+        const unresolved = window.PromptLinter ? window.PromptLinter.findUnresolved(prompt) : [];
+        if (unresolved.length > 0) {
+            this.errorHandler.showUserNotification(
+                `The copied prompt still contains ${unresolved.map(name => `{${name}}`).join(', ')}. Declare these variables in pipeline-config.json or fill them in before sending. Run the prompt linter for details.`,
+                { source: 'App', operation: 'copyPromptWithInput', sectionId },
+                { severity: ErrorHandler.Severity.WARNING, title: 'Unresolved Placeholders' }
+            );
+        }
+        
         // Build the text to copy, starting with explicit instructions and override instructions if present
         let textToCopy = '';
         
@@ -3924,7 +3998,7 @@ class PromptSpecApp {
         
         // Parse structured outputs from the structuring step output
         // The output should contain JSON blocks for each target step
-        const structuredOutputs = this.parseStructuredOutputs(structuringSection.output);
+        const structuredOutputs = this.parseStructuredOutputs(structuringSection);
         
         // Create a zip or individual files
         const timestamp = new Date().toISOString().split('T')[0];
@@ -3961,76 +4035,16 @@ class PromptSpecApp {
     
     // Parse structured outputs from input-structuring step output
     // Parse structured outputs - delegates to ProjectManager or FileOperations
-    parseStructuredOutputs(outputText) {
+    parseStructuredOutputs(source) {
         if (this.projectManager) {
-            return this.projectManager.parseStructuredOutputs(outputText);
+            return this.projectManager.parseStructuredOutputs(source);
         }
         if (this.fileOperations) {
-            return this.fileOperations.parseStructuredOutputs(outputText);
+            return this.fileOperations.parseStructuredOutputs(source);
         }
         return {};
     }
     
-    // Legacy parseStructuredOutputs implementation (if needed for fallback)
-    _parseStructuredOutputs(outputText) {
-        const outputs = {};
-        
-        // Look for JSON code blocks with step names - multiple patterns
-        // Pattern 1: ### For [step-name] Step followed by ```json
-        let jsonBlockRegex = /### For (\w+(?:-\w+)*) Step\s*```json\s*([\s\S]*?)\s*```/g;
-        let match;
-        
-        while ((match = jsonBlockRegex.exec(outputText)) !== null) {
-            const stepName = match[1];
-            const jsonContent = match[2].trim();
-            
-            // Try to parse and pretty-print JSON
-            try {
-                const parsed = JSON.parse(jsonContent);
-                outputs[stepName] = JSON.stringify(parsed, null, 2);
-            } catch (e) {
-                // If parsing fails, use raw content
-                outputs[stepName] = jsonContent;
-            }
-        }
-        
-        // Pattern 2: ### For [step-name] Step (without "Step" in header)
-        jsonBlockRegex = /### For (\w+(?:-\w+)*)\s*```json\s*([\s\S]*?)\s*```/g;
-        while ((match = jsonBlockRegex.exec(outputText)) !== null) {
-            const stepName = match[1];
-            if (!outputs[stepName]) { // Don't overwrite if already found
-                const jsonContent = match[2].trim();
-                try {
-                    const parsed = JSON.parse(jsonContent);
-                    outputs[stepName] = JSON.stringify(parsed, null, 2);
-                } catch (e) {
-                    outputs[stepName] = jsonContent;
-                }
-            }
-        }
-        
-        // Pattern 3: Any JSON code block with a heading above it
-        jsonBlockRegex = /###\s+(\w+(?:\s+\w+)*)\s*[\s\S]*?```json\s*([\s\S]*?)\s*```/g;
-        while ((match = jsonBlockRegex.exec(outputText)) !== null) {
-            const heading = match[1].toLowerCase().replace(/\s+/g, '-');
-            // Try to match to known step names
-            const stepNames = ['research', 'feature-extraction', 'app-analysis', 'decomposition', 'atomic-features', 'ux-specification'];
-            const matchedStep = stepNames.find(s => heading.includes(s.replace('-', '')));
-            
-            if (matchedStep && !outputs[matchedStep]) {
-                const jsonContent = match[2].trim();
-                try {
-                    const parsed = JSON.parse(jsonContent);
-                    outputs[matchedStep] = JSON.stringify(parsed, null, 2);
-                } catch (e) {
-                    outputs[matchedStep] = jsonContent;
-                }
-            }
-        }
-        
-        return outputs;
-    }
-    
     // Link Case 4 project to a target project
     async linkCase4ToTarget(case4ProjectId) {
         const case4Project = this.stateManager.getProject(case4ProjectId);
@@ -4156,7 +4170,7 @@ class PromptSpecApp {
         }
         
         // Parse structured outputs
-        const structuredOutputs = this.parseStructuredOutputs(structuringSection.output);
+        const structuredOutputs = this.parseStructuredOutputs(structuringSection);
         
         if (Object.keys(structuredOutputs).length === 0) {
             alert('No structured outputs found in Case 4 project. Please complete the Input Structuring step.');
@@ -4367,8 +4381,8 @@ class PromptSpecApp {
             // Fallback to simple rendering
             return cases.map(caseInfo => `
                 <div class="case-option" data-case="${caseInfo.number}">
-                    <h3>Case ${caseInfo.number}: ${caseInfo.name}</h3>
-                    <p>${caseInfo.description}</p>
+                    <h3>Case ${caseInfo.number}: ${this.escapeHtml(caseInfo.name)}</h3>
+                    <p>${this.escapeHtml(caseInfo.description)}</p>
                 </div>
             `).join('');
         }
@@ -4407,7 +4421,7 @@ class PromptSpecApp {
                 <div class="case-option" data-case="${caseInfo.number}">
                     <div class="case-option-header">
                         <div class="case-option-title-row">
-                            <h3>Case ${caseInfo.number}: ${caseInfo.name}</h3>
+                            <h3>Case ${caseInfo.number}: ${this.escapeHtml(caseInfo.name)}</h3>
                             <span class="complexity-badge complexity-${complexity}">${complexityLabel}</span>
                         </div>
                         <div class="case-option-meta">
@@ -4415,7 +4429,7 @@ class PromptSpecApp {
                             <span class="time-estimate">${timeEstimate}</span>
                         </div>
                     </div>
-                    <p class="case-description">${caseInfo.description}</p>
+                    <p class="case-description">${this.escapeHtml(caseInfo.description)}</p>
                     <div class="case-use-cases">
                         <strong>Use cases:</strong>
                         <ul>
@@ -5752,9 +5766,10 @@ class PromptSpecApp {
             if (!fileData.success) {
                 throw new Error(fileData.error || 'Failed to load file');
             }
+            this.dataLayer.setFileRevision(fileData.filename || filename, fileData.revision);
             
-            // Parse JSON content
-            const state = JSON.parse(fileData.content);
+            // Parse JSON content and upgrade older formats to the current schemaVersion
+            const state = this.dataLayer.migrateState(JSON.parse(fileData.content)).state;
             
             // Update project group name from loaded state or filename
             const projectGroupInput = document.getElementById('project-group-name');
@@ -5779,13 +5794,8 @@ class PromptSpecApp {
                 this.currentProjectGroupName = nameWithoutExt;
             }
             
-            // Validate and load state FIRST
-            if (state.pages && Array.isArray(state.pages)) {
-                this.stateManager.loadState(state);
-                this.renderingEngine.renderAll();
-                // Update dropdown AFTER state is loaded
-                await this.populateProjectGroupDropdown();
-            } else if (state.projects && Array.isArray(state.projects)) {
+            // Load state (older formats were migrated above)
+            if (state.projects && Array.isArray(state.projects)) {
                 this.stateManager.loadState(state);
                 
                 // Load prompts for all projects
@@ -6218,6 +6228,169 @@ class PromptSpecApp {
         this.updateAutomationButtonIcon(false);
     }
     
+    // Render the undo history panel (newest first; undone actions can be redone)
+    renderUndoHistory() {
+        const panel = document.getElementById('undo-history-panel');
+        const list = document.getElementById('undo-history-list');
+        if (!panel || !list || panel.style.display === 'none') return;
+        
+        const history = this.undoManager.getHistory();
+        const html = `
+            <div class="undo-history-actions">
+                <button class="btn btn-secondary" data-undo-action="undo" ${this.undoManager.canUndo() ? '' : 'disabled'} title="Ctrl+Z">↶ Undo</button>
+                <button class="btn btn-secondary" data-undo-action="redo" ${this.undoManager.canRedo() ? '' : 'disabled'} title="Ctrl+Shift+Z">↷ Redo</button>
+            </div>
+            ${history.length === 0 ? '<div class="undo-history-empty">No actions yet</div>' : history.map(entry => `
+                <div class="undo-history-item ${entry.undone ? 'undone' : ''}" data-undo-action="jump" data-command-id="${entry.id}" title="${entry.undone ? 'Redo up to here' : 'Undo back to here'}">
+                    <span class="undo-history-label">${this.escapeHtml(entry.label)}</span>
+                    <span class="undo-history-time">${new Date(entry.timestamp).toLocaleTimeString()}</span>
+                </div>
+            `).join('')}
+        `;
+        window.safeSetInnerHTML(list, html, { trusted: true });
+    }
+    
+    // Show revision history (diff and restore) for a section
+    showSectionHistory(projectId, sectionId, field = 'output') {
+        if (!window.RevisionHistoryView) return;
+        if (!this.revisionHistoryView) {
+            this.revisionHistoryView = new window.RevisionHistoryView(this.stateManager, this.renderingEngine);
+        }
+        this.revisionHistoryView.open(projectId, sectionId, field);
+    }
+    
+    // Show the A/B run dialog (same prompt against several agent providers) for a section
+    showABRun(projectId, sectionId) {
+        if (!window.ABRunView) return;
+        if (!this.abRunView) {
+            this.abRunView = new window.ABRunView(this.stateManager, this.renderingEngine);
+        }
+        this.abRunView.open(projectId, sectionId);
+    }
+    
+    // Show the specification export dialog for a project
+    showSpecExport(projectId) {
+        if (!window.SpecExportDialog) return;
+        if (!this.specExportDialog) {
+            this.specExportDialog = new window.SpecExportDialog(this.stateManager);
+        }
+        this.specExportDialog.open(projectId);
+    }
+    
+    // Show the traceability matrix (feature IDs against UX spec, API contract and validation coverage) for a project
+    showTraceability(projectId) {
+        if (!window.TraceabilityView) return;
+        if (!this.traceabilityView) {
+            this.traceabilityView = new window.TraceabilityView(this.stateManager);
+        }
+        this.traceabilityView.open(projectId);
+    }
+    
+    // Browse and replay the automation runs recorded in the run journal
+    showRunJournal(projectId = null) {
+        if (!window.RunJournalView) return;
+        if (!this.runJournalView) {
+            this.runJournalView = new window.RunJournalView(this.runJournalService, this.stateManager);
+        }
+        this.runJournalView.open(projectId);
+    }
+    
+    // Merge dialog for a save refused because the file changed on the server since it was loaded
+    // When the file is the open project group, the merged copy also replaces the local state
+    async resolveSaveConflict(conflict) {
+        if (!window.MergeConflictView) return null;
+        if (!this.mergeConflictView) {
+            this.mergeConflictView = new window.MergeConflictView();
+        }
+        const merged = await this.mergeConflictView.resolve(conflict);
+        
+        const projectGroupName = this.stateManager.getState().metadata?.projectGroupName;
+        const isOpenGroup = projectGroupName && `${projectGroupName.trim().replace(/[^a-z0-9]/gi, '_')}.json` === conflict.filename;
+        if (merged && merged !== conflict.local && isOpenGroup && Array.isArray(merged.projects)) {
+            this.stateManager.loadState(merged);
+            this.renderingEngine.renderAll();
+        }
+        return merged;
+    }
+    
+    // Join a shared editing session on the current project group's file, or leave the current one
+    async toggleCollaboration() {
+        const collaboration = this.collaborationService;
+        if (!collaboration) return;
+        
+        if (collaboration.isActive()) {
+            if (confirm(`Leave the shared editing session on ${collaboration.filename}?`)) {
+                await collaboration.leave();
+            }
+            return;
+        }
+        
+        const projectGroupName = this.stateManager.getState().metadata?.projectGroupName || this.currentProjectGroupName;
+        if (!projectGroupName || !projectGroupName.trim()) {
+            const error = 'Name and save the project group before collaborating on it.';
+            if (this.errorHandler) {
+                this.errorHandler.showUserNotification(error, {
+                    source: 'PromptSpecApp',
+                    operation: 'toggleCollaboration'
+                }, {
+                    severity: ErrorHandler.Severity.WARNING,
+                    title: 'Project Group Name Required'
+                });
+            } else {
+                alert(error);
+            }
+            return;
+        }
+        
+        const name = prompt('Your name (shown to the other collaborators):', collaboration.getSavedName());
+        if (!name || !name.trim()) return;
+        
+        // Loading autosaves the current group first, so everyone starts from the same saved file
+        const filename = CollaborationService.filenameFor(projectGroupName);
+        await this.loadProjectGroupFromFile(filename);
+        collaboration.join(filename, name.trim());
+    }
+    
+    // Reflect the collaboration session in the top bar and the File menu
+    updateCollaborationStatus(status = {}) {
+        const statusEl = document.getElementById('collaboration-status');
+        const menuBtn = document.getElementById('toggle-collaboration');
+        if (menuBtn) {
+            menuBtn.textContent = status.active ? '👥 Leave Collaboration' : '👥 Collaborate on Project Group...';
+        }
+        if (!statusEl) return;
+        
+        if (!status.active) {
+            statusEl.style.display = 'none';
+            return;
+        }
+        const participants = status.participants || [];
+        statusEl.style.display = '';
+        statusEl.classList.toggle('disconnected', !status.connected);
+        statusEl.textContent = status.connected ? `👥 ${participants.length}` : '👥 …';
+        statusEl.title = status.connected
+            ? `Collaborating on ${status.filename}: ${participants.map(p => p.name).join(', ')} (click to leave)`
+            : `Reconnecting to the collaboration session on ${status.filename}...`;
+    }
+    
+    // Template library view (created on first use)
+    getTemplateLibraryView() {
+        if (!window.TemplateLibraryView) return null;
+        if (!this.templateLibraryView) {
+            this.templateLibraryView = new window.TemplateLibraryView(this.stateManager);
+        }
+        return this.templateLibraryView;
+    }
+    
+    // Pipeline editor (created on first use)
+    getPipelineEditor() {
+        if (!window.PipelineEditor) return null;
+        if (!this.pipelineEditor) {
+            this.pipelineEditor = new window.PipelineEditor(this.errorHandler);
+        }
+        return this.pipelineEditor;
+    }
+    
     // Show agent conversations for a section
     showAgentConversations(projectId, sectionId) {
         if (!this.multiAgentAutomation) {
@@ -7103,6 +7276,7 @@ class PromptSpecApp {
             try {
                 let state;
                 let loadedFilename = null;
+                let loadedRevision = null;
                 
                 if (uploadedFile) {
                     // Load from uploaded file (DataLayer.importFromFile already validates)
@@ -7127,8 +7301,8 @@ class PromptSpecApp {
                         throw new Error(fileData.error || 'Failed to load file');
                     }
                     
-                    // Parse JSON content
-                    state = JSON.parse(fileData.content);
+                    // Parse JSON content and upgrade older formats to the current schemaVersion
+                    state = this.dataLayer.migrateState(JSON.parse(fileData.content)).state;
                     
                     // Validate structure using ProjectGroupValidator if available (server already validated, but double-check client-side)
                     if (typeof window !== 'undefined' && window.ProjectGroupValidator) {
@@ -7140,6 +7314,7 @@ class PromptSpecApp {
                     }
                     
                     loadedFilename = selectedFile;
+                    loadedRevision = fileData.revision;
                 } else {
                     alert('Please select a file to load.');
                     this.hideLoadingOverlay();
@@ -7167,18 +7342,13 @@ class PromptSpecApp {
                     }
                 }
                 
-                // Validate and load state
-                if (state.pages && Array.isArray(state.pages)) {
-                    this.stateManager.loadState(state);
-                    this.renderingEngine.renderAll();
-                    // Update dropdown AFTER state is loaded
-                    await this.populateProjectGroupDropdown();
-                    // Re-attach listeners after DOM changes
-                    this.setupProjectGroupDropdownListeners();
-                    modal.style.display = 'none';
-                } else if (state.projects && Array.isArray(state.projects)) {
+                // Load state (older formats were migrated above)
+                if (state.projects && Array.isArray(state.projects)) {
                     // Autosave current project group before loading new one
                     await this.autosaveCurrentProjectGroup();
+                    if (loadedRevision) {
+                        this.dataLayer.setFileRevision(loadedFilename, loadedRevision);
+                    }
                     
                     this.stateManager.loadState(state);
                     
@@ -7484,6 +7654,21 @@ class PromptSpecApp {
             });
         }
         
+        // Chat window context preview button - shows what went into the last prompt's context
+        const chatWindowContextPreview = document.querySelector('.chat-window-context-preview');
+        if (chatWindowContextPreview) {
+            chatWindowContextPreview.addEventListener('click', () => {
+                const panel = document.querySelector('.chat-context-preview');
+                if (!panel) return;
+                if (panel.style.display === 'none') {
+                    panel.style.display = 'block';
+                    this.renderChatContextPreview();
+                } else {
+                    panel.style.display = 'none';
+                }
+            });
+        }
+        
         // Chat window close button
         const chatWindowClose = document.querySelector('.chat-window-close');
         if (chatWindowClose) {
@@ -7498,9 +7683,10 @@ class PromptSpecApp {
                 const activeChatId = this.chatTabBar ? this.chatTabBar.getActiveTabId() : null;
                 if (activeChatId) {
                     this.chatSystem.sendMessage(activeChatId, message).then(result => {
-                        if (!result.success) {
+                        if (!result.success && !result.cancelled) {
                             alert('Failed to send message: ' + result.error);
                         }
+                        this.renderChatContextPreview();
                     });
                 } else {
                     // Create new chat if none exists
@@ -7520,7 +7706,7 @@ class PromptSpecApp {
                     }
 
                     this.chatSystem.sendMessage(newChatId, message).then(result => {
-                        if (!result.success) {
+                        if (!result.success && !result.cancelled) {
                             alert('Failed to send message: ' + result.error);
                         }
                     });
@@ -7577,16 +7763,22 @@ class PromptSpecApp {
                 if (this.chatMessageList) {
                     this.chatMessageList.render(chatId, chat.history || []);
                 }
+                this.renderChatContextPreview();
             }
         });
         
         this.eventSystem.register('chat:message:sending', (event) => {
-            const { chatId } = event.data;
+            const { chatId, streaming } = event.data;
             const activeChatId = this.chatTabBar ? this.chatTabBar.getActiveTabId() : null;
             if (chatId === activeChatId) {
                 if (this.chatMessageList) {
                     this.chatMessageList.hideError();
-                    this.chatMessageList.showLoading();
+                    // A streamed response shows its Stop button before the first chunk arrives
+                    if (streaming) {
+                        this.chatMessageList.startStreamingMessage();
+                    } else {
+                        this.chatMessageList.showLoading();
+                    }
                 }
                 if (this.chatInput) {
                     this.chatInput.setDisabled(true);
@@ -7599,6 +7791,7 @@ class PromptSpecApp {
             const activeChatId = this.chatTabBar ? this.chatTabBar.getActiveTabId() : null;
             if (chatId === activeChatId && this.chatMessageList) {
                 this.chatMessageList.hideLoading();
+                this.chatMessageList.endStreamingMessage();
                 if (this.chatInput) {
                     this.chatInput.setDisabled(false);
                 }
@@ -7612,12 +7805,46 @@ class PromptSpecApp {
             }
         });
         
+        this.eventSystem.register('chat:message:chunk', (event) => {
+            const { chatId, text } = event.data;
+            const activeChatId = this.chatTabBar ? this.chatTabBar.getActiveTabId() : null;
+            if (chatId === activeChatId && this.chatMessageList) {
+                this.chatMessageList.appendStreamingChunk(text);
+            }
+        });
+        
+        this.eventSystem.register('chat:message:cancel', (event) => {
+            const { chatId } = event.data;
+            if (chatId) {
+                this.chatSystem.cancelMessage(chatId);
+            }
+        });
+        
+        this.eventSystem.register('chat:message:cancelled', (event) => {
+            const { chatId } = event.data;
+            const activeChatId = this.chatTabBar ? this.chatTabBar.getActiveTabId() : null;
+            if (chatId === activeChatId && this.chatMessageList) {
+                this.chatMessageList.hideLoading();
+                this.chatMessageList.endStreamingMessage();
+                if (this.chatInput) {
+                    this.chatInput.setDisabled(false);
+                }
+                // Show the partial response if one was kept in history
+                const chat = this.chatSystem.getChat(chatId);
+                const lastMessage = chat && chat.history[chat.history.length - 1];
+                if (lastMessage && lastMessage.role === 'assistant') {
+                    this.chatMessageList.addMessage(lastMessage.role, lastMessage.content, lastMessage.timestamp);
+                }
+            }
+        });
+        
         this.eventSystem.register('chat:message:error', (event) => {
             const { chatId, error } = event.data;
             const activeChatId = this.chatTabBar ? this.chatTabBar.getActiveTabId() : null;
             if (chatId === activeChatId) {
                 if (this.chatMessageList) {
                     this.chatMessageList.hideLoading();
+                    this.chatMessageList.endStreamingMessage();
                     this.chatMessageList.showError(error || 'Failed to send message');
                 }
                 if (this.chatInput) {
@@ -7652,6 +7879,9 @@ class PromptSpecApp {
             if (data.scopeDirectory !== undefined) {
                 this.chatSystem.setScopeDirectory(chatId, data.scopeDirectory);
             }
+            if (data.agentProvider !== undefined) {
+                this.chatSystem.setAgentProvider(chatId, data.agentProvider);
+            }
             if (data.saveHistory !== undefined) {
                 this.chatSystem.setSaveHistory(chatId, data.saveHistory);
             }
@@ -7698,6 +7928,17 @@ class PromptSpecApp {
             }
         }
     }
+    
+    // Render the context preview of the active chat (only while the panel is open)
+    renderChatContextPreview() {
+        const panel = document.querySelector('.chat-context-preview');
+        if (!panel || !window.ContextAssembler) return;
+        if (panel.style.display === 'none') return;
+        
+        const activeChatId = this.chatTabBar ? this.chatTabBar.getActiveTabId() : null;
+        const assembly = activeChatId ? this.chatSystem.getContextPreview(activeChatId) : null;
+        window.safeSetInnerHTML(panel, window.ContextAssembler.renderPreview(assembly, text => this.escapeHtml(text)), { trusted: true });
+    }
 }
 
 // Initialize app
@@ -1,5 +1,8 @@
 // Automation System - Watches directories for files and automates pipeline progression
 class AutomationSystem {
+    // Set AutomationSystem.DIAGNOSTICS = true (e.g. from the console) to log file matching decisions
+    static DIAGNOSTICS = false;
+    
     constructor(eventSystem, stateManager, automationOrchestrator = null, projectManager = null, errorHandler = null) {
         this.eventSystem = eventSystem;
         this.stateManager = stateManager;
@@ -15,6 +18,9 @@ class AutomationSystem {
         this.targetDirectory = null;
         this.fileWatchers = new Map(); // sectionId -> { files: [], waitTime: 0, stabilityTime: 0, timeout: null, fileStates: Map }
         this.fileStates = new Map(); // fileName -> { lastModified: timestamp, stableSince: timestamp, size: number }
+        this.fileEventSubscriptions = new Map(); // directory -> { close } (FileWatchService streams)
+        this.disconnectedDirectories = new Set(); // Directories whose stream is down (polled meanwhile)
+        this.fileEventQueue = Promise.resolve(); // File events are processed one at a time
         
         this.setupEventListeners();
     }
@@ -159,8 +165,8 @@ class AutomationSystem {
                 // Start watching for current section
                 await this.watchForSection(projectId, startingSection.sectionId);
                 
-                // Set up continuous checking every minute for all sections
-                this.setupContinuousCheck(projectId);
+                // React to file events pushed by the server (polling is only the fallback)
+                await this.setupFileEvents(projectId);
                 
                 this.eventSystem.emit(EventType.AUTOMATION_STARTED, {
                     source: 'AutomationSystem',
@@ -200,8 +206,8 @@ class AutomationSystem {
                 // Start watching for current section
                 await this.watchForSection(projectId, startingSection.sectionId);
                 
-                // Set up continuous checking every minute for all sections
-                this.setupContinuousCheck(projectId);
+                // React to file events pushed by the server (polling is only the fallback)
+                await this.setupFileEvents(projectId);
                 
                 this.eventSystem.emit(EventType.AUTOMATION_STARTED, {
                     source: 'AutomationSystem',
@@ -346,6 +352,7 @@ class AutomationSystem {
         });
         this.fileWatchers.clear();
         this.fileStates.clear();
+        this._closeFileEvents();
         
         if (this.watchInterval) {
             clearInterval(this.watchInterval);
@@ -367,7 +374,109 @@ class AutomationSystem {
         });
     }
     
-    // Setup continuous checking every minute for all sections
+    /**
+     * Follow the server's file events for every directory the project's sections read from
+     * Each stream opens (and re-opens after a drop) with a snapshot, which triggers a full check of the sections
+     * reading from that directory; after that only created and changed files are looked at
+     * Falls back to setupContinuousCheck() when the server or browser cannot stream events
+     * @param {string} projectId - Project ID
+     */
+    async setupFileEvents(projectId) {
+        this._closeFileEvents();
+        
+        const project = this.stateManager.getProject(projectId);
+        if (!project) return;
+        
+        if (!this.targetDirectory || this.targetDirectory.type !== 'server' ||
+            !window.FileWatchService || !FileWatchService.isSupported()) {
+            this.setupContinuousCheck(projectId);
+            return;
+        }
+        
+        const directories = new Set();
+        for (const section of project.sections) {
+            const instructions = await this._getSectionInstructions(projectId, section);
+            directories.add(this._resolveCheckDirectory(projectId, instructions));
+        }
+        
+        directories.forEach(directory => {
+            const subscription = FileWatchService.subscribe(directory, {
+                onSnapshot: () => {
+                    if (this.isRunning && this.currentProjectId === projectId) {
+                        this.checkAllSections(projectId, directory);
+                    }
+                },
+                onEvent: (type, file) => {
+                    this.fileEventQueue = this.fileEventQueue
+                        .then(() => this.handleFileEvent(projectId, directory, type, file))
+                        .catch(error => console.warn(`Error handling ${type} for ${file.name}:`, error));
+                },
+                onStatus: (connected, error) => this._onFileEventsStatus(projectId, directory, connected, error)
+            });
+            this.fileEventSubscriptions.set(directory, subscription);
+        });
+    }
+    
+    /**
+     * Process a file reported by the server for the sections that read from its directory
+     * @param {string} projectId - Project ID
+     * @param {string} directory - Watched directory (as the sections resolve it)
+     * @param {string} type - file-created, file-changed or file-deleted
+     * @param {object} file - { name, relativePath, size, lastModified }
+     */
+    async handleFileEvent(projectId, directory, type, file) {
+        if (!this.isRunning || this.currentProjectId !== projectId) return;
+        // Deleted files (e.g. drafts removed after processing) need no action; outputs live directly in the directory
+        if (type === 'file-deleted' || (file.relativePath || '').includes('/')) return;
+        
+        const project = this.stateManager.getProject(projectId);
+        if (!project) return;
+        
+        for (const section of project.sections) {
+            const instructions = await this._getSectionInstructions(projectId, section);
+            if (this._resolveCheckDirectory(projectId, instructions) !== directory) continue;
+            
+            const stepName = section.stepName || section.sectionId;
+            if (this._matchFilePattern(file.name, stepName, section.automationId || '', instructions)) {
+                await this.processCompleteFile(projectId, section.sectionId, file.name, directory, instructions);
+            }
+        }
+    }
+    
+    /**
+     * Poll while any file event stream is down; stop polling once all are connected again
+     * @private
+     */
+    _onFileEventsStatus(projectId, directory, connected, error) {
+        if (!this.isRunning || this.currentProjectId !== projectId) return;
+        
+        if (connected) {
+            this.disconnectedDirectories.delete(directory);
+        } else {
+            if (!this.disconnectedDirectories.has(directory)) {
+                console.warn(`File events for ${directory} unavailable, polling until reconnected:`, error?.message);
+            }
+            this.disconnectedDirectories.add(directory);
+        }
+        
+        if (this.disconnectedDirectories.size > 0 && !this.continuousCheckInterval) {
+            this.setupContinuousCheck(projectId);
+        } else if (this.disconnectedDirectories.size === 0 && this.continuousCheckInterval) {
+            clearInterval(this.continuousCheckInterval);
+            this.continuousCheckInterval = null;
+        }
+    }
+    
+    /**
+     * @private
+     */
+    _closeFileEvents() {
+        this.fileEventSubscriptions.forEach(subscription => subscription.close());
+        this.fileEventSubscriptions.clear();
+        this.disconnectedDirectories.clear();
+    }
+    
+    // Setup continuous checking every 2 minutes for all sections (fallback when file events are unavailable)
     setupContinuousCheck(projectId) {
         // Clear any existing interval
         if (this.continuousCheckInterval) {
@@ -385,8 +494,8 @@ class AutomationSystem {
         }, AppConstants.TIMEOUTS.CONTINUOUS_CHECK_INTERVAL);
     }
     
-    // Check all sections for complete files
-    async checkAllSections(projectId) {
+    // Check all sections for complete files (only those reading from directory, when given)
+    async checkAllSections(projectId, directory = null) {
         if (!this.isRunning) return;
         
         const project = this.stateManager.getProject(projectId);
@@ -396,44 +505,82 @@ class AutomationSystem {
         
         // Check each section for complete files (including completed ones for continuous updates)
         for (const section of project.sections) {
-            // Ensure section has an automation ID
-            if (!section.automationId) {
-                // Generate default ID if missing (use app's method if available)
-                if (this.projectManager && this.projectManager.generateDefaultAutomationId) {
-                    const defaultId = this.projectManager.generateDefaultAutomationId(projectId, section.sectionId);
-                    this.stateManager.updateSection(projectId, section.sectionId, { automationId: defaultId });
-                    section.automationId = defaultId;
-                } else {
-                    // Fallback: simple random ID
-                    const chars = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
-                    let id = '';
-                    for (let i = 0; i < 4; i++) {
-                        id += chars.charAt(Math.floor(Math.random() * chars.length));
-                    }
-                    this.stateManager.updateSection(projectId, section.sectionId, { automationId: id });
-                    section.automationId = id;
-                }
-            }
-            
-            // Get file watching instructions for this section
-            const fileInstructions = await this.parseFileWatchingInstructions(section, projectId);
-            if (!fileInstructions) {
-                // Use default instructions
-                // NOTE: Default completeFiles patterns are intentionally broad for backward compatibility
-                // but section-specific pattern matching should prevent cross-contamination
-                const defaultInstructions = {
-                    directory: project.automationDirectory,
-                    files: [...AppConstants.FILE_PATTERNS.EXTENSIONS],
-                    completeFiles: [...AppConstants.FILE_PATTERNS.COMPLETE_PATTERNS], // Generic pattern - section-specific check should prevent misuse
-                    waitTime: AppConstants.TIMEOUTS.FILE_WATCH_WAIT,
-                    fileCount: 1
-                };
-                console.log(`[DIAG] Using default instructions with generic completeFiles patterns:`, defaultInstructions.completeFiles);
-                await this.checkSectionForCompleteFiles(projectId, section.sectionId, defaultInstructions);
+            const instructions = await this._getSectionInstructions(projectId, section);
+            if (directory && this._resolveCheckDirectory(projectId, instructions) !== directory) continue;
+            await this.checkSectionForCompleteFiles(projectId, section.sectionId, instructions);
+        }
+    }
+    
+    /**
+     * File watching instructions of a section (from its prompt, else defaults on the automation directory)
+     * Gives the section an automation ID first if it has none
+     * @private
+     * @returns {Promise<object>} Instructions
+     */
+    async _getSectionInstructions(projectId, section) {
+        const project = this.stateManager.getProject(projectId);
+        
+        // Ensure section has an automation ID
+        if (!section.automationId) {
+            // Generate default ID if missing (use app's method if available)
+            if (this.projectManager && this.projectManager.generateDefaultAutomationId) {
+                const defaultId = this.projectManager.generateDefaultAutomationId(projectId, section.sectionId);
+                this.stateManager.updateSection(projectId, section.sectionId, { automationId: defaultId }, { undoable: false });
+                section.automationId = defaultId;
             } else {
-                await this.checkSectionForCompleteFiles(projectId, section.sectionId, fileInstructions);
+                // Fallback: simple random ID
+                const chars = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ';
+                let id = '';
+                for (let i = 0; i < 4; i++) {
+                    id += chars.charAt(Math.floor(Math.random() * chars.length));
+                }
+                this.stateManager.updateSection(projectId, section.sectionId, { automationId: id }, { undoable: false });
+                section.automationId = id;
             }
         }
+        
+        // Get file watching instructions for this section
+        const fileInstructions = await this.parseFileWatchingInstructions(section, projectId);
+        if (fileInstructions) {
+            return fileInstructions;
+        }
+        
+        // Use default instructions
+        // NOTE: Default completeFiles patterns are intentionally broad for backward compatibility
+        // but section-specific pattern matching should prevent cross-contamination
+        const defaultInstructions = {
+            directory: project?.automationDirectory || '',
+            files: [...AppConstants.FILE_PATTERNS.EXTENSIONS],
+            completeFiles: [...AppConstants.FILE_PATTERNS.COMPLETE_PATTERNS], // Generic pattern - section-specific check should prevent misuse
+            waitTime: AppConstants.TIMEOUTS.FILE_WATCH_WAIT,
+            fileCount: 1
+        };
+        this._diag(`[DIAG] Using default instructions with generic completeFiles patterns:`, defaultInstructions.completeFiles);
+        return defaultInstructions;
+    }
+    
+    /**
+     * Directory a section's complete files are looked for in
+     * @private
+     * @returns {string}
+     */
+    _resolveCheckDirectory(projectId, instructions) {
+        let checkDir = instructions.directory;
+        if (checkDir && checkDir.includes('{AUTOMATION_DIR}')) {
+            const project = this.stateManager.getProject(projectId);
+            checkDir = checkDir.replace('{AUTOMATION_DIR}', project?.automationDirectory || '');
+        }
+        return checkDir?.replace(/`/g, '').trim() || this.targetDirectory?.path || '';
+    }
+    
+    /**
+     * Log a diagnostic message when AutomationSystem.DIAGNOSTICS is on
+     * @private
+     */
+    _diag(...args) {
+        if (AutomationSystem.DIAGNOSTICS) {
+            console.log(...args);
+        }
     }
     
     // Check a specific section for complete files
@@ -442,8 +589,8 @@ class AutomationSystem {
      * @private
      */
     _logSectionDiagnostics(sectionId, section, stepName, automationId) {
-        console.log(`[DIAG] checkSectionForCompleteFiles - sectionId: ${sectionId}, stepName: ${stepName}, automationId: ${automationId}`);
-        console.log(`[DIAG] Section object:`, {
+        this._diag(`[DIAG] checkSectionForCompleteFiles - sectionId: ${sectionId}, stepName: ${stepName}, automationId: ${automationId}`);
+        this._diag(`[DIAG] Section object:`, {
             sectionId: section?.sectionId,
             stepName: section?.stepName,
             automationId: section?.automationId,
@@ -455,12 +602,12 @@ class AutomationSystem {
         const uiInput = document.getElementById(`automation-id-${sectionId}`);
         if (uiInput) {
             const uiValue = uiInput.value || '';
-            console.log(`[DIAG] UI automationId value: "${uiValue}", State automationId: "${automationId}", Match: ${uiValue === automationId}`);
+            this._diag(`[DIAG] UI automationId value: "${uiValue}", State automationId: "${automationId}", Match: ${uiValue === automationId}`);
             if (uiValue !== automationId) {
                 console.warn(`[DIAG] ⚠ MISMATCH: UI shows "${uiValue}" but state has "${automationId}"`);
             }
         } else {
-            console.log(`[DIAG] UI input element not found for section ${sectionId}`);
+            this._diag(`[DIAG] UI input element not found for section ${sectionId}`);
         }
     }
     
@@ -475,42 +622,42 @@ class AutomationSystem {
         const lowerStepName = stepName.toLowerCase();
         
         // DIAGNOSTIC: Log pattern matching attempt
-        console.log(`[DIAG] Pattern matching for file: ${fileName}`);
-        console.log(`[DIAG] Section: stepName: ${stepName}, automationId: ${automationId}`);
+        this._diag(`[DIAG] Pattern matching for file: ${fileName}`);
+        this._diag(`[DIAG] Section: stepName: ${stepName}, automationId: ${automationId}`);
         
         // First priority: Check for section-specific pattern with automation ID
         if (automationId) {
             const idPattern = `${lowerStepName}-${automationId.toLowerCase()}-complete`;
             const exactPattern = new RegExp(`^${idPattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.md$`, 'i');
             const patternString = `^${idPattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.md$`;
-            console.log(`[DIAG] Testing section-specific pattern with ID: ${patternString}`);
+            this._diag(`[DIAG] Testing section-specific pattern with ID: ${patternString}`);
             const testResult = exactPattern.test(fileName);
-            console.log(`[DIAG] Pattern test result: ${testResult}`);
+            this._diag(`[DIAG] Pattern test result: ${testResult}`);
             if (testResult) {
-                console.log(`[DIAG] ✓ File matches section pattern: ${fileName} for ${stepName} with ID ${automationId}`);
+                this._diag(`[DIAG] ✓ File matches section pattern: ${fileName} for ${stepName} with ID ${automationId}`);
                 return true;
             }
-            console.log(`[DIAG] ✗ File does NOT match section pattern: ${fileName} (expected: ${stepName}-${automationId}-complete.md)`);
+            this._diag(`[DIAG] ✗ File does NOT match section pattern: ${fileName} (expected: ${stepName}-${automationId}-complete.md)`);
         }
         
         // Fallback: match patterns without ID for backward compatibility
         const exactPattern = new RegExp(`^${lowerStepName}-complete\\.md$`, 'i');
         const patternString = `^${lowerStepName}-complete\\.md$`;
-        console.log(`[DIAG] Testing section-specific pattern without ID: ${patternString}`);
+        this._diag(`[DIAG] Testing section-specific pattern without ID: ${patternString}`);
         const testResult = exactPattern.test(fileName);
-        console.log(`[DIAG] Pattern test result: ${testResult}`);
+        this._diag(`[DIAG] Pattern test result: ${testResult}`);
         if (testResult) {
-            console.log(`[DIAG] ✓ File matches section pattern (no ID): ${fileName} for ${stepName}`);
+            this._diag(`[DIAG] ✓ File matches section pattern (no ID): ${fileName} for ${stepName}`);
             return true;
         }
         
         // Last resort: check generic patterns from instructions
-        console.log(`[DIAG] Section-specific pattern didn't match, checking generic patterns:`, instructions.completeFiles);
+        this._diag(`[DIAG] Section-specific pattern didn't match, checking generic patterns:`, instructions.completeFiles);
         
         // First check if file starts with step name (for files like "research-findings-complete.md")
         const stepNamePrefixPattern = new RegExp(`^${lowerStepName}-.*-complete\\.md$`, 'i');
         if (stepNamePrefixPattern.test(fileName)) {
-            console.log(`[DIAG] ✓ File matches step name prefix pattern: ${fileName} for ${stepName}`);
+            this._diag(`[DIAG] ✓ File matches step name prefix pattern: ${fileName} for ${stepName}`);
             return true;
         }
         
@@ -525,21 +672,21 @@ class AutomationSystem {
                 const matches = lowerFileName.includes(lowerExpected) || 
                                lowerExpected.includes(lowerFileName) || 
                                lowerFileName === lowerExpected;
-                console.log(`[DIAG] Generic pattern test: "${expected}" -> ${matches}`);
+                this._diag(`[DIAG] Generic pattern test: "${expected}" -> ${matches}`);
                 return matches;
             }
             const patternString = pattern.toString();
             const testResult = pattern.test(fileName);
-            console.log(`[DIAG] Generic regex pattern test: ${patternString} -> ${testResult}`);
+            this._diag(`[DIAG] Generic regex pattern test: ${patternString} -> ${testResult}`);
             return testResult;
         });
         
         if (matchesGeneric) {
-            console.log(`[DIAG] ⚠ File matched GENERIC pattern (not section-specific): ${fileName}`);
+            this._diag(`[DIAG] ⚠ File matched GENERIC pattern (not section-specific): ${fileName}`);
             return true;
         }
         
-        console.log(`[DIAG] ✗ Final decision: NOT processing file ${fileName} (no match)`);
+        this._diag(`[DIAG] ✗ Final decision: NOT processing file ${fileName} (no match)`);
         return false;
     }
     
@@ -584,7 +731,7 @@ class AutomationSystem {
                 
                 if (this._matchFilePattern(fileName, stepName, automationId, instructions)) {
                     // Found a complete file - process it
-                    console.log(`[DIAG] ✓ Final decision: Processing file ${fileName} for section ${sectionId}`);
+                    this._diag(`[DIAG] ✓ Final decision: Processing file ${fileName} for section ${sectionId}`);
                     await this.processCompleteFile(projectId, sectionId, fileName, checkDir, instructions);
                     return true; // Only process one complete file per section
                 }
@@ -607,12 +754,7 @@ class AutomationSystem {
         
         try {
             // Determine directory to check
-            let checkDir = instructions.directory;
-            if (checkDir && checkDir.includes('{AUTOMATION_DIR}')) {
-                const project = this.stateManager.getProject(projectId);
-                checkDir = checkDir.replace('{AUTOMATION_DIR}', project?.automationDirectory || '');
-            }
-            checkDir = checkDir?.replace(/`/g, '').trim() || this.targetDirectory.path;
+            const checkDir = this._resolveCheckDirectory(projectId, instructions);
             
             // Get section to determine step name for pattern matching
             const project = this.stateManager.getProject(projectId);
@@ -656,21 +798,21 @@ class AutomationSystem {
             const lowerStepName = stepName.toLowerCase();
             
             // DIAGNOSTIC: Log section data and verification attempt
-            console.log(`[DIAG] processCompleteFile - sectionId: ${sectionId}, stepName: ${stepName}, automationId: ${automationId}`);
-            console.log(`[DIAG] Section object:`, {
+            this._diag(`[DIAG] processCompleteFile - sectionId: ${sectionId}, stepName: ${stepName}, automationId: ${automationId}`);
+            this._diag(`[DIAG] Section object:`, {
                 sectionId: section.sectionId,
                 stepName: section.stepName,
                 automationId: section.automationId,
                 hasStepName: !!section.stepName,
                 hasAutomationId: !!section.automationId
             });
-            console.log(`[DIAG] Verifying file: ${fileName} matches section ${sectionId}`);
+            this._diag(`[DIAG] Verifying file: ${fileName} matches section ${sectionId}`);
             
             // Verify file matches this section - delegate to orchestrator
             let matches = false;
             if (this.orchestrator) {
                 matches = this.orchestrator.verifyFileMatchesSection(fileName, stepName, automationId);
-                console.log(`[DIAG] File verification result: ${matches}`);
+                this._diag(`[DIAG] File verification result: ${matches}`);
             } else {
                 // Fallback verification logic if orchestrator not available
                 if (automationId) {
@@ -693,7 +835,11 @@ class AutomationSystem {
                 return;
             }
             
-            console.log(`[DIAG] ✓ VERIFICATION PASSED: File ${fileName} matches section ${sectionId} - proceeding with processing`);
+            this._diag(`[DIAG] ✓ VERIFICATION PASSED: File ${fileName} matches section ${sectionId} - proceeding with processing`);
+            this.eventSystem.emit(EventType.AUTOMATION_FILE_DETECTED, {
+                source: 'AutomationSystem',
+                data: { projectId, sectionId, fileName, directory }
+            });
             
             // Read the file
             const filePath = `${directory}/${fileName}`.replace(/\\/g, '/').replace(/\/\//g, '/');
@@ -713,7 +859,7 @@ class AutomationSystem {
                         // Fallback if orchestrator not available
                         this.stateManager.updateSection(projectId, sectionId, {
                             output: result.content
-                        });
+                        }, { source: 'file-watching' });
                         this.eventSystem.emit(EventType.AUTOMATION_SECTION_COMPLETE, {
                             source: 'AutomationSystem',
                             data: { projectId, sectionId, fileCount: 1 }
@@ -850,7 +996,7 @@ class AutomationSystem {
                     waitTime: AppConstants.TIMEOUTS.FILE_WATCH_WAIT,
                     fileCount: 1
                 };
-                console.log(`[DIAG] Using default file watching instructions with generic completeFiles patterns:`, defaultInstructions.completeFiles);
+                this._diag(`[DIAG] Using default file watching instructions with generic completeFiles patterns:`, defaultInstructions.completeFiles);
                 // Continue with default instructions
                 const watcher = {
                     files: defaultInstructions.files || [],
@@ -1012,7 +1158,7 @@ class AutomationSystem {
         // Check for existing files immediately
         await this.checkForFiles(projectId, sectionId, instructions);
         
-        // Note: Continuous checking is handled by setupContinuousCheck which runs every 2 minutes
+        // Note: Later files arrive as server file events (setupFileEvents); polling only runs while those are unavailable
         // No need for per-section polling interval - it was causing excessive checks
     }
     
@@ -1380,7 +1526,7 @@ class AutomationSystem {
     _validateFileMatchesSection(fileName, stepName, automationId) {
         if (this.orchestrator) {
             const matches = this.orchestrator.verifyFileMatchesSection(fileName, stepName, automationId);
-            console.log(`[DIAG] processFiles validation: ${fileName} matches section? ${matches}`);
+            this._diag(`[DIAG] processFiles validation: ${fileName} matches section? ${matches}`);
             return matches;
         }
         
@@ -1421,7 +1567,7 @@ class AutomationSystem {
                 continue; // Skip this file
             }
             
-            console.log(`[DIAG] ✓ Processing file ${fileName} - validation passed`);
+            this._diag(`[DIAG] ✓ Processing file ${fileName} - validation passed`);
             try {
                 // Construct file path using the base directory from instructions
                 const filePath = `${baseDir}/${fileName}`.replace(/\\/g, '/').replace(/\/\//g, '/');
@@ -1516,8 +1662,8 @@ class AutomationSystem {
             const automationId = section.automationId || '';
             
             // DIAGNOSTIC: Log section data for validation
-            console.log(`[DIAG] processFiles - sectionId: ${sectionId}, stepName: ${stepName}, automationId: ${automationId}`);
-            console.log(`[DIAG] Section object:`, {
+            this._diag(`[DIAG] processFiles - sectionId: ${sectionId}, stepName: ${stepName}, automationId: ${automationId}`);
+            this._diag(`[DIAG] Section object:`, {
                 sectionId: section.sectionId,
                 stepName: section.stepName,
                 automationId: section.automationId,
@@ -1531,7 +1677,7 @@ class AutomationSystem {
                 : Array.from(watcher.foundFiles);
             
             // DIAGNOSTIC: Log files to be processed
-            console.log(`[DIAG] Files to process:`, Array.from(filesToRead));
+            this._diag(`[DIAG] Files to process:`, Array.from(filesToRead));
             
             let fileContents = [];
             if (this.targetDirectory.type === 'server') {
@@ -1551,6 +1697,13 @@ class AutomationSystem {
                 return;
             }
             
+            fileContents.forEach(file => {
+                this.eventSystem.emit(EventType.AUTOMATION_FILE_DETECTED, {
+                    source: 'AutomationSystem',
+                    data: { projectId, sectionId, fileName: file.name, directory: watcher.actualDirectory || null }
+                });
+            });
+            
             // Combine file contents
             const combinedOutput = fileContents.map(f => 
                 `## ${f.name}\n\n${f.content}`
@@ -1564,7 +1717,7 @@ class AutomationSystem {
                 this.stateManager.updateSection(projectId, sectionId, {
                     output: combinedOutput,
                     status: 'complete'
-                });
+                }, { source: 'file-watching' });
                 this.eventSystem.emit(EventType.AUTOMATION_SECTION_COMPLETE, {
                     source: 'AutomationSystem',
                     data: { projectId, sectionId, fileCount: fileContents.length }
@@ -1,7 +1,7 @@
 // ChatContextBuilder - Building context from scope directory files and project data
 // Uses FileContextReader, PathUtils, and StateManager
 
-import { listScopeFiles, readScopeFiles, filterTextFiles, aggregateContext } from './utils/FileContextReader.js';
+import { listScopeFiles, readScopeFiles, filterTextFiles, aggregateContext, readScopeTextFiles } from './utils/FileContextReader.js';
 import { normalize, validate } from './utils/PathUtils.js';
 
 /**
@@ -10,40 +10,144 @@ import { normalize, validate } from './utils/PathUtils.js';
 export class ChatContextBuilder {
     constructor(stateManager) {
         this.stateManager = stateManager;
+        this.assembler = new window.ContextAssembler();
+        this.contextPreviews = new Map(); // Map of chatId -> last context assembly
     }
     
     /**
      * Builds context for a chat instance
+     * Project overview first, then scope files ranked by relevance to the query, all under the token ceiling
      * @param {string} chatId - The chat ID
      * @param {object} chatInstance - The chat instance
+     * @param {string} query - Text the scope files are ranked against (usually the user message)
+     * @param {number|null} maxTokens - Token ceiling (defaults to getMaxTokens())
      * @returns {Promise<string>} Context string
      */
-    async buildContext(chatId, chatInstance) {
+    async buildContext(chatId, chatInstance, query = '', maxTokens = null) {
         if (!chatInstance) {
             return '';
         }
         
-        const contextParts = [];
+        const candidates = [];
         
         // Add project context if linked
         if (chatInstance.projectId) {
             const projectContext = this.getProjectContext(chatInstance.projectId);
             if (projectContext) {
-                contextParts.push(projectContext);
+                candidates.push({
+                    id: 'project',
+                    kind: 'project',
+                    label: 'Project overview',
+                    content: projectContext,
+                    priority: 90,
+                    compress: 'excerpt'
+                });
             }
         }
         
-        // Add scope directory file context
-        if (chatInstance.scopeDirectory) {
-            const scopeContext = await this.getScopeFileContext(chatInstance.scopeDirectory);
-            if (scopeContext) {
-                contextParts.push(scopeContext);
-            }
+        // Add the scope directory's most relevant snippets from the search index,
+        // falling back to whole files ranked by relevance when the index is unavailable
+        const snippets = chatInstance.scopeDirectory ? await this.getScopeSnippets(chatInstance.scopeDirectory, query) : [];
+        snippets.forEach(snippet => {
+            candidates.push({
+                id: `snippet:${window.SearchIndexService.label(snippet)}`,
+                kind: 'snippet',
+                label: window.SearchIndexService.label(snippet),
+                content: snippet.content,
+                priority: 30,
+                relevance: snippet.score,
+                compress: 'excerpt'
+            });
+        });
+        if (chatInstance.scopeDirectory && snippets.length === 0) {
+            const files = await this.getScopeFiles(chatInstance.scopeDirectory);
+            window.ContextAssembler.rankByRelevance(files, query).forEach(file => {
+                candidates.push({
+                    id: `file:${file.path}`,
+                    kind: 'file',
+                    label: file.path,
+                    content: file.content,
+                    priority: 30,
+                    relevance: file.relevance,
+                    compress: 'excerpt'
+                });
+            });
+        }
+        
+        const assembly = this.assembler.assemble(candidates, {
+            maxTokens: maxTokens || this.getMaxTokens(chatInstance),
+            query: query
+        });
+        this.contextPreviews.set(chatId, { ...assembly, query: query, timestamp: Date.now() });
+        
+        const contextParts = assembly.included
+            .filter(item => item.kind === 'project')
+            .map(item => item.content);
+        const fileParts = assembly.included
+            .filter(item => item.kind === 'file' || item.kind === 'snippet')
+            .map(item => `=== File: ${item.label}${item.mode === 'full' ? '' : ` (${item.mode})`} ===\n\n${item.content}`);
+        if (fileParts.length > 0) {
+            contextParts.push(`=== Scope Directory Files (${normalize(chatInstance.scopeDirectory.trim())}) ===\n\n${fileParts.join('\n\n')}`);
         }
         
         return contextParts.join('\n\n');
     }
     
+    /**
+     * Gets the token ceiling for a chat (the linked project's context window, else the default)
+     * @param {object} chatInstance - The chat instance
+     * @returns {number} Maximum context tokens
+     */
+    getMaxTokens(chatInstance) {
+        const project = chatInstance && chatInstance.projectId && this.stateManager
+            ? this.stateManager.getProject(chatInstance.projectId)
+            : null;
+        return (project && project.contextWindow && project.contextWindow.maxTokens) ||
+            window.ContextAssembler.DEFAULT_MAX_TOKENS;
+    }
+    
+    /**
+     * Gets the context assembly of the last prompt built for a chat (what was included and dropped)
+     * @param {string} chatId - The chat ID
+     * @returns {object|null} Assembly with query and timestamp, or null
+     */
+    getContextPreview(chatId) {
+        return this.contextPreviews.get(chatId) || null;
+    }
+    
+    /**
+     * Gets the snippets of a scope directory most relevant to a query from the server search index
+     * @param {string} scopeDirectory - The scope directory path
+     * @param {string} query - Query text
+     * @returns {Promise<Array>} Search results (empty when the index is unavailable or nothing matches)
+     */
+    async getScopeSnippets(scopeDirectory, query) {
+        if (!window.SearchIndexService || !query || !query.trim()) {
+            return [];
+        }
+        
+        const search = await window.SearchIndexService.query(normalize(scopeDirectory.trim()), query, { limit: 20 });
+        return search.results;
+    }
+    
+    /**
+     * Reads the text files of a scope directory
+     * @param {string} scopeDirectory - The scope directory path
+     * @returns {Promise<Array<{path: string, content: string}>>} Files (empty on failure)
+     */
+    async getScopeFiles(scopeDirectory) {
+        if (!scopeDirectory || !scopeDirectory.trim()) {
+            return [];
+        }
+        
+        try {
+            return await readScopeTextFiles(normalize(scopeDirectory.trim()));
+        } catch (error) {
+            console.warn('Failed to read scope files:', error);
+            return [];
+        }
+    }
+    
     /**
      * Gets project context information
      * @param {string} projectId - The project ID
@@ -11,6 +11,7 @@ export class ChatMessageHandler {
         this.contextBuilder = contextBuilder;
         this.eventSystem = eventSystem;
         this.errorHandler = errorHandler;
+        this.activeStreams = new Map(); // chatId -> { cancel }
     }
     
     /**
@@ -39,12 +40,23 @@ export class ChatMessageHandler {
         // Normalize the scope directory path (convert backslashes to forward slashes for consistency)
         scopeDirectory = scopeDirectory.trim().replace(/\\/g, '/');
         
-        // Emit message sending event
+        // Chat-level provider wins over the linked project's provider; null uses the server default
+        const providerId = chatInstance.agentProvider ||
+                           (chatInstance.projectId ? this._getProjectAgentProvider(chatInstance.projectId) : null);
+        
+        // Stream the response when the streaming service is loaded
+        const streaming = typeof window !== 'undefined' && !!window.AgentStreamService;
+        
+        // Emit message sending event (streaming: the response can be stopped from the start)
         this.eventSystem.emit('chat:message:sending', {
             source: 'ChatMessageHandler',
-            data: { chatId, message: userMessage }
+            data: { chatId, message: userMessage, streaming }
         });
 
+        if (streaming) {
+            return this._sendStreamingMessage(chatId, userMessage, chatInstance, prompt, scopeDirectory, providerId);
+        }
+
         // Use ErrorHandler with retry logic if available
         if (this.errorHandler) {
             const result = await this.errorHandler.handleAsyncWithRetry(
@@ -56,7 +68,8 @@ export class ChatMessageHandler {
                         },
                         body: JSON.stringify({
                             prompt: prompt,
-                            scopeDirectory: scopeDirectory
+                            scopeDirectory: scopeDirectory,
+                            providerId: providerId
                         })
                     });
                     
@@ -101,6 +114,7 @@ export class ChatMessageHandler {
             }
             
             const assistantMessage = result.data.output || result.data.stderr || 'No response';
+            this._recordTokenUsage(chatInstance, prompt, assistantMessage);
             
             // Add messages to history
             this.addMessageToHistory(chatId, 'user', userMessage, chatInstance);
@@ -123,7 +137,8 @@ export class ChatMessageHandler {
                     },
                     body: JSON.stringify({
                         prompt: prompt,
-                        scopeDirectory: scopeDirectory
+                        scopeDirectory: scopeDirectory,
+                        providerId: providerId
                     })
                 });
                 
@@ -139,6 +154,7 @@ export class ChatMessageHandler {
                 }
                 
                 const assistantMessage = result.output || result.stderr || 'No response';
+                this._recordTokenUsage(chatInstance, prompt, assistantMessage);
                 
                 // Add messages to history
                 this.addMessageToHistory(chatId, 'user', userMessage, chatInstance);
@@ -168,6 +184,96 @@ export class ChatMessageHandler {
         }
     }
     
+    /**
+     * Sends a message over the streaming endpoint, emitting chat:message:chunk as tokens arrive
+     * @private
+     * @returns {Promise<object>} { success: boolean, content?: string, error?: string, cancelled?: boolean }
+     */
+    async _sendStreamingMessage(chatId, userMessage, chatInstance, prompt, scopeDirectory, providerId) {
+        // Add the user message first so streamed tokens render below it
+        this.addMessageToHistory(chatId, 'user', userMessage, chatInstance);
+        
+        let partialOutput = '';
+        const stream = window.AgentStreamService.execute(
+            { prompt, scopeDirectory, providerId },
+            {
+                onChunk: (text, streamName) => {
+                    if (streamName !== 'stdout') return;
+                    partialOutput += text;
+                    this.eventSystem.emit('chat:message:chunk', {
+                        source: 'ChatMessageHandler',
+                        data: { chatId, text }
+                    });
+                }
+            }
+        );
+        this.activeStreams.set(chatId, stream);
+        
+        try {
+            const result = await stream.promise;
+            const assistantMessage = result.output || result.stderr || 'No response';
+            this._recordTokenUsage(chatInstance, prompt, assistantMessage);
+            this.addMessageToHistory(chatId, 'assistant', assistantMessage, chatInstance);
+            
+            // Emit message received event
+            this.eventSystem.emit('chat:message:received', {
+                source: 'ChatMessageHandler',
+                data: { chatId, message: assistantMessage }
+            });
+            
+            return { success: true, content: assistantMessage };
+        } catch (error) {
+            if (error.cancelled) {
+                this._recordTokenUsage(chatInstance, prompt, partialOutput);
+                // Keep whatever the agent produced before it was stopped
+                if (partialOutput.trim()) {
+                    this.addMessageToHistory(chatId, 'assistant', `${partialOutput}\n\n_(cancelled)_`, chatInstance);
+                }
+                this.eventSystem.emit('chat:message:cancelled', {
+                    source: 'ChatMessageHandler',
+                    data: { chatId }
+                });
+                return { success: false, cancelled: true, error: 'Cancelled' };
+            }
+            
+            const errorMessage = error.message || 'Network error';
+            if (this.errorHandler) {
+                this.errorHandler.showUserNotification(errorMessage, {
+                    source: 'ChatMessageHandler',
+                    operation: 'sendMessage',
+                    chatId
+                }, {
+                    severity: this.errorHandler.constructor.Severity.ERROR,
+                    title: 'Failed to Send Message'
+                });
+            }
+            
+            // Emit error event
+            this.eventSystem.emit('chat:message:error', {
+                source: 'ChatMessageHandler',
+                data: { chatId, error: errorMessage }
+            });
+            
+            return { success: false, error: errorMessage };
+        } finally {
+            this.activeStreams.delete(chatId);
+        }
+    }
+    
+    /**
+     * Cancels an in-flight streamed response (kills the agent process on the server)
+     * @param {string} chatId - The chat ID
+     * @returns {boolean} True if a response was in flight
+     */
+    cancelMessage(chatId) {
+        const stream = this.activeStreams.get(chatId);
+        if (!stream) {
+            return false;
+        }
+        stream.cancel();
+        return true;
+    }
+    
     /**
      * Builds a prompt with context and conversation history
      * @param {string} chatId - The chat ID
@@ -177,9 +283,18 @@ export class ChatMessageHandler {
      */
     async buildPrompt(chatId, userMessage, chatInstance) {
         const parts = [];
+        const historyLines = chatInstance.saveHistory && chatInstance.history && chatInstance.history.length > 0
+            ? chatInstance.history.map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+            : [];
         
-        // Add context from scope directory and project
-        const context = await this.contextBuilder.buildContext(chatId, chatInstance);
+        // Add context from scope directory and project, within what the history and request leave of the ceiling
+        const reservedTokens = window.ContextAssembler.estimateTokens(historyLines.join('\n')) +
+            window.ContextAssembler.estimateTokens(userMessage);
+        const maxTokens = Math.max(
+            window.ContextAssembler.MIN_PART_TOKENS,
+            this.contextBuilder.getMaxTokens(chatInstance) - reservedTokens
+        );
+        const context = await this.contextBuilder.buildContext(chatId, chatInstance, userMessage, maxTokens);
         if (context) {
             parts.push('=== Context ===');
             parts.push(context);
@@ -187,12 +302,9 @@ export class ChatMessageHandler {
         }
         
         // Add conversation history if enabled
-        if (chatInstance.saveHistory && chatInstance.history && chatInstance.history.length > 0) {
+        if (historyLines.length > 0) {
             parts.push('=== Conversation History ===');
-            chatInstance.history.forEach(msg => {
-                const role = msg.role === 'user' ? 'User' : 'Assistant';
-                parts.push(`${role}: ${msg.content}`);
-            });
+            parts.push(...historyLines);
             parts.push('');
         }
         
@@ -236,6 +348,29 @@ export class ChatMessageHandler {
         });
     }
     
+    /**
+     * Records the prompt/response token estimate on the linked project (not counted toward automation runs)
+     * @private
+     * @param {object} chatInstance - The chat instance
+     * @param {string} prompt - Prompt sent
+     * @param {string} response - Response received
+     */
+    _recordTokenUsage(chatInstance, prompt, response) {
+        if (typeof window === 'undefined' || !window.TokenBudgetService || !chatInstance.projectId ||
+            !this.contextBuilder || !this.contextBuilder.stateManager) {
+            return;
+        }
+        
+        const tokenBudget = new window.TokenBudgetService(this.contextBuilder.stateManager);
+        tokenBudget.record(chatInstance.projectId, {
+            key: 'chat',
+            label: 'Chat',
+            prompt: prompt,
+            response: response,
+            inRun: false
+        });
+    }
+    
     /**
      * Gets project scope directory from state manager
      * @private
@@ -251,5 +386,21 @@ export class ChatMessageHandler {
         const project = state.projects.find(p => p.id === projectId);
         return project ? project.scopeDirectory : null;
     }
+    
+    /**
+     * Gets project agent provider from state manager
+     * @private
+     * @param {string} projectId - The project ID
+     * @returns {string|null} Provider ID or null
+     */
+    _getProjectAgentProvider(projectId) {
+        if (!this.contextBuilder || !this.contextBuilder.stateManager) {
+            return null;
+        }
+        
+        const state = this.contextBuilder.stateManager.getState();
+        const project = state.projects.find(p => p.id === projectId);
+        return project ? (project.agentProvider || null) : null;
+    }
 }
 
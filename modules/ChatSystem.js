@@ -34,6 +34,7 @@ export class ChatSystem {
      * @param {string} options.name - Chat name (optional, will be auto-generated)
      * @param {string} options.scopeDirectory - Scope directory path
      * @param {string} options.projectId - Linked project ID (optional)
+     * @param {string} options.agentProvider - Agent provider ID (optional, inherits from project)
      * @param {boolean} options.saveHistory - Whether to save history (default: true)
      * @returns {string} The created chat ID
      */
@@ -46,6 +47,7 @@ export class ChatSystem {
             name: options.name || this._generateChatName(),
             scopeDirectory: options.scopeDirectory || null,
             projectId: options.projectId || null,
+            agentProvider: options.agentProvider || null,
             saveHistory: options.saveHistory !== false, // Default to true
             maxHeight: options.maxHeight || null, // Default to null (use CSS default)
             history: [],
@@ -167,6 +169,35 @@ export class ChatSystem {
         return true;
     }
     
+    /**
+     * Sets the agent provider for a chat
+     * @param {string} chatId - The chat ID
+     * @param {string|null} agentProvider - Provider ID (null inherits from the linked project)
+     * @returns {boolean} True if set successfully
+     */
+    setAgentProvider(chatId, agentProvider) {
+        const chat = this.chats.get(chatId);
+        if (!chat) {
+            return false;
+        }
+        
+        chat.agentProvider = agentProvider || null;
+        chat.lastModified = Date.now();
+        
+        // Save to storage
+        if (chat.saveHistory) {
+            this.storage.saveChat(chatId, chat);
+        }
+        
+        // Emit event
+        this.eventSystem.emit('chat:settings:updated', {
+            source: 'ChatSystem',
+            data: { chatId, agentProvider: chat.agentProvider }
+        });
+        
+        return true;
+    }
+    
     /**
      * Sets whether to save history for a chat
      * @param {string} chatId - The chat ID
@@ -267,6 +298,24 @@ export class ChatSystem {
         return true;
     }
     
+    /**
+     * Cancels the response currently streaming into a chat
+     * @param {string} chatId - The chat ID
+     * @returns {boolean} True if a response was cancelled
+     */
+    cancelMessage(chatId) {
+        return this.messageHandler.cancelMessage(chatId);
+    }
+    
+    /**
+     * Gets what went into the context of the last prompt sent in a chat
+     * @param {string} chatId - The chat ID
+     * @returns {object|null} Context assembly (included and dropped items) or null
+     */
+    getContextPreview(chatId) {
+        return this.contextBuilder.getContextPreview(chatId);
+    }
+    
     /**
      * Sends a message in a chat
      * @param {string} chatId - The chat ID
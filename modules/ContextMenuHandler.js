@@ -485,6 +485,9 @@ class ContextMenuHandler {
             items.push({ id: 'rename-project', label: 'Rename Project', action: 'rename-project' });
             items.push({ id: 'duplicate-project', label: 'Duplicate Project', action: 'duplicate-project' });
             items.push({ id: 'export-project', label: 'Export Project', action: 'export-project' });
+            items.push({ id: 'export-specification', label: 'Export Specification...', action: 'export-specification' });
+            items.push({ id: 'traceability-matrix', label: 'Traceability Matrix...', action: 'traceability-matrix' });
+            items.push({ id: 'save-as-template', label: 'Save as Template...', action: 'save-as-template' });
             items.push({ id: 'set-active-project', label: 'Set as Active', action: 'set-active-project' });
             
             // Case 4 specific: Link to target project
@@ -517,6 +520,8 @@ class ContextMenuHandler {
                 items.push({ id: 'copy-prompt-input', label: 'Copy Prompt + Input', action: 'copy-prompt-input' });
                 items.push({ id: 'paste-previous-section', label: 'Paste from Previous', action: 'paste-previous-section' });
                 items.push({ id: 'clear-section-output', label: 'Clear Output', action: 'clear-section-output' });
+                items.push({ id: 'section-history', label: 'Revision History', action: 'section-history' });
+                items.push({ id: 'ab-run', label: 'A/B Run...', action: 'ab-run' });
                 items.push({ id: 'collapse-all-panels', label: 'Collapse All Panels', action: 'collapse-all-panels' });
                 
                 // Insert step options
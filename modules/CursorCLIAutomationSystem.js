@@ -11,6 +11,12 @@ class CursorCLIAutomationSystem {
         this.progressModal = null;
         this.progressText = null;
         this.progressLog = null;
+        this.activeStream = null; // In-flight streamed agent run { promise, cancel }
+        this.logStream = null; // Progress log entry receiving streamed output
+        this.currentJobId = null; // Server-side job being followed
+        this.jobAttachment = null; // { promise, detach } for the job event stream
+        this.tokenBudget = window.TokenBudgetService ? new window.TokenBudgetService(stateManager) : null;
+        this.budgetState = null; // Last budget state reported for the current run
         
         this.setupEventListeners();
     }
@@ -140,9 +146,19 @@ class CursorCLIAutomationSystem {
         
         const sections = validation.sections;
         
+        // Run as a persistent server-side job when available so the run survives page reloads
+        if (window.AgentJobService) {
+            await this._startServerJob(project, sections, scopeDir);
+            return;
+        }
+        
         this.currentProjectId = projectId;
         this.isRunning = true;
         this.shouldStop = false;
+        this.budgetState = null;
+        if (this.tokenBudget) {
+            this.tokenBudget.startRun(projectId, 'cursor-cli');
+        }
         
         // Show progress modal
         this.showProgressModal();
@@ -155,6 +171,10 @@ class CursorCLIAutomationSystem {
                     this.updateProgress('Execution cancelled by user', '');
                     break;
                 }
+                if (this._budgetStopsRun(projectId)) {
+                    this.shouldStop = true;
+                    break;
+                }
                 
                 const success = await this._executeSectionWithErrorHandling(projectId, sections[i], i, sections.length);
                 if (!success) {
@@ -196,11 +216,284 @@ class CursorCLIAutomationSystem {
                 alert(`Fatal error: ${errorMsg}`);
             }
         } finally {
+            if (this.tokenBudget) {
+                this.tokenBudget.endRun(projectId);
+            }
+            this.isRunning = false;
+            this.currentProjectId = null;
+        }
+    }
+    
+    /**
+     * Submit the sections as a server-side job and follow it
+     * @private
+     */
+    async _startServerJob(project, sections, scopeDir) {
+        let job;
+        try {
+            job = await window.AgentJobService.createJob({
+                source: 'cursor-cli',
+                projectId: project.id,
+                projectName: project.name,
+                label: `${project.name || project.id}: ${sections.length} step(s)`,
+                scopeDirectory: scopeDir,
+                providerId: project.agentProvider || null,
+                automationDirectory: project.automationDirectory || null,
+                project: JSON.parse(JSON.stringify(project)),
+                tasks: sections.map(section => ({
+                    sectionId: section.sectionId,
+                    label: section.sectionName || section.sectionId
+                }))
+            });
+        } catch (error) {
+            const errorMsg = `Could not start automation job: ${error.message}`;
+            if (this.errorHandler) {
+                this.errorHandler.showUserNotification(errorMsg, {
+                    source: 'CursorCLIAutomationSystem',
+                    operation: 'start',
+                    projectId: project.id
+                }, {
+                    severity: ErrorHandler.Severity.ERROR,
+                    title: 'Automation Error',
+                    showModal: true
+                });
+            } else {
+                alert(errorMsg);
+            }
+            return;
+        }
+        
+        // The server enforces the budget on the job; the run here collects the usage its tasks report
+        this.budgetState = null;
+        if (this.tokenBudget) {
+            this.tokenBudget.startRun(project.id, 'cursor-cli');
+        }
+        await this.attachToJob(project.id, job.id);
+    }
+    
+    /**
+     * Follow a server-side job in the progress modal, applying step outputs as they complete
+     * Used for new runs and to re-attach after a page reload
+     * @param {string} projectId - Project the job belongs to
+     * @param {string} jobId - Job ID
+     */
+    async attachToJob(projectId, jobId) {
+        if (this.isRunning) {
+            console.warn('Cursor CLI automation already running');
+            return;
+        }
+        
+        this.currentProjectId = projectId;
+        this.currentJobId = jobId;
+        this.isRunning = true;
+        this.shouldStop = false;
+        this.showProgressModal();
+        this.updateProgress('Connecting to automation job...', '');
+        
+        const appliedTasks = new Set();
+        const applyTask = (task) => {
+            if (task.status !== 'completed') return;
+            if (!task.sectionId || appliedTasks.has(task.id) || typeof task.output !== 'string') return;
+            appliedTasks.add(task.id);
+            // The server already saved the output file in the automation directory
+            this.stateManager.updateSection(projectId, task.sectionId, {
+                output: task.output,
+                status: 'complete'
+            }, { source: 'cursor-cli' });
+            this.renderingEngine.renderAll();
+        };
+        const startTaskStream = (task, initialOutput = '') => {
+            if (this.logStream) this.logStream.end('');
+            this.logStream = window.AgentStreamService
+                ? window.AgentStreamService.createLogEntry(this.progressLog, task.label, () => this.stop())
+                : null;
+            if (initialOutput) this.appendToLog(initialOutput, true);
+        };
+        const showProgress = (job) => {
+            const { completed, total } = job.progress;
+            this.updateProgress(job.currentTask
+                ? `Step ${Math.min(completed + 1, total)}/${total}: ${job.currentTask}`
+                : `${completed}/${total} steps complete (${job.status})`, '');
+        };
+        
+        this.jobAttachment = window.AgentJobService.attach(jobId, {
+            onSnapshot: (job) => {
+                job.logs.forEach(entry => this._appendJobLog(entry));
+                job.tasks.forEach(applyTask);
+                const running = job.tasks.find(task => task.status === 'running');
+                if (running) startTaskStream(running, running.output);
+                showProgress(job);
+            },
+            onLog: (entry) => this._appendJobLog(entry),
+            onChunk: (taskId, text) => this.appendToLog(text, true),
+            onTask: (task) => {
+                if (task.status === 'running') {
+                    startTaskStream(task);
+                    return;
+                }
+                if (this.logStream) {
+                    this.logStream.end(task.status === 'completed' ? '✓' : `(${task.status})`);
+                    this.logStream = null;
+                }
+                applyTask(task);
+                // Only live completions count: a snapshot on re-attach would record finished tasks again
+                if (task.status === 'completed' && task.usage) {
+                    this._recordTokenUsage(projectId, task.sectionId || task.id, task.label, task.usage);
+                }
+            },
+            onJob: showProgress
+        });
+        
+        try {
+            const job = await this.jobAttachment.promise;
+            if (!job) return; // Detached - the job keeps running on the server
+            
+            if (job.status === 'completed') {
+                // A failed or cancelled job keeps its run open so that resuming it adds to the same run
+                if (this.tokenBudget) {
+                    this.tokenBudget.endRun(projectId);
+                }
+                this.updateProgress('All steps completed successfully!', '');
+                this.appendToLog('All steps completed');
+                setTimeout(() => {
+                    this.hideProgressModal();
+                }, AppConstants.TIMEOUTS.MODAL_AUTO_CLOSE);
+            } else if (job.status === 'cancelled') {
+                this.updateProgress('Execution cancelled by user', '');
+            } else {
+                const errorMsg = job.status === 'interrupted'
+                    ? 'The server stopped while this job was running.'
+                    : `Error executing ${job.error || 'job'}\n\nExecution stopped.`;
+                this.updateProgress(`Job ${job.status}`, '');
+                this._showJobError(errorMsg, projectId, jobId);
+            }
+        } catch (error) {
+            this.updateProgress(`Lost connection to job: ${error.message}`, '');
+            this.appendToLog('The job continues on the server; re-attach from the Automation Dashboard.');
+        } finally {
+            if (this.logStream) this.logStream.end('');
+            this.logStream = null;
+            this.jobAttachment = null;
+            this.currentJobId = null;
             this.isRunning = false;
             this.currentProjectId = null;
         }
     }
     
+    /**
+     * Resume a failed, cancelled or interrupted job and follow it
+     * @param {string} projectId - Project the job belongs to
+     * @param {string} jobId - Job ID
+     */
+    async resumeJob(projectId, jobId) {
+        try {
+            await window.AgentJobService.resumeJob(jobId);
+        } catch (error) {
+            this._showJobError(`Could not resume job: ${error.message}`, projectId, null);
+            return;
+        }
+        await this.attachToJob(projectId, jobId);
+    }
+    
+    /**
+     * Stop following the current job without cancelling it
+     */
+    detach() {
+        if (this.jobAttachment) {
+            this.jobAttachment.detach();
+        }
+        this.hideProgressModal();
+    }
+    
+    /**
+     * Add a server job log entry to the progress log, keeping the server timestamp
+     * @private
+     */
+    _appendJobLog(entry) {
+        if (!this.progressLog) return;
+        const line = document.createElement('div');
+        line.textContent = `[${new Date(entry.timestamp).toLocaleTimeString()}] ${entry.message}`;
+        line.style.marginBottom = '4px';
+        this.progressLog.appendChild(line);
+        this.progressLog.scrollTop = this.progressLog.scrollHeight;
+    }
+    
+    /**
+     * @private
+     */
+    _showJobError(errorMsg, projectId, jobId) {
+        if (this.errorHandler) {
+            this.errorHandler.showUserNotification(errorMsg, {
+                source: 'CursorCLIAutomationSystem',
+                operation: 'attachToJob',
+                projectId,
+                jobId
+            }, {
+                severity: ErrorHandler.Severity.ERROR,
+                title: 'Execution Error',
+                showModal: true,
+                actions: jobId ? [
+                    { label: 'Resume Job', action: () => this.resumeJob(projectId, jobId) },
+                    { label: 'OK', action: () => {} }
+                ] : [{ label: 'OK', action: () => {} }]
+            });
+        } else {
+            alert(errorMsg);
+        }
+    }
+    
+    /**
+     * Check the run's token budget before the next step. This engine cannot pause, so the pause and stop
+     * actions both stop the run; starting the automation again begins a new run.
+     * @private
+     * @returns {boolean} True if the run must stop
+     */
+    _budgetStopsRun(projectId) {
+        if (!this.tokenBudget) return false;
+        
+        const check = TokenBudgetService.checkBudget(this.stateManager.getProject(projectId));
+        if (check.state !== TokenBudgetService.BudgetState.EXCEEDED || check.action === TokenBudgetService.BudgetAction.WARN) {
+            return false;
+        }
+        this.updateProgress(`${check.message}. Execution stopped.`, '');
+        this.appendToLog('Start the automation again to continue past the budget.');
+        this._notifyBudget(projectId, check, 'Token Budget Exceeded - Stopped');
+        return true;
+    }
+    
+    /**
+     * Record a step's usage and report when the run crosses the warning level or the limit
+     * @private
+     * @param {object} usage - { prompt, response } or token counts reported by a server job task
+     */
+    _recordTokenUsage(projectId, key, label, usage) {
+        if (!this.tokenBudget) return;
+        
+        const check = this.tokenBudget.record(projectId, { key, label, ...usage });
+        if (!check || check.state === this.budgetState) return;
+        this.budgetState = check.state;
+        if (check.state !== TokenBudgetService.BudgetState.OK) {
+            this.appendToLog(check.message);
+            this._notifyBudget(projectId, check, 'Token Budget');
+        }
+    }
+    
+    /**
+     * @private
+     */
+    _notifyBudget(projectId, check, title) {
+        if (this.errorHandler) {
+            this.errorHandler.showUserNotification(check.message, {
+                source: 'CursorCLIAutomationSystem',
+                operation: 'tokenBudget',
+                projectId
+            }, {
+                severity: ErrorHandler.Severity.WARNING,
+                title: title
+            });
+        }
+    }
+    
     // Execute a single section via cursor-cli
     async executeSection(projectId, section) {
         const project = this.stateManager.getProject(projectId);
@@ -214,6 +507,12 @@ class CursorCLIAutomationSystem {
         // Get full prompt with all substitutions
         const prompt = await this.getFullPrompt(projectId, section);
         
+        // Flag placeholders that survived substitution (undeclared variables) before the prompt is sent
+        const unresolved = window.PromptLinter ? window.PromptLinter.findUnresolved(prompt) : [];
+        if (unresolved.length > 0) {
+            this.appendToLog(`Warning: ${section.sectionName || section.sectionId} prompt has unresolved placeholders: ${unresolved.map(name => `{${name}}`).join(', ')}`);
+        }
+        
         // Combine prompt + input
         const fullPrompt = `${prompt}\n\n## Input\n\n${input}`;
         
@@ -224,13 +523,14 @@ class CursorCLIAutomationSystem {
         }
         
         // Execute cursor-cli
-        const output = await this.executeCursorCLI(fullPrompt, scopeDir);
+        const output = await this.executeCursorCLI(fullPrompt, scopeDir, project.agentProvider, section.sectionName || section.sectionId);
+        this._recordTokenUsage(projectId, section.sectionId, section.sectionName || section.sectionId, { prompt: fullPrompt, response: output });
         
         // Save output to section state
         this.stateManager.updateSection(projectId, section.sectionId, {
             output: output,
             status: 'complete'
-        });
+        }, { source: 'cursor-cli' });
         
         // Save output to file for persistence
         await this.saveOutputToFile(projectId, section, output);
@@ -293,14 +593,20 @@ class CursorCLIAutomationSystem {
         return prompt;
     }
     
-    // Execute cursor-cli via server endpoint
-    async executeCursorCLI(prompt, scopeDirectory) {
+    // Execute prompt via server endpoint (providerId selects the agent backend)
+    // With a streamLabel, output streams into the progress log under that label and can be cancelled
+    async executeCursorCLI(prompt, scopeDirectory, providerId = null, streamLabel = null) {
+        if (streamLabel && window.AgentStreamService) {
+            return this._executeStreaming(prompt, scopeDirectory, providerId, streamLabel);
+        }
+        
         const response = await fetch('/api/cursor-cli-execute', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
                 prompt: prompt,
-                scopeDirectory: scopeDirectory
+                scopeDirectory: scopeDirectory,
+                providerId: providerId || null
             })
         });
         
@@ -316,6 +622,39 @@ class CursorCLIAutomationSystem {
         return result.output;
     }
     
+    /**
+     * Execute a prompt over the streaming endpoint, rendering output incrementally in the progress log
+     * @private
+     * @returns {Promise<string>} Agent output
+     */
+    async _executeStreaming(prompt, scopeDirectory, providerId, streamLabel) {
+        const stream = window.AgentStreamService.execute(
+            { prompt, scopeDirectory, providerId },
+            {
+                onChunk: (text, streamName) => {
+                    if (streamName === 'stdout') {
+                        this.appendToLog(text, true);
+                    }
+                }
+            }
+        );
+        this.activeStream = stream;
+        this.logStream = window.AgentStreamService.createLogEntry(this.progressLog, streamLabel, () => stream.cancel());
+        
+        let status = '✓';
+        try {
+            const result = await stream.promise;
+            return result.output;
+        } catch (error) {
+            status = error.cancelled ? '(cancelled)' : '✗';
+            throw error;
+        } finally {
+            if (this.logStream) this.logStream.end(status);
+            this.logStream = null;
+            this.activeStream = null;
+        }
+    }
+    
     // Save output to file for persistence
     async saveOutputToFile(projectId, section, output) {
         const project = this.stateManager.getProject(projectId);
@@ -357,6 +696,16 @@ class CursorCLIAutomationSystem {
             this.isRunning = false;
             this.updateProgress('Stopping execution...', '');
         }
+        // Kill the in-flight agent process
+        if (this.activeStream) {
+            this.activeStream.cancel();
+        }
+        // Cancel the server-side job; the event stream reports the final status
+        if (this.currentJobId) {
+            window.AgentJobService.cancelJob(this.currentJobId).catch(error => {
+                console.warn('Failed to cancel job:', error);
+            });
+        }
     }
     
     // Show progress modal
@@ -395,8 +744,12 @@ class CursorCLIAutomationSystem {
         }
     }
     
-    // Append to progress log
-    appendToLog(message) {
+    // Append to progress log (streamed text goes into the current stream entry)
+    appendToLog(message, streamed = false) {
+        if (streamed && this.logStream) {
+            this.logStream.append(message);
+            return;
+        }
         if (this.progressLog) {
             const entry = document.createElement('div');
             entry.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
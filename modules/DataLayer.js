@@ -8,6 +8,13 @@ class DataLayer {
         // Debounced save instance (will be initialized after DebouncedSave is available)
         this.debouncedSaveInstance = null;
         
+        // Revisions of the saved files this client loaded or saved (filename -> content hash), sent with each save
+        // Kept in localStorage next to the state, so a reload still knows which revision the local copy is based on
+        this.fileRevisionsKey = `${storageKey}-file-revisions`;
+        this.fileRevisions = this._loadFileRevisions();
+        // async (conflict) => state to save instead, or null to cancel; set by the app (the merge dialog)
+        this.conflictResolver = null;
+        
         // Web Worker for large state serialization (> 1MB)
         this.stateWorker = null;
         this.workerRequestId = 0;
@@ -351,7 +358,7 @@ class DataLayer {
     loadState() {
         if (this.errorHandler) {
             const result = this.errorHandler.handleSync(() => {
-                const state = this.storageInterface.load(this.storageKey);
+                const state = this._migrateStoredState(this.storageInterface.load(this.storageKey));
                 if (state) {
                     this.eventSystem.emit(EventType.STATE_LOADED, {
                         source: 'DataLayer',
@@ -364,7 +371,7 @@ class DataLayer {
         } else {
             // Fallback to original error handling
             try {
-                const state = this.storageInterface.load(this.storageKey);
+                const state = this._migrateStoredState(this.storageInterface.load(this.storageKey));
                 if (state) {
                     this.eventSystem.emit(EventType.STATE_LOADED, {
                         source: 'DataLayer',
@@ -383,16 +390,150 @@ class DataLayer {
         }
     }
     
+    /**
+     * Upgrade a loaded project group to the current schemaVersion (see ProjectGroupMigrations)
+     * Emits FILE_MIGRATED with the report when a migration changed anything
+     * @param {object} state - Parsed project group
+     * @returns {{state: object, report: object}} Migrated copy and the migration report
+     * @throws {Error} If the file was written by a newer version of the app
+     */
+    migrateState(state) {
+        const result = ProjectGroupMigrations.migrate(state);
+        if (result.report.applied.some(migration => migration.changes.length > 0)) {
+            this.eventSystem.emit(EventType.FILE_MIGRATED, {
+                source: 'DataLayer',
+                data: { report: result.report }
+            });
+        }
+        return result;
+    }
+    
+    // Migrate state from localStorage; a state from a newer version is returned as-is rather than discarded
+    _migrateStoredState(state) {
+        if (!state) return state;
+        try {
+            return this.migrateState(state).state;
+        } catch (error) {
+            console.warn('Stored state was not migrated:', error.message);
+            return state;
+        }
+    }
+    
     // Clear state from storage
     clearState() {
         this.storageInterface.remove(this.storageKey);
     }
     
+    /**
+     * Revision (content hash) of a saved file as this client last loaded or saved it
+     * @param {string} filename - Saved file name
+     * @returns {string|null} null when this client has not loaded or saved the file
+     */
+    getFileRevision(filename) {
+        return this.fileRevisions.get(this._revisionKey(filename)) || null;
+    }
+    
+    /**
+     * Record the revision a saved file was loaded at; the next save of it is refused if the file changed since
+     * @param {string} filename - Saved file name
+     * @param {string} revision - Revision returned by /api/load-file
+     */
+    setFileRevision(filename, revision) {
+        if (filename && revision) {
+            this.fileRevisions.set(this._revisionKey(filename), revision);
+            try {
+                localStorage.setItem(this.fileRevisionsKey, JSON.stringify(Object.fromEntries(this.fileRevisions)));
+            } catch (error) {
+                console.warn('Could not store file revisions:', error.message);
+            }
+        }
+    }
+    
+    /**
+     * Write a state to saved-files with optimistic concurrency
+     * The save carries the revision the file was loaded at. When the server answers 409 (someone else saved in between)
+     * the conflict resolver is asked for the state to write instead and the save is retried against the new revision.
+     * A file whose revision this client does not know is saved without a check (it is overwritten).
+     * @param {string} filename - Saved file name
+     * @param {object} state - State (or project) to write
+     * @returns {Promise<{filename: string, revision: string, state: object}>} state is what was written
+     * @throws {Error} code CONFLICT when there is no resolver or the merge was cancelled
+     */
+    async saveToServer(filename, state) {
+        let content = state;
+        // undefined is left out of the request body, which skips the server's check
+        let baseRevision = this.getFileRevision(filename) || undefined;
+        
+        for (;;) {
+            const response = await fetch('/api/save-file', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ filename, content: JSON.stringify(content, null, 2), baseRevision })
+            });
+            const result = await response.json().catch(() => null);
+            
+            if (response.status === 409 && result && result.context) {
+                const conflict = {
+                    filename,
+                    local: content,
+                    server: result.context.content ? this._parseServerCopy(result.context.content) : null,
+                    revision: result.context.revision || null
+                };
+                const merged = this.conflictResolver ? await this.conflictResolver(conflict) : null;
+                if (!merged) {
+                    const error = new Error(`${filename} was changed on the server since it was loaded; it was not saved`);
+                    error.code = ErrorHandler.ErrorCode.CONFLICT;
+                    throw error;
+                }
+                content = merged;
+                baseRevision = conflict.revision;
+                continue;
+            }
+            
+            if (!response.ok) {
+                throw new Error((result && result.error) || `Server error: ${response.status}`);
+            }
+            // Server wraps the result in { success: true, data: { success: true, filename, revision } }
+            const saved = (result && result.data) || result;
+            if (!result || !result.success || !saved.success) {
+                throw new Error((saved && saved.error) || 'Failed to save file');
+            }
+            
+            this.setFileRevision(saved.filename, saved.revision);
+            return { ...saved, state: content };
+        }
+    }
+    
+    // Parse (and migrate) the server's copy sent with a 409
+    _parseServerCopy(content) {
+        try {
+            const parsed = JSON.parse(content);
+            return Array.isArray(parsed.projects) ? this.migrateState(parsed).state : parsed;
+        } catch (error) {
+            console.warn('Could not parse the server copy of the file:', error.message);
+            return null;
+        }
+    }
+    
+    // Revisions stored by setFileRevision
+    _loadFileRevisions() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.fileRevisionsKey) || '{}');
+            return new Map(Object.entries(stored && typeof stored === 'object' ? stored : {}));
+        } catch (error) {
+            return new Map();
+        }
+    }
+    
+    // Revisions are keyed by the name the server stores the file under
+    _revisionKey(filename) {
+        return filename.trim().replace(/[^a-zA-Z0-9._-]/g, '_');
+    }
+    
     // Export state to file (server-based)
     async exportToFile(state, filename = null, silent = false) {
         if (this.errorHandler) {
             const result = await this.errorHandler.handleAsync(async () => {
-                const data = JSON.stringify(state, null, 2);
                 if (!filename) {
                     // Try to get project group name from state
                     const projectGroupName = state.metadata?.projectGroupName;
@@ -411,25 +552,12 @@ class DataLayer {
                     filename = `${filename}.json`;
                 }
                 
-                // Save to server (will overwrite if exists)
-                const response = await fetch('/api/save-file', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ filename, content: data })
-                });
-                
-                if (!response.ok) {
-                    throw new Error(`Server error: ${response.status}`);
-                }
-                
-                const result = await response.json();
-                if (!result.success) {
-                    throw new Error(result.error || 'Failed to save file');
-                }
+                // Save to server; a file changed there since it was loaded goes through the conflict resolver
+                const result = await this.saveToServer(filename, state);
                 
                 this.eventSystem.emit(EventType.FILE_SAVED, {
                     source: 'DataLayer',
-                    data: { filename: result.filename, state }
+                    data: { filename: result.filename, state: result.state }
                 });
                 
                 console.log('File saved to server:', result.filename);
@@ -454,7 +582,6 @@ class DataLayer {
         } else {
             // Fallback to original error handling
             try {
-                const data = JSON.stringify(state, null, 2);
                 if (!filename) {
                     // Try to get project group name from state
                     const projectGroupName = state.metadata?.projectGroupName;
@@ -473,25 +600,12 @@ class DataLayer {
                     filename = `${filename}.json`;
                 }
                 
-                // Save to server (will overwrite if exists)
-                const response = await fetch('/api/save-file', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ filename, content: data })
-                });
-                
-                if (!response.ok) {
-                    throw new Error(`Server error: ${response.status}`);
-                }
-                
-                const result = await response.json();
-                if (!result.success) {
-                    throw new Error(result.error || 'Failed to save file');
-                }
+                // Save to server; a file changed there since it was loaded goes through the conflict resolver
+                const result = await this.saveToServer(filename, state);
                 
                 this.eventSystem.emit(EventType.FILE_SAVED, {
                     source: 'DataLayer',
-                    data: { filename: result.filename, state }
+                    data: { filename: result.filename, state: result.state }
                 });
                 
                 console.log('File saved to server:', result.filename);
@@ -531,12 +645,14 @@ class DataLayer {
                     throw new Error('Invalid file format: missing projects or pages array');
                 }
                 
+                const { state: migrated, report: migration } = this.migrateState(state);
+                
                 this.eventSystem.emit(EventType.FILE_LOADED, {
                     source: 'DataLayer',
-                    data: { state, filename: file.name }
+                    data: { state: migrated, filename: file.name, migration }
                 });
                 
-                return state;
+                return migrated;
             }, { source: 'DataLayer', operation: 'importFromFile', filename: file?.name });
             
             if (!result.success) {
@@ -563,12 +679,14 @@ class DataLayer {
                     throw new Error('Invalid file format: missing projects or pages array');
                 }
                 
+                const { state: migrated, report: migration } = this.migrateState(state);
+                
                 this.eventSystem.emit(EventType.FILE_LOADED, {
                     source: 'DataLayer',
-                    data: { state, filename: file.name }
+                    data: { state: migrated, filename: file.name, migration }
                 });
                 
-                return state;
+                return migrated;
             } catch (error) {
                 console.error('Failed to import file:', error);
                 this.eventSystem.emit(EventType.FILE_ERROR, {
@@ -592,12 +710,14 @@ class DataLayer {
                     throw new Error('Invalid default.json format: missing projects or pages array');
                 }
                 
+                const { state: migrated, report: migration } = this.migrateState(state);
+                
                 this.eventSystem.emit(EventType.FILE_LOADED, {
                     source: 'DataLayer',
-                    data: { state, filename: 'default.json' }
+                    data: { state: migrated, filename: 'default.json', migration }
                 });
                 
-                return state;
+                return migrated;
             }, { source: 'DataLayer', operation: 'loadDefaultFile' });
             
             if (!result.success) {
@@ -619,12 +739,14 @@ class DataLayer {
                     throw new Error('Invalid default.json format: missing projects or pages array');
                 }
                 
+                const { state: migrated, report: migration } = this.migrateState(state);
+                
                 this.eventSystem.emit(EventType.FILE_LOADED, {
                     source: 'DataLayer',
-                    data: { state, filename: 'default.json' }
+                    data: { state: migrated, filename: 'default.json', migration }
                 });
                 
-                return state;
+                return migrated;
             } catch (error) {
                 console.error('Failed to load default file:', error);
                 this.eventSystem.emit(EventType.FILE_ERROR, {
@@ -136,9 +136,11 @@ window.EventType = {
     STATE_CHANGED: 'STATE_CHANGED',
     STATE_SAVED: 'STATE_SAVED',
     STATE_LOADED: 'STATE_LOADED',
+    UNDO_HISTORY_CHANGED: 'UNDO_HISTORY_CHANGED',
     
     // File Events
     FILE_LOADED: 'FILE_LOADED',
+    FILE_MIGRATED: 'FILE_MIGRATED',
     FILE_SAVED: 'FILE_SAVED',
     FILE_ERROR: 'FILE_ERROR',
     
@@ -159,6 +161,9 @@ window.EventType = {
     AUTOMATION_STARTED: 'AUTOMATION_STARTED',
     AUTOMATION_STOPPED: 'AUTOMATION_STOPPED',
     AUTOMATION_FILE_DETECTED: 'AUTOMATION_FILE_DETECTED',
-    AUTOMATION_SECTION_COMPLETE: 'AUTOMATION_SECTION_COMPLETE'
+    AUTOMATION_SECTION_COMPLETE: 'AUTOMATION_SECTION_COMPLETE',
+    
+    // Collaboration Events
+    COLLABORATION_CHANGED: 'COLLABORATION_CHANGED'
 };
 
@@ -10,6 +10,7 @@ class KeyboardHandler {
         this.sectionManager = managers.sectionManager;
         this.renderingEngine = managers.renderingEngine;
         this.appInstance = managers.appInstance; // For methods not yet in managers
+        this.undoManager = managers.undoManager;
         
         this.setupEventListeners();
         this.registerDefaultShortcuts();
@@ -227,6 +228,20 @@ class KeyboardHandler {
             enabled: true
         });
         
+        // Ctrl+Z / Cmd+Z undo, Ctrl+Shift+Z / Cmd+Shift+Z redo (text fields keep their own undo)
+        [{ ctrl: true, meta: false }, { ctrl: false, meta: true }].forEach(modifier => {
+            this.registerShortcut({ key: 'z', shift: false, alt: false, ...modifier }, {
+                handler: () => this.runUndo('undo'),
+                description: 'Undo',
+                enabled: true
+            });
+            this.registerShortcut({ key: 'z', shift: true, alt: false, ...modifier }, {
+                handler: () => this.runUndo('redo'),
+                description: 'Redo',
+                enabled: true
+            });
+        });
+        
         // Legacy shortcuts (for backward compatibility)
         const elementTypes = {
             '1': 'task',
@@ -260,6 +275,15 @@ class KeyboardHandler {
         });
     }
     
+    // Undo or redo the last state change and re-render
+    runUndo(direction) {
+        if (!this.undoManager) return;
+        const command = direction === 'redo' ? this.undoManager.redo() : this.undoManager.undo();
+        if (command && this.renderingEngine) {
+            this.renderingEngine.renderAll();
+        }
+    }
+    
     // Register a keyboard shortcut
     registerShortcut(shortcutKey, shortcutAction) {
         const key = this.getShortcutKey(shortcutKey);
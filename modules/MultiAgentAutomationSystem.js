@@ -25,6 +25,19 @@ class MultiAgentAutomationSystem {
         this.executionHistory = []; // Array of execution events for visualization
         this.ragSteps = []; // Array of RAG/context building steps
         this.currentIteration = 0; // Current iteration number
+        this.activeStreams = new Map(); // Map of streamKey -> { cancel } for in-flight agent runs
+        this.detectedConflicts = []; // Conflicts found between parallel outputs (with resolution once proposed)
+        this.conflictDetector = window.ConflictDetectionService ? new window.ConflictDetectionService() : null;
+        this.rubricScorer = new RubricScorer(); // Rule-based half of the quality score
+        this.contextAssembler = new ContextAssembler(); // Fits step context under the project's token ceiling
+        this.contextPreviews = new Map(); // Map of sectionId -> last context assembly (included/dropped, without content)
+        this.tokenBudget = window.TokenBudgetService ? new window.TokenBudgetService(stateManager) : null;
+        this.budgetState = 'ok'; // Last budget state reported for the current run
+        this.budgetOverridden = false; // User resumed after a budget pause; only warn for the rest of the run
+        this.logStreams = new Map(); // Map of streamKey -> progress log entry receiving streamed output
+        this.outputSchemaService = null; // Set by the app; validates outputs against the step output schemas
+        this.runJournal = null; // Set by the app; records runs in the server's run journal
+        this.journalRunId = null; // Journal run of the current automation run
         
         this.setupEventListeners();
     }
@@ -125,7 +138,17 @@ class MultiAgentAutomationSystem {
         this.synthesisQueue = [];
         this.executionHistory = [];
         this.ragSteps = [];
+        this.detectedConflicts = [];
         this.currentIteration = 0;
+        this.budgetState = 'ok';
+        this.budgetOverridden = false;
+        if (this.tokenBudget) {
+            this.tokenBudget.startRun(projectId, 'multi-agent');
+        }
+        if (this.runJournal) {
+            this.journalRunId = this.runJournal.startRun(projectId, 'multi-agent');
+        }
+        let fatalError = null;
         
         // Show progress modal
         this.showProgressModal();
@@ -150,6 +173,7 @@ class MultiAgentAutomationSystem {
                 }, AppConstants.TIMEOUTS.MODAL_AUTO_CLOSE);
             }
         } catch (error) {
+            fatalError = error;
             console.error('Error in multi-agent automation:', error);
             this.updateProgress(`Fatal error: ${error.message}`, '');
             const errorMsg = `Fatal error: ${error.message}`;
@@ -171,7 +195,20 @@ class MultiAgentAutomationSystem {
                 alert(errorMsg);
             }
         } finally {
+            const tokenRun = this.tokenBudget ? this.tokenBudget.endRun(projectId) : null;
+            if (this.runJournal && this.journalRunId) {
+                const sections = (this.stateManager.getProject(projectId) || project).sections || [];
+                const completed = sections.filter(section => section.status === 'complete').length;
+                const status = fatalError ? 'failed' : (this.shouldStop ? 'stopped' : 'completed');
+                this.runJournal.endRun(this.journalRunId, status, fatalError
+                    ? `Fatal error: ${fatalError.message}`
+                    : `${completed} of ${sections.length} steps complete`, {
+                    tokenUsage: tokenRun ? { totals: tokenRun.totals, sections: tokenRun.sections } : null
+                });
+                this.journalRunId = null;
+            }
             this.isRunning = false;
+            this.isPaused = false;
             this.currentProjectId = null;
         }
     }
@@ -190,7 +227,7 @@ class MultiAgentAutomationSystem {
             // Set input if empty
             this.stateManager.updateSection(projectId, firstIncomplete.sectionId, {
                 input: initialInput
-            });
+            }, { source: 'multi-agent' });
             this.appendToLog(`Initialized first step "${firstIncomplete.sectionName || firstIncomplete.sectionId}" with initial input`);
         }
     }
@@ -281,29 +318,38 @@ class MultiAgentAutomationSystem {
         });
         this.updateUI();
         
-        // Score outputs for quality
+        // Score outputs for quality (executeStepWithAgent has already scored the accepted output)
         for (const result of parallelResults) {
             if (result.success) {
-                const qualityScore = await this.scoreOutput(result.output, result.section);
+                const qualityScore = result.qualityScore || await this.scoreOutput(result.output, result.section, projectId);
                 this.qualityScores.set(result.section.sectionId, qualityScore);
                 this.appendToLog(
-                    `Quality score for "${result.section.sectionName || result.section.sectionId}": ${(qualityScore.score * 100).toFixed(1)}%`
+                    `Quality score for "${result.section.sectionName || result.section.sectionId}": ${this.formatQualityScore(qualityScore)}`
                 );
             }
         }
         
+        // Detect contradictions between the parallel outputs and ask for a resolution
+        const conflicts = this.detectConflicts(parallelResults);
+        if (conflicts.length > 0) {
+            await this._handleConflicts(projectId, conflicts, iterationCount);
+        }
+        
         // Synthesize outputs from parallel execution
         this.addExecutionEvent('synthesis_start', { iteration: iterationCount });
         this.updateUI();
         
-        const synthesis = await this.synthesizeOutputs(projectId, parallelResults);
+        const synthesis = await this.synthesizeOutputs(projectId, parallelResults, conflicts);
         
         if (synthesis) {
             this.appendToLog('Synthesis completed');
             this.addExecutionEvent('synthesis_complete', {
                 iteration: iterationCount,
                 conflicts: synthesis.conflicts?.length || 0,
-                improvements: synthesis.improvements?.length || 0
+                improvements: synthesis.improvements?.length || 0,
+                summary: synthesis.summary || null,
+                conflictList: synthesis.conflicts || [],
+                improvementList: synthesis.improvements || []
             });
             
             // Refine outputs based on synthesis feedback
@@ -333,6 +379,8 @@ class MultiAgentAutomationSystem {
         let currentProject = project;
         
         while (iterationCount < maxIterations && !this.shouldStop) {
+            await this._waitWhilePaused();
+            if (this.shouldStop) break;
             iterationCount++;
             this.currentIteration = iterationCount;
             
@@ -416,6 +464,9 @@ class MultiAgentAutomationSystem {
             startTime: Date.now(),
             retryCount: retryCount
         });
+        if (retryCount === 0) {
+            this._journal('step-started', section);
+        }
         
         try {
             // Use refinement prompt if provided (from retry), otherwise build fresh
@@ -442,17 +493,8 @@ class MultiAgentAutomationSystem {
             });
             this.updateUI();
                 
-                // Get input
-                const input = await this.getSectionInput(projectId, section);
-                
-                // Combine prompt + input
-                // Note: Input field contains NEW input for this step
-                // Previous outputs (cAtoms, ccompounds, cElements) are available in conversation history
-                if (input && input.trim()) {
-                    fullPrompt = `${enhancedPrompt}\n\n## Fresh Input for This Step\n\n${input}\n\n**Note**: Process this fresh input in context of all previously established cAtoms, ccompounds, and cElements from previous steps (available in conversation history).`;
-                } else {
-                    fullPrompt = enhancedPrompt;
-                }
+                // Enhanced prompt already carries the fresh input (fitted under the token ceiling)
+                fullPrompt = enhancedPrompt;
             }
             
             // Get scope directory from project (per-project, not global)
@@ -475,7 +517,16 @@ class MultiAgentAutomationSystem {
             }
             
             // Execute cursor-cli
-            const output = await this.executeCursorCLI(fullPrompt, scopeDir);
+            this._journal('prompt-sent', section, `Prompt sent (attempt ${retryCount + 1}, ${fullPrompt.length} characters)`, {
+                prompt: fullPrompt,
+                attempt: retryCount + 1,
+                providerId: project?.agentProvider || null
+            });
+            const output = await this.executeCursorCLI(fullPrompt, scopeDir, project?.agentProvider, section.sectionName || section.sectionId, section.sectionId);
+            this._journal('output-received', section, `Output received (attempt ${retryCount + 1}, ${output.length} characters)`, {
+                output,
+                attempt: retryCount + 1
+            });
             
             // Score output quality (RAG step - quality evaluation)
             this.addRAGStep({
@@ -485,12 +536,25 @@ class MultiAgentAutomationSystem {
             });
             this.updateUI();
             
-            const qualityScore = await this.scoreOutput(output, section);
+            const qualityScore = await this.scoreOutput(output, section, projectId);
+            this.qualityScores.set(section.sectionId, qualityScore);
+            this._journal('score', section, `Quality score ${this.formatQualityScore(qualityScore)}, threshold ${(qualityScore.threshold * 100).toFixed(0)}%`, {
+                score: qualityScore.score,
+                ruleScore: qualityScore.ruleScore,
+                llmScore: qualityScore.llmScore,
+                threshold: qualityScore.threshold,
+                feedback: qualityScore.feedback,
+                issues: qualityScore.issues,
+                schemaValid: qualityScore.schemaResult ? qualityScore.schemaResult.valid : null,
+                attempt: retryCount + 1
+            });
             
-            // Auto-retry if quality is low and retries remaining
-            if (qualityScore.score < 0.8 && retryCount < 2) {
-                this.appendToLog(
-                    `Quality score ${(qualityScore.score * 100).toFixed(1)}% below threshold. Retrying with refinement...`
+            // Auto-retry if quality is low or the structured output does not match the schema, and retries remaining
+            const schemaFailed = RubricScorer.failedSchema(qualityScore);
+            if ((qualityScore.score < qualityScore.threshold || schemaFailed) && retryCount < 2) {
+                this.appendToLog(schemaFailed
+                    ? `Structured output does not match the output schema (${qualityScore.schemaResult.errors.length} error(s)). Retrying with refinement...`
+                    : `Quality score ${this.formatQualityScore(qualityScore)} below threshold of ${(qualityScore.threshold * 100).toFixed(0)}%. Retrying with refinement...`
                 );
                 
                 // Build refinement prompt (need to extract original prompt and input)
@@ -504,16 +568,24 @@ class MultiAgentAutomationSystem {
                     output,
                     qualityScore
                 );
+                this._journal('refinement', section, schemaFailed
+                    ? 'Retrying: structured output does not match the output schema'
+                    : 'Retrying: quality score below threshold', {
+                    source: 'quality-gate',
+                    reason: schemaFailed ? 'schema' : 'score',
+                    nextAttempt: retryCount + 2
+                });
                 
                 // Retry with refinement prompt
                 return await this.executeStepWithAgent(projectId, section, retryCount + 1, refinementPrompt);
             }
             
-            // Save output to section state
+            // Save output to section state (retries are quality refinements of the first attempt)
             this.stateManager.updateSection(projectId, section.sectionId, {
                 output: output,
-                status: 'complete'
-            });
+                status: 'complete',
+                ...(qualityScore.schemaResult ? OutputSchemaService.toSectionUpdates(qualityScore.schemaResult) : {})
+            }, { source: retryCount > 0 ? 'refinement' : 'multi-agent' });
             
             // Save output to file for persistence
             await this.saveOutputToFile(projectId, section, output);
@@ -523,6 +595,7 @@ class MultiAgentAutomationSystem {
             
             // Mark agent as inactive
             this.activeAgents.delete(section.sectionId);
+            this._journal('step-completed', section, null, { attempts: retryCount + 1, score: qualityScore.score });
             
             return {
                 success: true,
@@ -534,18 +607,81 @@ class MultiAgentAutomationSystem {
         } catch (error) {
             // Mark agent as inactive
             this.activeAgents.delete(section.sectionId);
+            // A failed retry passes through every attempt's catch; only the first attempt records it
+            if (retryCount === 0) {
+                this._journal('step-failed', section, `Failed: ${error.message}`, { error: error.message });
+            }
             throw error;
         }
     }
     
-    // Score output quality (0-1 scale)
-    async scoreOutput(output, section) {
+    // Score output quality (0-1 scale): the step's rubric from pipeline-config.json (with the output schema check)
+    // combined with an LLM evaluation
+    async scoreOutput(output, section, projectId) {
+        const rubric = await this.getRubric(section);
+        const schemaResult = await this.validateOutputSchema(output, section);
+        const ruleResult = this.rubricScorer.score(output, rubric, schemaResult);
+        const llmResult = await this.evaluateWithLLM(output, section, projectId, rubric);
+        
+        const qualityScore = RubricScorer.combine(ruleResult, llmResult, rubric);
+        if (!llmResult) {
+            qualityScore.feedback += ' LLM evaluation unavailable; score is from the rubric only.';
+        }
+        return {
+            ...qualityScore,
+            schemaResult: schemaResult,
+            sectionId: section.sectionId,
+            sectionName: section.sectionName || section.sectionId
+        };
+    }
+    
+    // Validate an output against the step's output schema; null when the step has none or validation is unavailable
+    async validateOutputSchema(output, section) {
+        if (!this.outputSchemaService) {
+            return null;
+        }
+        try {
+            return await this.outputSchemaService.validate(section.stepName || section.sectionId, output);
+        } catch (error) {
+            console.warn('Output schema validation failed:', section.sectionId, error);
+            this.appendToLog(`Warning: could not validate the structured output: ${error.message}`);
+            return null;
+        }
+    }
+    
+    // Get the quality rubric for a step (built-in defaults if the pipeline config cannot be loaded)
+    async getRubric(section) {
+        const stepName = section.stepName || section.sectionId;
+        try {
+            if (window.PipelineConfig) {
+                return await window.PipelineConfig.getRubric(stepName);
+            }
+        } catch (error) {
+            console.warn('Could not load rubric for step, using defaults:', stepName, error);
+        }
+        return { ...RubricScorer.DEFAULT_RUBRIC, stepName: stepName };
+    }
+    
+    // Format a quality score for the log (combined, rubric and LLM parts)
+    formatQualityScore(qualityScore) {
+        const parts = [`rubric ${(qualityScore.ruleScore * 100).toFixed(0)}%`];
+        if (qualityScore.llmScore !== null) {
+            parts.push(`LLM ${(qualityScore.llmScore * 100).toFixed(0)}%`);
+        }
+        return `${(qualityScore.score * 100).toFixed(1)}% (${parts.join(', ')})`;
+    }
+    
+    // Ask the agent to evaluate an output; returns null when the evaluation fails or cannot be parsed
+    async evaluateWithLLM(output, section, projectId, rubric) {
+        const expectedSections = (rubric.requiredSections || []).length > 0
+            ? `\nExpected Sections: ${rubric.requiredSections.join(', ')}`
+            : '';
         const qualityPrompt = `You are a quality evaluator. Evaluate the following output for a pipeline step.
 
 Step: ${section.sectionName || section.sectionId}
 Step Type: ${section.stepName || 'unknown'}
 
-Expected Output: The output should be complete, accurate, relevant to the step's goals, and well-structured.
+Expected Output: The output should be complete, accurate, relevant to the step's goals, and well-structured.${expectedSections}
 
 Output to Evaluate:
 ${output}
@@ -569,38 +705,31 @@ Respond with ONLY the JSON object, no additional text.`;
         try {
             const project = this.stateManager.getProject(projectId);
             const scopeDir = project?.scopeDirectory || this.stateManager.getScopeDirectory();
-            const response = await this.executeCursorCLI(qualityPrompt, scopeDir);
+            const response = await this.executeCursorCLI(qualityPrompt, scopeDir, project?.agentProvider, null, section.sectionId);
             
             // Parse JSON response
             const jsonMatch = response.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                const qualityData = JSON.parse(jsonMatch[0]);
-                return {
-                    score: Math.max(0, Math.min(1, qualityData.score || 0.5)),
-                    feedback: qualityData.feedback || 'No feedback provided',
-                    issues: qualityData.issues || []
-                };
+            const qualityData = jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+            if (!qualityData || typeof qualityData.score !== 'number' || Number.isNaN(qualityData.score)) {
+                console.warn('Quality evaluation response has no numeric score:', section.sectionId);
+                return null;
             }
-            
-            // Fallback if JSON parsing fails
             return {
-                score: 0.7,
-                feedback: 'Could not parse quality evaluation',
-                issues: ['Quality evaluation response format invalid']
+                score: Math.max(0, Math.min(1, qualityData.score)),
+                feedback: qualityData.feedback || '',
+                issues: Array.isArray(qualityData.issues) ? qualityData.issues : []
             };
         } catch (error) {
-            console.error('Error scoring output:', error);
-            // Fallback score
-            return {
-                score: 0.7,
-                feedback: 'Quality evaluation failed',
-                issues: ['Could not evaluate quality']
-            };
+            console.warn('LLM quality evaluation failed:', section.sectionId, error);
+            return null;
         }
     }
     
     // Build refinement prompt for retry
     buildRefinementPrompt(originalPrompt, input, previousOutput, qualityScore) {
+        const schemaInstruction = qualityScore.schemaResult && !qualityScore.schemaResult.valid
+            ? '\n5. Structured output: Fix the ```json block so it matches the Output Schema (see the schema errors above)'
+            : '';
         return `${originalPrompt}
 
 ## Previous Attempt
@@ -622,13 +751,13 @@ Please refine the output to address the issues identified above. Focus on:
 1. Completeness: Ensure all required elements are present
 2. Accuracy: Correct any errors or inaccuracies
 3. Structure: Improve organization and clarity
-4. Relevance: Better align with the step's goals
+4. Relevance: Better align with the step's goals${schemaInstruction}
 
 Generate an improved version of the output.`;
     }
     
-    // Synthesize outputs from parallel execution
-    async synthesizeOutputs(projectId, parallelResults) {
+    // Synthesize outputs from parallel execution (detected conflicts are passed to the synthesis agent)
+    async synthesizeOutputs(projectId, parallelResults, conflicts = []) {
         const successfulResults = parallelResults.filter(r => r.success);
         
         if (successfulResults.length === 0) {
@@ -640,7 +769,7 @@ Generate an improved version of the output.`;
             return null;
         }
         
-        const synthesisPrompt = this.buildSynthesisPrompt(parallelResults);
+        const synthesisPrompt = this.buildSynthesisPrompt(parallelResults, conflicts);
         
         try {
             const synthesis = await this.executeSynthesisAgent(projectId, synthesisPrompt);
@@ -653,7 +782,7 @@ Generate an improved version of the output.`;
     }
     
     // Build synthesis prompt
-    buildSynthesisPrompt(parallelResults) {
+    buildSynthesisPrompt(parallelResults, conflicts = []) {
         const successfulResults = parallelResults.filter(r => r.success);
         
         let prompt = `You are a synthesis agent. Analyze the following parallel execution results and identify:
@@ -676,6 +805,16 @@ ${result.output}
 
 ---
 
+`;
+        }
+        
+        if (conflicts.length > 0) {
+            prompt += `## Detected Conflicts
+
+The following contradictions were found between the outputs above. Include them in "conflicts" with the step that should change.
+
+${this.formatConflicts(conflicts)}
+
 `;
         }
         
@@ -699,7 +838,7 @@ Respond with ONLY the JSON object, no additional text.`;
     async executeSynthesisAgent(projectId, synthesisPrompt) {
         const project = this.stateManager.getProject(projectId);
         const scopeDir = project?.scopeDirectory || this.stateManager.getScopeDirectory();
-        const response = await this.executeCursorCLI(synthesisPrompt, scopeDir);
+        const response = await this.executeCursorCLI(synthesisPrompt, scopeDir, project?.agentProvider, null, null, 'Synthesis');
         
         // Parse JSON response
         const jsonMatch = response.match(/\{[\s\S]*\}/);
@@ -763,12 +902,21 @@ Please refine the output to incorporate the synthesis feedback above. Generate a
                 try {
                     const project = this.stateManager.getProject(projectId);
                     const scopeDir = project?.scopeDirectory || this.stateManager.getScopeDirectory();
-                    const refinedOutput = await this.executeCursorCLI(refinementPrompt, scopeDir);
+                    this._journal('refinement', result.section, 'Refining from synthesis feedback', {
+                        source: 'synthesis',
+                        improvements,
+                        prompt: refinementPrompt
+                    });
+                    const refinedOutput = await this.executeCursorCLI(refinementPrompt, scopeDir, project?.agentProvider, `${result.section.sectionName || result.section.sectionId} (refinement)`, result.section.sectionId);
+                    this._journal('output-received', result.section, `Refined output received (${refinedOutput.length} characters)`, {
+                        output: refinedOutput,
+                        source: 'synthesis'
+                    });
                     
                     // Update section with refined output
                     this.stateManager.updateSection(projectId, result.section.sectionId, {
                         output: refinedOutput
-                    });
+                    }, { source: 'refinement' });
                     
                     // Save refined output to file
                     await this.saveOutputToFile(projectId, result.section, refinedOutput);
@@ -791,13 +939,18 @@ Please refine the output to incorporate the synthesis feedback above. Generate a
         if (!project) return {};
         
         const context = {
+            input: section.input && section.input.trim() ? section.input : '',
             previousOutputs: [],
+            olderOutputs: [],
             codebaseContext: null,
+            retrievedSnippets: [],
+            scopeFiles: [],
             referenceDocuments: [],
             discussionHistory: []
         };
         
         // Get outputs from dependency sections
+        const currentIndex = project.sections.findIndex(s => s.sectionId === section.sectionId);
         if (section.dependencies && section.dependencies.length > 0) {
             for (const depId of section.dependencies) {
                 const depSection = project.sections.find(s => s.sectionId === depId);
@@ -809,12 +962,49 @@ Please refine the output to incorporate the synthesis feedback above. Generate a
                     });
                 }
             }
+        } else if (currentIndex > 0 && project.sections[currentIndex - 1].output) {
+            // No declared dependencies: the previous section by position (as in getSectionInput)
+            const previousSection = project.sections[currentIndex - 1];
+            context.previousOutputs.push({
+                sectionId: previousSection.sectionId,
+                sectionName: previousSection.sectionName || previousSection.sectionId,
+                output: previousSection.output
+            });
         }
         
+        // Earlier outputs that are not direct dependencies (summarised by the context assembler)
+        const directIds = new Set(context.previousOutputs.map(prev => prev.sectionId));
+        project.sections.slice(0, Math.max(currentIndex, 0)).forEach(earlier => {
+            if (earlier.output && !directIds.has(earlier.sectionId)) {
+                context.olderOutputs.push({
+                    sectionId: earlier.sectionId,
+                    sectionName: earlier.sectionName || earlier.sectionId,
+                    output: earlier.output
+                });
+            }
+        });
+        
         // Get codebase context from scope directory (if available)
         const scopeDir = project.scopeDirectory || this.stateManager.getScopeDirectory();
         if (scopeDir) {
             context.codebaseContext = `Scope directory: ${scopeDir}`;
+            
+            // Retrieval steps (research, feature extraction) pull the most relevant snippets from the search index
+            const retrieval = window.PipelineConfig ? await window.PipelineConfig.getRetrieval() : null;
+            if (retrieval && retrieval.steps.includes(section.stepName) && window.SearchIndexService) {
+                const query = [section.sectionName, context.input, project.description].filter(Boolean).join('\n').substring(0, 2000);
+                const search = await window.SearchIndexService.query(scopeDir, query, { limit: retrieval.limit });
+                context.retrievedSnippets = search.results;
+            }
+            
+            // Scope file contents are opt-in; the agent can otherwise read the scope directory itself
+            if (project.contextWindow?.includeScopeFiles && window.FileContextReader) {
+                try {
+                    context.scopeFiles = await window.FileContextReader.readScopeTextFiles(scopeDir);
+                } catch (e) {
+                    console.warn('Could not read scope files:', e);
+                }
+            }
         }
         
         // Get reference documents (if ReferenceDocuments module available)
@@ -884,17 +1074,35 @@ Please refine the output to incorporate the synthesis feedback above. Generate a
             throw new Error(error);
         }
         
+        // Flag placeholders that survived substitution (input is added below, so {INPUT} is expected)
+        const unresolved = window.PromptLinter
+            ? window.PromptLinter.findUnresolved(basePrompt, ['INPUT', 'USER_INPUT'])
+            : [];
+        if (unresolved.length > 0) {
+            this.appendToLog(`Warning: ${section.sectionName || section.sectionId} prompt has unresolved placeholders: ${unresolved.map(name => `{${name}}`).join(', ')}`);
+            this.addExecutionEvent('unresolved_placeholders', {
+                sectionId: section.sectionId,
+                placeholders: unresolved
+            });
+        }
+        
         let enhancedPrompt = basePrompt;
         
+        // Fit input, previous outputs, discussion and scope files under the token ceiling
+        const useConversationMemory = project?.useConversationMemory !== false; // Default to true
+        const assembly = this.assembleStepContext(project, section, context, basePrompt, useConversationMemory);
+        const includedOf = kind => assembly.included.filter(item => item.kind === kind);
+        const withMode = item => item.mode === ContextAssembler.Mode.FULL ? item.label : `${item.label} (${item.mode})`;
+        const dependencyItems = includedOf('dependency');
+        
         // Add context summary (only if not using conversation memory)
         // If LLM has conversation memory and scope, previous outputs are available in the conversation
         // Only include them explicitly if needed for single-shot prompts or when conversation memory is disabled
-        const useConversationMemory = project?.useConversationMemory !== false; // Default to true
-        if (!useConversationMemory && context.previousOutputs && context.previousOutputs.length > 0) {
+        if (!useConversationMemory && dependencyItems.length > 0) {
             enhancedPrompt += `\n\n## Context from Previous Steps\n\n`;
             enhancedPrompt += `(Note: If you have conversation memory, you can reference previous steps from the conversation history)\n\n`;
-            for (const prevOutput of context.previousOutputs) {
-                enhancedPrompt += `### ${prevOutput.sectionName}\n${prevOutput.output}\n\n`;
+            for (const item of dependencyItems) {
+                enhancedPrompt += `### ${withMode(item)}\n${item.content}\n\n`;
             }
         } else if (useConversationMemory && context.previousOutputs && context.previousOutputs.length > 0) {
             // Just reference them, don't paste the full content
@@ -910,9 +1118,17 @@ Please refine the output to incorporate the synthesis feedback above. Generate a
             enhancedPrompt += `- The input field contains NEW input specific to this step - process it in context of previous steps\n`;
         }
         
+        const olderItems = includedOf('older-output');
+        if (olderItems.length > 0) {
+            enhancedPrompt += `\n## Earlier Steps (Summarised)\n\n`;
+            for (const item of olderItems) {
+                enhancedPrompt += `### ${item.label}\n${item.content}\n\n`;
+            }
+        }
+        
         // Add quality feedback from previous attempts (if any)
         const qualityScore = this.qualityScores.get(section.sectionId);
-        if (qualityScore && qualityScore.score < 0.8) {
+        if (qualityScore && qualityScore.score < qualityScore.threshold) {
             enhancedPrompt += `\n## Quality Feedback from Previous Attempt\n`;
             enhancedPrompt += `Score: ${(qualityScore.score * 100).toFixed(1)}%\n`;
             enhancedPrompt += `Feedback: ${qualityScore.feedback}\n`;
@@ -926,16 +1142,137 @@ Please refine the output to incorporate the synthesis feedback above. Generate a
         // For now, we'll skip this to avoid complexity
         
         // Add discussion points (if any)
-        if (context.discussionHistory && context.discussionHistory.length > 0) {
-            enhancedPrompt += `\n## Agent Discussion History\n\n`;
-            for (const entry of context.discussionHistory) {
-                enhancedPrompt += `**${entry.agentRole}**: ${entry.message}\n\n`;
+        const discussionItems = includedOf('discussion');
+        if (discussionItems.length > 0) {
+            enhancedPrompt += `\n## Agent Discussion History\n\n${discussionItems[0].content}\n\n`;
+        }
+        
+        const snippetItems = includedOf('snippet');
+        if (snippetItems.length > 0) {
+            enhancedPrompt += `\n## Retrieved Codebase Snippets\n\nMost relevant passages from the scope directory's search index:\n\n`;
+            for (const item of snippetItems) {
+                enhancedPrompt += `### ${withMode(item)}\n\`\`\`\n${item.content}\n\`\`\`\n\n`;
             }
         }
         
+        const fileItems = includedOf('file');
+        if (fileItems.length > 0) {
+            enhancedPrompt += `\n## Relevant Scope Files\n\n`;
+            for (const item of fileItems) {
+                enhancedPrompt += `### ${withMode(item)}\n\`\`\`\n${item.content}\n\`\`\`\n\n`;
+            }
+        }
+        
+        if (assembly.dropped.length > 0) {
+            enhancedPrompt += `\n(Omitted to fit the context window: ${assembly.dropped.map(item => item.label).join(', ')})\n`;
+        }
+        
+        // Add fresh input: the step's own input, else the dependency outputs (which are not pasted above
+        // when conversation memory is enabled)
+        // Note: Input field contains NEW input for this step
+        // Previous outputs (cAtoms, ccompounds, cElements) are available in conversation history
+        const inputItems = includedOf('input');
+        const freshInput = inputItems.length > 0
+            ? inputItems[0].content
+            : (useConversationMemory ? dependencyItems.map(item => item.content).join('\n\n---\n\n') : '');
+        if (freshInput.trim()) {
+            enhancedPrompt += `\n\n## Fresh Input for This Step\n\n${freshInput}\n\n**Note**: Process this fresh input in context of all previously established cAtoms, ccompounds, and cElements from previous steps (available in conversation history).`;
+        }
+        
         return enhancedPrompt;
     }
     
+    // Assemble step context under the project's token ceiling (less the base prompt) and record the preview
+    // Priority: step input, direct dependencies, discussion, summaries of older outputs, retrieved snippets,
+    // then scope files by relevance
+    assembleStepContext(project, section, context, basePrompt, useConversationMemory) {
+        const candidates = [];
+        
+        if (context.input) {
+            candidates.push({ id: 'input', kind: 'input', label: 'Step input', content: context.input, priority: 100, compress: 'excerpt' });
+        }
+        
+        // With conversation memory, dependency outputs are only pasted as the fresh input when the step has none
+        if (!context.input || !useConversationMemory) {
+            (context.previousOutputs || []).forEach(prev => candidates.push({
+                id: prev.sectionId,
+                kind: 'dependency',
+                label: prev.sectionName,
+                content: prev.output,
+                priority: 90,
+                compress: 'excerpt'
+            }));
+        }
+        
+        if (context.discussionHistory && context.discussionHistory.length > 0) {
+            candidates.push({
+                id: 'discussion',
+                kind: 'discussion',
+                label: 'Agent discussion',
+                content: context.discussionHistory.map(entry => `**${entry.agentRole}**: ${entry.message}`).join('\n\n'),
+                priority: 70,
+                compress: 'excerpt'
+            });
+        }
+        
+        if (!useConversationMemory) {
+            (context.olderOutputs || []).forEach(older => candidates.push({
+                id: older.sectionId,
+                kind: 'older-output',
+                label: older.sectionName,
+                content: older.output,
+                priority: 50,
+                summarize: true
+            }));
+        }
+        
+        (context.retrievedSnippets || []).forEach(snippet => candidates.push({
+            id: `snippet:${SearchIndexService.label(snippet)}`,
+            kind: 'snippet',
+            label: SearchIndexService.label(snippet),
+            content: snippet.content,
+            priority: 40,
+            relevance: snippet.score,
+            compress: 'excerpt'
+        }));
+        
+        const query = [section.sectionName, section.stepName, context.input].filter(Boolean).join(' ');
+        ContextAssembler.rankByRelevance(context.scopeFiles || [], query).forEach(file => candidates.push({
+            id: `file:${file.path}`,
+            kind: 'file',
+            label: file.path,
+            content: file.content,
+            priority: 30,
+            relevance: file.relevance,
+            compress: 'excerpt'
+        }));
+        
+        const ceiling = project?.contextWindow?.maxTokens || ContextAssembler.DEFAULT_MAX_TOKENS;
+        const basePromptTokens = ContextAssembler.estimateTokens(basePrompt);
+        const assembly = this.contextAssembler.assemble(candidates, {
+            maxTokens: Math.max(ContextAssembler.MIN_PART_TOKENS, ceiling - basePromptTokens),
+            query: query
+        });
+        
+        // Keep the preview light: labels, modes and token counts only
+        const preview = {
+            maxTokens: assembly.maxTokens,
+            usedTokens: assembly.usedTokens,
+            basePromptTokens: basePromptTokens,
+            included: assembly.included.map(({ content, ...item }) => item),
+            dropped: assembly.dropped
+        };
+        this.contextPreviews.set(section.sectionId, preview);
+        this.addRAGStep({
+            step: section.sectionName || section.sectionId,
+            type: 'context_assembly',
+            assembly: preview,
+            timestamp: Date.now()
+        });
+        
+        return assembly;
+    }
+    
     // Get section input (user input if exists, else from dependencies)
     async getSectionInput(projectId, section) {
         // If section has user input, use that
@@ -1001,12 +1338,77 @@ Please refine the output to incorporate the synthesis feedback above. Generate a
         return prompt;
     }
     
-    // Detect conflicts in parallel results
+    // Detect conflicts in parallel results (entity fields, duplicate feature IDs, state names)
     detectConflicts(parallelResults) {
-        const conflicts = [];
-        // Simple conflict detection: look for contradictory keywords or patterns
-        // This is a basic implementation; could be enhanced with more sophisticated analysis
-        return conflicts;
+        if (!this.conflictDetector) {
+            return [];
+        }
+        try {
+            return this.conflictDetector.detectConflicts(parallelResults);
+        } catch (error) {
+            console.error('Error detecting conflicts:', error);
+            return [];
+        }
+    }
+    
+    // Format conflicts as a markdown list with the per-section details
+    formatConflicts(conflicts) {
+        return conflicts.map(conflict => {
+            const details = (conflict.sections || [])
+                .map(section => `\n  - ${section.sectionName}: ${section.detail}`)
+                .join('');
+            return `- [${conflict.type}] ${conflict.description}${details}`;
+        }).join('\n');
+    }
+    
+    /**
+     * Record conflicts in the conversations of the sections involved, then run the resolution agent
+     * @private
+     */
+    async _handleConflicts(projectId, conflicts, iterationCount) {
+        const records = conflicts.map(conflict => ({ ...conflict, iteration: iterationCount, resolution: null }));
+        this.detectedConflicts.push(...records);
+        this.appendToLog(`Detected ${conflicts.length} conflict(s) between parallel outputs`);
+        this.addExecutionEvent('conflicts_detected', {
+            iteration: iterationCount,
+            count: conflicts.length,
+            conflicts: conflicts.map(conflict => ({
+                type: conflict.type,
+                description: conflict.description,
+                sections: (conflict.sections || []).map(section => section.sectionName || section.sectionId)
+            }))
+        });
+        
+        // Section discussions feed buildContextForStep, so later refinements see the conflict
+        const involvedSections = new Set();
+        conflicts.forEach(conflict => {
+            const message = this.formatConflicts([conflict]);
+            conflict.sections.forEach(section => {
+                involvedSections.add(section.sectionId);
+                this.addDiscussionEntry(`discussion-${section.sectionId}`, 'Conflict Detector', message);
+            });
+        });
+        this.updateUI();
+        
+        const resolution = await this.resolveConflicts(projectId, conflicts);
+        if (!resolution) {
+            return;
+        }
+        
+        records.forEach(record => { record.resolution = resolution; });
+        const actions = Array.isArray(resolution.recommendedActions) ? resolution.recommendedActions : [];
+        const message = `${resolution.resolution || 'Resolution proposed'}${actions.map(action => `\n- ${action}`).join('')}`;
+        involvedSections.forEach(sectionId => {
+            this.addDiscussionEntry(`discussion-${sectionId}`, 'Conflict Resolver', message);
+        });
+        this.appendToLog('Conflict resolution proposed');
+        this.addExecutionEvent('conflicts_resolved', {
+            iteration: iterationCount,
+            count: conflicts.length,
+            resolution: resolution.resolution || null,
+            recommendedActions: actions
+        });
+        this.updateUI();
     }
     
     // Resolve conflicts
@@ -1015,7 +1417,7 @@ Please refine the output to incorporate the synthesis feedback above. Generate a
         
         const resolutionPrompt = `You are a conflict resolution agent. The following conflicts were detected in parallel execution:
 
-${conflicts.map(c => `- ${c.description}`).join('\n')}
+${this.formatConflicts(conflicts)}
 
 Please provide a resolution that reconciles these conflicts. Respond with a JSON object:
 {
@@ -1026,7 +1428,7 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
         try {
             const project = this.stateManager.getProject(projectId);
             const scopeDir = project?.scopeDirectory || this.stateManager.getScopeDirectory();
-            const response = await this.executeCursorCLI(resolutionPrompt, scopeDir);
+            const response = await this.executeCursorCLI(resolutionPrompt, scopeDir, project?.agentProvider, null, null, 'Conflict resolution');
             
             const jsonMatch = response.match(/\{[\s\S]*\}/);
             if (jsonMatch) {
@@ -1066,8 +1468,23 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
         return { valid: true };
     }
     
-    // Execute cursor-cli via server endpoint with retry logic
-    async executeCursorCLI(prompt, scopeDirectory) {
+    // Execute a prompt, checking the run's token budget first and recording its token usage afterwards
+    // Usage is grouped under sectionId, or under usageLabel for calls that do not belong to a section
+    async executeCursorCLI(prompt, scopeDirectory, providerId = null, streamLabel = null, sectionId = null, usageLabel = null) {
+        await this._enforceTokenBudget();
+        const output = await this._sendPrompt(prompt, scopeDirectory, providerId, streamLabel, sectionId);
+        this._recordTokenUsage(prompt, output, sectionId, usageLabel);
+        return output;
+    }
+    
+    // Send a prompt via server endpoint with retry logic (providerId selects the agent backend)
+    // With a streamLabel, output streams into the progress log under that label and can be cancelled;
+    // sectionId tags the server-side job so its output can be applied from the dashboard after a reload
+    async _sendPrompt(prompt, scopeDirectory, providerId = null, streamLabel = null, sectionId = null) {
+        if (streamLabel && window.AgentStreamService) {
+            return this._executeStreaming(prompt, scopeDirectory, providerId, streamLabel, sectionId);
+        }
+        
         if (this.errorHandler) {
             const result = await this.errorHandler.handleAsyncWithRetry(
                 async () => {
@@ -1076,7 +1493,8 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
                         headers: { 'Content-Type': 'application/json' },
                         body: JSON.stringify({
                             prompt: prompt,
-                            scopeDirectory: scopeDirectory
+                            scopeDirectory: scopeDirectory,
+                            providerId: providerId || null
                         })
                     });
                     
@@ -1114,7 +1532,8 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     prompt: prompt,
-                    scopeDirectory: scopeDirectory
+                    scopeDirectory: scopeDirectory,
+                    providerId: providerId || null
                 })
             });
             
@@ -1131,6 +1550,191 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
         }
     }
     
+    /**
+     * Apply the budget action before sending a prompt once the run's token budget is exceeded
+     * stop ends the run; pause waits for Resume, after which the run continues with warnings only
+     * @private
+     */
+    async _enforceTokenBudget() {
+        if (!this.tokenBudget || !this.currentProjectId || this.budgetOverridden) return;
+        
+        const project = this.stateManager.getProject(this.currentProjectId);
+        const check = TokenBudgetService.checkBudget(project);
+        if (check.state !== TokenBudgetService.BudgetState.EXCEEDED) return;
+        
+        if (check.action === TokenBudgetService.BudgetAction.STOP) {
+            if (!this.shouldStop) {
+                this.appendToLog(`${check.message}. Stopping automation.`);
+                this._notifyBudget(check, 'Token Budget Exceeded - Stopped');
+                this.shouldStop = true;
+            }
+            throw new Error(check.message);
+        }
+        
+        if (check.action === TokenBudgetService.BudgetAction.PAUSE) {
+            if (!this.isPaused) {
+                this.appendToLog(`${check.message}. Paused - resume to continue past the budget.`);
+                this._notifyBudget(check, 'Token Budget Exceeded - Paused');
+                this.pause();
+            }
+            await this._waitWhilePaused();
+            if (this.shouldStop) {
+                throw AgentStreamService.cancelledError();
+            }
+            this.budgetOverridden = true;
+        }
+    }
+    
+    /**
+     * Record a prompt/response pair and warn when the run crosses the warning level or the limit
+     * @private
+     */
+    _recordTokenUsage(prompt, output, sectionId, usageLabel) {
+        if (!this.tokenBudget || !this.currentProjectId) return;
+        
+        const project = this.stateManager.getProject(this.currentProjectId);
+        const section = sectionId ? project?.sections.find(s => s.sectionId === sectionId) : null;
+        const check = this.tokenBudget.record(this.currentProjectId, {
+            key: sectionId || (usageLabel || 'other').toLowerCase().replace(/\s+/g, '-'),
+            label: section ? (section.sectionName || sectionId) : (usageLabel || 'Other'),
+            prompt: prompt,
+            response: output
+        });
+        
+        if (!check || check.state === this.budgetState) return;
+        this.budgetState = check.state;
+        if (check.state === TokenBudgetService.BudgetState.WARNING ||
+            (check.state === TokenBudgetService.BudgetState.EXCEEDED && (check.action === TokenBudgetService.BudgetAction.WARN || this.budgetOverridden))) {
+            this.appendToLog(check.message);
+            this._notifyBudget(check, 'Token Budget');
+        }
+    }
+    
+    /**
+     * @private
+     */
+    _notifyBudget(check, title) {
+        if (this.errorHandler) {
+            this.errorHandler.showUserNotification(check.message, {
+                source: 'MultiAgentAutomationSystem',
+                operation: 'tokenBudget',
+                projectId: this.currentProjectId
+            }, {
+                severity: ErrorHandler.Severity.WARNING,
+                title: title
+            });
+        }
+    }
+    
+    /**
+     * Wait until the run is resumed or stopped
+     * @private
+     */
+    async _waitWhilePaused() {
+        while (this.isPaused && !this.shouldStop) {
+            await new Promise(resolve => setTimeout(resolve, AppConstants.TIMEOUTS.PAUSE_POLL_INTERVAL));
+        }
+    }
+    
+    /**
+     * Execute a prompt with streamed output rendered incrementally in the progress log
+     * Runs as a server-side job when AgentJobService is loaded, else over the streaming endpoint;
+     * failed attempts are retried like non-streaming calls
+     * @private
+     * @returns {Promise<string>} Agent output
+     */
+    async _executeStreaming(prompt, scopeDirectory, providerId, streamLabel, sectionId = null) {
+        const streamKey = `${streamLabel}-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
+        const callbacks = {
+            onChunk: (text, streamName) => {
+                if (streamName === 'stdout') {
+                    this.appendToLog(text, streamKey);
+                }
+            }
+        };
+        // Each attempt starts a new stream; cancelling stops the current one and any retry
+        let stream = null;
+        let cancelled = false;
+        const run = {
+            cancel: () => {
+                cancelled = true;
+                if (stream) stream.cancel();
+            }
+        };
+        const attempt = async () => {
+            if (cancelled) {
+                throw window.AgentStreamService.cancelledError();
+            }
+            if (window.AgentJobService) {
+                const project = this.stateManager.getProject(this.currentProjectId);
+                stream = window.AgentJobService.runPrompt({
+                    prompt,
+                    scopeDirectory,
+                    providerId,
+                    source: 'multi-agent',
+                    projectId: this.currentProjectId,
+                    projectName: project?.name || null,
+                    label: streamLabel,
+                    sectionId
+                }, callbacks);
+            } else {
+                stream = window.AgentStreamService.execute({ prompt, scopeDirectory, providerId }, callbacks);
+            }
+            const result = await stream.promise;
+            return result.output;
+        };
+        this.activeStreams.set(streamKey, run);
+        const logEntry = window.AgentStreamService.createLogEntry(this.progressLog, streamLabel, () => run.cancel());
+        this.logStreams.set(streamKey, logEntry);
+        
+        let status = '✓';
+        try {
+            if (!this.errorHandler) {
+                return await attempt();
+            }
+            
+            // Same retry as the non-streaming path in _sendPrompt; a cancelled run is rethrown as is
+            let cancelError = null;
+            const result = await this.errorHandler.handleAsyncWithRetry(
+                async () => {
+                    try {
+                        return await attempt();
+                    } catch (error) {
+                        if (error.cancelled) cancelError = error;
+                        throw error;
+                    }
+                },
+                { source: 'MultiAgentAutomationSystem', operation: 'executeCursorCLI' },
+                {
+                    maxRetries: 2,
+                    baseDelay: 2000,
+                    onRetry: (error, attemptNumber, delay) => {
+                        logEntry.append(`\n[Attempt ${attemptNumber} failed: ${error.message}. Retrying in ${Math.round(delay / 1000)}s]\n`);
+                    }
+                }
+            );
+            if (cancelError) throw cancelError;
+            if (!result.success) throw new Error(result.error);
+            return result.data;
+        } catch (error) {
+            status = error.cancelled ? '(cancelled)' : '✗';
+            if (!error.cancelled && this.errorHandler) {
+                this.errorHandler.showUserNotification(error.message, {
+                    source: 'MultiAgentAutomationSystem',
+                    operation: 'executeCursorCLI'
+                }, {
+                    severity: ErrorHandler.Severity.ERROR,
+                    title: 'Cursor CLI Execution Failed'
+                });
+            }
+            throw error;
+        } finally {
+            this.activeStreams.delete(streamKey);
+            logEntry.end(status);
+            this.logStreams.delete(streamKey);
+        }
+    }
+    
     // Save output to file for persistence
     async saveOutputToFile(projectId, section, output) {
         const project = this.stateManager.getProject(projectId);
@@ -1159,6 +1763,10 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
             const result = await response.json();
             if (!result.success) {
                 console.warn(`Failed to save output file: ${result.error}`);
+            } else {
+                this._journal('file-saved', section, `Saved ${fileName}`, {
+                    path: (result.data && result.data.path) || filePath
+                });
             }
         } catch (error) {
             console.error('Error saving output file:', error);
@@ -1172,6 +1780,8 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
             this.isRunning = false;
             this.updateProgress('Stopping execution...', '');
         }
+        // Kill in-flight agent processes
+        this.activeStreams.forEach(stream => stream.cancel());
     }
     
     // Show progress modal
@@ -1414,8 +2024,12 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
         }
     }
     
-    // Append to progress log
-    appendToLog(message) {
+    // Append to progress log (with a streamKey, the text is appended to that stream's entry)
+    appendToLog(message, streamKey = null) {
+        if (streamKey && this.logStreams.has(streamKey)) {
+            this.logStreams.get(streamKey).append(message);
+            return;
+        }
         if (this.progressLog) {
             const entry = document.createElement('div');
             entry.textContent = `[${new Date().toLocaleTimeString()}] ${message}`;
@@ -1437,6 +2051,19 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
         if (this.executionHistory.length > 100) {
             this.executionHistory.shift();
         }
+        // The run journal keeps all of them
+        const journalType = type.startsWith('iteration') ? 'iteration'
+            : type.startsWith('synthesis') ? 'synthesis'
+            : type.startsWith('conflicts') ? 'conflict'
+            : 'log';
+        this._journal(journalType, null, type.replace(/_/g, ' '), data);
+    }
+    
+    // Record an event in the run journal of the current run (when the app set one up)
+    _journal(type, section, message = null, data = null) {
+        if (this.runJournal && this.journalRunId) {
+            this.runJournal.record(this.journalRunId, type, { section, message, data });
+        }
     }
     
     // Add RAG step
@@ -1543,6 +2170,14 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
                         eventText = `Synthesis complete: ${event.data.conflicts || 0} conflicts, ${event.data.improvements || 0} improvements`;
                         color = '#4CAF50';
                         break;
+                    case 'conflicts_detected':
+                        eventText = `Detected ${event.data.count} conflict(s) between parallel outputs`;
+                        color = '#ff9800';
+                        break;
+                    case 'conflicts_resolved':
+                        eventText = `Resolution proposed for ${event.data.count} conflict(s)`;
+                        color = '#9C27B0';
+                        break;
                 }
                 
                 // eventText may contain user data - escape
@@ -1569,7 +2204,7 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
         const container = document.getElementById('multi-agent-conversations');
         if (!container) return;
         
-        if (this.agentDiscussions.size === 0) {
+        if (this.agentDiscussions.size === 0 && this.detectedConflicts.length === 0) {
             const noConvosHtml = '<div style="color: #888;">No conversations yet</div>';
             if (window.safeSetInnerHTML) {
                 window.safeSetInnerHTML(container, noConvosHtml, { trusted: true });
@@ -1579,7 +2214,7 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
             return;
         }
         
-        let html = '';
+        let html = this._renderConflicts();
         this.agentDiscussions.forEach((discussion, discussionId) => {
             if (discussion.length === 0) return;
             
@@ -1600,6 +2235,36 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
         container.innerHTML = html || '<div style="color: #888;">No conversations yet</div>';
     }
     
+    /**
+     * Render detected conflicts (with proposed resolutions) for the conversations view
+     * @private
+     * @returns {string} HTML string
+     */
+    _renderConflicts() {
+        if (this.detectedConflicts.length === 0) {
+            return '';
+        }
+        
+        let html = `<div style="margin-bottom: 16px; padding-bottom: 16px; border-bottom: 1px solid #404040;">`;
+        html += `<div style="font-weight: 500; color: #ff9800; margin-bottom: 8px;">Detected Conflicts (${this.detectedConflicts.length})</div>`;
+        
+        this.detectedConflicts.forEach(conflict => {
+            html += `<div style="margin-bottom: 8px; padding: 8px; background: #2d2d2d; border-radius: 4px; border-left: 3px solid #ff9800;">`;
+            html += `<div style="font-weight: 500; color: #ff9800; margin-bottom: 4px;">${this.escapeHtml(conflict.type)} <span style="color: #888; font-size: 0.85em; font-weight: normal;">[iteration ${conflict.iteration}]</span></div>`;
+            html += `<div style="color: #e0e0e0; font-size: 0.9em; margin-bottom: 4px;">${this.escapeHtml(conflict.description)}</div>`;
+            conflict.sections.forEach(section => {
+                html += `<div style="color: #aaa; font-size: 0.85em; margin-left: 12px;">${this.escapeHtml(section.sectionName)}: ${this.escapeHtml(section.detail)}</div>`;
+            });
+            if (conflict.resolution && conflict.resolution.resolution) {
+                html += `<div style="color: #9C27B0; font-size: 0.85em; margin-top: 4px; white-space: pre-wrap;">Resolution: ${this.escapeHtml(conflict.resolution.resolution)}</div>`;
+            }
+            html += `</div>`;
+        });
+        
+        html += `</div>`;
+        return html;
+    }
+    
     // Update RAG steps display
     updateRAGSteps() {
         const container = document.getElementById('multi-agent-rag-steps');
@@ -1635,6 +2300,10 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
                     typeLabel = 'Quality Evaluation';
                     color = '#ff9800';
                     break;
+                case 'context_assembly':
+                    typeLabel = 'Context Assembly';
+                    color = '#4CAF50';
+                    break;
             }
             
             html += `<div style="margin-bottom: 8px; padding: 8px; background: #2d2d2d; border-radius: 4px; border-left: 3px solid ${color};">`;
@@ -1648,6 +2317,9 @@ Please provide a resolution that reconciles these conflicts. Respond with a JSON
                 const escapedSources = step.contextSources.map(s => this.escapeHtml(s)).join(', ');
                 html += `<div style="color: #888; font-size: 0.85em; margin-top: 4px;">Sources: ${escapedSources}</div>`;
             }
+            if (step.assembly) {
+                html += ContextAssembler.renderPreview(step.assembly, text => this.escapeHtml(text));
+            }
             html += `</div>`;
         });
         
@@ -72,7 +72,7 @@ class PipelineConfig {
                     throw new Error(result.error);
                 }
                 
-                this.config = result.data;
+                this.config = await this.mergeAdditionalConfigs(result.data);
                 this.loaded = true;
                 this.loading = false;
                 return this.config;
@@ -86,7 +86,7 @@ class PipelineConfig {
                     try {
                         response = await fetch(path);
                         if (response.ok) {
-                            this.config = await response.json();
+                            this.config = await this.mergeAdditionalConfigs(await response.json());
                             this.loaded = true;
                             this.loading = false;
                             return this.config;
@@ -124,6 +124,60 @@ class PipelineConfig {
         }
     }
     
+    // Merge the additional pipeline config files listed in reference/pipelines/index.json (custom cases)
+    // Cases already defined in pipeline-config.json or an earlier file are kept; the duplicate is skipped
+    async mergeAdditionalConfigs(config) {
+        const index = await this.fetchReferenceJson('pipelines/index.json');
+        if (!index || !Array.isArray(index.files)) {
+            return config;
+        }
+        
+        config.cases = config.cases || {};
+        for (const file of index.files) {
+            const definition = await this.fetchReferenceJson(`pipelines/${file}`);
+            if (!definition || definition.kind !== 'feat-spec-pipeline' || !definition.cases) {
+                console.warn(`Skipping pipeline config file ${file}: not a pipeline definition`);
+                continue;
+            }
+            for (const [caseNumber, caseConfig] of Object.entries(definition.cases)) {
+                if (config.cases[caseNumber]) {
+                    console.warn(`Skipping Case ${caseNumber} from ${file}: case already defined`);
+                    continue;
+                }
+                config.cases[caseNumber] = { ...caseConfig, custom: true, definitionId: definition.id };
+            }
+        }
+        return config;
+    }
+    
+    // Fetch a JSON file under reference/ (null if missing or invalid)
+    async fetchReferenceJson(relativePath) {
+        const pathOptions = [
+            'reference/' + relativePath,
+            './reference/' + relativePath,
+            '../feat-spec/reference/' + relativePath,
+            '/feat-spec/reference/' + relativePath
+        ];
+        for (const path of pathOptions) {
+            try {
+                const response = await fetch(path);
+                if (response.ok) {
+                    return await response.json();
+                }
+            } catch (err) {
+                continue;
+            }
+        }
+        return null;
+    }
+    
+    // Reload the configuration (after the pipeline editor saves or deletes a custom case)
+    async reloadConfig() {
+        this.loaded = false;
+        this.config = null;
+        return await this.loadConfig();
+    }
+    
     // Get case configuration
     async getCaseConfig(caseNumber) {
         await this.loadConfig();
@@ -219,7 +273,7 @@ class PipelineConfig {
         return triggers;
     }
     
-    // Get inference steps for Case 2
+    // Get inference steps for a case (Case 2 and custom cases)
     async getInferenceSteps(caseNumber) {
         await this.loadConfig();
         const caseConfig = this.config.cases[String(caseNumber)];
@@ -290,6 +344,9 @@ class PipelineConfig {
             coreStepOrder = [
                 'physis'
             ];
+        } else if (caseConfig.custom) {
+            // Cases from additional config files (pipeline editor): steps in the order they are defined
+            coreStepOrder = Object.keys(workflow);
         } else {
             coreStepOrder = [
                 'research',
@@ -315,6 +372,9 @@ class PipelineConfig {
             if (caseNumber === 6) {
                 // No dependencies - steps can be done in any order
                 dependencies = [];
+            } else if (Array.isArray(stepConfig.dependencies)) {
+                // Explicit dependencies (custom cases)
+                dependencies = [...stepConfig.dependencies];
             } else {
                 // For other cases, maintain sequential dependencies
                 dependencies = stepIndex > 0 ? [coreStepOrder[stepIndex - 1]] : [];
@@ -323,7 +383,7 @@ class PipelineConfig {
             sections.push({
                 id: stepName,
                 stepName: stepName,
-                name: this.getStepDisplayName(stepName),
+                name: stepConfig.name || this.getStepDisplayName(stepName),
                 dependencies: dependencies,
                 promptLocation: stepConfig.step,
                 modifiers: modifiers,
@@ -338,17 +398,17 @@ class PipelineConfig {
             stepIndex++;
         }
         
-        // Add inference steps for Case 2 (after atomic-features)
-        if (caseNumber === 2 && caseConfig.inference) {
-            const inferenceSteps = await this.getInferenceSteps(2);
-            let lastStepId = 'atomic-features';
+        // Add inference steps (Case 2 and custom cases), each after the step named in its "after"
+        if (caseConfig.inference) {
+            const inferenceSteps = await this.getInferenceSteps(caseNumber);
+            let lastStepId = coreStepOrder[coreStepOrder.length - 1];
             
             for (const infStep of inferenceSteps) {
                 sections.push({
                     id: infStep.name,
                     stepName: infStep.name,
-                    name: this.getStepDisplayName(infStep.name),
-                    dependencies: [lastStepId],
+                    name: caseConfig.inference[infStep.name].name || this.getStepDisplayName(infStep.name),
+                    dependencies: [infStep.after || lastStepId],
                     promptLocation: infStep.step,
                     modifiers: [],
                     isValidation: false,
@@ -412,6 +472,39 @@ class PipelineConfig {
         return this.config.variables || {};
     }
     
+    // Get the quality rubric for a step (default rubric merged with the step's overrides)
+    async getRubric(stepName) {
+        await this.loadConfig();
+        const rubrics = this.config.rubrics || {};
+        const defaults = rubrics.default || {};
+        const stepRubric = (rubrics.steps && rubrics.steps[stepName]) || {};
+        return {
+            ...defaults,
+            ...stepRubric,
+            coverage: { ...(defaults.coverage || {}), ...(stepRubric.coverage || {}) },
+            stepName: stepName
+        };
+    }
+
+    // Get the JSON Schema a step's structured output must match (null when the step declares none)
+    async getOutputSchema(stepName) {
+        await this.loadConfig();
+        const schemas = this.config.outputSchemas || {};
+        return schemas[stepName] || null;
+    }
+
+    // Get traceability settings (steps that define feature IDs, coverage columns); TraceabilityService has the defaults
+    async getTraceability() {
+        await this.loadConfig();
+        return this.config.traceability || {};
+    }
+
+    // Get retrieval settings (steps that pull snippets from the scope directory's search index)
+    async getRetrieval() {
+        await this.loadConfig();
+        return { limit: 10, steps: [], ...(this.config.retrieval || {}) };
+    }
+
     // Legacy support methods (for backward compatibility)
     getAllSections() {
         return this.sections;
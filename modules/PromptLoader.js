@@ -342,9 +342,30 @@ class PromptLoader {
         // Inject reference document content
         prompt = await this.injectReferenceContent(prompt, stepName, sectionData);
         
+        // Append the step's output schema (pipeline-config.json "outputSchemas")
+        prompt = await this.appendOutputSchema(prompt, stepName);
+        
         return prompt;
     }
     
+    // Append the JSON Schema the step's structured output is validated against
+    async appendOutputSchema(prompt, stepName) {
+        const pipelineConfig = window.PipelineConfig;
+        if (!pipelineConfig || !pipelineConfig.getOutputSchema) return prompt;
+        
+        try {
+            const schema = await pipelineConfig.getOutputSchema(stepName);
+            if (!schema) return prompt;
+            
+            return `${prompt}\n\n## Output Schema\n\n` +
+                'Put the structured data in a single ```json block at the end of your output. ' +
+                'It is validated against this JSON Schema:\n\n' +
+                '```json\n' + JSON.stringify(schema, null, 2) + '\n```';
+        } catch (e) {
+            return prompt;
+        }
+    }
+    
     // Inject reference document content into prompt
     async injectReferenceContent(prompt, stepName, sectionData) {
         // Try to get ReferenceDocuments from window or use instance
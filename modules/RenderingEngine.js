@@ -23,6 +23,7 @@ class RenderingEngine {
         this.uiManager = managers.uiManager;
         this.multiAgentAutomation = managers.multiAgentAutomation; // For agent discussions
         this.appInstance = managers.appInstance; // For methods not yet in managers
+        this.collaboration = null; // CollaborationService (set by the app) for presence and field locks
         
         // Track event listeners for cleanup
         this.eventListenerCleanups = [];
@@ -279,6 +280,9 @@ class RenderingEngine {
         this.eventSystem.register(EventType.SECTION_UPDATED, () => {
             this.queueRender(['sections', 'pipeline']); // Sections and pipeline affected
         });
+        this.eventSystem.register(EventType.COLLABORATION_CHANGED, () => {
+            this.queueRender(['projects', 'sections']); // Presence and locks
+        });
         
         // Legacy page/element events (for backward compatibility)
         this.eventSystem.register(EventType.PAGE_ADDED, () => this.renderAll());
@@ -594,6 +598,7 @@ class RenderingEngine {
                 <span class="project-status">${statusIcon}</span>
                 <span class="project-name">${this.escapeHtml(project.name)}</span>
                 ${engineBadge}
+                ${this.renderPresence(project)}
             </div>
             <div class="project-meta">
                 ${caseBadge}
@@ -678,6 +683,51 @@ class RenderingEngine {
         return badge;
     }
     
+    // Render the collaborators viewing a project (one dot per participant, titled with their section)
+    renderPresence(project) {
+        if (!this.collaboration || !this.collaboration.isActive()) {
+            return '';
+        }
+        const viewers = this.collaboration.getParticipants(project.id);
+        if (viewers.length === 0) {
+            return '';
+        }
+        const dots = viewers.map(viewer => {
+            const section = project.sections.find(s => s.sectionId === viewer.sectionId);
+            const title = `${viewer.name}${section ? ` is viewing ${section.sectionName || section.sectionId}` : ''}`;
+            const initial = (viewer.name || '?').trim().charAt(0).toUpperCase() || '?';
+            return `<span class="presence-dot" style="background: ${this.escapeHtml(viewer.color)};" title="${this.escapeHtml(title).replace(/"/g, '&quot;')}">${this.escapeHtml(initial)}</span>`;
+        }).join('');
+        return `<span class="project-presence">${dots}</span>`;
+    }
+    
+    // Render the lock badge of a section field another collaborator is editing
+    renderFieldLock(projectId, sectionId, field) {
+        const lock = this.collaboration ? this.collaboration.getLock(projectId, sectionId, field) : null;
+        if (!lock) {
+            return '';
+        }
+        return `<span class="field-lock" style="border-color: ${this.escapeHtml(lock.color)};" title="Read-only while ${this.escapeHtml(lock.name).replace(/"/g, '&quot;')} edits">🔒 ${this.escapeHtml(lock.name)}</span>`;
+    }
+    
+    // Attributes that make a locked field read-only
+    _fieldLockAttributes(projectId, sectionId, field) {
+        const lock = this.collaboration ? this.collaboration.getLock(projectId, sectionId, field) : null;
+        return lock ? ` readonly data-locked-by="${this.escapeHtml(lock.name).replace(/"/g, '&quot;')}"` : '';
+    }
+    
+    // Render the output schema check (only for sections validated against an output schema)
+    renderSchemaStatus(section) {
+        if (!Array.isArray(section.structuredOutputErrors)) {
+            return '';
+        }
+        const errors = section.structuredOutputErrors;
+        if (errors.length === 0) {
+            return `<span class="schema-status schema-status-valid" title="Structured output matches the step's output schema">JSON ✓</span>`;
+        }
+        return `<span class="schema-status schema-status-invalid" title="${this.escapeHtml(errors.join('\n')).replace(/"/g, '&quot;')}">JSON ✗ ${errors.length}</span>`;
+    }
+    
     // Render modifier tags
     renderModifierTags(modifiers, projectId, sectionId, editable = true) {
         if (!modifiers || modifiers.length === 0) {
@@ -747,6 +797,9 @@ class RenderingEngine {
         }
         
         const section = activeProject.sections.find(s => s.sectionId === this.activeSectionId);
+        if (this.collaboration) {
+            this.collaboration.setViewing(activeProject.id, section ? section.sectionId : null);
+        }
         if (!section) {
             // Static message - safe
             const placeholderHtml = '<div class="section-view-placeholder"><p>No section selected</p></div>';
@@ -1175,7 +1228,9 @@ class RenderingEngine {
                 this.eventSystem,
                 this.appInstance?.automationSystem,
                 this.appInstance?.cursorCLIAutomation,
-                this.appInstance?.multiAgentAutomation
+                this.appInstance?.multiAgentAutomation,
+                this.appInstance?.runJournalService,
+                this.appInstance ? (projectId) => this.appInstance.showRunJournal(projectId) : null
             );
             
             const html = dashboard.render(project.id);
@@ -1472,7 +1527,7 @@ class RenderingEngine {
                 
                 <div class="section-panel input-panel" data-project-id="${project.id}" data-section-id="${section.sectionId}">
                     <div class="panel-header">
-                        <h3>Input</h3>
+                        <h3>Input ${this.renderFieldLock(project.id, section.sectionId, 'input')}</h3>
                         <div class="panel-actions" style="display: flex; gap: 8px; align-items: center;">
                             <button class="btn-input-guidance" data-project-id="${project.id}" data-section-id="${section.sectionId}" title="Input Guidance" style="background: transparent; border: 1px solid #404040; border-radius: 4px; color: #888; cursor: pointer; padding: 4px 8px; font-size: 14px; font-weight: bold; transition: all 0.2s;" onmouseover="this.style.borderColor='#4a9eff'; this.style.color='#4a9eff';" onmouseout="this.style.borderColor='#404040'; this.style.color='#888';">?</button>
                             <button class="btn-paste" data-action="paste-previous" data-project-id="${project.id}" data-section-id="${section.sectionId}">Paste from Previous</button>
@@ -1480,31 +1535,33 @@ class RenderingEngine {
                         </div>
                     </div>
                     <div class="panel-content">
-                        <textarea id="section-input-${project.id}-${section.sectionId}" name="section-input-${project.id}-${section.sectionId}" class="section-input" data-project-id="${project.id}" data-section-id="${section.sectionId}" placeholder="Loading placeholder...">${this.escapeHtml(section.input)}</textarea>
+                        <textarea id="section-input-${project.id}-${section.sectionId}" name="section-input-${project.id}-${section.sectionId}" class="section-input" data-project-id="${project.id}" data-section-id="${section.sectionId}"${this._fieldLockAttributes(project.id, section.sectionId, 'input')} placeholder="Loading placeholder...">${this.escapeHtml(section.input)}</textarea>
                     </div>
                 </div>
                 
                 <div class="section-panel output-panel" data-project-id="${project.id}" data-section-id="${section.sectionId}">
                     <div class="panel-header">
-                        <h3>Output</h3>
+                        <h3>Output ${this.renderFieldLock(project.id, section.sectionId, 'output')}</h3>
                         <div class="panel-actions" style="display: flex; gap: 8px; align-items: center;">
+                            ${this.renderSchemaStatus(section)}
                             <button class="btn-collapse" onclick="this.closest('.panel-header').nextElementSibling.classList.toggle('collapsed'); this.textContent = this.closest('.panel-header').nextElementSibling.classList.contains('collapsed') ? '▶' : '▼';">▼</button>
                             <button class="btn-complete" onclick="app.markSectionComplete('${project.id}', '${section.sectionId}')">Mark Complete</button>
                             <button class="btn-revision" onclick="app.markSectionNeedsRevision('${project.id}', '${section.sectionId}')">Needs Revision</button>
+                            <button class="btn-history" data-project-id="${project.id}" data-section-id="${section.sectionId}" title="Revision history of the output, input and prompt">History (${(section.revisions || []).length})</button>
                         </div>
                     </div>
                     <div class="panel-content">
-                        <textarea class="section-output" data-project-id="${project.id}" data-section-id="${section.sectionId}" placeholder="Paste LLM output here...">${this.escapeHtml(section.output)}</textarea>
+                        <textarea class="section-output" data-project-id="${project.id}" data-section-id="${section.sectionId}"${this._fieldLockAttributes(project.id, section.sectionId, 'output')} placeholder="Paste LLM output here...">${this.escapeHtml(section.output)}</textarea>
                     </div>
                 </div>
                 
                 <div class="section-panel notes-panel" data-project-id="${project.id}" data-section-id="${section.sectionId}">
                     <div class="panel-header">
-                        <h3>Notes & Refinements</h3>
+                        <h3>Notes & Refinements ${this.renderFieldLock(project.id, section.sectionId, 'notes')}</h3>
                         <button class="btn-collapse" onclick="this.parentElement.nextElementSibling.classList.toggle('collapsed'); this.textContent = this.parentElement.nextElementSibling.classList.contains('collapsed') ? '▶' : '▼';">▼</button>
                     </div>
                     <div class="panel-content">
-                        <textarea class="section-notes" data-project-id="${project.id}" data-section-id="${section.sectionId}" placeholder="Add notes or refinements...">${this.escapeHtml(section.notes)}</textarea>
+                        <textarea class="section-notes" data-project-id="${project.id}" data-section-id="${section.sectionId}"${this._fieldLockAttributes(project.id, section.sectionId, 'notes')} placeholder="Add notes or refinements...">${this.escapeHtml(section.notes)}</textarea>
                     </div>
                 </div>
             </div>
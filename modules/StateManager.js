@@ -8,6 +8,7 @@ class StateManager {
     // Create initial empty state
     createInitialState() {
         return {
+            schemaVersion: ProjectGroupMigrations.CURRENT_VERSION, // File format version (see ProjectGroupMigrations)
             projects: [],
             activeProjectId: null,
             settings: this.getDefaultSettings(),
@@ -80,10 +81,54 @@ class StateManager {
         this.emitStateChanged();
     }
     
+    // Run several mutations as one action; UndoManager records everything inside fn as a single
+    // undoable command (fn may be async; its result is returned)
+    group(label, fn) {
+        return fn();
+    }
+    
     // Create a new project with all pipeline sections initialized
     async createProject(name, description, caseNumber = 1, caseChain = null, customWorkflow = false, automationEngine = 'file-watching') {
         const projectId = `project-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
         const now = new Date().toISOString();
+        const sections = await this.createSections(caseNumber, caseChain);
+        
+        const project = {
+            id: projectId,
+            name: name || "New Project",
+            description: description || "",
+            case: caseNumber,
+            caseChain: caseChain || null,
+            linkedFromCase4: null, // ID of Case 4 project that provided inputs
+            customWorkflow: customWorkflow || false,
+            workflowType: this.getWorkflowTypeFromCase(caseNumber), // Legacy support
+            automationEngine: automationEngine || 'file-watching', // Automation engine: 'file-watching', 'cursor-cli', or 'multi-agent'
+            automationDirectory: null, // Directory for automation file watching/creation
+            scopeDirectory: null, // Directory that restricts agent focus/context
+            agentProvider: null, // Agent provider ID for cursor-cli/multi-agent runs (null = server default)
+            tokenBudget: null, // Per-run token/cost limits and action (see TokenBudgetService.DEFAULT_BUDGET)
+            tokenUsage: null, // Estimated token usage per section, run and project (maintained by TokenBudgetService)
+            contextWindow: null, // { maxTokens, includeScopeFiles } for step prompts and linked chats (see ContextAssembler)
+            status: "draft",
+            sections: sections,
+            createdAt: now,
+            lastModified: now
+        };
+        
+        const projects = [...this.state.projects, project];
+        this.setState({ projects, activeProjectId: projectId });
+        
+        this.eventSystem.emit(EventType.PROJECT_CREATED, {
+            source: 'StateManager',
+            data: { project }
+        });
+        
+        return project;
+    }
+    
+    // Build fresh pipeline sections for a case (also used for migrated projects that have no steps yet)
+    async createSections(caseNumber, caseChain = null) {
+        const now = new Date().toISOString();
         
         // Get sections for case
         const config = window.PipelineConfig;
@@ -109,7 +154,7 @@ class StateManager {
             return id;
         };
         
-        const sections = sectionDefs.map(sectionDef => ({
+        return sectionDefs.map(sectionDef => ({
             sectionId: sectionDef.id,
             sectionName: sectionDef.name,
             stepName: sectionDef.stepName || sectionDef.id,
@@ -129,34 +174,6 @@ class StateManager {
             specialized: sectionDef.specialized || null,
             lastModified: now
         }));
-        
-        const project = {
-            id: projectId,
-            name: name || "New Project",
-            description: description || "",
-            case: caseNumber,
-            caseChain: caseChain || null,
-            linkedFromCase4: null, // ID of Case 4 project that provided inputs
-            customWorkflow: customWorkflow || false,
-            workflowType: this.getWorkflowTypeFromCase(caseNumber), // Legacy support
-            automationEngine: automationEngine || 'file-watching', // Automation engine: 'file-watching', 'cursor-cli', or 'multi-agent'
-            automationDirectory: null, // Directory for automation file watching/creation
-            scopeDirectory: null, // Directory that restricts agent focus/context
-            status: "draft",
-            sections: sections,
-            createdAt: now,
-            lastModified: now
-        };
-        
-        const projects = [...this.state.projects, project];
-        this.setState({ projects, activeProjectId: projectId });
-        
-        this.eventSystem.emit(EventType.PROJECT_CREATED, {
-            source: 'StateManager',
-            data: { project }
-        });
-        
-        return project;
     }
     
     // Get workflow type from case (for backward compatibility)
@@ -236,14 +253,21 @@ class StateManager {
     }
     
     // Update section
-    updateSection(projectId, sectionId, updates) {
+    // Changes to output, input and prompt are kept in section.revisions, tagged with options.source
+    // ('manual' by default; see RevisionHistoryService.Source). options.undoable: false keeps the
+    // update out of the undo history (see UndoManager)
+    updateSection(projectId, sectionId, updates, options = {}) {
         const projects = this.state.projects.map(project => {
             if (project.id === projectId) {
                 const sections = project.sections.map(section => {
                     if (section.sectionId === sectionId) {
+                        const revisions = typeof RevisionHistoryService !== 'undefined'
+                            ? RevisionHistoryService.record(section, updates, options.source)
+                            : null;
                         return {
                             ...section,
                             ...updates,
+                            ...(revisions ? { revisions } : {}),
                             lastModified: new Date().toISOString()
                         };
                     }
@@ -685,16 +709,7 @@ class StateManager {
     
     // Load state from external source
     loadState(state) {
-        // Migrate existing projects: add automationEngine if missing
-        if (state.projects && Array.isArray(state.projects)) {
-            state.projects = state.projects.map(project => {
-                if (!project.automationEngine) {
-                    project.automationEngine = 'file-watching'; // Default for backward compatibility
-                }
-                return project;
-            });
-        }
-        
+        // Older files are upgraded by ProjectGroupMigrations before they reach here (see DataLayer.migrateState)
         // Ensure settings are valid - merge with defaults if needed
         const defaultSettings = this.getDefaultSettings();
         const loadedSettings = state.settings || {};
@@ -0,0 +1,467 @@
+// Undo Manager - Command-based undo/redo for project state
+// Wraps the StateManager mutators: each call (or group of calls) becomes one command holding the
+// projects it changed before and after. Undo reverts only the fields the command changed, so edits
+// made since (automation output, token usage) survive.
+class UndoManager {
+    // Mutator name -> history label
+    static MUTATORS = {
+        createProject: 'Create project',
+        updateProject: 'Update project',
+        removeProject: 'Delete project',
+        updateSection: 'Edit step',
+        setCaseChain: 'Change case chain',
+        updateModifiers: 'Edit modifiers',
+        addProcessStep: 'Add process step',
+        addInferenceStep: 'Add inference step',
+        insertCoreStep: 'Insert step',
+        insertProcessStep: 'Insert process step',
+        insertInferenceStep: 'Insert inference step',
+        insertCustomStep: 'Insert custom step',
+        skipSection: 'Skip step',
+        setCustomWorkflow: 'Change workflow',
+        reorderProjects: 'Reorder projects'
+    };
+
+    // Section update fields -> label (first match wins)
+    static SECTION_FIELD_LABELS = [
+        ['output', 'Edit output'],
+        ['input', 'Edit input'],
+        ['prompt', 'Edit prompt'],
+        ['modifiers', 'Edit modifiers'],
+        ['notes', 'Edit notes'],
+        ['overrideInstructions', 'Edit override instructions'],
+        ['automationId', 'Change automation ID'],
+        ['status', 'Change step status']
+    ];
+
+    // Updates touching only these fields are bookkeeping and are not recorded
+    static UNTRACKED_FIELDS = ['tokenUsage', 'lastModified'];
+
+    static MAX_COMMANDS = 100;
+
+    // Consecutive edits of the same fields (typing) within this window become one command
+    static COALESCE_MS = 1500;
+
+    /**
+     * @param {StateManager} stateManager - State manager to wrap
+     * @param {EventSystem} eventSystem - Event system (history changes are emitted as UNDO_HISTORY_CHANGED)
+     */
+    constructor(stateManager, eventSystem) {
+        this.stateManager = stateManager;
+        this.eventSystem = eventSystem;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;   // Command being built while a mutator or group runs
+        this.depth = 0;        // Nesting of mutators/groups
+        this.ignoring = 0;     // Nesting of untracked mutators
+        this.applying = false; // True while undo/redo writes state
+
+        this._install();
+
+        // Start each session with an empty history (load-time migrations are not undoable)
+        this.eventSystem.register(EventType.APPLICATION_INITIALIZED, () => this.clear());
+    }
+
+    /**
+     * Undo the most recent command
+     * @returns {object|null} Undone command
+     */
+    undo() {
+        if (this.depth > 0 || this.undoStack.length === 0) return null;
+        const command = this.undoStack.pop();
+        this._apply(command, 'before', 'after');
+        this.redoStack.push(command);
+        this._emitChanged();
+        return command;
+    }
+
+    /**
+     * Redo the most recently undone command
+     * @returns {object|null} Redone command
+     */
+    redo() {
+        if (this.depth > 0 || this.redoStack.length === 0) return null;
+        const command = this.redoStack.pop();
+        this._apply(command, 'after', 'before');
+        this.undoStack.push(command);
+        this._emitChanged();
+        return command;
+    }
+
+    /**
+     * Undo or redo until the given command is the most recent applied one
+     * @param {string} commandId - Command ID from getHistory()
+     */
+    jumpTo(commandId) {
+        if (this.redoStack.some(command => command.id === commandId)) {
+            while (this.redoStack.length > 0 && this.undoStack[this.undoStack.length - 1]?.id !== commandId) {
+                this.redo();
+            }
+        } else if (this.undoStack.some(command => command.id === commandId)) {
+            while (this.undoStack.length > 0 && this.undoStack[this.undoStack.length - 1].id !== commandId) {
+                this.undo();
+            }
+        }
+    }
+
+    canUndo() {
+        return this.depth === 0 && this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.depth === 0 && this.redoStack.length > 0;
+    }
+
+    /**
+     * Recent commands, newest first
+     * @returns {Array<{id: string, label: string, timestamp: string, undone: boolean}>}
+     *          undone commands (the redo stack) come first
+     */
+    getHistory() {
+        const describe = (command, undone) => ({ id: command.id, label: command.label, timestamp: command.timestamp, undone });
+        return [
+            ...this.redoStack.map(command => describe(command, true)),
+            ...this.undoStack.slice().reverse().map(command => describe(command, false))
+        ];
+    }
+
+    /**
+     * Forget all commands
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._emitChanged();
+    }
+
+    /**
+     * Run fn without recording its changes (e.g. edits applied from collaborators)
+     * @param {Function} fn - Mutations to run
+     * @returns {*} fn's result
+     */
+    runUntracked(fn) {
+        return this._ignore(fn);
+    }
+
+    /**
+     * Wrap setState (records changes), group() and the mutators (label and group them)
+     * @private
+     */
+    _install() {
+        const stateManager = this.stateManager;
+        stateManager.group = (label, fn) => this._track(label, null, fn);
+
+        const setState = stateManager.setState.bind(stateManager);
+        stateManager.setState = (updates) => {
+            const before = stateManager.state;
+            setState(updates);
+            this._record(before, stateManager.state);
+        };
+
+        const loadState = stateManager.loadState.bind(stateManager);
+        stateManager.loadState = (state) => {
+            this.applying = true;
+            try {
+                loadState(state);
+            } finally {
+                this.applying = false;
+            }
+            this.clear();
+        };
+
+        Object.keys(UndoManager.MUTATORS).forEach(name => {
+            const original = stateManager[name];
+            if (typeof original !== 'function') return;
+            stateManager[name] = (...args) => {
+                if (this._isUntracked(name, args)) {
+                    return this._ignore(() => original.apply(stateManager, args));
+                }
+                return this._track(this._describe(name, args), this._coalesceKey(name, args),
+                    () => original.apply(stateManager, args));
+            };
+        });
+    }
+
+    /**
+     * Run fn with recording grouped under one command
+     * @private
+     */
+    _track(label, coalesceKey, fn) {
+        if (this.depth === 0) {
+            this.pending = { label, coalesceKey, before: null, after: null };
+        }
+        this.depth++;
+
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            this._close();
+            throw error;
+        }
+        if (result && typeof result.then === 'function') {
+            return result.finally(() => this._close());
+        }
+        this._close();
+        return result;
+    }
+
+    /**
+     * Run fn without recording
+     * @private
+     */
+    _ignore(fn) {
+        this.ignoring++;
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            this.ignoring--;
+            throw error;
+        }
+        if (result && typeof result.then === 'function') {
+            return result.finally(() => { this.ignoring--; });
+        }
+        this.ignoring--;
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    _close() {
+        this.depth--;
+        if (this.depth > 0) return;
+        const pending = this.pending;
+        this.pending = null;
+        if (pending && pending.before) {
+            this._push(this._createCommand(pending.label, pending.coalesceKey, pending.before, pending.after));
+        }
+    }
+
+    /**
+     * Called after every setState
+     * @private
+     */
+    _record(before, after) {
+        if (this.applying || this.ignoring > 0 || before.projects === after.projects) return;
+        if (this.depth > 0) {
+            this.pending.before = this.pending.before || before;
+            this.pending.after = after;
+        } else {
+            this._push(this._createCommand('Update projects', null, before, after));
+        }
+    }
+
+    /**
+     * @private
+     */
+    _createCommand(label, coalesceKey, beforeState, afterState) {
+        const beforeById = new Map(beforeState.projects.map(project => [project.id, project]));
+        const afterById = new Map(afterState.projects.map(project => [project.id, project]));
+        const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+        const changes = [...ids]
+            .filter(id => beforeById.get(id) !== afterById.get(id))
+            .map(id => ({ id, before: beforeById.get(id) || null, after: afterById.get(id) || null }));
+        if (changes.length === 0) return null;
+
+        return {
+            id: `cmd-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            label: label,
+            coalesceKey: coalesceKey,
+            timestamp: new Date().toISOString(),
+            changes: changes,
+            order: {
+                before: beforeState.projects.map(project => project.id),
+                after: afterState.projects.map(project => project.id)
+            },
+            activeProjectId: {
+                before: beforeState.activeProjectId,
+                after: afterState.activeProjectId
+            }
+        };
+    }
+
+    /**
+     * @private
+     */
+    _push(command) {
+        if (!command) return;
+        const top = this.undoStack[this.undoStack.length - 1];
+        const coalesce = top && command.coalesceKey && top.coalesceKey === command.coalesceKey &&
+            this.redoStack.length === 0 &&
+            new Date(command.timestamp) - new Date(top.timestamp) < UndoManager.COALESCE_MS;
+
+        if (coalesce) {
+            command.changes.forEach(change => {
+                const existing = top.changes.find(candidate => candidate.id === change.id);
+                if (existing) {
+                    existing.after = change.after;
+                } else {
+                    top.changes.push(change);
+                }
+            });
+            top.order.after = command.order.after;
+            top.activeProjectId.after = command.activeProjectId.after;
+            top.timestamp = command.timestamp;
+        } else {
+            this.undoStack.push(command);
+            if (this.undoStack.length > UndoManager.MAX_COMMANDS) {
+                this.undoStack.shift();
+            }
+        }
+        this.redoStack = [];
+        this._emitChanged();
+    }
+
+    /**
+     * Move the changed projects from one side of a command to the other
+     * @private
+     * @param {object} command - Command
+     * @param {string} to - 'before' (undo) or 'after' (redo)
+     * @param {string} from - The opposite side
+     */
+    _apply(command, to, from) {
+        let projects = [...this.stateManager.state.projects];
+
+        command.changes.forEach(change => {
+            const index = projects.findIndex(project => project.id === change.id);
+            const current = index >= 0 ? projects[index] : null;
+            const target = change[to];
+            if (!target) {
+                if (index >= 0) projects.splice(index, 1);
+                return;
+            }
+            const restored = current && change[from] ? UndoManager._revert(current, target, change[from]) : target;
+            if (index >= 0) {
+                projects[index] = restored;
+            } else {
+                projects.push(restored);
+            }
+        });
+
+        // Restore the command's project order; projects it does not know keep their place at the end
+        const order = command.order[to];
+        projects = projects
+            .map((project, index) => ({ project, rank: order.includes(project.id) ? order.indexOf(project.id) : order.length + index }))
+            .sort((a, b) => a.rank - b.rank)
+            .map(entry => entry.project);
+
+        const activeProjectId = command.activeProjectId[to];
+        this.applying = true;
+        try {
+            this.stateManager.setState({
+                projects,
+                activeProjectId: projects.some(project => project.id === activeProjectId)
+                    ? activeProjectId
+                    : this.stateManager.state.activeProjectId
+            });
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    /**
+     * Three-way revert: set the fields that differ between target and leaving back to target,
+     * keep every other field of current
+     * @private
+     */
+    static _revert(current, target, leaving) {
+        const result = { ...current };
+        const keys = new Set([...Object.keys(target), ...Object.keys(leaving)]);
+        keys.forEach(key => {
+            if (target[key] === leaving[key]) return;
+            if (key === 'sections' && Array.isArray(target.sections) && Array.isArray(leaving.sections)) {
+                result.sections = UndoManager._revertSections(current.sections || [], target.sections, leaving.sections);
+            } else if (target[key] === undefined) {
+                delete result[key];
+            } else {
+                result[key] = target[key];
+            }
+        });
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    static _revertSections(current, target, leaving) {
+        const idsOf = sections => sections.map(section => section.sectionId).join('\n');
+        const currentById = new Map(current.map(section => [section.sectionId, section]));
+        const targetById = new Map(target.map(section => [section.sectionId, section]));
+        const leavingById = new Map(leaving.map(section => [section.sectionId, section]));
+        const revertSection = (section, currentSection) => {
+            const leavingSection = leavingById.get(section.sectionId);
+            if (!currentSection || !leavingSection) return section;
+            return section === leavingSection ? currentSection : UndoManager._revert(currentSection, section, leavingSection);
+        };
+
+        if (idsOf(target) === idsOf(leaving)) {
+            // Same steps: revert field by field, keep steps added since
+            return current.map(section => {
+                const targetSection = targetById.get(section.sectionId);
+                return targetSection ? revertSection(targetSection, section) : section;
+            });
+        }
+
+        // Steps were inserted, removed or moved: take the target's step list
+        const sections = target.map(section => revertSection(section, currentById.get(section.sectionId)));
+        current
+            .filter(section => !targetById.has(section.sectionId) && !leavingById.has(section.sectionId))
+            .forEach(section => sections.push(section));
+        return sections;
+    }
+
+    /**
+     * @private
+     */
+    _isUntracked(name, args) {
+        const isBookkeeping = updates => updates && Object.keys(updates).every(key => UndoManager.UNTRACKED_FIELDS.includes(key));
+        if (name === 'updateProject') return isBookkeeping(args[1]);
+        if (name === 'updateSection') return (args[3] && args[3].undoable === false) || isBookkeeping(args[2]);
+        return false;
+    }
+
+    /**
+     * @private
+     */
+    _describe(name, args) {
+        let label = UndoManager.MUTATORS[name];
+        if (name === 'updateSection' && args[2]) {
+            const match = UndoManager.SECTION_FIELD_LABELS.find(([field]) => field in args[2]);
+            if (match) label = match[1];
+            const section = this.stateManager.getSection(args[0], args[1]);
+            return section ? `${label}: ${section.sectionName || section.sectionId}` : label;
+        }
+        if (name === 'updateProject' && args[1]) {
+            if ('name' in args[1]) label = 'Rename project';
+            else if ('sections' in args[1]) label = 'Edit steps';
+        }
+        const project = typeof args[0] === 'string' ? this.stateManager.getProject(args[0]) : null;
+        return project ? `${label}: ${project.name}` : label;
+    }
+
+    /**
+     * @private
+     */
+    _coalesceKey(name, args) {
+        if (name !== 'updateSection' || !args[2]) return null;
+        const fields = Object.keys(args[2]).filter(key => key !== 'lastModified' && key !== 'status').sort();
+        return `${args[0]}:${args[1]}:${fields.join(',')}`;
+    }
+
+    /**
+     * @private
+     */
+    _emitChanged() {
+        this.eventSystem.emit(EventType.UNDO_HISTORY_CHANGED, {
+            source: 'UndoManager',
+            data: { canUndo: this.canUndo(), canRedo: this.canRedo() }
+        });
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.UndoManager = UndoManager;
+}
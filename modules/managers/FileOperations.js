@@ -212,7 +212,7 @@ class FileOperations {
         
         // Parse structured outputs from the structuring step output
         const parseMethod = this.parseStructuredOutputsCallback || this.parseStructuredOutputs.bind(this);
-        const structuredOutputs = parseMethod(structuringSection.output);
+        const structuredOutputs = parseMethod(structuringSection);
         
         // Create a zip or individual files
         const timestamp = new Date().toISOString().split('T')[0];
@@ -248,84 +248,9 @@ class FileOperations {
     }
     
     /**
-     * Parse JSON content with error handling
-     * @private
-     * @returns {string} Pretty-printed JSON or raw content if parsing fails
+     * Parse structured outputs from the input-structuring section or its output (see StructuredOutputParser)
      */
-    _parseJsonContent(jsonContent) {
-        try {
-            const parsed = JSON.parse(jsonContent);
-            return JSON.stringify(parsed, null, 2);
-        } catch (e) {
-            // If parsing fails, use raw content
-            return jsonContent;
-        }
-    }
-    
-    /**
-     * Parse Pattern 1: ### For [step-name] Step followed by ```json
-     * @private
-     */
-    _parsePattern1(outputText, outputs) {
-        const jsonBlockRegex = /### For (\w+(?:-\w+)*) Step\s*```json\s*([\s\S]*?)\s*```/g;
-        let match;
-        
-        while ((match = jsonBlockRegex.exec(outputText)) !== null) {
-            const stepName = match[1];
-            const jsonContent = match[2].trim();
-            outputs[stepName] = this._parseJsonContent(jsonContent);
-        }
-    }
-    
-    /**
-     * Parse Pattern 2: ### For [step-name] Step (without "Step" in header)
-     * @private
-     */
-    _parsePattern2(outputText, outputs) {
-        const jsonBlockRegex = /### For (\w+(?:-\w+)*)\s*```json\s*([\s\S]*?)\s*```/g;
-        let match;
-        
-        while ((match = jsonBlockRegex.exec(outputText)) !== null) {
-            const stepName = match[1];
-            if (!outputs[stepName]) { // Don't overwrite if already found
-                const jsonContent = match[2].trim();
-                outputs[stepName] = this._parseJsonContent(jsonContent);
-            }
-        }
-    }
-    
-    /**
-     * Parse Pattern 3: Any JSON code block with a heading above it
-     * @private
-     */
-    _parsePattern3(outputText, outputs) {
-        const jsonBlockRegex = /###\s+(\w+(?:\s+\w+)*)\s*[\s\S]*?```json\s*([\s\S]*?)\s*```/g;
-        let match;
-        const stepNames = ['research', 'feature-extraction', 'app-analysis', 'decomposition', 'atomic-features', 'ux-specification'];
-        
-        while ((match = jsonBlockRegex.exec(outputText)) !== null) {
-            const heading = match[1].toLowerCase().replace(/\s+/g, '-');
-            // Try to match to known step names
-            const matchedStep = stepNames.find(s => heading.includes(s.replace('-', '')));
-            
-            if (matchedStep && !outputs[matchedStep]) {
-                const jsonContent = match[2].trim();
-                outputs[matchedStep] = this._parseJsonContent(jsonContent);
-            }
-        }
-    }
-    
-    /**
-     * Parse structured outputs from input-structuring step output
-     */
-    parseStructuredOutputs(outputText) {
-        const outputs = {};
-        
-        // Look for JSON code blocks with step names - multiple patterns
-        this._parsePattern1(outputText, outputs);
-        this._parsePattern2(outputText, outputs);
-        this._parsePattern3(outputText, outputs);
-        
-        return outputs;
+    parseStructuredOutputs(source) {
+        return StructuredOutputParser.parse(source);
     }
 }
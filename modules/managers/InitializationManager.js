@@ -42,24 +42,8 @@ class InitializationManager {
             // Load saved state
             const savedState = this.dataLayer.loadState();
             if (savedState) {
-                // Check if old format (pages) or new format (projects)
-                if (savedState.pages && !savedState.projects) {
-                    // Migrate old format to new format
-                    await this.migrateOldDataFormat(savedState);
-                } else if (savedState.projects && Array.isArray(savedState.projects)) {
-                    // Check if projects need migration (old workflowType format)
-                    const needsMigration = savedState.projects.some(p => 
-                        p.workflowType && !p.case
-                    );
-                    
-                    if (needsMigration) {
-                        await this.migrateOldDataFormat(savedState);
-                    } else {
-                        this.stateManager.loadState(savedState);
-                    }
-                } else {
-                    this.stateManager.loadState(savedState);
-                }
+                // DataLayer.loadState has already migrated older formats to the current schemaVersion
+                this.stateManager.loadState(savedState);
                 
                 // Initialize current project group name from loaded state
                 if (savedState && savedState.metadata && savedState.metadata.projectGroupName) {
@@ -271,21 +255,6 @@ class InitializationManager {
         }
     }
     
-    /**
-     * Migrate old data format (pages/elements) to new format (projects/sections)
-     */
-    async migrateOldDataFormat(savedState) {
-        // Migration logic would go here
-        // This is a complex operation that converts old page/element structure to project/section structure
-        // For now, we'll delegate to stateManager if it has migration support
-        if (this.stateManager.migrateOldFormat) {
-            await this.stateManager.migrateOldFormat(savedState);
-        } else {
-            // Fallback: try to load as-is
-            this.stateManager.loadState(savedState);
-        }
-    }
-    
     /**
      * Restore pane states
      */
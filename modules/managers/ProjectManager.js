@@ -124,7 +124,10 @@ class ProjectManager {
                         input: templateSection.input || existing.input,
                         output: templateSection.output || existing.output,
                         notes: templateSection.notes || existing.notes,
-                        status: templateSection.status || existing.status
+                        status: templateSection.status || existing.status,
+                        // User templates record the modifiers chosen in their source project
+                        modifiers: templateData.userDefined ? templateSection.modifiers : existing.modifiers,
+                        overrideInstructions: templateSection.overrideInstructions || existing.overrideInstructions
                     };
                 } else {
                     // Use template section as-is (already has all required fields)
@@ -381,7 +384,7 @@ class ProjectManager {
         }
         
         // Parse structured outputs (delegate to FileOperations if available, otherwise use local method)
-        const structuredOutputs = this.parseStructuredOutputs(structuringSection.output);
+        const structuredOutputs = this.parseStructuredOutputs(structuringSection);
         
         if (Object.keys(structuredOutputs).length === 0) {
             const error = 'No structured outputs found in Case 4 project. Please complete the Input Structuring step.';
@@ -451,66 +454,69 @@ class ProjectManager {
             'ux-specification': 'ux-specification'
         };
         
-        for (const [targetSectionId, sourceKey] of Object.entries(chainConfig.inputMapping)) {
-            // Find the structured output - try multiple matching strategies
-            let matchingKey = null;
+        // Injected inputs and the link undo as one action
+        this.stateManager.group('Link Case 4 inputs', () => {
+            for (const [targetSectionId, sourceKey] of Object.entries(chainConfig.inputMapping)) {
+                // Find the structured output - try multiple matching strategies
+                let matchingKey = null;
             
-            // Strategy 1: Direct match by source key
-            matchingKey = Object.keys(structuredOutputs).find(k => 
-                k.toLowerCase().includes(sourceKey.toLowerCase().replace('-input', ''))
-            );
-            
-            // Strategy 2: Match by target section name
-            if (!matchingKey) {
+                // Strategy 1: Direct match by source key
                 matchingKey = Object.keys(structuredOutputs).find(k => 
-                    k.toLowerCase().includes(targetSectionId.toLowerCase().replace('-', ''))
+                    k.toLowerCase().includes(sourceKey.toLowerCase().replace('-input', ''))
                 );
-            }
             
-            // Strategy 3: Match by section mapping
-            if (!matchingKey && sectionMapping[targetSectionId]) {
-                const mappedName = sectionMapping[targetSectionId];
-                matchingKey = Object.keys(structuredOutputs).find(k => 
-                    k.toLowerCase().includes(mappedName.toLowerCase())
-                );
-            }
+                // Strategy 2: Match by target section name
+                if (!matchingKey) {
+                    matchingKey = Object.keys(structuredOutputs).find(k => 
+                        k.toLowerCase().includes(targetSectionId.toLowerCase().replace('-', ''))
+                    );
+                }
+            
+                // Strategy 3: Match by section mapping
+                if (!matchingKey && sectionMapping[targetSectionId]) {
+                    const mappedName = sectionMapping[targetSectionId];
+                    matchingKey = Object.keys(structuredOutputs).find(k => 
+                        k.toLowerCase().includes(mappedName.toLowerCase())
+                    );
+                }
             
-            if (matchingKey) {
-                const structuredInput = structuredOutputs[matchingKey];
+                if (matchingKey) {
+                    const structuredInput = structuredOutputs[matchingKey];
                 
-                // Find target section in target project
-                const targetSection = targetProject.sections.find(s => s.sectionId === targetSectionId);
-                if (targetSection) {
-                    // Inject as input (append if input already exists)
-                    const existingInput = targetSection.input || '';
-                    const newInput = existingInput ? `${existingInput}\n\n---\n\n${structuredInput}` : structuredInput;
+                    // Find target section in target project
+                    const targetSection = targetProject.sections.find(s => s.sectionId === targetSectionId);
+                    if (targetSection) {
+                        // Inject as input (append if input already exists)
+                        const existingInput = targetSection.input || '';
+                        const newInput = existingInput ? `${existingInput}\n\n---\n\n${structuredInput}` : structuredInput;
                     
-                    if (this.stateUpdateHelper) {
-                        this.stateUpdateHelper.updateSection(targetProject.id, targetSectionId, {
-                            input: newInput,
-                            status: existingInput ? targetSection.status : 'in_progress'
-                        }, { source: 'ProjectManager' });
-                    } else {
-                        this.stateManager.updateSection(targetProject.id, targetSectionId, {
-                            input: newInput,
-                            status: existingInput ? targetSection.status : 'in_progress'
-                        });
+                        if (this.stateUpdateHelper) {
+                            this.stateUpdateHelper.updateSection(targetProject.id, targetSectionId, {
+                                input: newInput,
+                                status: existingInput ? targetSection.status : 'in_progress'
+                            }, { source: 'ProjectManager' });
+                        } else {
+                            this.stateManager.updateSection(targetProject.id, targetSectionId, {
+                                input: newInput,
+                                status: existingInput ? targetSection.status : 'in_progress'
+                            });
+                        }
+                        injectedCount++;
                     }
-                    injectedCount++;
                 }
             }
-        }
         
-        // Mark target project as linked from Case 4
-        if (this.stateUpdateHelper) {
-            this.stateUpdateHelper.updateProject(targetProject.id, {
-                linkedFromCase4: case4Project.id
-            }, { source: 'ProjectManager' });
-        } else {
-            this.stateManager.updateProject(targetProject.id, {
-                linkedFromCase4: case4Project.id
-            });
-        }
+            // Mark target project as linked from Case 4
+            if (this.stateUpdateHelper) {
+                this.stateUpdateHelper.updateProject(targetProject.id, {
+                    linkedFromCase4: case4Project.id
+                }, { source: 'ProjectManager' });
+            } else {
+                this.stateManager.updateProject(targetProject.id, {
+                    linkedFromCase4: case4Project.id
+                });
+            }
+        });
         
         // Re-render
         this.renderingEngine.renderAll();
@@ -532,65 +538,10 @@ class ProjectManager {
     }
     
     /**
-     * Parse structured outputs from text
+     * Parse structured outputs from a section or its output text (see StructuredOutputParser)
      */
-    parseStructuredOutputs(outputText) {
-        const outputs = {};
-        
-        // Look for JSON code blocks with step names - multiple patterns
-        // Pattern 1: ### For [step-name] Step followed by ```json
-        let jsonBlockRegex = /### For (\w+(?:-\w+)*) Step\s*```json\s*([\s\S]*?)\s*```/g;
-        let match;
-        
-        while ((match = jsonBlockRegex.exec(outputText)) !== null) {
-            const stepName = match[1];
-            const jsonContent = match[2].trim();
-            
-            // Try to parse and pretty-print JSON
-            try {
-                const parsed = JSON.parse(jsonContent);
-                outputs[stepName] = JSON.stringify(parsed, null, 2);
-            } catch (e) {
-                // If parsing fails, use raw content
-                outputs[stepName] = jsonContent;
-            }
-        }
-        
-        // Pattern 2: ### For [step-name] Step (without "Step" in header)
-        jsonBlockRegex = /### For (\w+(?:-\w+)*)\s*```json\s*([\s\S]*?)\s*```/g;
-        while ((match = jsonBlockRegex.exec(outputText)) !== null) {
-            const stepName = match[1];
-            if (!outputs[stepName]) { // Don't overwrite if already found
-                const jsonContent = match[2].trim();
-                try {
-                    const parsed = JSON.parse(jsonContent);
-                    outputs[stepName] = JSON.stringify(parsed, null, 2);
-                } catch (e) {
-                    outputs[stepName] = jsonContent;
-                }
-            }
-        }
-        
-        // Pattern 3: Any JSON code block with a heading above it
-        jsonBlockRegex = /###\s+(\w+(?:\s+\w+)*)\s*[\s\S]*?```json\s*([\s\S]*?)\s*```/g;
-        while ((match = jsonBlockRegex.exec(outputText)) !== null) {
-            const heading = match[1].toLowerCase().replace(/\s+/g, '-');
-            // Try to match to known step names
-            const stepNames = ['research', 'feature-extraction', 'app-analysis', 'decomposition', 'atomic-features', 'ux-specification'];
-            const matchedStep = stepNames.find(s => heading.includes(s.replace('-', '')));
-            
-            if (matchedStep && !outputs[matchedStep]) {
-                const jsonContent = match[2].trim();
-                try {
-                    const parsed = JSON.parse(jsonContent);
-                    outputs[matchedStep] = JSON.stringify(parsed, null, 2);
-                } catch (e) {
-                    outputs[matchedStep] = jsonContent;
-                }
-            }
-        }
-        
-        return outputs;
+    parseStructuredOutputs(source) {
+        return StructuredOutputParser.parse(source);
     }
     
     /**
@@ -718,9 +669,11 @@ class ProjectManager {
             if (!fileData.success) {
                 throw new Error(fileData.error || 'Failed to load file');
             }
+            // Saves of this file are checked against the revision it was loaded at
+            this.dataLayer.setFileRevision(fileData.filename || filename, fileData.revision);
             
-            // Parse JSON content
-            const state = JSON.parse(fileData.content);
+            // Parse JSON content and upgrade older formats to the current schemaVersion
+            const state = this.dataLayer.migrateState(JSON.parse(fileData.content)).state;
             
             // Validate structure using ProjectGroupValidator if available (server already validated, but double-check client-side)
             if (typeof window !== 'undefined' && window.ProjectGroupValidator) {
@@ -754,13 +707,8 @@ class ProjectManager {
                 this.currentProjectGroupName = nameWithoutExt;
             }
             
-            // Validate and load state FIRST
-            if (state.pages && Array.isArray(state.pages)) {
-                this.stateManager.loadState(state);
-                this.renderingEngine.renderAll();
-                // Update dropdown AFTER state is loaded
-                await this.populateProjectGroupDropdown();
-            } else if (state.projects && Array.isArray(state.projects)) {
+            // Load state (older formats were migrated above)
+            if (state.projects && Array.isArray(state.projects)) {
                 this.stateManager.loadState(state);
                 
                 // Load prompts for all projects
@@ -0,0 +1,185 @@
+// A/B Run Service - Runs a section's assembled prompt against several agent providers and scores each output
+// Results are kept per section for the page lifetime; promoting one writes it to the section's output
+class ABRunService {
+    static MIN_PROVIDERS = 2;
+
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+        this.runs = new Map(); // "projectId:sectionId" → last run
+    }
+
+    /**
+     * Run the section's prompt against each provider in parallel
+     * @param {string} projectId - Project ID
+     * @param {string} sectionId - Section ID
+     * @param {string[]} providerIds - Agent provider IDs (at least MIN_PROVIDERS, no duplicates)
+     * @param {Function} [onUpdate] - Called with the run whenever a variant finishes
+     * @returns {Promise<object>} { projectId, sectionId, stepName, prompt, threshold, startedAt, variants: [{ providerId, status,
+     *          output, error, durationMs, score }] } where score is a RubricScorer result or null
+     */
+    async run(projectId, sectionId, providerIds, onUpdate = null) {
+        const project = this.stateManager.getProject(projectId);
+        const section = project && project.sections.find(s => s.sectionId === sectionId);
+        if (!section) {
+            throw new Error('Section not found');
+        }
+        const uniqueIds = [...new Set(providerIds || [])];
+        if (uniqueIds.length < ABRunService.MIN_PROVIDERS) {
+            throw new Error(`Choose at least ${ABRunService.MIN_PROVIDERS} agent providers to compare`);
+        }
+        const scopeDirectory = project.scopeDirectory || this.stateManager.getScopeDirectory();
+        if (!scopeDirectory) {
+            throw new Error('Scope directory not set for this project');
+        }
+
+        const prompt = await this.assemblePrompt(project, section);
+        const stepName = section.stepName || section.sectionId;
+        const rubric = await this.getRubric(stepName);
+        const run = {
+            projectId,
+            sectionId,
+            stepName,
+            prompt,
+            threshold: typeof rubric.threshold === 'number' ? rubric.threshold : RubricScorer.DEFAULT_RUBRIC.threshold,
+            startedAt: new Date().toISOString(),
+            variants: uniqueIds.map(providerId => ({
+                providerId,
+                status: 'running',
+                output: '',
+                error: null,
+                durationMs: null,
+                score: null
+            }))
+        };
+        this.runs.set(this._key(projectId, sectionId), run);
+
+        await Promise.all(run.variants.map(async (variant) => {
+            const started = Date.now();
+            try {
+                variant.output = await this.execute(prompt, scopeDirectory, variant.providerId);
+                variant.score = new RubricScorer().score(variant.output, rubric);
+                variant.status = 'complete';
+            } catch (error) {
+                variant.error = error.message;
+                variant.status = 'failed';
+            }
+            variant.durationMs = Date.now() - started;
+            if (onUpdate) onUpdate(run);
+        }));
+
+        return run;
+    }
+
+    /**
+     * The prompt an automation run would send for the section: PromptLoader.getPrompt plus the section input
+     * @param {object} project - Project
+     * @param {object} section - Section
+     * @returns {Promise<string>}
+     */
+    async assemblePrompt(project, section) {
+        if (!window.PromptLoader) {
+            throw new Error('PromptLoader not available');
+        }
+        const prompt = await window.PromptLoader.getPrompt(section.sectionId, section, project, { substituteInput: true });
+        return `${prompt}\n\n## Input\n\n${this.getSectionInput(project, section)}`;
+    }
+
+    /**
+     * Section input, else dependency outputs, else the previous section's output (as CursorCLIAutomationSystem)
+     * @param {object} project - Project
+     * @param {object} section - Section
+     * @returns {string}
+     */
+    getSectionInput(project, section) {
+        if (section.input && section.input.trim()) {
+            return section.input;
+        }
+        if (section.dependencies && section.dependencies.length > 0) {
+            return section.dependencies
+                .map(depId => project.sections.find(s => s.sectionId === depId))
+                .filter(depSection => depSection && depSection.output)
+                .map(depSection => depSection.output)
+                .join('\n\n---\n\n');
+        }
+        const index = project.sections.findIndex(s => s.sectionId === section.sectionId);
+        return index > 0 ? (project.sections[index - 1].output || '') : '';
+    }
+
+    /**
+     * Execute a prompt with one provider via the server
+     * @param {string} prompt - Full prompt
+     * @param {string} scopeDirectory - Scope directory
+     * @param {string} providerId - Agent provider ID
+     * @returns {Promise<string>} Agent output
+     */
+    async execute(prompt, scopeDirectory, providerId) {
+        const response = await fetch('/api/cursor-cli-execute', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ prompt, scopeDirectory, providerId })
+        });
+        const result = await response.json().catch(() => null);
+        if (!response.ok || !result || !result.success) {
+            throw new Error((result && result.error) || `Server error: ${response.status} ${response.statusText}`);
+        }
+        return result.output || '';
+    }
+
+    /**
+     * Quality rubric for a step (built-in defaults if the pipeline config cannot be loaded)
+     * @param {string} stepName - Step name
+     * @returns {Promise<object>}
+     */
+    async getRubric(stepName) {
+        try {
+            if (window.PipelineConfig) {
+                return await window.PipelineConfig.getRubric(stepName);
+            }
+        } catch (error) {
+            console.warn('Could not load rubric for step, using defaults:', stepName, error);
+        }
+        return { ...RubricScorer.DEFAULT_RUBRIC, stepName };
+    }
+
+    /**
+     * Last run for a section
+     * @param {string} projectId - Project ID
+     * @param {string} sectionId - Section ID
+     * @returns {object|null}
+     */
+    getLastRun(projectId, sectionId) {
+        return this.runs.get(this._key(projectId, sectionId)) || null;
+    }
+
+    /**
+     * Make a variant's output the section's output (recorded as an 'ab-run' revision)
+     * @param {string} projectId - Project ID
+     * @param {string} sectionId - Section ID
+     * @param {string} providerId - Provider of the variant to promote
+     * @returns {boolean} Whether the output was promoted
+     */
+    promote(projectId, sectionId, providerId) {
+        const run = this.getLastRun(projectId, sectionId);
+        const variant = run && run.variants.find(candidate => candidate.providerId === providerId);
+        if (!variant || variant.status !== 'complete') {
+            return false;
+        }
+        this.stateManager.updateSection(projectId, sectionId, {
+            output: variant.output,
+            status: 'complete'
+        }, { source: RevisionHistoryService.Source.AB_RUN });
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    _key(projectId, sectionId) {
+        return `${projectId}:${sectionId}`;
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.ABRunService = ABRunService;
+}
@@ -0,0 +1,212 @@
+// Agent Job Service - Creates, lists, cancels and resumes server-side agent jobs (/api/jobs/*)
+// and attaches to a job's live event stream
+class AgentJobService {
+    static FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+    /**
+     * Create a job
+     * @param {object} definition - { source, projectId, projectName, label, scopeDirectory, providerId,
+     *                                automationDirectory, project, tasks: [{ sectionId, label, prompt? }] }
+     * @returns {Promise<object>} Job summary
+     */
+    static createJob(definition) {
+        return AgentJobService._post('/api/jobs/create', definition);
+    }
+
+    /**
+     * List jobs, newest first
+     * @param {string|null} projectId - Only jobs for this project
+     * @returns {Promise<object[]>} Job summaries
+     */
+    static async listJobs(projectId = null) {
+        const data = await AgentJobService._post('/api/jobs/list', { projectId });
+        return data.jobs || [];
+    }
+
+    /**
+     * Get job details including task outputs and logs
+     * @param {string} jobId - Job ID
+     * @returns {Promise<object>}
+     */
+    static getJob(jobId) {
+        return AgentJobService._post('/api/jobs/status', { jobId });
+    }
+
+    /**
+     * Cancel a queued or running job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<object>} Job summary
+     */
+    static cancelJob(jobId) {
+        return AgentJobService._post('/api/jobs/cancel', { jobId });
+    }
+
+    /**
+     * Re-queue a failed, cancelled or interrupted job
+     * @param {string} jobId - Job ID
+     * @returns {Promise<object>} Job summary
+     */
+    static resumeJob(jobId) {
+        return AgentJobService._post('/api/jobs/resume', { jobId });
+    }
+
+    /**
+     * Whether a job status is final (no further events)
+     * @param {string} status - Job status
+     * @returns {boolean}
+     */
+    static isFinished(status) {
+        return AgentJobService.FINISHED_STATUSES.includes(status);
+    }
+
+    /**
+     * Follow a job's events until it finishes. Detaching does not stop the job.
+     * @param {string} jobId - Job ID
+     * @param {object} callbacks - { onSnapshot(job), onLog(entry), onChunk(taskId, text), onTask(task), onJob(summary) }
+     * @returns {{promise: Promise<object>, detach: Function}} promise resolves with the final job summary,
+     *          or null when detached first
+     */
+    static attach(jobId, callbacks = {}) {
+        const controller = new AbortController();
+        let detached = false;
+
+        const promise = (async () => {
+            let finalJob = null;
+            try {
+                const response = await fetch('/api/jobs/attach', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ jobId }),
+                    signal: controller.signal
+                });
+                if (!response.ok || !response.body) {
+                    throw new Error(`Server error: ${response.status} ${response.statusText}`);
+                }
+
+                await AgentStreamService.readEvents(response, (eventName, payload) => {
+                    if (eventName === 'snapshot') {
+                        if (callbacks.onSnapshot) callbacks.onSnapshot(payload);
+                    } else if (eventName === 'log') {
+                        if (callbacks.onLog) callbacks.onLog(payload);
+                    } else if (eventName === 'chunk') {
+                        if (callbacks.onChunk) callbacks.onChunk(payload.taskId, payload.text);
+                    } else if (eventName === 'task') {
+                        if (callbacks.onTask) callbacks.onTask(payload);
+                    } else if (eventName === 'job') {
+                        if (callbacks.onJob) callbacks.onJob(payload);
+                    } else if (eventName === 'end') {
+                        finalJob = payload;
+                    }
+                });
+            } catch (error) {
+                if (detached) return null;
+                throw error;
+            }
+
+            if (detached) return null;
+            if (!finalJob) {
+                throw new Error('Lost connection to the job event stream');
+            }
+            return finalJob;
+        })();
+
+        const detach = () => {
+            detached = true;
+            controller.abort();
+        };
+
+        return { promise, detach };
+    }
+
+    /**
+     * Run a single prompt as a one-task job (same contract as AgentStreamService.execute)
+     * The output is kept on the server if the page goes away before the job finishes
+     * @param {object} request - { prompt, scopeDirectory, providerId, source, projectId, projectName, label, sectionId }
+     * @param {object} callbacks - { onStart(jobId), onChunk(text, stream) }
+     * @returns {{promise: Promise<{success: boolean, output: string, provider: string}>, cancel: Function}}
+     */
+    static runPrompt(request, callbacks = {}) {
+        let jobId = null;
+        let cancelled = false;
+
+        const cancel = async () => {
+            if (cancelled) return;
+            cancelled = true;
+            if (jobId) {
+                try {
+                    await AgentJobService.cancelJob(jobId);
+                } catch (error) {
+                    console.warn('Cancel job request failed:', error);
+                }
+            }
+        };
+
+        const promise = (async () => {
+            const job = await AgentJobService.createJob({
+                source: request.source || null,
+                projectId: request.projectId || null,
+                projectName: request.projectName || null,
+                label: request.label,
+                scopeDirectory: request.scopeDirectory,
+                providerId: request.providerId || null,
+                tasks: [{ sectionId: request.sectionId || null, label: request.label, prompt: request.prompt }]
+            });
+            jobId = job.id;
+            if (callbacks.onStart) callbacks.onStart(jobId);
+            if (cancelled) {
+                // cancel() ran before the job id was known
+                await AgentJobService.cancelJob(jobId).catch(() => {});
+                throw AgentStreamService.cancelledError();
+            }
+
+            let completedTask = null;
+            const finalJob = await AgentJobService.attach(jobId, {
+                // A fast job may already be finished when the stream connects
+                onSnapshot: (job) => {
+                    completedTask = job.tasks.find(task => task.status === 'completed') || null;
+                    if (callbacks.onChunk && job.tasks[0] && job.tasks[0].output) {
+                        callbacks.onChunk(job.tasks[0].output, 'stdout');
+                    }
+                },
+                onChunk: (taskId, text) => {
+                    if (callbacks.onChunk) callbacks.onChunk(text, 'stdout');
+                },
+                onTask: (task) => {
+                    if (task.status === 'completed') completedTask = task;
+                }
+            }).promise;
+
+            if (finalJob.status === 'cancelled') {
+                throw AgentStreamService.cancelledError();
+            }
+            if (finalJob.status !== 'completed' || !completedTask) {
+                throw new Error(finalJob.error || `Agent job ${finalJob.status}`);
+            }
+            return { success: true, output: completedTask.output, provider: completedTask.provider };
+        })();
+
+        return { promise, cancel };
+    }
+
+    /**
+     * POST JSON to a jobs endpoint and unwrap { success, data }
+     * @private
+     */
+    static async _post(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => null);
+        if (!response.ok || !result || !result.success) {
+            throw new Error((result && result.error) || `Server error: ${response.status} ${response.statusText}`);
+        }
+        return result.data;
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.AgentJobService = AgentJobService;
+}
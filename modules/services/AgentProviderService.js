@@ -0,0 +1,66 @@
+// Agent Provider Service - Lists the agent backends configured on the server
+class AgentProviderService {
+    static cache = null;
+
+    /**
+     * Fetch configured providers from the server (cached for the page lifetime)
+     * @param {boolean} forceRefresh - Bypass the cache
+     * @returns {Promise<{defaultProvider: string, providers: Array}>}
+     */
+    static async listProviders(forceRefresh = false) {
+        if (AgentProviderService.cache && !forceRefresh) {
+            return AgentProviderService.cache;
+        }
+
+        try {
+            const response = await fetch('/api/agent-providers');
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || 'Failed to load agent providers');
+            }
+            AgentProviderService.cache = result.data;
+        } catch (error) {
+            console.warn('Could not load agent providers, using server default:', error);
+            AgentProviderService.cache = { defaultProvider: 'cursor-cli', providers: [] };
+        }
+
+        return AgentProviderService.cache;
+    }
+
+    /**
+     * Render <option> elements for a provider select
+     * The empty option means "inherit" (project default or server default)
+     * @param {Array} providers - Provider descriptions
+     * @param {string|null} selectedId - Currently selected provider ID
+     * @param {string} inheritLabel - Label for the empty option
+     * @returns {string} HTML string
+     */
+    static renderOptions(providers, selectedId, inheritLabel = 'Server default') {
+        const escape = (text) => {
+            const div = document.createElement('div');
+            div.textContent = text == null ? '' : String(text);
+            return div.innerHTML;
+        };
+
+        const options = [`<option value="" ${!selectedId ? 'selected' : ''}>${escape(inheritLabel)}</option>`];
+        (providers || []).forEach(provider => {
+            const label = provider.model ? `${provider.label} (${provider.model})` : provider.label;
+            options.push(`<option value="${escape(provider.id)}" ${provider.id === selectedId ? 'selected' : ''}>${escape(label)}</option>`);
+        });
+
+        // Keep an unknown saved selection visible rather than silently dropping it
+        if (selectedId && !(providers || []).some(p => p.id === selectedId)) {
+            options.push(`<option value="${escape(selectedId)}" selected>${escape(selectedId)} (not configured)</option>`);
+        }
+
+        return options.join('');
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.AgentProviderService = AgentProviderService;
+}
@@ -0,0 +1,190 @@
+// Agent Stream Service - Executes prompts via /api/cursor-cli-execute-stream (Server-Sent Events)
+class AgentStreamService {
+    /**
+     * Execute a prompt and receive output incrementally
+     * @param {object} request - { prompt, scopeDirectory, providerId }
+     * @param {object} callbacks - { onStart(executionId), onChunk(text, stream) }
+     * @returns {{promise: Promise<{success: boolean, output: string, stderr: string, provider: string}>, cancel: Function}}
+     */
+    static execute(request, callbacks = {}) {
+        const controller = new AbortController();
+        let executionId = null;
+        let cancelled = false;
+
+        const cancel = async () => {
+            if (cancelled) return;
+            cancelled = true;
+            // Ask the server to kill the agent process, then drop the connection
+            // (the server also kills the process when the connection closes)
+            if (executionId) {
+                try {
+                    await fetch('/api/cursor-cli-cancel', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ executionId })
+                    });
+                } catch (error) {
+                    console.warn('Cancel request failed, closing stream instead:', error);
+                }
+            }
+            controller.abort();
+        };
+
+        const promise = (async () => {
+            let response;
+            try {
+                response = await fetch('/api/cursor-cli-execute-stream', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        prompt: request.prompt,
+                        scopeDirectory: request.scopeDirectory,
+                        providerId: request.providerId || null
+                    }),
+                    signal: controller.signal
+                });
+            } catch (error) {
+                throw cancelled ? AgentStreamService.cancelledError() : error;
+            }
+
+            if (!response.ok || !response.body) {
+                throw new Error(`Server error: ${response.status} ${response.statusText}`);
+            }
+
+            let result = null;
+            let failure = null;
+
+            try {
+                await AgentStreamService.readEvents(response, (eventName, payload) => {
+                    if (eventName === 'start') {
+                        executionId = payload.executionId;
+                        if (callbacks.onStart) callbacks.onStart(executionId);
+                    } else if (eventName === 'chunk') {
+                        if (callbacks.onChunk) callbacks.onChunk(payload.text, payload.stream);
+                    } else if (eventName === 'done') {
+                        result = payload;
+                    } else if (eventName === 'error') {
+                        failure = payload.cancelled ? AgentStreamService.cancelledError() : new Error(payload.error || 'Agent execution failed');
+                    }
+                });
+            } catch (error) {
+                throw cancelled ? AgentStreamService.cancelledError() : error;
+            }
+
+            if (failure) throw failure;
+            if (cancelled) throw AgentStreamService.cancelledError();
+            if (!result || !result.success) {
+                throw new Error('Stream ended before the agent finished');
+            }
+            return result;
+        })();
+
+        return { promise, cancel };
+    }
+
+    /**
+     * Read a Server-Sent Events response body until it ends
+     * @param {Response} response - fetch() response with a readable body
+     * @param {Function} onEvent - Called with (eventName, payload) for each JSON event
+     * @returns {Promise<void>}
+     */
+    static async readEvents(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const handleEvent = (rawEvent) => {
+            let eventName = 'message';
+            const dataLines = [];
+            rawEvent.split('\n').forEach(line => {
+                if (line.startsWith('event:')) {
+                    eventName = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    dataLines.push(line.slice(5).trim());
+                }
+            });
+            if (dataLines.length === 0) return;
+
+            let payload;
+            try {
+                payload = JSON.parse(dataLines.join('\n'));
+            } catch (error) {
+                return;
+            }
+            onEvent(eventName, payload);
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+            events.forEach(handleEvent);
+        }
+        if (buffer.trim()) handleEvent(buffer);
+    }
+
+    /**
+     * Create a progress-log entry that streamed output is appended to
+     * @param {HTMLElement|null} logElement - Progress log container
+     * @param {string} label - Step label shown before the streamed text
+     * @param {Function|null} onCancel - Called when the entry's Cancel button is clicked
+     * @returns {{append: Function, end: Function}}
+     */
+    static createLogEntry(logElement, label, onCancel = null) {
+        if (!logElement) {
+            return { append: () => {}, end: () => {} };
+        }
+
+        const entry = document.createElement('div');
+        entry.className = 'progress-log-stream';
+        const header = document.createElement('div');
+        header.textContent = `[${new Date().toLocaleTimeString()}] ${label}:`;
+        const text = document.createElement('div');
+        text.className = 'progress-log-stream-text';
+        entry.appendChild(header);
+        entry.appendChild(text);
+
+        let cancelButton = null;
+        if (onCancel) {
+            cancelButton = document.createElement('button');
+            cancelButton.className = 'progress-log-stream-cancel';
+            cancelButton.textContent = 'Cancel';
+            cancelButton.addEventListener('click', () => {
+                cancelButton.disabled = true;
+                onCancel();
+            });
+            header.appendChild(cancelButton);
+        }
+
+        logElement.appendChild(entry);
+        logElement.scrollTop = logElement.scrollHeight;
+
+        return {
+            append: (chunk) => {
+                text.textContent += chunk;
+                logElement.scrollTop = logElement.scrollHeight;
+            },
+            end: (status) => {
+                if (cancelButton) cancelButton.remove();
+                if (status) header.textContent += ` ${status}`;
+            }
+        };
+    }
+
+    /**
+     * Error thrown when an execution is cancelled (not retryable)
+     * @returns {Error}
+     */
+    static cancelledError() {
+        const error = new Error('Execution cancelled');
+        error.cancelled = true;
+        return error;
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.AgentStreamService = AgentStreamService;
+}
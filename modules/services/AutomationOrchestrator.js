@@ -26,7 +26,7 @@ class AutomationOrchestrator {
         }
         
         // Update section output
-        this.stateManager.updateSection(projectId, sectionId, updates);
+        this.stateManager.updateSection(projectId, sectionId, updates, { source: 'file-watching' });
         
         // Emit events
         this.eventSystem.emit(window.EventType.AUTOMATION_SECTION_COMPLETE, {
@@ -65,13 +65,14 @@ class AutomationOrchestrator {
                 status: 'complete'
             }, { 
                 source: 'AutomationOrchestrator',
+                revisionSource: 'file-watching',
                 emitEvent: false // We'll emit custom events below
             });
         } else {
             this.stateManager.updateSection(projectId, sectionId, {
                 output: combinedOutput,
                 status: 'complete'
-            });
+            }, { source: 'file-watching' });
         }
         
         // Emit events
@@ -0,0 +1,473 @@
+// Collaboration Service - Shares a saved project group with the other browsers that opened it through the server
+// Local edits are sent as operations (/api/collab/*) and the others' edits are applied as they arrive. A section's
+// input, output or notes is locked while someone edits it, and each participant's current section is shown to the rest
+class CollaborationService {
+    static PROTECTED_FIELDS = ['input', 'output', 'notes'];
+    static SEND_DEBOUNCE_MS = 300;        // Typing is sent as one operation per pause
+    static LOCK_REFRESH_MS = 20000;       // Held locks are refreshed well within the server's lock lifetime (60s)
+    static LOCK_RELEASE_DELAY_MS = 1000;  // Re-rendering briefly blurs the focused field; keep the lock across that
+    static RECONNECT_DELAY = 3000;
+    static NAME_STORAGE_KEY = 'featspec-collaboration-name';
+
+    constructor(stateManager, eventSystem, undoManager = null, errorHandler = null) {
+        this.stateManager = stateManager;
+        this.eventSystem = eventSystem;
+        this.undoManager = undoManager;
+        this.errorHandler = errorHandler;
+        this.clientId = `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        this.filename = null;
+        this.name = '';
+        this.connected = false;
+        this.participants = [];
+        this.locks = [];
+        this.controller = null;
+        this.retryTimer = null;
+        this.applyingRemote = false;
+        this.outgoing = new Map();   // "section:projectId:sectionId" | "project:projectId" | ... -> operation
+        this.sendTimer = null;
+        this.sending = Promise.resolve();
+        this.heldLocks = new Map();  // "projectId:sectionId:field" -> { projectId, sectionId, field, releaseTimer }
+        this.lockRefreshTimer = null;
+        this.viewing = { projectId: null, sectionId: null };
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Local changes become operations; changes applied from the other participants are not sent back
+        this.eventSystem.register(EventType.SECTION_UPDATED, (event) => {
+            const { projectId, sectionId, updates } = event.data || {};
+            if (!this._shouldSend() || !updates) return;
+            this._queue(`section:${projectId}:${sectionId}`, { type: 'section-update', projectId, sectionId, updates });
+        });
+        this.eventSystem.register(EventType.PROJECT_UPDATED, (event) => {
+            const { projectId, updates } = event.data || {};
+            if (!this._shouldSend() || !updates) return;
+            this._queue(`project:${projectId}`, { type: 'project-update', projectId, updates });
+        });
+        this.eventSystem.register(EventType.PROJECT_CREATED, (event) => {
+            const { project } = event.data || {};
+            if (!this._shouldSend() || !project) return;
+            this._queue(`create:${project.id}`, { type: 'project-create', project }, true);
+        });
+        this.eventSystem.register(EventType.PROJECT_DELETED, (event) => {
+            const { projectId } = event.data || {};
+            if (!this._shouldSend()) return;
+            this._queue(`delete:${projectId}`, { type: 'project-delete', projectId }, true);
+        });
+        this.eventSystem.register(EventType.PROJECT_REORDERED, (event) => {
+            const { projectIds } = event.data || {};
+            if (!this._shouldSend() || !projectIds) return;
+            this._queue('order', { type: 'projects-reorder', projectIds }, true);
+        });
+
+        // Loading another project group ends the session
+        this.eventSystem.register(EventType.STATE_LOADED, (event) => {
+            if (!this.filename) return;
+            const groupName = event.data && event.data.state && event.data.state.metadata && event.data.state.metadata.projectGroupName;
+            if (!groupName || CollaborationService.filenameFor(groupName) !== this.filename) {
+                this.leave();
+            }
+        });
+
+        if (typeof document !== 'undefined') {
+            document.addEventListener('focusin', (e) => {
+                const target = this._fieldOf(e.target);
+                if (target) this._onFieldFocus(e.target, target);
+            });
+            document.addEventListener('focusout', (e) => {
+                const target = this._fieldOf(e.target);
+                if (target) this._onFieldBlur(target);
+            });
+        }
+    }
+
+    /**
+     * Saved file name of a project group (as the server stores it)
+     * @param {string} projectGroupName - Project group name
+     * @returns {string}
+     */
+    static filenameFor(projectGroupName) {
+        return `${projectGroupName.trim().replace(/[^a-z0-9]/gi, '_')}.json`;
+    }
+
+    /**
+     * Whether a session is joined
+     * @returns {boolean}
+     */
+    isActive() {
+        return Boolean(this.filename);
+    }
+
+    /**
+     * Display name remembered from the last session
+     * @returns {string}
+     */
+    getSavedName() {
+        try {
+            return localStorage.getItem(CollaborationService.NAME_STORAGE_KEY) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Join the session of a saved project group (the group should be loaded from that file first)
+     * Edits the others made since the session started are applied when the stream opens
+     * @param {string} filename - Saved project group file
+     * @param {string} name - Display name shown to the other participants
+     */
+    join(filename, name) {
+        if (this.filename) {
+            this.leave();
+        }
+        this.filename = filename;
+        this.name = name;
+        try {
+            localStorage.setItem(CollaborationService.NAME_STORAGE_KEY, name);
+        } catch (error) {
+            // Name is only a convenience for the next session
+        }
+        this._connect();
+        this._emitChanged();
+    }
+
+    /**
+     * Leave the session; pending edits are sent first and held locks are released by the server
+     */
+    async leave() {
+        if (!this.filename) return;
+        clearTimeout(this.sendTimer);
+        this._flush();
+        await this.sending;
+
+        clearTimeout(this.retryTimer);
+        clearInterval(this.lockRefreshTimer);
+        this.lockRefreshTimer = null;
+        this.heldLocks.forEach(lock => clearTimeout(lock.releaseTimer));
+        this.heldLocks.clear();
+        if (this.controller) this.controller.abort();
+        this.controller = null;
+        this.filename = null;
+        this.connected = false;
+        this.participants = [];
+        this.locks = [];
+        this._emitChanged();
+    }
+
+    /**
+     * Other participants, optionally only those viewing a project
+     * @param {string|null} projectId - Project ID
+     * @returns {Array<{clientId, name, color, projectId, sectionId}>}
+     */
+    getParticipants(projectId = null) {
+        return this.participants.filter(participant =>
+            participant.clientId !== this.clientId && (!projectId || participant.projectId === projectId));
+    }
+
+    /**
+     * Lock another participant holds on a section field
+     * @returns {object|null} { name, color, field, ... } or null when the field is free or locked by this browser
+     */
+    getLock(projectId, sectionId, field) {
+        return this.locks.find(lock => lock.projectId === projectId && lock.sectionId === sectionId &&
+            lock.field === field && lock.clientId !== this.clientId) || null;
+    }
+
+    /**
+     * Report the section shown in this browser (called by the renderer; repeated calls are ignored)
+     * @param {string|null} projectId - Project ID
+     * @param {string|null} sectionId - Section ID
+     */
+    setViewing(projectId, sectionId) {
+        if (this.viewing.projectId === projectId && this.viewing.sectionId === sectionId) return;
+        this.viewing = { projectId, sectionId };
+        if (this.connected) {
+            this._post('/api/collab/presence', { projectId, sectionId }).catch(error => {
+                console.warn('Failed to share presence:', error);
+            });
+        }
+    }
+
+    /**
+     * Follow the session stream, reconnecting until left
+     * @private
+     */
+    async _connect() {
+        const filename = this.filename;
+        const controller = new AbortController();
+        this.controller = controller;
+        try {
+            const response = await fetch('/api/collab/join', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ filename, clientId: this.clientId, name: this.name }),
+                signal: controller.signal
+            });
+            if (!response.ok || !response.body) {
+                throw new Error(`Server error: ${response.status} ${response.statusText}`);
+            }
+
+            await AgentStreamService.readEvents(response, (eventName, payload) => {
+                if (eventName === 'snapshot') {
+                    this._onSnapshot(payload);
+                } else if (eventName === 'presence') {
+                    this.participants = payload.participants || [];
+                    this._emitChanged();
+                } else if (eventName === 'locks') {
+                    this.locks = payload.locks || [];
+                    this._emitChanged();
+                } else if (eventName === 'operation') {
+                    this._applyRemote(payload);
+                }
+            });
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            console.warn('Collaboration stream failed:', error);
+        }
+
+        if (this.filename === filename && this.controller === controller) {
+            this.connected = false;
+            this._emitChanged();
+            this.retryTimer = setTimeout(() => this._connect(), CollaborationService.RECONNECT_DELAY);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _onSnapshot(snapshot) {
+        this.connected = true;
+        this.participants = snapshot.participants || [];
+        this.locks = snapshot.locks || [];
+        (snapshot.changes || [])
+            .filter(entry => entry.clientId !== this.clientId)
+            .forEach(entry => this._applyRemote(entry));
+
+        // After a reconnect the server knows nothing about this browser's presence or locks
+        const { projectId, sectionId } = this.viewing;
+        if (projectId) {
+            this.viewing = { projectId: null, sectionId: null };
+            this.setViewing(projectId, sectionId);
+        }
+        this.heldLocks.forEach(lock => this._requestLock(lock).catch(() => {}));
+        this._emitChanged();
+    }
+
+    /**
+     * Apply another participant's operation without sending it back or recording it for undo
+     * @private
+     */
+    _applyRemote(entry) {
+        const op = entry && entry.op;
+        if (!op) return;
+        const untracked = (fn) => (this.undoManager ? this.undoManager.runUntracked(fn) : fn());
+
+        this.applyingRemote = true;
+        try {
+            if (op.type === 'section-update') {
+                if (this.stateManager.getSection(op.projectId, op.sectionId)) {
+                    this.stateManager.updateSection(op.projectId, op.sectionId, op.updates || {}, {
+                        source: RevisionHistoryService.Source.COLLABORATION,
+                        undoable: false
+                    });
+                }
+            } else if (op.type === 'project-update') {
+                if (this.stateManager.getProject(op.projectId)) {
+                    untracked(() => this.stateManager.updateProject(op.projectId, op.updates || {}));
+                }
+            } else if (op.type === 'project-create') {
+                if (op.project && !this.stateManager.getProject(op.project.id)) {
+                    const projects = [...this.stateManager.getState().projects, op.project];
+                    untracked(() => this.stateManager.setState({ projects }));
+                }
+            } else if (op.type === 'project-delete') {
+                if (this.stateManager.getProject(op.projectId)) {
+                    untracked(() => this.stateManager.removeProject(op.projectId));
+                }
+            } else if (op.type === 'projects-reorder') {
+                untracked(() => this.stateManager.reorderProjects(op.projectIds || []));
+            }
+        } catch (error) {
+            console.warn(`Failed to apply ${op.type} from ${entry.name}:`, error);
+        } finally {
+            this.applyingRemote = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _shouldSend() {
+        return Boolean(this.filename) && !this.applyingRemote;
+    }
+
+    /**
+     * Queue an operation; updates to the same section or project are merged until the next send
+     * @private
+     */
+    _queue(key, op, immediate = false) {
+        const previous = this.outgoing.get(key);
+        const merged = previous && op.updates
+            ? { ...op, updates: { ...previous.updates, ...op.updates } }
+            : op;
+        this.outgoing.delete(key); // Re-insert so operations are sent in the order of their latest change
+        this.outgoing.set(key, merged);
+
+        clearTimeout(this.sendTimer);
+        this.sendTimer = setTimeout(() => this._flush(), immediate ? 0 : CollaborationService.SEND_DEBOUNCE_MS);
+    }
+
+    /**
+     * Send the queued operations in order
+     * @private
+     */
+    _flush() {
+        const ops = [...this.outgoing.values()];
+        this.outgoing.clear();
+        if (ops.length === 0 || !this.filename) return;
+
+        this.sending = this.sending.then(async () => {
+            for (const op of ops) {
+                try {
+                    await this._post('/api/collab/operation', { op });
+                } catch (error) {
+                    this._notifyRejected(op, error);
+                }
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _notifyRejected(op, error) {
+        const lock = error.lock;
+        const message = lock
+            ? `${lock.name} is editing the ${lock.field} of this step. Your change was kept here but not shared.`
+            : `Your change could not be shared: ${error.message}`;
+        if (this.errorHandler) {
+            this.errorHandler.showUserNotification(message, {
+                source: 'CollaborationService',
+                operation: op.type
+            }, {
+                severity: ErrorHandler.Severity.WARNING,
+                title: lock ? 'Step Locked' : 'Collaboration'
+            });
+        } else {
+            console.warn(message);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _fieldOf(element) {
+        if (!element || element.tagName !== 'TEXTAREA' || !element.dataset) return null;
+        const field = CollaborationService.PROTECTED_FIELDS.find(name => element.classList.contains(`section-${name}`));
+        if (!field || !element.dataset.projectId || !element.dataset.sectionId) return null;
+        return { projectId: element.dataset.projectId, sectionId: element.dataset.sectionId, field };
+    }
+
+    /**
+     * Take the lock on a field when it gets focus; a field someone else holds stays read-only
+     * @private
+     */
+    async _onFieldFocus(element, target) {
+        if (!this.connected) return;
+        const key = `${target.projectId}:${target.sectionId}:${target.field}`;
+        const held = this.heldLocks.get(key);
+        if (held) {
+            clearTimeout(held.releaseTimer);
+            held.releaseTimer = null;
+            return;
+        }
+        if (this.getLock(target.projectId, target.sectionId, target.field)) {
+            element.readOnly = true;
+            return;
+        }
+
+        const lock = { ...target, releaseTimer: null };
+        this.heldLocks.set(key, lock);
+        try {
+            await this._requestLock(lock);
+        } catch (error) {
+            this.heldLocks.delete(key);
+            element.readOnly = true;
+            this._emitChanged();
+            return;
+        }
+        if (!this.lockRefreshTimer) {
+            this.lockRefreshTimer = setInterval(() => {
+                this.heldLocks.forEach(held => this._requestLock(held).catch(() => {}));
+            }, CollaborationService.LOCK_REFRESH_MS);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _onFieldBlur(target) {
+        const key = `${target.projectId}:${target.sectionId}:${target.field}`;
+        const held = this.heldLocks.get(key);
+        if (!held) return;
+        clearTimeout(held.releaseTimer);
+        held.releaseTimer = setTimeout(() => {
+            this.heldLocks.delete(key);
+            if (this.heldLocks.size === 0) {
+                clearInterval(this.lockRefreshTimer);
+                this.lockRefreshTimer = null;
+            }
+            if (this.connected) {
+                this._post('/api/collab/lock', { ...target, release: true }).catch(() => {});
+            }
+        }, CollaborationService.LOCK_RELEASE_DELAY_MS);
+    }
+
+    /**
+     * @private
+     */
+    _requestLock({ projectId, sectionId, field }) {
+        return this._post('/api/collab/lock', { projectId, sectionId, field });
+    }
+
+    /**
+     * POST to a collaboration endpoint
+     * @private
+     * @throws {Error} With .lock set when another participant holds the lock (409)
+     */
+    async _post(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filename: this.filename, clientId: this.clientId, ...body })
+        });
+        const result = await response.json().catch(() => null);
+        if (!response.ok || !result || !result.success) {
+            const error = new Error((result && result.error) || `Server error: ${response.status} ${response.statusText}`);
+            error.lock = (result && result.context && result.context.lock) || null;
+            throw error;
+        }
+        return result.data;
+    }
+
+    /**
+     * @private
+     */
+    _emitChanged() {
+        this.eventSystem.emit(EventType.COLLABORATION_CHANGED, {
+            source: 'CollaborationService',
+            data: {
+                active: this.isActive(),
+                connected: this.connected,
+                filename: this.filename,
+                participants: this.getParticipants()
+            }
+        });
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.CollaborationService = CollaborationService;
+}
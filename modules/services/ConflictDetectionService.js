@@ -0,0 +1,426 @@
+// Conflict Detection Service - Finds contradictions between parallel agent outputs
+// Parses the markdown formats the pipeline steps ask for (Entity/Properties, Feature ID, State/Transition)
+class ConflictDetectionService {
+    static ConflictType = {
+        ENTITY_FIELD: 'entity-field',
+        DUPLICATE_FEATURE_ID: 'duplicate-feature-id',
+        STATE_NAME: 'state-name'
+    };
+
+    // Type spellings that mean the same thing
+    static TYPE_ALIASES = {
+        str: 'string', text: 'string', varchar: 'string',
+        int: 'integer', long: 'integer',
+        float: 'number', double: 'number', decimal: 'number',
+        bool: 'boolean',
+        date: 'datetime', timestamp: 'datetime', time: 'datetime',
+        list: 'array', dict: 'object', map: 'object'
+    };
+
+    /**
+     * Detect conflicts across the successful results of a parallel iteration
+     * @param {Array} parallelResults - [{ section, output, success }]
+     * @returns {Array} Conflicts: { id, type, subject, description, sections: [{ sectionId, sectionName, detail }] }
+     */
+    detectConflicts(parallelResults) {
+        const sources = (parallelResults || [])
+            .filter(result => result.success && typeof result.output === 'string' && result.output.trim())
+            .map(result => ({
+                sectionId: result.section.sectionId,
+                sectionName: result.section.sectionName || result.section.sectionId,
+                facts: this.extractFacts(result.output)
+            }));
+
+        if (sources.length === 0) {
+            return [];
+        }
+
+        const conflicts = [
+            ...this._findEntityFieldConflicts(sources),
+            ...this._findFeatureIdConflicts(sources),
+            ...this._findStateNameConflicts(sources)
+        ];
+        return conflicts.map((conflict, index) => ({ id: `conflict-${index + 1}`, ...conflict }));
+    }
+
+    /**
+     * Extract entities, features and states from a step output
+     * @param {string} output - Markdown output
+     * @returns {{entities: Map, features: Array, states: Array}}
+     *          entities: key -> { name, fields: Map key -> { name, type, required } }
+     *          features: [{ id, name, goal }]
+     *          states: [{ name, featureId }]
+     */
+    extractFacts(output) {
+        const entities = new Map();
+        const features = [];
+        const states = [];
+
+        let feature = null; // { id, name, goal }
+        let entity = null;
+        let inFieldList = false;
+
+        const labelled = (line, label) => {
+            const match = line.match(new RegExp(`^\\s*(?:[-*]\\s*)?\\*\\*${label}\\*\\*\\s*:\\s*(.*)$`, 'i'));
+            return match ? this._stripMarkup(match[1]) : null;
+        };
+
+        output.split(/\r?\n/).forEach(line => {
+            const heading = line.match(/^#{2,6}\s+(.*)$/);
+            if (heading) {
+                entity = null;
+                inFieldList = false;
+                // "### Feature 1: Name" / "### Feature: Name" starts a new feature block
+                const featureHeading = heading[1].match(/^Feature(?:\s+\d+)?\s*:\s*(.+)$/i);
+                if (featureHeading) {
+                    feature = { id: null, name: this._stripMarkup(featureHeading[1]), goal: '' };
+                }
+                return;
+            }
+
+            const featureId = labelled(line, 'Feature ID');
+            if (featureId !== null) {
+                const id = featureId.split(/\s+\(/)[0].trim();
+                if (!feature || feature.id) {
+                    feature = { id: null, name: '', goal: '' };
+                }
+                feature.id = id;
+                if (id) features.push(feature);
+                return;
+            }
+
+            const goal = labelled(line, 'User Goal');
+            if (goal !== null && feature) {
+                feature.goal = goal;
+                return;
+            }
+
+            const entityName = labelled(line, 'Entity') ?? labelled(line, 'Structure');
+            if (entityName !== null) {
+                const key = this._normalizeName(entityName);
+                if (key) {
+                    if (!entities.has(key)) {
+                        entities.set(key, { name: entityName, fields: new Map() });
+                    }
+                    entity = entities.get(key);
+                }
+                inFieldList = false;
+                return;
+            }
+
+            const stateName = labelled(line, 'State');
+            if (stateName !== null) {
+                if (stateName) states.push({ name: stateName, featureId: feature ? feature.id : null });
+                entity = null;
+                inFieldList = false;
+                return;
+            }
+
+            const transition = labelled(line, 'Transition');
+            if (transition !== null) {
+                transition.split(/\s*(?:→|->)\s*/).map(name => name.trim()).filter(Boolean).forEach(name => {
+                    states.push({ name, featureId: feature ? feature.id : null });
+                });
+                return;
+            }
+
+            if (entity && /^\s*(?:[-*]\s*)?\*\*(Properties|Fields)\*\*\s*:/i.test(line)) {
+                inFieldList = true;
+                return;
+            }
+            if (/^\s*(?:[-*]\s*)?\*\*[^*]+\*\*\s*:/.test(line)) {
+                // Any other labelled line ends the field list
+                inFieldList = false;
+                return;
+            }
+
+            if (entity && inFieldList) {
+                const field = this._parseFieldLine(line);
+                if (field) {
+                    entity.fields.set(this._normalizeName(field.name), field);
+                }
+            }
+        });
+
+        return { entities, features, states };
+    }
+
+    /**
+     * Same entity field declared with different types or requiredness in different sections
+     * @private
+     */
+    _findEntityFieldConflicts(sources) {
+        const conflicts = [];
+        const declarations = new Map(); // "entity.field" -> [{ source, entity, field }]
+
+        sources.forEach(source => {
+            source.facts.entities.forEach((entity, entityKey) => {
+                entity.fields.forEach((field, fieldKey) => {
+                    const key = `${entityKey}.${fieldKey}`;
+                    if (!declarations.has(key)) declarations.set(key, []);
+                    declarations.get(key).push({ source, entity, field });
+                });
+            });
+        });
+
+        declarations.forEach(entries => {
+            const bySection = this._firstPerSection(entries);
+            if (bySection.length < 2) return;
+
+            const types = new Set(bySection.map(entry => entry.field.type).filter(Boolean));
+            if (types.has('integer') && types.has('number')) {
+                types.delete('number'); // An integer is a number - not a contradiction
+            }
+            const requiredness = new Set(bySection.map(entry => entry.field.required).filter(value => value !== null));
+            if (types.size < 2 && requiredness.size < 2) return;
+
+            const { entity, field } = bySection[0];
+            const subject = `${entity.name}.${field.name}`;
+            const differences = [];
+            if (types.size > 1) differences.push(`types ${Array.from(types).join(' vs ')}`);
+            if (requiredness.size > 1) differences.push('required vs optional');
+
+            conflicts.push({
+                type: ConflictDetectionService.ConflictType.ENTITY_FIELD,
+                subject,
+                description: `Field "${subject}" is defined inconsistently (${differences.join('; ')}) in ${this._sectionList(bySection)}`,
+                sections: bySection.map(entry => ({
+                    sectionId: entry.source.sectionId,
+                    sectionName: entry.source.sectionName,
+                    detail: `${entry.field.name}: ${entry.field.rawType || 'untyped'}${entry.field.required === null ? '' : ` (${entry.field.required ? 'required' : 'optional'})`}`
+                }))
+            });
+        });
+
+        return conflicts;
+    }
+
+    /**
+     * Same Feature ID used for features with different names or goals
+     * @private
+     */
+    _findFeatureIdConflicts(sources) {
+        const conflicts = [];
+        const byId = new Map(); // normalized id -> [{ source, feature }]
+
+        sources.forEach(source => {
+            source.facts.features.forEach(feature => {
+                const key = feature.id.toLowerCase();
+                if (!byId.has(key)) byId.set(key, []);
+                byId.get(key).push({ source, feature });
+            });
+        });
+
+        byId.forEach(entries => {
+            if (entries.length < 2) return;
+            const reference = entries[0].feature;
+            const differing = entries.filter(entry => !this._sameFeature(reference, entry.feature));
+            if (differing.length === 0) return;
+
+            const involved = [entries[0], ...differing];
+            const sameSection = involved.every(entry => entry.source === involved[0].source);
+            conflicts.push({
+                type: ConflictDetectionService.ConflictType.DUPLICATE_FEATURE_ID,
+                subject: reference.id,
+                description: `Feature ID "${reference.id}" is used for different features ` +
+                    `(${involved.map(entry => `"${entry.feature.name || entry.feature.goal || 'unnamed'}"`).join(' vs ')})` +
+                    (sameSection ? ` within ${involved[0].source.sectionName}` : ` in ${this._sectionList(involved)}`),
+                sections: involved.map(entry => ({
+                    sectionId: entry.source.sectionId,
+                    sectionName: entry.source.sectionName,
+                    detail: entry.feature.goal ? `${entry.feature.name} - ${entry.feature.goal}` : entry.feature.name
+                }))
+            });
+        });
+
+        return conflicts;
+    }
+
+    /**
+     * State names that only differ in spelling, and differing state sets for the same feature
+     * @private
+     */
+    _findStateNameConflicts(sources) {
+        const conflicts = [];
+
+        // 1. Same state spelled differently across sections (e.g. "InProgress" vs "in_progress")
+        const spellings = new Map(); // normalized name -> Map(spelling -> [source])
+        sources.forEach(source => {
+            source.facts.states.forEach(state => {
+                const key = this._normalizeName(state.name);
+                if (!key) return;
+                if (!spellings.has(key)) spellings.set(key, new Map());
+                const variants = spellings.get(key);
+                if (!variants.has(state.name)) variants.set(state.name, new Set());
+                variants.get(state.name).add(source);
+            });
+        });
+
+        spellings.forEach(variants => {
+            if (variants.size < 2) return;
+            const involvedSources = new Set();
+            variants.forEach(sectionSources => sectionSources.forEach(source => involvedSources.add(source)));
+            if (involvedSources.size < 2) return;
+
+            const names = Array.from(variants.keys());
+            conflicts.push({
+                type: ConflictDetectionService.ConflictType.STATE_NAME,
+                subject: names[0],
+                description: `State is named inconsistently (${names.map(name => `"${name}"`).join(' vs ')}) in ${this._sectionList(Array.from(involvedSources).map(source => ({ source })))}`,
+                sections: Array.from(involvedSources).map(source => ({
+                    sectionId: source.sectionId,
+                    sectionName: source.sectionName,
+                    detail: names.filter(name => variants.get(name).has(source)).join(', ')
+                }))
+            });
+        });
+
+        // 2. Same feature, different state sets
+        const stateSets = new Map(); // feature id -> [{ source, keys: Map key -> name }]
+        sources.forEach(source => {
+            const perFeature = new Map();
+            source.facts.states.forEach(state => {
+                if (!state.featureId) return;
+                const featureKey = state.featureId.toLowerCase();
+                if (!perFeature.has(featureKey)) perFeature.set(featureKey, { featureId: state.featureId, keys: new Map() });
+                perFeature.get(featureKey).keys.set(this._normalizeName(state.name), state.name);
+            });
+            perFeature.forEach((entry, featureKey) => {
+                if (!stateSets.has(featureKey)) stateSets.set(featureKey, []);
+                stateSets.get(featureKey).push({ source, ...entry });
+            });
+        });
+
+        stateSets.forEach(entries => {
+            const sets = entries.filter(entry => entry.keys.size >= 2);
+            for (let i = 0; i < sets.length; i++) {
+                for (let j = i + 1; j < sets.length; j++) {
+                    const a = sets[i];
+                    const b = sets[j];
+                    const onlyA = Array.from(a.keys.keys()).filter(key => !b.keys.has(key)).map(key => a.keys.get(key));
+                    const onlyB = Array.from(b.keys.keys()).filter(key => !a.keys.has(key)).map(key => b.keys.get(key));
+                    if (onlyA.length === 0 || onlyB.length === 0) continue;
+
+                    conflicts.push({
+                        type: ConflictDetectionService.ConflictType.STATE_NAME,
+                        subject: a.featureId,
+                        description: `Incompatible states for feature "${a.featureId}": ${a.source.sectionName} uses ${onlyA.join(', ')}; ` +
+                            `${b.source.sectionName} uses ${onlyB.join(', ')}`,
+                        sections: [
+                            { sectionId: a.source.sectionId, sectionName: a.source.sectionName, detail: Array.from(a.keys.values()).join(', ') },
+                            { sectionId: b.source.sectionId, sectionName: b.source.sectionName, detail: Array.from(b.keys.values()).join(', ') }
+                        ]
+                    });
+                }
+            }
+        });
+
+        return conflicts;
+    }
+
+    /**
+     * Parse "- name: type (required/optional, default: x)" property lines
+     * @private
+     * @returns {{name: string, type: string|null, rawType: string, required: boolean|null}|null}
+     */
+    _parseFieldLine(line) {
+        const match = line.match(/^\s*[-*]\s+`?([A-Za-z_][\w.]*)`?\s*:\s*(.*)$/);
+        if (!match) return null;
+
+        const rest = this._stripMarkup(match[2]);
+        const rawType = rest.split(/\s*\(|,|\s[—-]\s/)[0].trim();
+        const qualifiers = (rest.match(/\(([^)]*)\)/) || [])[1] || '';
+        let required = null;
+        if (/\boptional\b/i.test(qualifiers) || /\?$/.test(rawType)) {
+            required = false;
+        } else if (/\brequired\b/i.test(qualifiers)) {
+            required = true;
+        }
+
+        return {
+            name: match[1],
+            rawType,
+            type: this._normalizeType(rawType),
+            required
+        };
+    }
+
+    /**
+     * @private
+     */
+    _normalizeType(rawType) {
+        if (!rawType) return null;
+        let type = rawType.toLowerCase().replace(/\?$/, '').replace(/\s+/g, '');
+        // string[] / array<string> / list of strings all mean an array
+        if (/\[\]$/.test(type) || /^(array|list)(<|of)/.test(type)) {
+            return 'array';
+        }
+        type = type.replace(/[^a-z]/g, '');
+        return ConflictDetectionService.TYPE_ALIASES[type] || type || null;
+    }
+
+    /**
+     * Lowercase alphanumerics only ("In Progress", "in_progress" and "InProgress" compare equal)
+     * @private
+     */
+    _normalizeName(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * @private
+     */
+    _stripMarkup(text) {
+        return String(text || '').replace(/[`*]/g, '').trim();
+    }
+
+    /**
+     * Two features are the same if their names (or goals) share most of their words
+     * @private
+     */
+    _sameFeature(a, b) {
+        const similar = (x, y) => {
+            if (!x || !y) return null;
+            if (this._normalizeName(x) === this._normalizeName(y)) return true;
+            const wordsX = new Set(x.toLowerCase().match(/[a-z0-9]+/g) || []);
+            const wordsY = new Set(y.toLowerCase().match(/[a-z0-9]+/g) || []);
+            const shared = Array.from(wordsX).filter(word => wordsY.has(word)).length;
+            const union = new Set([...wordsX, ...wordsY]).size;
+            return union > 0 && shared / union >= 0.5;
+        };
+
+        const byName = similar(a.name, b.name);
+        if (byName !== null) return byName;
+        const byGoal = similar(a.goal, b.goal);
+        return byGoal !== null ? byGoal : true; // Nothing to compare - not a conflict
+    }
+
+    /**
+     * Keep the first entry per section (a section repeating itself is not a cross-agent conflict)
+     * @private
+     */
+    _firstPerSection(entries) {
+        const seen = new Set();
+        return entries.filter(entry => {
+            if (seen.has(entry.source.sectionId)) return false;
+            seen.add(entry.source.sectionId);
+            return true;
+        });
+    }
+
+    /**
+     * @private
+     */
+    _sectionList(entries) {
+        const names = [];
+        entries.forEach(entry => {
+            if (!names.includes(entry.source.sectionName)) names.push(entry.source.sectionName);
+        });
+        return names.join(' and ');
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.ConflictDetectionService = ConflictDetectionService;
+}
@@ -0,0 +1,239 @@
+// Context Assembler - Fits prompt context under a token ceiling
+// Includes candidates by priority, excerpts or summarises what does not fit, and records what was dropped
+class ContextAssembler {
+    static DEFAULT_MAX_TOKENS = 24000;
+
+    // Parts smaller than this are not worth excerpting; the candidate is dropped instead
+    static MIN_PART_TOKENS = 150;
+
+    // Upper bound for a summary of an older output
+    static SUMMARY_TOKENS = 600;
+
+    static Mode = {
+        FULL: 'full',
+        EXCERPT: 'excerpt',
+        SUMMARY: 'summary'
+    };
+
+    static STOP_WORDS = new Set([
+        'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'has', 'have', 'had',
+        'was', 'were', 'will', 'with', 'this', 'that', 'from', 'they', 'them', 'then', 'than', 'into',
+        'what', 'when', 'which', 'who', 'how', 'its', 'our', 'your', 'their', 'there', 'these', 'those',
+        'should', 'would', 'could', 'each', 'step', 'please'
+    ]);
+
+    /**
+     * Estimate tokens (same estimate the token budget uses)
+     * @param {string} text - Text
+     * @returns {number}
+     */
+    static estimateTokens(text) {
+        if (typeof TokenBudgetService !== 'undefined') {
+            return TokenBudgetService.estimateTokens(text);
+        }
+        return Math.ceil(String(text || '').length / 4);
+    }
+
+    /**
+     * Lower-case word terms without stop words
+     * @param {string} text - Text
+     * @returns {string[]}
+     */
+    static tokenize(text) {
+        return (String(text || '').toLowerCase().match(/[a-z0-9_]{3,}/g) || [])
+            .filter(term => !ContextAssembler.STOP_WORDS.has(term));
+    }
+
+    /**
+     * Rank items by term overlap with a query (log term frequency; path matches count double)
+     * @param {Array<{path?: string, label?: string, content: string}>} items - Items to rank
+     * @param {string} query - Query text (step name, input, user message)
+     * @returns {Array} Items with a relevance property, most relevant first
+     */
+    static rankByRelevance(items, query) {
+        const queryTerms = [...new Set(ContextAssembler.tokenize(query))];
+        return items
+            .map((item, index) => {
+                const counts = new Map();
+                ContextAssembler.tokenize(item.content).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+                const nameTerms = new Set(ContextAssembler.tokenize(item.path || item.label || ''));
+                const relevance = queryTerms.reduce((score, term) =>
+                    score + Math.log(1 + (counts.get(term) || 0)) + (nameTerms.has(term) ? 2 : 0), 0);
+                return { ...item, relevance, _index: index };
+            })
+            .sort((a, b) => b.relevance - a.relevance || a._index - b._index)
+            .map(({ _index, ...item }) => item);
+    }
+
+    /**
+     * Excerpt the paragraphs most relevant to a query, kept in document order
+     * @param {string} text - Text
+     * @param {number} maxTokens - Token limit for the excerpt
+     * @param {string} query - Query text (empty keeps the opening paragraphs)
+     * @returns {string}
+     */
+    static excerpt(text, maxTokens, query = '') {
+        const paragraphs = String(text || '').split(/\n\s*\n/).filter(p => p.trim());
+        const ranked = query
+            ? ContextAssembler.rankByRelevance(paragraphs.map((content, index) => ({ content, index })), query)
+            : paragraphs.map((content, index) => ({ content, index }));
+
+        const separator = '\n\n[…]\n\n';
+        const separatorTokens = ContextAssembler.estimateTokens(separator);
+        const chosen = [];
+        let used = 0;
+        for (const paragraph of ranked) {
+            const tokens = ContextAssembler.estimateTokens(paragraph.content) + separatorTokens;
+            if (used + tokens > maxTokens) continue;
+            chosen.push(paragraph);
+            used += tokens;
+        }
+        if (chosen.length === 0 && paragraphs.length > 0) {
+            // A single paragraph larger than the limit: cut it
+            return paragraphs[0].substring(0, maxTokens * 4) + ' […]';
+        }
+
+        // Mark gaps where paragraphs were left out
+        return chosen
+            .sort((a, b) => a.index - b.index)
+            .map((paragraph, i, sorted) => (i > 0 && sorted[i - 1].index !== paragraph.index - 1 ? separator : (i > 0 ? '\n\n' : '')) + paragraph.content.trim())
+            .join('');
+    }
+
+    /**
+     * Extractive summary of a markdown output: headings plus the first line under each
+     * @param {string} text - Markdown text
+     * @param {number} maxTokens - Token limit for the summary
+     * @returns {string}
+     */
+    static summarize(text, maxTokens) {
+        const lines = String(text || '').split('\n');
+        const picked = [];
+        let takeNext = false;
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed) continue;
+            if (/^#{1,6}\s/.test(trimmed)) {
+                picked.push(trimmed);
+                takeNext = true;
+            } else if (takeNext || /^\s*[-*]\s+\*\*[^*]+\*\*/.test(line)) {
+                // First line of a section, and bold-labelled bullets (IDs, names, decisions)
+                picked.push(trimmed.length > 200 ? `${trimmed.substring(0, 200)}…` : trimmed);
+                takeNext = false;
+            }
+        }
+
+        const summary = [];
+        let used = 0;
+        for (const line of picked) {
+            const tokens = ContextAssembler.estimateTokens(line) + 1;
+            if (used + tokens > maxTokens) break;
+            summary.push(line);
+            used += tokens;
+        }
+        return summary.length > 0 ? summary.join('\n') : ContextAssembler.excerpt(text, maxTokens);
+    }
+
+    /**
+     * Fit candidates under the token ceiling
+     * Candidates are taken by priority (then relevance); one that does not fit is excerpted
+     * (or summarised) into the remaining space, or dropped
+     * @param {Array} candidates - [{ id, kind, label, content, priority, compress: 'excerpt'|'summary'|null,
+     *                              summarize: boolean (always summarise, e.g. older outputs), relevance? }]
+     * @param {object} options - { maxTokens, query }
+     * @returns {{maxTokens: number, usedTokens: number, included: Array, dropped: Array}}
+     *          included: candidates with mode, content, tokens and originalTokens; dropped: { id, kind, label, originalTokens, reason }
+     */
+    assemble(candidates, options = {}) {
+        const maxTokens = Math.max(0, Math.floor(options.maxTokens || ContextAssembler.DEFAULT_MAX_TOKENS));
+        const query = options.query || '';
+        const ordered = candidates
+            .filter(candidate => candidate.content && String(candidate.content).trim())
+            .map((candidate, index) => ({ ...candidate, _index: index }))
+            .sort((a, b) => (b.priority || 0) - (a.priority || 0) ||
+                (b.relevance || 0) - (a.relevance || 0) ||
+                a._index - b._index);
+
+        const included = [];
+        const dropped = [];
+        let remaining = maxTokens;
+
+        for (const { _index, ...candidate } of ordered) {
+            const originalTokens = ContextAssembler.estimateTokens(candidate.content);
+            let content = candidate.content;
+            let mode = ContextAssembler.Mode.FULL;
+
+            if (candidate.summarize) {
+                content = ContextAssembler.summarize(candidate.content, Math.min(ContextAssembler.SUMMARY_TOKENS, remaining));
+                mode = ContextAssembler.Mode.SUMMARY;
+            } else if (originalTokens > remaining && candidate.compress && remaining >= ContextAssembler.MIN_PART_TOKENS) {
+                content = candidate.compress === ContextAssembler.Mode.SUMMARY
+                    ? ContextAssembler.summarize(candidate.content, remaining)
+                    : ContextAssembler.excerpt(candidate.content, remaining, query);
+                mode = candidate.compress;
+            }
+
+            const tokens = ContextAssembler.estimateTokens(content);
+            if (!content.trim() || tokens > remaining) {
+                dropped.push({
+                    id: candidate.id,
+                    kind: candidate.kind,
+                    label: candidate.label,
+                    originalTokens: originalTokens,
+                    reason: candidate.compress || candidate.summarize
+                        ? `Only ${remaining} tokens left under the ${maxTokens}-token ceiling`
+                        : `Needs ${originalTokens} tokens, ${remaining} left under the ${maxTokens}-token ceiling`
+                });
+                continue;
+            }
+
+            included.push({ ...candidate, content, mode, tokens, originalTokens });
+            remaining -= tokens;
+        }
+
+        return { maxTokens, usedTokens: maxTokens - remaining, included, dropped };
+    }
+
+    /**
+     * Render an assembly as a context preview (what was included, compressed and dropped)
+     * @param {object} assembly - Result of assemble()
+     * @param {Function} escapeHtml - HTML escaper
+     * @returns {string} HTML string
+     */
+    static renderPreview(assembly, escapeHtml) {
+        if (!assembly) {
+            return '<div class="context-preview-empty">No context assembled yet</div>';
+        }
+
+        const row = (item, status, detail) => `
+            <div class="context-preview-item context-preview-mode-${status}">
+                <span class="context-preview-label">${escapeHtml(item.label)}</span>
+                <span class="context-preview-kind">${escapeHtml(item.kind)}</span>
+                <span class="context-preview-detail">${escapeHtml(detail)}</span>
+            </div>
+        `;
+
+        return `
+            <div class="context-preview">
+                <div class="context-preview-summary">
+                    ${assembly.usedTokens.toLocaleString()} / ${assembly.maxTokens.toLocaleString()} tokens ·
+                    ${assembly.included.length} included · ${assembly.dropped.length} dropped
+                </div>
+                ${assembly.included.map(item => row(item, item.mode,
+                    item.mode === ContextAssembler.Mode.FULL
+                        ? `${item.tokens.toLocaleString()} tokens`
+                        : `${item.mode}: ${item.tokens.toLocaleString()} of ${item.originalTokens.toLocaleString()} tokens`
+                )).join('')}
+                ${assembly.dropped.map(item => row(item, 'dropped', `dropped (${item.originalTokens.toLocaleString()} tokens): ${item.reason}`)).join('')}
+            </div>
+        `;
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof window !== 'undefined') {
+    window.ContextAssembler = ContextAssembler;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContextAssembler;
+}
@@ -0,0 +1,84 @@
+// File Watch Service - Follows a directory's file events pushed by the server (/api/watch/events)
+// The server debounces raw changes and only reports files whose size has settled; the stream reconnects on its own
+class FileWatchService {
+    static EVENTS = ['file-created', 'file-changed', 'file-deleted'];
+    static RECONNECT_DELAY = 2000;      // First retry after the stream drops
+    static MAX_RECONNECT_DELAY = 30000; // Retries back off up to this delay
+
+    /**
+     * Whether the browser can read a streamed response
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof fetch === 'function' && typeof ReadableStream !== 'undefined' && typeof AbortController !== 'undefined';
+    }
+
+    /**
+     * Follow a directory's file events until closed
+     * Every (re)connect starts with a snapshot of the directory, so changes missed while disconnected can be caught up
+     * @param {string} directory - Directory (as entered in the project)
+     * @param {object} callbacks - { onSnapshot(files), onEvent(type, file), onStatus(connected, error) }
+     *                             file: { directory, name, relativePath, path, size, lastModified }
+     * @returns {{close: Function}}
+     */
+    static subscribe(directory, callbacks = {}) {
+        let controller = null;
+        let closed = false;
+        let retryTimer = null;
+        let delay = FileWatchService.RECONNECT_DELAY;
+
+        const setStatus = (connected, error = null) => {
+            if (callbacks.onStatus) callbacks.onStatus(connected, error);
+        };
+
+        const connect = async () => {
+            controller = new AbortController();
+            try {
+                const response = await fetch('/api/watch/events', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ directory }),
+                    signal: controller.signal
+                });
+                if (!response.ok || !response.body) {
+                    const result = await response.json().catch(() => null);
+                    throw new Error((result && result.error) || `Server error: ${response.status} ${response.statusText}`);
+                }
+
+                await AgentStreamService.readEvents(response, (eventName, payload) => {
+                    if (eventName === 'snapshot') {
+                        delay = FileWatchService.RECONNECT_DELAY;
+                        setStatus(true);
+                        if (callbacks.onSnapshot) callbacks.onSnapshot(payload.files || []);
+                    } else if (FileWatchService.EVENTS.includes(eventName)) {
+                        if (callbacks.onEvent) callbacks.onEvent(eventName, payload);
+                    }
+                });
+                if (!closed) setStatus(false, new Error('File watch stream ended'));
+            } catch (error) {
+                if (closed) return;
+                setStatus(false, error);
+            }
+
+            if (!closed) {
+                retryTimer = setTimeout(connect, delay);
+                delay = Math.min(delay * 2, FileWatchService.MAX_RECONNECT_DELAY);
+            }
+        };
+
+        connect();
+
+        const close = () => {
+            closed = true;
+            clearTimeout(retryTimer);
+            if (controller) controller.abort();
+        };
+
+        return { close };
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.FileWatchService = FileWatchService;
+}
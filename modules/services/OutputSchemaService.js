@@ -0,0 +1,117 @@
+// Output Schema Service - Validates step outputs against the output schemas in pipeline-config.json (via the server,
+// which validates with Ajv) and stores the parsed structured data on the section next to the raw output
+class OutputSchemaService {
+    // Wait this long after the last output change before validating (typing, streamed updates)
+    static DEBOUNCE_MS = 800;
+
+    constructor(stateManager, eventSystem, pipelineConfig) {
+        this.stateManager = stateManager;
+        this.eventSystem = eventSystem;
+        this.pipelineConfig = pipelineConfig;
+        this.pending = new Map(); // "projectId:sectionId" → debounce timer
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Any output change (manual edit, automation, file watching) is validated again; updates that carry
+        // the validation result themselves are skipped
+        this.eventSystem.register(EventType.SECTION_UPDATED, (event) => {
+            const { projectId, sectionId, updates } = event.data || {};
+            if (!updates || typeof updates.output !== 'string' || 'structuredOutputErrors' in updates) {
+                return;
+            }
+            this.scheduleValidation(projectId, sectionId);
+        });
+    }
+
+    /**
+     * Validate a section's output after the debounce delay
+     * @param {string} projectId - Project ID
+     * @param {string} sectionId - Section ID
+     */
+    scheduleValidation(projectId, sectionId) {
+        const key = `${projectId}:${sectionId}`;
+        clearTimeout(this.pending.get(key));
+        this.pending.set(key, setTimeout(() => {
+            this.pending.delete(key);
+            this.validateSection(projectId, sectionId).catch(error => {
+                console.warn('Output schema validation failed:', sectionId, error);
+            });
+        }, OutputSchemaService.DEBOUNCE_MS));
+    }
+
+    /**
+     * Validate a section's output and store the result on the section
+     * (structuredOutput: parsed data or null, structuredOutputErrors: [] when valid)
+     * @param {string} projectId - Project ID
+     * @param {string} sectionId - Section ID
+     * @returns {Promise<object|null>} Validation result, or null when the step has no output schema
+     */
+    async validateSection(projectId, sectionId) {
+        const project = this.stateManager.getProject(projectId);
+        const section = project && project.sections.find(s => s.sectionId === sectionId);
+        if (!section) {
+            return null;
+        }
+        const result = await this.validate(section.stepName || section.sectionId, section.output || '');
+        if (!result) {
+            return null;
+        }
+        this.stateManager.updateSection(projectId, sectionId, OutputSchemaService.toSectionUpdates(result));
+        return result;
+    }
+
+    /**
+     * Validate an output against its step's schema
+     * @param {string} stepName - Step name
+     * @param {string} output - Step output
+     * @returns {Promise<{hasSchema: boolean, valid: boolean, data: *, errors: string[]}|null>} null when the step
+     *          has no output schema
+     * @throws {Error} If the server cannot validate the output
+     */
+    async validate(stepName, output) {
+        if (!(await this.hasSchema(stepName))) {
+            return null;
+        }
+        const response = await fetch('/api/validate-output', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ stepName, output })
+        });
+        const result = await response.json().catch(() => null);
+        if (!response.ok || !result || !result.success) {
+            throw new Error((result && result.error) || `Server error: ${response.status} ${response.statusText}`);
+        }
+        return result.data;
+    }
+
+    /**
+     * Whether a step declares an output schema
+     * @param {string} stepName - Step name
+     * @returns {Promise<boolean>}
+     */
+    async hasSchema(stepName) {
+        if (!this.pipelineConfig || !this.pipelineConfig.getOutputSchema) {
+            return false;
+        }
+        return Boolean(await this.pipelineConfig.getOutputSchema(stepName));
+    }
+
+    /**
+     * Section fields for a validation result
+     * @param {object} result - Result of validate()
+     * @returns {{structuredOutput: *, structuredOutputErrors: string[]}}
+     */
+    static toSectionUpdates(result) {
+        return {
+            structuredOutput: result.data === undefined ? null : result.data,
+            structuredOutputErrors: result.errors || []
+        };
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.OutputSchemaService = OutputSchemaService;
+}
@@ -0,0 +1,212 @@
+// Project Group Merge Service - Compares the project group about to be saved with the copy on the server and merges
+// the two per section, for saves refused because the file changed since it was loaded
+class ProjectGroupMergeService {
+    // Bookkeeping that changes with every edit and is not a difference on its own
+    static IGNORED_FIELDS = ['lastModified', 'revisions'];
+
+    // Section fields shown side by side in the merge dialog
+    static TEXT_FIELDS = ['input', 'output', 'notes', 'prompt', 'overrideInstructions'];
+
+    /**
+     * Whether a parsed file is a project group (a single exported project can only be kept or replaced whole)
+     * @param {object} data - Parsed file
+     * @returns {boolean}
+     */
+    static isProjectGroup(data) {
+        return Boolean(data) && Array.isArray(data.projects);
+    }
+
+    /**
+     * Projects and sections that differ between the two copies
+     * @param {object} local - State about to be saved
+     * @param {object} server - Copy on the server
+     * @returns {{comparable: boolean, projects: Array, differences: number}}
+     *          projects: [{ projectId, name, status, fields, sections: [{ sectionId, sectionName, status, fields }] }]
+     *          where status is 'changed', 'local-only' or 'server-only' and fields are the differing field names.
+     *          comparable is false when either copy is not a project group.
+     */
+    static diff(local, server) {
+        if (!this.isProjectGroup(local) || !this.isProjectGroup(server)) {
+            const same = this._changedFields(local || {}, server || {}).length === 0;
+            return { comparable: false, projects: [], differences: same ? 0 : 1 };
+        }
+
+        const serverProjects = new Map(server.projects.map(project => [project.id, project]));
+        const localIds = new Set(local.projects.map(project => project.id));
+        const projects = [];
+
+        local.projects.forEach(project => {
+            const other = serverProjects.get(project.id);
+            if (!other) {
+                projects.push({ projectId: project.id, name: project.name, status: 'local-only', fields: [], sections: [] });
+                return;
+            }
+            const fields = this._changedFields(project, other, ['sections']);
+            const sections = this._diffSections(project.sections || [], other.sections || []);
+            if (fields.length > 0 || sections.length > 0) {
+                projects.push({ projectId: project.id, name: project.name, status: 'changed', fields, sections });
+            }
+        });
+        server.projects
+            .filter(project => !localIds.has(project.id))
+            .forEach(project => {
+                projects.push({ projectId: project.id, name: project.name, status: 'server-only', fields: [], sections: [] });
+            });
+
+        const differences = projects.reduce((count, project) => count + (project.status === 'changed'
+            ? (project.fields.length > 0 ? 1 : 0) + project.sections.length
+            : 1), 0);
+        return { comparable: true, projects, differences };
+    }
+
+    /**
+     * Choice key of a project's own fields (or of a project only one copy has)
+     * @param {string} projectId - Project ID
+     * @returns {string}
+     */
+    static projectKey(projectId) {
+        return `project:${projectId}`;
+    }
+
+    /**
+     * Choice key of a section
+     * @param {string} projectId - Project ID
+     * @param {string} sectionId - Section ID
+     * @returns {string}
+     */
+    static sectionKey(projectId, sectionId) {
+        return `section:${projectId}:${sectionId}`;
+    }
+
+    /**
+     * Initial choices: your version of everything you have, and projects and sections only the server has
+     * @param {object} diff - Result of diff()
+     * @returns {Map<string, string>} key -> 'local' | 'server'
+     */
+    static defaultChoices(diff) {
+        const choices = new Map();
+        if (!diff.comparable) {
+            choices.set('file', 'local');
+            return choices;
+        }
+        diff.projects.forEach(project => {
+            choices.set(this.projectKey(project.projectId), project.status === 'server-only' ? 'server' : 'local');
+            project.sections.forEach(section => {
+                choices.set(this.sectionKey(project.projectId, section.sectionId), section.status === 'server-only' ? 'server' : 'local');
+            });
+        });
+        return choices;
+    }
+
+    /**
+     * Build the state to save from the choices
+     * 'local' keeps an item as it is in your copy and 'server' as it is on the server, including whether it exists.
+     * Group settings and metadata come from your copy.
+     * @param {object} local - State about to be saved
+     * @param {object} server - Copy on the server
+     * @param {object} diff - Result of diff()
+     * @param {Map<string, string>} choices - key -> 'local' | 'server'
+     * @returns {object} Merged state
+     */
+    static merge(local, server, diff, choices) {
+        const pick = (key) => choices.get(key) === 'server' ? 'server' : 'local';
+        if (!diff.comparable) {
+            return pick('file') === 'server' ? server : local;
+        }
+
+        const localProjects = new Map(local.projects.map(project => [project.id, project]));
+        const serverProjects = new Map(server.projects.map(project => [project.id, project]));
+        const entries = new Map(diff.projects.map(project => [project.projectId, project]));
+        const order = this._mergeOrder(local.projects.map(project => project.id), server.projects.map(project => project.id));
+
+        const projects = order.map(projectId => {
+            const entry = entries.get(projectId);
+            const localProject = localProjects.get(projectId);
+            const serverProject = serverProjects.get(projectId);
+            const choice = pick(this.projectKey(projectId));
+            if (!entry) {
+                return localProject; // Same apart from bookkeeping
+            }
+            if (entry.status !== 'changed') {
+                return choice === 'server' ? serverProject : localProject;
+            }
+
+            const sectionEntries = new Set(entry.sections.map(section => section.sectionId));
+            const localSections = new Map((localProject.sections || []).map(section => [section.sectionId, section]));
+            const serverSections = new Map((serverProject.sections || []).map(section => [section.sectionId, section]));
+            const sectionOrder = this._mergeOrder([...localSections.keys()], [...serverSections.keys()]);
+            const sections = sectionOrder
+                .map(sectionId => {
+                    if (!sectionEntries.has(sectionId)) {
+                        return localSections.get(sectionId);
+                    }
+                    return pick(this.sectionKey(projectId, sectionId)) === 'server'
+                        ? serverSections.get(sectionId)
+                        : localSections.get(sectionId);
+                })
+                .filter(Boolean);
+
+            return { ...(choice === 'server' ? serverProject : localProject), sections };
+        }).filter(Boolean);
+
+        return { ...local, projects };
+    }
+
+    /**
+     * Your order, with the IDs only the server has placed after their predecessor in the server's order
+     * @private
+     */
+    static _mergeOrder(localIds, serverIds) {
+        const order = [...localIds];
+        serverIds.forEach((id, index) => {
+            if (order.includes(id)) return;
+            const previous = index > 0 ? order.indexOf(serverIds[index - 1]) : -1;
+            order.splice(previous + 1, 0, id);
+        });
+        return order;
+    }
+
+    /**
+     * @private
+     */
+    static _diffSections(localSections, serverSections) {
+        const serverById = new Map(serverSections.map(section => [section.sectionId, section]));
+        const localIds = new Set(localSections.map(section => section.sectionId));
+        const sections = [];
+
+        localSections.forEach(section => {
+            const other = serverById.get(section.sectionId);
+            if (!other) {
+                sections.push({ sectionId: section.sectionId, sectionName: section.sectionName, status: 'local-only', fields: [] });
+                return;
+            }
+            const fields = this._changedFields(section, other);
+            if (fields.length > 0) {
+                sections.push({ sectionId: section.sectionId, sectionName: section.sectionName, status: 'changed', fields });
+            }
+        });
+        serverSections
+            .filter(section => !localIds.has(section.sectionId))
+            .forEach(section => {
+                sections.push({ sectionId: section.sectionId, sectionName: section.sectionName, status: 'server-only', fields: [] });
+            });
+        return sections;
+    }
+
+    /**
+     * @private
+     */
+    static _changedFields(a, b, skip = []) {
+        const ignored = new Set([...this.IGNORED_FIELDS, ...skip]);
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...keys].filter(key => !ignored.has(key) && JSON.stringify(a[key]) !== JSON.stringify(b[key]));
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof window !== 'undefined') {
+    window.ProjectGroupMergeService = ProjectGroupMergeService;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectGroupMergeService;
+}
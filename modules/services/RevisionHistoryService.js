@@ -0,0 +1,299 @@
+// Revision History Service - Per-section revisions of output, input and prompt with line diffs
+// Revisions live on the section (section.revisions) so they are saved with the project group file
+class RevisionHistoryService {
+    static Source = {
+        MANUAL: 'manual',
+        FILE_WATCHING: 'file-watching',
+        CURSOR_CLI: 'cursor-cli',
+        MULTI_AGENT: 'multi-agent',
+        REFINEMENT: 'refinement',
+        RESTORE: 'restore',
+        AB_RUN: 'ab-run',
+        COLLABORATION: 'collaboration',
+        INITIAL: 'initial'
+    };
+
+    static SOURCE_LABELS = {
+        'manual': 'Manual edit',
+        'file-watching': 'File watching',
+        'cursor-cli': 'Cursor CLI',
+        'multi-agent': 'Multi-agent',
+        'refinement': 'Refinement',
+        'restore': 'Restore',
+        'ab-run': 'A/B run',
+        'collaboration': 'Collaborator',
+        'initial': 'Before history'
+    };
+
+    static TRACKED_FIELDS = ['output', 'input', 'prompt'];
+
+    // Oldest revisions beyond this are dropped, per field
+    static MAX_REVISIONS_PER_FIELD = 20;
+
+    // Manual edits arrive once per keystroke; edits within this window update the same revision
+    static COALESCE_MS = 2 * 60 * 1000;
+
+    // Larger changed regions are shown as a full replacement instead of a line-by-line diff
+    static MAX_DIFF_CELLS = 4000000;
+
+    // Unchanged lines shown around each change in a diff
+    static CONTEXT_LINES = 3;
+
+    /**
+     * Build the section's revision list after an update
+     * The value a field had before its first tracked change is kept as an 'initial' revision
+     * @param {object} section - Section before the update
+     * @param {object} updates - Updates about to be applied
+     * @param {string} source - Revision source (see Source)
+     * @returns {Array|null} New revisions array, or null when no tracked field changes
+     */
+    static record(section, updates, source = RevisionHistoryService.Source.MANUAL) {
+        const Source = RevisionHistoryService.Source;
+        const changed = RevisionHistoryService.TRACKED_FIELDS.filter(field =>
+            typeof updates[field] === 'string' && updates[field] !== (section[field] || ''));
+        if (changed.length === 0) return null;
+
+        const now = new Date();
+        const revisions = [...(section.revisions || [])];
+
+        changed.forEach(field => {
+            const latest = RevisionHistoryService.getRevisions({ revisions }, field)[0];
+            const previous = section[field] || '';
+
+            if (!latest && previous.trim()) {
+                revisions.push(RevisionHistoryService._createRevision(field, previous, Source.INITIAL,
+                    section.lastModified || now.toISOString()));
+            }
+
+            const coalesce = latest && source === Source.MANUAL && latest.source === Source.MANUAL &&
+                now.getTime() - new Date(latest.timestamp).getTime() < RevisionHistoryService.COALESCE_MS;
+            if (coalesce) {
+                revisions[revisions.indexOf(latest)] = { ...latest, value: updates[field], timestamp: now.toISOString() };
+            } else {
+                revisions.push(RevisionHistoryService._createRevision(field, updates[field], source, now.toISOString()));
+            }
+        });
+
+        return RevisionHistoryService._prune(revisions);
+    }
+
+    /**
+     * Revisions of one field, newest first
+     * @param {object} section - Section
+     * @param {string} field - 'output', 'input' or 'prompt'
+     * @returns {Array}
+     */
+    static getRevisions(section, field) {
+        return ((section && section.revisions) || [])
+            .filter(revision => revision.field === field)
+            .reverse();
+    }
+
+    /**
+     * The revision of the same field recorded before the given one
+     * @param {object} section - Section
+     * @param {object} revision - Revision
+     * @returns {object|null}
+     */
+    static getPreviousRevision(section, revision) {
+        const revisions = RevisionHistoryService.getRevisions(section, revision.field);
+        const index = revisions.findIndex(candidate => candidate.id === revision.id);
+        return index >= 0 ? revisions[index + 1] || null : null;
+    }
+
+    /**
+     * Display label for a revision source
+     * @param {string} source - Revision source
+     * @returns {string}
+     */
+    static describeSource(source) {
+        return RevisionHistoryService.SOURCE_LABELS[source] || source || 'Unknown';
+    }
+
+    /**
+     * Side-by-side line diff
+     * @param {string} before - Left text
+     * @param {string} after - Right text
+     * @returns {{rows: Array, added: number, removed: number}} rows: [{ type: 'same'|'changed'|'removed'|'added',
+     *          left: { number, text }|null, right: { number, text }|null }]
+     */
+    static diffLines(before, after) {
+        const a = String(before || '').split('\n');
+        const b = String(after || '').split('\n');
+
+        // Only the region between the common prefix and suffix needs a real diff
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const ops = [];
+        for (let i = 0; i < start; i++) ops.push({ type: 'same', a: i, b: i });
+        ops.push(...RevisionHistoryService._diffRegion(a, b, start, endA, start, endB));
+        for (let i = 0; i < a.length - endA; i++) ops.push({ type: 'same', a: endA + i, b: endB + i });
+
+        const rows = [];
+        let added = 0;
+        let removed = 0;
+        let pendingRemoved = [];
+        let pendingAdded = [];
+        const line = (lines, index) => ({ number: index + 1, text: lines[index] });
+        const flush = () => {
+            const count = Math.max(pendingRemoved.length, pendingAdded.length);
+            for (let i = 0; i < count; i++) {
+                const left = i < pendingRemoved.length ? line(a, pendingRemoved[i]) : null;
+                const right = i < pendingAdded.length ? line(b, pendingAdded[i]) : null;
+                rows.push({ type: left && right ? 'changed' : (left ? 'removed' : 'added'), left, right });
+            }
+            removed += pendingRemoved.length;
+            added += pendingAdded.length;
+            pendingRemoved = [];
+            pendingAdded = [];
+        };
+
+        ops.forEach(op => {
+            if (op.type === 'removed') {
+                pendingRemoved.push(op.a);
+            } else if (op.type === 'added') {
+                pendingAdded.push(op.b);
+            } else {
+                flush();
+                rows.push({ type: 'same', left: line(a, op.a), right: line(b, op.b) });
+            }
+        });
+        flush();
+
+        return { rows, added, removed };
+    }
+
+    /**
+     * Render a diff as a side-by-side table; long unchanged runs are folded
+     * @param {object} diff - Result of diffLines()
+     * @param {Function} escapeHtml - HTML escaper
+     * @returns {string} HTML string
+     */
+    static renderDiff(diff, escapeHtml) {
+        if (diff.added === 0 && diff.removed === 0) {
+            return '<div class="revision-diff-empty">No differences</div>';
+        }
+
+        const context = RevisionHistoryService.CONTEXT_LINES;
+        const changedIndexes = diff.rows.map((row, index) => row.type === 'same' ? -1 : index).filter(index => index >= 0);
+        const visible = new Set();
+        changedIndexes.forEach(index => {
+            for (let i = Math.max(0, index - context); i <= Math.min(diff.rows.length - 1, index + context); i++) {
+                visible.add(i);
+            }
+        });
+
+        const cell = (side) => side
+            ? `<td class="revision-diff-number">${side.number}</td><td class="revision-diff-text">${escapeHtml(side.text) || '&nbsp;'}</td>`
+            : '<td class="revision-diff-number"></td><td class="revision-diff-text"></td>';
+
+        let html = '';
+        let folded = 0;
+        diff.rows.forEach((row, index) => {
+            if (!visible.has(index)) {
+                folded++;
+                return;
+            }
+            if (folded > 0) {
+                html += `<tr class="revision-diff-fold"><td colspan="4">… ${folded} unchanged line${folded === 1 ? '' : 's'} …</td></tr>`;
+                folded = 0;
+            }
+            html += `<tr class="revision-diff-${row.type}">${cell(row.left)}${cell(row.right)}</tr>`;
+        });
+        if (folded > 0) {
+            html += `<tr class="revision-diff-fold"><td colspan="4">… ${folded} unchanged line${folded === 1 ? '' : 's'} …</td></tr>`;
+        }
+
+        return `<table class="revision-diff"><tbody>${html}</tbody></table>`;
+    }
+
+    /**
+     * Longest-common-subsequence diff of a[startA..endA) against b[startB..endB)
+     * @private
+     */
+    static _diffRegion(a, b, startA, endA, startB, endB) {
+        const n = endA - startA;
+        const m = endB - startB;
+        const ops = [];
+
+        if (n * m > RevisionHistoryService.MAX_DIFF_CELLS) {
+            for (let i = startA; i < endA; i++) ops.push({ type: 'removed', a: i });
+            for (let j = startB; j < endB; j++) ops.push({ type: 'added', b: j });
+            return ops;
+        }
+
+        // lengths[i * (m + 1) + j] = LCS length of a[startA + i..endA) and b[startB + j..endB)
+        const width = m + 1;
+        const lengths = new Uint16Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[startA + i] === b[startB + j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (a[startA + i] === b[startB + j]) {
+                ops.push({ type: 'same', a: startA + i, b: startB + j });
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                ops.push({ type: 'removed', a: startA + i });
+                i++;
+            } else {
+                ops.push({ type: 'added', b: startB + j });
+                j++;
+            }
+        }
+        for (; i < n; i++) ops.push({ type: 'removed', a: startA + i });
+        for (; j < m; j++) ops.push({ type: 'added', b: startB + j });
+        return ops;
+    }
+
+    /**
+     * @private
+     */
+    static _createRevision(field, value, source, timestamp) {
+        return {
+            id: `rev-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            field: field,
+            value: value,
+            source: source,
+            timestamp: timestamp
+        };
+    }
+
+    /**
+     * Keep the newest MAX_REVISIONS_PER_FIELD revisions of each field
+     * @private
+     */
+    static _prune(revisions) {
+        const counts = {};
+        return revisions
+            .slice()
+            .reverse()
+            .filter(revision => {
+                counts[revision.field] = (counts[revision.field] || 0) + 1;
+                return counts[revision.field] <= RevisionHistoryService.MAX_REVISIONS_PER_FIELD;
+            })
+            .reverse();
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof window !== 'undefined') {
+    window.RevisionHistoryService = RevisionHistoryService;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RevisionHistoryService;
+}
@@ -0,0 +1,168 @@
+// Rubric Scorer - Deterministic, step-aware quality scoring of step outputs
+// Applies a rubric from pipeline-config.json using the SpecQualityChecker checks
+const SpecQualityCheckerClass = (typeof window !== 'undefined' && window.SpecQualityChecker)
+    ? window.SpecQualityChecker
+    : require('../../tools/spec-quality-checker.js');
+
+class RubricScorer {
+    // Used when the config has no rubric for the step
+    static DEFAULT_RUBRIC = {
+        threshold: 0.8,
+        ruleWeight: 0.5,
+        minWords: 150,
+        maxVagueLineRatio: 0.1,
+        allowPlaceholders: false,
+        requiredSections: [],
+        coverage: {}
+    };
+
+    // Failed-item details list at most this many offending lines
+    static MAX_EXAMPLES = 3;
+
+    // ID of the rubric item added for a step with an output schema
+    static SCHEMA_ITEM_ID = 'schema';
+
+    constructor() {
+        this.checker = new SpecQualityCheckerClass();
+    }
+
+    /**
+     * Score an output against a rubric
+     * @param {string} output - Step output (markdown)
+     * @param {object} rubric - { requiredSections, coverage: { label: pattern }, minWords, maxVagueLineRatio,
+     *                           allowPlaceholders, threshold, ruleWeight }
+     * @param {object|null} [schemaResult] - Output schema validation ({ hasSchema, valid, errors }); adds a schema item
+     * @returns {{score: number, items: Array, failedItems: Array}} score is 0-1 (passed weight / total weight);
+     *          items: [{ id, label, passed, detail }]
+     */
+    score(output, rubric = {}, schemaResult = null) {
+        const text = typeof output === 'string' ? output : '';
+        const settings = { ...RubricScorer.DEFAULT_RUBRIC, ...rubric };
+        const items = [];
+
+        const missingSections = this.checker.findMissingSections(text, settings.requiredSections || []);
+        (settings.requiredSections || []).forEach(section => {
+            const missing = missingSections.includes(section);
+            items.push({
+                id: `section:${section}`,
+                label: `Section "${section}"`,
+                passed: !missing,
+                detail: missing ? 'Required heading not found' : ''
+            });
+        });
+
+        const coverage = settings.coverage || {};
+        const missingTopics = this.checker.findMissingTopics(text, Object.values(coverage));
+        Object.entries(coverage).forEach(([label, pattern]) => {
+            const missing = missingTopics.includes(pattern);
+            items.push({
+                id: `coverage:${label}`,
+                label: `Covers ${label}`,
+                passed: !missing,
+                detail: missing ? 'Not mentioned in the output' : ''
+            });
+        });
+
+        const wordCount = (text.match(/\S+/g) || []).length;
+        items.push({
+            id: 'length',
+            label: `At least ${settings.minWords} words`,
+            passed: wordCount >= settings.minWords,
+            detail: `${wordCount} words`
+        });
+
+        const lineCount = text.split('\n').filter(line => line.trim()).length;
+        const vagueMatches = this.checker.findVagueTerms(text);
+        const vagueLines = new Set(vagueMatches.map(match => match.line)).size;
+        const vagueRatio = lineCount > 0 ? vagueLines / lineCount : 0;
+        const vagueTerms = [...new Set(vagueMatches.map(match => match.term))];
+        items.push({
+            id: 'vague-terms',
+            label: `Vague terms on at most ${Math.round(settings.maxVagueLineRatio * 100)}% of lines`,
+            passed: vagueRatio <= settings.maxVagueLineRatio,
+            detail: vagueLines > 0
+                ? `${vagueLines} of ${lineCount} lines (${vagueTerms.slice(0, 5).map(term => `"${term}"`).join(', ')})`
+                : ''
+        });
+
+        if (!settings.allowPlaceholders) {
+            const placeholders = this.checker.findPlaceholders(text);
+            items.push({
+                id: 'placeholders',
+                label: 'No placeholders or TODO markers',
+                passed: placeholders.length === 0,
+                detail: placeholders.length > 0
+                    ? `Line ${placeholders.slice(0, RubricScorer.MAX_EXAMPLES).map(match => `${match.line}: ${match.context}`).join('; line ')}`
+                    : ''
+            });
+        }
+
+        if (schemaResult && schemaResult.hasSchema) {
+            items.push({
+                id: RubricScorer.SCHEMA_ITEM_ID,
+                label: 'Structured output matches the output schema',
+                passed: schemaResult.valid,
+                detail: schemaResult.valid ? '' : schemaResult.errors.join('; ')
+            });
+        }
+
+        const passedCount = items.filter(item => item.passed).length;
+        return {
+            score: items.length > 0 ? passedCount / items.length : 1,
+            items: items,
+            failedItems: items.filter(item => !item.passed)
+        };
+    }
+
+    /**
+     * Combine the rubric score with an LLM evaluation
+     * When the LLM evaluation is unavailable the rubric score is used on its own
+     * @param {object} ruleResult - Result of score()
+     * @param {object|null} llmResult - { score, feedback, issues } or null
+     * @param {object} rubric - Rubric (ruleWeight, threshold)
+     * @returns {{score: number, ruleScore: number, llmScore: number|null, threshold: number,
+     *            feedback: string, issues: string[], rubricItems: Array, failedItems: Array}}
+     */
+    static combine(ruleResult, llmResult, rubric = {}) {
+        const settings = { ...RubricScorer.DEFAULT_RUBRIC, ...rubric };
+        const ruleWeight = Math.max(0, Math.min(1, settings.ruleWeight));
+        const llmScore = llmResult && typeof llmResult.score === 'number' ? llmResult.score : null;
+        const score = llmScore === null
+            ? ruleResult.score
+            : ruleResult.score * ruleWeight + llmScore * (1 - ruleWeight);
+
+        const rubricIssues = ruleResult.failedItems.map(item => item.detail ? `${item.label}: ${item.detail}` : item.label);
+        const feedback = [
+            `Rubric: ${ruleResult.items.length - ruleResult.failedItems.length}/${ruleResult.items.length} items passed.`,
+            llmResult && llmResult.feedback ? llmResult.feedback : ''
+        ].filter(Boolean).join(' ');
+
+        return {
+            score: score,
+            ruleScore: ruleResult.score,
+            llmScore: llmScore,
+            threshold: settings.threshold,
+            feedback: feedback,
+            issues: [...rubricIssues, ...((llmResult && llmResult.issues) || [])],
+            rubricItems: ruleResult.items,
+            failedItems: ruleResult.failedItems
+        };
+    }
+
+    /**
+     * Whether a result failed its output schema item (a schema failure fails the step whatever the score)
+     * @param {object} result - Result of score() or combine()
+     * @returns {boolean}
+     */
+    static failedSchema(result) {
+        return (result.failedItems || []).some(item => item.id === RubricScorer.SCHEMA_ITEM_ID);
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof window !== 'undefined') {
+    window.RubricScorer = RubricScorer;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RubricScorer;
+}
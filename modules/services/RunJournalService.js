@@ -0,0 +1,285 @@
+// Run Journal Service - Records automation runs in the server's run journal (/api/journal/*) and reads them back
+// Events are batched and sent in order; a journal that cannot be reached is logged and never interrupts a run
+class RunJournalService {
+    static FLUSH_DELAY = 1000; // Events recorded within this time are sent together
+
+    // Event types and their labels (filters, timeline and exports)
+    static EVENT_TYPES = {
+        'run-started': 'Run started',
+        'run-finished': 'Run finished',
+        'step-started': 'Step started',
+        'prompt-sent': 'Prompt sent',
+        'output-received': 'Output received',
+        'score': 'Score',
+        'refinement': 'Refinement',
+        'file-detected': 'File detected',
+        'file-saved': 'Output saved',
+        'step-completed': 'Step completed',
+        'step-failed': 'Step failed',
+        'iteration': 'Iteration',
+        'synthesis': 'Synthesis',
+        'conflict': 'Conflict',
+        'activity': 'Activity',
+        'log': 'Log'
+    };
+
+    constructor(stateManager, eventSystem) {
+        this.stateManager = stateManager;
+        this.eventSystem = eventSystem;
+        this.pending = new Map(); // runId -> events not sent yet
+        this.flushTimer = null;
+        this.queue = Promise.resolve(); // Requests go one after another so a run's events arrive in order
+        this.activeRuns = new Map(); // runId -> projectId of runs started here and not ended yet
+        this.fileWatchRun = null; // { runId, projectId } of the running file-watching automation
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // File-watching automation has no run loop of its own; its run spans AUTOMATION_STARTED to AUTOMATION_STOPPED
+        this.eventSystem.register(EventType.AUTOMATION_STARTED, (event) => {
+            if (event.source !== 'AutomationSystem') return;
+            const { projectId, sectionId } = event.data;
+            if (!this.fileWatchRun || this.fileWatchRun.projectId !== projectId) {
+                this._endFileWatchRun();
+                this.fileWatchRun = { projectId, runId: this.startRun(projectId, 'file-watching') };
+            }
+            this.record(this.fileWatchRun.runId, 'step-started', { section: this._section(projectId, sectionId) });
+        });
+
+        this.eventSystem.register(EventType.AUTOMATION_STOPPED, (event) => {
+            if (event.source === 'AutomationSystem') {
+                this._endFileWatchRun();
+            }
+        });
+
+        this.eventSystem.register(EventType.AUTOMATION_FILE_DETECTED, (event) => {
+            const run = this._fileWatchRunFor(event.data.projectId);
+            if (!run) return;
+            const { sectionId, fileName, directory } = event.data;
+            this.record(run.runId, 'file-detected', {
+                section: this._section(event.data.projectId, sectionId) || { sectionId },
+                message: `Detected ${fileName}`,
+                data: { fileName, directory: directory || null }
+            });
+        });
+
+        this.eventSystem.register(EventType.AUTOMATION_SECTION_COMPLETE, (event) => {
+            const run = this._fileWatchRunFor(event.data.projectId);
+            if (!run) return;
+            const section = this._section(event.data.projectId, event.data.sectionId);
+            const output = (section && section.output) || '';
+            this.record(run.runId, 'output-received', {
+                section,
+                message: `Output received from ${event.data.fileCount || 1} file(s) (${output.length} characters)`,
+                data: { output, fileCount: event.data.fileCount || 1 }
+            });
+            this.record(run.runId, 'step-completed', { section, data: { fileCount: event.data.fileCount || 1 } });
+        });
+    }
+
+    /**
+     * Start a journal run
+     * @param {string} projectId - Project ID
+     * @param {string} engine - Automation engine (multi-agent, file-watching, ...)
+     * @param {string} [label] - Shown in the run list
+     * @returns {string} Run ID used to record events
+     */
+    startRun(projectId, engine, label = null) {
+        const project = this.stateManager.getProject(projectId);
+        const runId = `run-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+        this._send('/api/journal/start', {
+            runId,
+            projectId,
+            projectName: project ? project.name : null,
+            engine,
+            label: label || `${project ? project.name : projectId} (${engine})`
+        });
+        this.activeRuns.set(runId, projectId);
+        this.record(runId, 'run-started', {
+            message: `${engine} automation started`,
+            data: { engine, steps: project ? (project.sections || []).length : 0 }
+        });
+        return runId;
+    }
+
+    /**
+     * Record an event (sent with the next batch)
+     * @param {string} runId - Run ID from startRun
+     * @param {string} type - One of EVENT_TYPES
+     * @param {object} details - { section, message, data } where section is the section object (or { sectionId })
+     */
+    record(runId, type, details = {}) {
+        if (!runId) return;
+        const section = details.section || null;
+        const event = {
+            type,
+            timestamp: new Date().toISOString(),
+            sectionId: section ? section.sectionId : null,
+            sectionName: section ? (section.sectionName || section.sectionId) : null,
+            message: details.message || (section
+                ? `${RunJournalService.EVENT_TYPES[type] || type}: ${section.sectionName || section.sectionId}`
+                : (RunJournalService.EVENT_TYPES[type] || type)),
+            data: details.data || null
+        };
+
+        if (!this.pending.has(runId)) {
+            this.pending.set(runId, []);
+        }
+        this.pending.get(runId).push(event);
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), RunJournalService.FLUSH_DELAY);
+        }
+    }
+
+    /**
+     * Finish a run (pending events are sent first)
+     * @param {string} runId - Run ID
+     * @param {string} status - completed, failed or stopped
+     * @param {string} [summary] - Shown in the run list
+     * @param {object} [data] - More details for the run-finished event (e.g. tokenUsage)
+     */
+    endRun(runId, status, summary = null, data = {}) {
+        if (!runId) return;
+        this.activeRuns.delete(runId);
+        this.record(runId, 'run-finished', { message: summary || `Run ${status}`, data: { ...data, status } });
+        this.flush();
+        this._send('/api/journal/end', { runId, status, summary });
+    }
+
+    /**
+     * The project's most recently started run that has not ended
+     * @param {string} projectId - Project ID
+     * @returns {string|null} Run ID
+     */
+    activeRun(projectId) {
+        const runIds = [...this.activeRuns.keys()].filter(runId => this.activeRuns.get(runId) === projectId);
+        return runIds.length > 0 ? runIds[runIds.length - 1] : null;
+    }
+
+    /**
+     * Send the pending events now
+     * @returns {Promise<void>} Settles once they were sent (or failed to be)
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.pending.forEach((events, runId) => {
+            this._send('/api/journal/append', { runId, events });
+        });
+        this.pending.clear();
+        return this.queue;
+    }
+
+    /**
+     * Journal runs, newest first
+     * @param {string|null} [projectId] - Only this project's runs
+     * @returns {Promise<object[]>} Run summaries { runId, projectId, projectName, engine, label, status, startedAt,
+     *          endedAt, summary, eventCount, typeCounts }
+     */
+    async listRuns(projectId = null) {
+        await this.flush();
+        const result = await this._request('/api/journal/runs', { projectId });
+        return result.runs;
+    }
+
+    /**
+     * A run's events
+     * @param {string} runId - Run ID
+     * @param {object} [filter] - { types, sectionId, search, offset, limit }
+     * @returns {Promise<{run: object, events: object[], total: number}>}
+     */
+    async getEvents(runId, filter = {}) {
+        await this.flush();
+        return this._request('/api/journal/events', { runId, ...filter });
+    }
+
+    /**
+     * Delete a run and its events
+     * @param {string} runId - Run ID
+     * @returns {Promise<void>}
+     */
+    async deleteRun(runId) {
+        await this._request('/api/journal/delete', { runId });
+    }
+
+    /**
+     * JSON Lines export: the run summary, then one event per line
+     * @param {object} run - Run summary
+     * @param {object[]} events - Events
+     * @returns {string}
+     */
+    static toJsonLines(run, events) {
+        return [{ run }, ...events].map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    }
+
+    /**
+     * CSV export of events (data as a JSON column)
+     * @param {object[]} events - Events
+     * @returns {string}
+     */
+    static toCsv(events) {
+        const columns = ['seq', 'timestamp', 'type', 'sectionId', 'sectionName', 'message', 'data'];
+        const cell = (value) => {
+            const text = value === null || value === undefined ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(','), ...events.map(event => columns.map(column => cell(event[column])).join(','))].join('\r\n') + '\r\n';
+    }
+
+    /**
+     * @private
+     */
+    _endFileWatchRun() {
+        if (!this.fileWatchRun) return;
+        this.endRun(this.fileWatchRun.runId, 'stopped', 'File watching stopped');
+        this.fileWatchRun = null;
+    }
+
+    /**
+     * @private
+     */
+    _fileWatchRunFor(projectId) {
+        return this.fileWatchRun && this.fileWatchRun.projectId === projectId ? this.fileWatchRun : null;
+    }
+
+    /**
+     * @private
+     */
+    _section(projectId, sectionId) {
+        const project = this.stateManager.getProject(projectId);
+        return (project && (project.sections || []).find(section => section.sectionId === sectionId)) || null;
+    }
+
+    /**
+     * Queue a write request; failures are only logged
+     * @private
+     */
+    _send(pathname, body) {
+        this.queue = this.queue
+            .then(() => this._request(pathname, body))
+            .catch(error => console.warn(`Run journal: ${pathname} failed:`, error.message));
+        return this.queue;
+    }
+
+    /**
+     * @private
+     */
+    async _request(pathname, body) {
+        const response = await fetch(pathname, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json().catch(() => null);
+        if (!response.ok || !result || !result.success) {
+            throw new Error((result && result.error) || `Server error: ${response.status} ${response.statusText}`);
+        }
+        return result.data;
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.RunJournalService = RunJournalService;
+}
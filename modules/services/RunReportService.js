@@ -0,0 +1,359 @@
+// Run Report Service - Automation run report for design reviews, built from a run's journal events and the project:
+// engine, per-step duration, retries, refinements, quality scores, token usage, synthesis, conflicts and saved files
+// Markdown, or standalone HTML through SpecExportService; no browser APIs needed
+class RunReportService {
+    static Format = {
+        MARKDOWN: 'markdown',
+        HTML: 'html'
+    };
+
+    static ENGINE_NAMES = {
+        'file-watching': 'File Watching',
+        'cursor-cli': 'Cursor CLI',
+        'multi-agent': 'Multi-Agent'
+    };
+
+    /**
+     * Export a run report in the given format
+     * @param {object} project - Project
+     * @param {object|null} run - Journal run summary, or null when the project has no journal run
+     * @param {object[]} events - The run's journal events, oldest first
+     * @param {string} format - See Format
+     * @returns {{filename: string, mimeType: string, content: string}}
+     */
+    static export(project, run, events, format = RunReportService.Format.MARKDOWN) {
+        const report = RunReportService.build(project, run, events);
+        const baseName = `${String(project.name || 'project').replace(/[^a-z0-9]/gi, '_')}_run_report`;
+        const markdown = RunReportService.toMarkdown(report);
+        if (format === RunReportService.Format.HTML) {
+            return {
+                filename: `${baseName}.html`,
+                mimeType: 'text/html',
+                content: SpecExportService.renderHtml(markdown, report.title)
+            };
+        }
+        return { filename: `${baseName}.md`, mimeType: 'text/markdown', content: markdown };
+    }
+
+    /**
+     * Collect the report data
+     * Steps follow the project's order; steps that only appear in the journal (since removed) come last.
+     * Without a run the report holds the project's current step states and token usage only.
+     * @param {object} project - Project
+     * @param {object|null} run - Journal run summary
+     * @param {object[]} events - The run's journal events, oldest first
+     * @returns {object} Report
+     */
+    static build(project, run, events = []) {
+        const steps = new Map();
+        (project.sections || []).forEach(section => {
+            steps.set(section.sectionId, RunReportService._emptyStep(section.sectionId, section.sectionName || section.sectionId, section.status));
+        });
+
+        const synthesis = [];
+        const conflicts = [];
+        let finished = null;
+        events.forEach(event => {
+            const data = event.data || {};
+            if (event.type === 'run-finished') {
+                finished = data;
+            } else if (event.type === 'synthesis' && data.summary !== undefined) {
+                synthesis.push({
+                    iteration: data.iteration,
+                    summary: data.summary,
+                    improvements: data.improvementList || [],
+                    conflicts: data.conflictList || []
+                });
+            } else if (event.type === 'conflict' && Array.isArray(data.conflicts)) {
+                data.conflicts.forEach(conflict => conflicts.push({ ...conflict, iteration: data.iteration, resolution: null, actions: [] }));
+            } else if (event.type === 'conflict' && data.resolution !== undefined) {
+                conflicts.filter(conflict => conflict.iteration === data.iteration && !conflict.resolution).forEach(conflict => {
+                    conflict.resolution = data.resolution;
+                    conflict.actions = data.recommendedActions || [];
+                });
+            }
+
+            if (!event.sectionId) return;
+            if (!steps.has(event.sectionId)) {
+                steps.set(event.sectionId, RunReportService._emptyStep(event.sectionId, event.sectionName || event.sectionId, null));
+            }
+            RunReportService._applyEvent(steps.get(event.sectionId), event);
+        });
+
+        const stepList = [...steps.values()].map(step => ({
+            ...step,
+            durationMs: step.startedAt && step.lastAt ? new Date(step.lastAt) - new Date(step.startedAt) : null
+        }));
+        const usage = typeof TokenBudgetService !== 'undefined' && !(finished && finished.tokenUsage)
+            ? TokenBudgetService.getUsage(project)
+            : null;
+
+        return {
+            title: `Automation Run Report: ${project.name || project.id}`,
+            project: { id: project.id, name: project.name, case: project.case || null, description: project.description || null },
+            run: run ? {
+                runId: run.runId,
+                label: run.label,
+                engine: run.engine,
+                status: run.status,
+                startedAt: run.startedAt,
+                endedAt: run.endedAt,
+                durationMs: run.endedAt ? new Date(run.endedAt) - new Date(run.startedAt) : null,
+                summary: run.summary,
+                eventCount: run.eventCount
+            } : null,
+            engine: run ? run.engine : (project.automationEngine || 'file-watching'),
+            steps: stepList,
+            complete: stepList.filter(step => step.status === 'complete' || step.status === 'completed').length,
+            tokenUsage: finished && finished.tokenUsage
+                ? finished.tokenUsage
+                : (usage ? (usage.currentRun || usage.runs[usage.runs.length - 1] || { totals: usage.totals, sections: usage.sections }) : null),
+            synthesis,
+            conflicts,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Markdown report
+     * @param {object} report - Result of build()
+     * @returns {string}
+     */
+    static toMarkdown(report) {
+        const cell = (text) => String(text === null || text === undefined || text === '' ? '-' : text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        const lines = [`# ${report.title}`, ''];
+        if (report.project.description) {
+            lines.push(report.project.description, '');
+        }
+
+        lines.push('## Overview', '', '| | |', '|---|---|');
+        lines.push(`| Project | ${cell(report.project.name)} |`);
+        if (report.project.case) {
+            lines.push(`| Case | ${cell(report.project.case)} |`);
+        }
+        lines.push(`| Engine | ${cell(RunReportService.engineName(report.engine))} |`);
+        if (report.run) {
+            lines.push(`| Status | ${cell(report.run.status)} |`);
+            lines.push(`| Started | ${cell(RunReportService._date(report.run.startedAt))} |`);
+            lines.push(`| Finished | ${cell(report.run.endedAt ? RunReportService._date(report.run.endedAt) : 'Still running')} |`);
+            lines.push(`| Duration | ${cell(RunReportService.formatDuration(report.run.durationMs))} |`);
+            if (report.run.summary) {
+                lines.push(`| Summary | ${cell(report.run.summary)} |`);
+            }
+        }
+        lines.push(`| Steps complete | ${report.complete} of ${report.steps.length} |`);
+        lines.push(`| Generated | ${cell(RunReportService._date(report.generatedAt))} |`, '');
+        if (!report.run) {
+            lines.push('> No journal run was found for this project, so durations, retries, scores, synthesis and conflicts are not available.', '');
+        }
+
+        lines.push('## Steps', '', '| Step | Status | Duration | Attempts | Retries | Refinements | Score | Output files |', '|---|---|---|---|---|---|---|---|');
+        report.steps.forEach(step => {
+            const score = step.score ? `${RunReportService._percent(step.score.score)}${step.score.threshold !== undefined ? ` (threshold ${RunReportService._percent(step.score.threshold)})` : ''}` : '';
+            lines.push(`| ${cell(step.name)} | ${cell(step.status)} | ${cell(RunReportService.formatDuration(step.durationMs))} | ${step.attempts} | ` +
+                `${step.retries} | ${step.refinements} | ${cell(score)} | ${step.outputFiles.map(RunReportService._fileLink).join(', ') || '-'} |`);
+        });
+        lines.push('');
+
+        const detailed = report.steps.filter(step => step.score || step.error || step.filesDetected.length > 0);
+        if (detailed.length > 0) {
+            lines.push('## Quality Feedback', '');
+            detailed.forEach(step => {
+                lines.push(`### ${step.name}`, '');
+                if (step.error) {
+                    lines.push(`**Failed:** ${step.error}`, '');
+                }
+                // Every scored attempt, so the feedback that led to a retry stays visible
+                step.scores.forEach((score, index) => {
+                    const parts = [];
+                    if (typeof score.score === 'number') parts.push(`Score ${RunReportService._percent(score.score)}`);
+                    if (typeof score.ruleScore === 'number') parts.push(`rubric ${RunReportService._percent(score.ruleScore)}`);
+                    if (typeof score.llmScore === 'number') parts.push(`LLM ${RunReportService._percent(score.llmScore)}`);
+                    if (score.schemaValid === true) parts.push('output schema valid');
+                    if (score.schemaValid === false) parts.push('output schema invalid');
+                    const prefix = step.scores.length > 1 ? `**Attempt ${score.attempt || index + 1}:** ` : '';
+                    lines.push(`${prefix}${parts.join(', ') || 'Scored'}.`, '');
+                    if (score.feedback) {
+                        lines.push(`> ${String(score.feedback).replace(/\n+/g, ' ')}`, '');
+                    }
+                    const issues = Array.isArray(score.issues) ? score.issues : (score.errors || []);
+                    if (issues.length > 0) {
+                        lines.push('Issues:', '', ...issues.map(issue => `- ${typeof issue === 'string' ? issue : JSON.stringify(issue)}`), '');
+                    }
+                });
+                if (step.filesDetected.length > 0) {
+                    lines.push(`Files detected: ${step.filesDetected.map(name => `\`${name}\``).join(', ')}`, '');
+                }
+            });
+        }
+
+        lines.push('## Token Usage', '');
+        if (report.tokenUsage && report.tokenUsage.totals) {
+            const totals = report.tokenUsage.totals;
+            lines.push('Estimated from prompt and response lengths.', '');
+            lines.push('| Step | Calls | Prompt tokens | Response tokens | Total tokens | Cost |', '|---|---|---|---|---|---|');
+            Object.values(report.tokenUsage.sections || {}).forEach(section => {
+                lines.push(`| ${cell(section.label)} | ${section.calls || 0} | ${section.promptTokens || 0} | ${section.responseTokens || 0} | ${section.totalTokens || 0} | ${RunReportService._cost(section.cost)} |`);
+            });
+            lines.push(`| **Total** | ${totals.calls || 0} | ${totals.promptTokens || 0} | ${totals.responseTokens || 0} | ${totals.totalTokens || 0} | ${RunReportService._cost(totals.cost)} |`, '');
+        } else {
+            lines.push('No token usage recorded.', '');
+        }
+
+        if (report.synthesis.length > 0) {
+            lines.push('## Synthesis', '');
+            report.synthesis.forEach(entry => {
+                lines.push(`### Iteration ${entry.iteration}`, '');
+                if (entry.summary) {
+                    lines.push(String(entry.summary), '');
+                }
+                if (entry.improvements.length > 0) {
+                    lines.push('Improvements:', '', ...entry.improvements.map(item => `- **${item.step || 'General'}**: ${item.suggestion || JSON.stringify(item)}`), '');
+                }
+                if (entry.conflicts.length > 0) {
+                    lines.push('Conflicts noted by the synthesis agent:', '', ...entry.conflicts.map(item => `- ${typeof item === 'string' ? item : (item.description || JSON.stringify(item))}`), '');
+                }
+            });
+        }
+
+        if (report.conflicts.length > 0) {
+            lines.push('## Conflicts', '');
+            report.conflicts.forEach(conflict => {
+                lines.push(`- **[${conflict.type || 'conflict'}]** ${conflict.description || ''} (iteration ${conflict.iteration}; ${(conflict.sections || []).join(', ')})`);
+                if (conflict.resolution) {
+                    lines.push(`  - Resolution: ${String(conflict.resolution).replace(/\n+/g, ' ')}`);
+                    conflict.actions.forEach(action => lines.push(`  - ${action}`));
+                }
+            });
+            lines.push('');
+        }
+
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+    }
+
+    /**
+     * @param {string} engine - Engine ID (server-side jobs are "job:<source>")
+     * @returns {string}
+     */
+    static engineName(engine) {
+        if (engine && engine.startsWith('job:')) {
+            const source = engine.slice(4);
+            return `Server job (${RunReportService.ENGINE_NAMES[source] || source})`;
+        }
+        return RunReportService.ENGINE_NAMES[engine] || engine || 'Unknown';
+    }
+
+    /**
+     * @param {number|null} ms - Duration
+     * @returns {string} e.g. "1h 02m", "3m 05s", "12s", or '' when unknown
+     */
+    static formatDuration(ms) {
+        if (ms === null || ms === undefined || isNaN(ms)) return '';
+        const seconds = Math.round(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+        const pad = (value) => String(value).padStart(2, '0');
+        if (hours > 0) return `${hours}h ${pad(minutes % 60)}m`;
+        if (minutes > 0) return `${minutes}m ${pad(seconds % 60)}s`;
+        return `${seconds}s`;
+    }
+
+    /**
+     * @private
+     */
+    static _emptyStep(sectionId, name, status) {
+        return {
+            sectionId,
+            name,
+            status: status || 'pending',
+            startedAt: null,
+            lastAt: null,
+            attempts: 0,
+            retries: 0,
+            refinements: 0,
+            score: null,
+            scores: [],
+            error: null,
+            outputFiles: [],
+            filesDetected: []
+        };
+    }
+
+    /**
+     * Fold one journal event into its step
+     * @private
+     */
+    static _applyEvent(step, event) {
+        const data = event.data || {};
+        if (!step.startedAt && (event.type === 'step-started' || event.type === 'prompt-sent' || event.type === 'file-detected')) {
+            step.startedAt = event.timestamp;
+        }
+        if (['step-completed', 'step-failed', 'output-received', 'file-saved'].includes(event.type)) {
+            step.lastAt = event.timestamp;
+        }
+
+        if (event.type === 'prompt-sent') {
+            step.attempts++;
+        } else if (event.type === 'refinement') {
+            if (data.source === 'synthesis') {
+                step.refinements++;
+            } else {
+                step.retries++;
+            }
+        } else if (event.type === 'score') {
+            step.score = data;
+            step.scores.push(data);
+        } else if (event.type === 'file-saved' && data.path && !step.outputFiles.includes(data.path)) {
+            step.outputFiles.push(data.path);
+        } else if (event.type === 'file-detected' && data.fileName && !step.filesDetected.includes(data.fileName)) {
+            step.filesDetected.push(data.fileName);
+        } else if (event.type === 'step-completed') {
+            step.status = 'complete';
+            step.error = null;
+        } else if (event.type === 'step-failed') {
+            step.status = 'failed';
+            step.error = data.error || event.message;
+        }
+    }
+
+    /**
+     * Link to a saved output file; relative paths are relative to the server's project root
+     * @private
+     */
+    static _fileLink(filePath) {
+        const normalized = String(filePath).replace(/\\/g, '/');
+        const name = normalized.split('/').pop();
+        const href = /^[a-z]:\//i.test(normalized) ? `/${normalized}` : (normalized.startsWith('/') ? normalized : `./${normalized}`);
+        const encoded = href.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29').replace(/\|/g, '%7C');
+        return `[${name.replace(/[[\]|]/g, '')}](${encoded})`;
+    }
+
+    /**
+     * @private
+     */
+    static _percent(value) {
+        return typeof value === 'number' ? `${(value * 100).toFixed(0)}%` : '-';
+    }
+
+    /**
+     * @private
+     */
+    static _cost(value) {
+        return `$${(value || 0).toFixed(4)}`;
+    }
+
+    /**
+     * @private
+     */
+    static _date(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleString() : '';
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof window !== 'undefined') {
+    window.RunReportService = RunReportService;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunReportService;
+}
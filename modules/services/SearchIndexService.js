@@ -0,0 +1,70 @@
+// Search Index Service - Queries the server-side search index over a scope directory
+class SearchIndexService {
+    /**
+     * Retrieve the snippets of a scope directory most relevant to a query
+     * The server builds the directory's index on first use and keeps it current from file changes
+     * @param {string} scopeDirectory - Scope directory path
+     * @param {string} query - Query text
+     * @param {object} options - { limit: number, mode: 'keyword'|'hybrid' }
+     * @returns {Promise<{success: boolean, results: Array, index?: object, error?: string}>}
+     *          results: [{ path, startLine, endLine, content, score }]
+     */
+    static async query(scopeDirectory, query, options = {}) {
+        if (!scopeDirectory || !query || !query.trim()) {
+            return { success: false, results: [], error: 'Scope directory and query are required' };
+        }
+
+        try {
+            const response = await fetch('/api/search/query', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ scopeDirectory, query, limit: options.limit, mode: options.mode })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Server error: ${response.status}`);
+            }
+            return { success: true, results: result.data.results, index: result.data.index };
+        } catch (error) {
+            console.warn('Search index query failed:', error);
+            return { success: false, results: [], error: error.message };
+        }
+    }
+
+    /**
+     * Build (or rebuild) the index of a scope directory ahead of the first query
+     * @param {string} scopeDirectory - Scope directory path
+     * @param {boolean} rebuild - Re-index every file even if an index exists
+     * @returns {Promise<{success: boolean, index?: object, error?: string}>}
+     */
+    static async buildIndex(scopeDirectory, rebuild = false) {
+        try {
+            const response = await fetch('/api/search/index', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ scopeDirectory, rebuild })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Server error: ${response.status}`);
+            }
+            return { success: true, index: result.data };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Label for a snippet (path and line range)
+     * @param {object} result - Search result
+     * @returns {string}
+     */
+    static label(result) {
+        return `${result.path}:${result.startLine}-${result.endLine}`;
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.SearchIndexService = SearchIndexService;
+}
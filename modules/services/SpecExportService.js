@@ -0,0 +1,582 @@
+// Spec Export Service - Turns a project's step outputs into a specification document for implementers
+// Markdown (single file), self-contained HTML, or a zip of per-step Markdown files; no browser APIs needed
+class SpecExportService {
+    static Format = {
+        MARKDOWN: 'markdown',
+        HTML: 'html',
+        ZIP: 'zip'
+    };
+
+    static DEFAULT_OPTIONS = {
+        includeInputs: false,     // Add each step's input under its output
+        includeIncomplete: false  // Add steps that have no output yet (otherwise only listed in the overview)
+    };
+
+    // Headings inside step outputs are pushed down this many levels to sit under the step heading
+    static OUTPUT_HEADING_OFFSET = 2;
+
+    static HTML_STYLE = `
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 960px; margin: 0 auto; padding: 32px; color: #1f2328; line-height: 1.6; }
+        h1, h2, h3, h4, h5, h6 { line-height: 1.25; margin: 24px 0 12px; }
+        h1 { border-bottom: 1px solid #d0d7de; padding-bottom: 8px; }
+        h2 { border-bottom: 1px solid #d0d7de; padding-bottom: 6px; }
+        code { background: #f3f4f6; padding: 2px 4px; border-radius: 4px; font-size: 90%; }
+        pre { background: #f6f8fa; padding: 12px 16px; border-radius: 6px; overflow-x: auto; }
+        pre code { background: none; padding: 0; }
+        table { border-collapse: collapse; margin: 12px 0; }
+        th, td { border: 1px solid #d0d7de; padding: 6px 12px; text-align: left; vertical-align: top; }
+        th { background: #f6f8fa; }
+        blockquote { margin: 0; padding: 0 16px; color: #57606a; border-left: 4px solid #d0d7de; }
+        a { color: #0969da; }
+        hr { border: none; border-top: 1px solid #d0d7de; margin: 24px 0; }
+    `;
+
+    /**
+     * Export a project in the given format
+     * @param {object} project - Project
+     * @param {string} format - See Format
+     * @param {object} options - See DEFAULT_OPTIONS
+     * @returns {{filename: string, mimeType: string, content: string|Uint8Array}}
+     */
+    static export(project, format = SpecExportService.Format.MARKDOWN, options = {}) {
+        const baseName = SpecExportService._fileSafe(project.name || 'specification');
+        if (format === SpecExportService.Format.HTML) {
+            const markdown = SpecExportService.buildMarkdown(project, options);
+            return {
+                filename: `${baseName}_specification.html`,
+                mimeType: 'text/html',
+                content: SpecExportService.renderHtml(markdown, project.name || 'Specification')
+            };
+        }
+        if (format === SpecExportService.Format.ZIP) {
+            const files = SpecExportService.buildStepFiles(project, options);
+            return {
+                filename: `${baseName}_specification.zip`,
+                mimeType: 'application/zip',
+                content: SpecExportService.createZip(files.map(file => ({ ...file, path: `${baseName}/${file.path}` })))
+            };
+        }
+        return {
+            filename: `${baseName}_specification.md`,
+            mimeType: 'text/markdown',
+            content: SpecExportService.buildMarkdown(project, options)
+        };
+    }
+
+    /**
+     * Single Markdown document: overview, table of contents, dependency graph, then one heading per step
+     * @param {object} project - Project (sections in pipeline order)
+     * @param {object} options - See DEFAULT_OPTIONS
+     * @returns {string}
+     */
+    static buildMarkdown(project, options = {}) {
+        const settings = { ...SpecExportService.DEFAULT_OPTIONS, ...options };
+        const steps = SpecExportService._describeSteps(project);
+        const included = steps.filter(step => step.hasOutput || settings.includeIncomplete);
+
+        const lines = [`# ${project.name || 'Specification'}`, ''];
+        if (project.description) {
+            lines.push(project.description, '');
+        }
+        lines.push(...SpecExportService._overview(project, steps), '');
+
+        lines.push('## Contents', '');
+        lines.push('- [Dependency Graph](#dependency-graph)');
+        included.forEach(step => lines.push(`- [${step.heading}](#${step.anchor})`));
+        lines.push('');
+
+        lines.push('## Dependency Graph', '', ...SpecExportService._dependencyGraph(steps), '');
+
+        included.forEach(step => {
+            lines.push(`## ${step.heading}`, '', ...SpecExportService._stepBody(step, settings, anchorOf => `#${anchorOf.anchor}`), '');
+        });
+
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+    }
+
+    /**
+     * Per-step Markdown files plus an index (README.md) and the full specification
+     * @param {object} project - Project
+     * @param {object} options - See DEFAULT_OPTIONS
+     * @returns {Array<{path: string, content: string}>}
+     */
+    static buildStepFiles(project, options = {}) {
+        const settings = { ...SpecExportService.DEFAULT_OPTIONS, ...options };
+        const steps = SpecExportService._describeSteps(project);
+        const included = steps.filter(step => step.hasOutput || settings.includeIncomplete);
+        const linkTo = step => included.includes(step) ? step.filename : `README.md#${step.anchor}`;
+
+        const index = [`# ${project.name || 'Specification'}`, ''];
+        if (project.description) {
+            index.push(project.description, '');
+        }
+        index.push(...SpecExportService._overview(project, steps, linkTo), '');
+        index.push('## Dependency Graph', '', ...SpecExportService._dependencyGraph(steps), '');
+        index.push('The complete document is in [specification.md](specification.md).', '');
+
+        const files = [{ path: 'README.md', content: index.join('\n').trim() + '\n' }];
+        included.forEach(step => {
+            const content = [`# ${step.heading}`, '', ...SpecExportService._stepBody(step, settings, linkTo)];
+            files.push({ path: step.filename, content: content.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n' });
+        });
+        files.push({ path: 'specification.md', content: SpecExportService.buildMarkdown(project, settings) });
+        return files;
+    }
+
+    /**
+     * Self-contained HTML page (inline styles, no scripts) for a Markdown document
+     * @param {string} markdown - Markdown from buildMarkdown()
+     * @param {string} title - Page title
+     * @returns {string}
+     */
+    static renderHtml(markdown, title) {
+        return [
+            '<!DOCTYPE html>',
+            '<html lang="en">',
+            '<head>',
+            '<meta charset="UTF-8">',
+            '<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+            `<title>${SpecExportService.escapeHtml(title)}</title>`,
+            `<style>${SpecExportService.HTML_STYLE}</style>`,
+            '</head>',
+            '<body>',
+            SpecExportService.markdownToHtml(markdown),
+            '</body>',
+            '</html>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Markdown to HTML for the exported documents
+     * Handles headings (with GitHub-style ids), paragraphs, fenced code, lists, tables, blockquotes, rules,
+     * and inline code, bold, italic and links; raw HTML is escaped
+     * @param {string} markdown - Markdown
+     * @returns {string} HTML
+     */
+    static markdownToHtml(markdown) {
+        const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        const usedAnchors = new Map();
+        const html = [];
+        let paragraph = [];
+        let i = 0;
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                html.push(`<p>${paragraph.map(line => SpecExportService._inline(line)).join('<br>\n')}</p>`);
+                paragraph = [];
+            }
+        };
+        const isTableRow = line => /^\s*\|.*\|\s*$/.test(line);
+        const isDivider = line => /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line);
+        const cells = line => line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+        const listItem = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const fence = line.match(/^\s*(```|~~~)\s*([\w-]*)/);
+            const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+
+            if (fence) {
+                flushParagraph();
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const language = fence[2] ? ` class="language-${SpecExportService.escapeHtml(fence[2])}"` : '';
+                html.push(`<pre><code${language}>${SpecExportService.escapeHtml(code.join('\n'))}</code></pre>`);
+            } else if (heading) {
+                flushParagraph();
+                const level = heading[1].length;
+                const anchor = SpecExportService._uniqueAnchor(heading[2], usedAnchors);
+                html.push(`<h${level} id="${anchor}">${SpecExportService._inline(heading[2])}</h${level}>`);
+                i++;
+            } else if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flushParagraph();
+                html.push('<hr>');
+                i++;
+            } else if (isTableRow(line) && i + 1 < lines.length && isDivider(lines[i + 1])) {
+                flushParagraph();
+                const header = cells(line);
+                const rows = [];
+                i += 2;
+                while (i < lines.length && isTableRow(lines[i])) {
+                    rows.push(cells(lines[i]));
+                    i++;
+                }
+                html.push('<table>',
+                    `<thead><tr>${header.map(cell => `<th>${SpecExportService._inline(cell)}</th>`).join('')}</tr></thead>`,
+                    `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${SpecExportService._inline(cell)}</td>`).join('')}</tr>`).join('')}</tbody>`,
+                    '</table>');
+            } else if (/^\s*>/.test(line)) {
+                flushParagraph();
+                const quoted = [];
+                while (i < lines.length && /^\s*>/.test(lines[i])) {
+                    quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+                    i++;
+                }
+                html.push(`<blockquote>${SpecExportService.markdownToHtml(quoted.join('\n'))}</blockquote>`);
+            } else if (listItem.test(line)) {
+                flushParagraph();
+                const items = [];
+                while (i < lines.length && listItem.test(lines[i])) {
+                    const match = lines[i].match(listItem);
+                    items.push({ depth: Math.floor(match[1].replace(/\t/g, '    ').length / 2), ordered: /\d/.test(match[2]), text: match[3] });
+                    i++;
+                }
+                html.push(SpecExportService._renderList(items));
+            } else if (line.trim() === '') {
+                flushParagraph();
+                i++;
+            } else {
+                paragraph.push(line.trim());
+                i++;
+            }
+        }
+        flushParagraph();
+        return html.join('\n');
+    }
+
+    /**
+     * Zip archive (stored, no compression) of UTF-8 text files
+     * @param {Array<{path: string, content: string}>} files - Files
+     * @returns {Uint8Array}
+     */
+    static createZip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+        const { time, date } = SpecExportService._dosDateTime(new Date());
+
+        files.forEach(file => {
+            const name = encoder.encode(file.path);
+            const data = encoder.encode(file.content);
+            const crc = SpecExportService._crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);  // Local file header signature
+            local.setUint16(4, 20, true);          // Version needed
+            local.setUint16(6, 0x0800, true);      // UTF-8 names
+            local.setUint16(8, 0, true);           // Stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory header signature
+            central.setUint16(4, 20, true);         // Version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);    // Offset of the local header
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            zip.set(part, position);
+            position += part.length;
+        });
+        return zip;
+    }
+
+    /**
+     * GitHub-style heading anchor
+     * @param {string} text - Heading text
+     * @returns {string}
+     */
+    static slugify(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[`*_[\]()]/g, '')
+            .replace(/[^\w\s-]/g, '')
+            .trim()
+            .replace(/\s/g, '-');
+    }
+
+    static escapeHtml(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    /**
+     * Steps in pipeline order with their headings, anchors and resolved dependencies
+     * @private
+     */
+    static _describeSteps(project) {
+        const sections = project.sections || [];
+        const steps = sections.map((section, index) => {
+            const name = section.sectionName || section.stepName || section.sectionId;
+            const heading = `${index + 1}. ${name}`;
+            return {
+                section,
+                number: index + 1,
+                name,
+                heading,
+                anchor: SpecExportService.slugify(heading),
+                filename: `${String(index + 1).padStart(2, '0')}-${SpecExportService.slugify(name) || section.sectionId}.md`,
+                hasOutput: !!(section.output && section.output.trim()),
+                dependencies: [],
+                dependents: []
+            };
+        });
+
+        const byId = new Map(steps.map(step => [step.section.sectionId, step]));
+        steps.forEach(step => {
+            (step.section.dependencies || []).forEach(dependencyId => {
+                const dependency = byId.get(dependencyId);
+                if (dependency && dependency !== step) {
+                    step.dependencies.push(dependency);
+                    dependency.dependents.push(step);
+                }
+            });
+        });
+        return steps;
+    }
+
+    /**
+     * @private
+     */
+    static _overview(project, steps, linkTo = step => `#${step.anchor}`) {
+        const complete = steps.filter(step => step.section.status === 'complete').length;
+        const lines = [
+            `**Case:** ${project.case || '—'} · **Steps:** ${steps.length} (${complete} complete) · **Exported:** ${new Date().toISOString().split('T')[0]}`,
+            '',
+            '| # | Step | Status | Modifiers |',
+            '|---|------|--------|-----------|'
+        ];
+        steps.forEach(step => {
+            const name = step.hasOutput ? `[${SpecExportService._tableText(step.name)}](${linkTo(step)})` : SpecExportService._tableText(step.name);
+            const modifiers = (step.section.modifiers || []).map(modifier => `\`${modifier}\``).join(', ') || '—';
+            lines.push(`| ${step.number} | ${name} | ${SpecExportService._statusLabel(step.section.status)} | ${modifiers} |`);
+        });
+        return lines;
+    }
+
+    /**
+     * Mermaid graph plus a plain list for viewers that do not render Mermaid
+     * @private
+     */
+    static _dependencyGraph(steps) {
+        const edges = steps.flatMap(step => step.dependencies.map(dependency => [dependency, step]));
+        if (edges.length === 0) {
+            return ['_No step dependencies are declared._'];
+        }
+
+        const nodeId = step => `S${step.number}`;
+        const label = step => `${step.number}. ${step.name}`.replace(/"/g, "'");
+        const graph = ['```mermaid', 'graph TD'];
+        steps.forEach(step => graph.push(`    ${nodeId(step)}["${label(step)}"]`));
+        edges.forEach(([from, to]) => graph.push(`    ${nodeId(from)} --> ${nodeId(to)}`));
+        graph.push('```', '');
+
+        steps.filter(step => step.dependencies.length > 0).forEach(step => {
+            graph.push(`- **${step.heading}** depends on ${step.dependencies.map(dependency => dependency.heading).join(', ')}`);
+        });
+        return graph;
+    }
+
+    /**
+     * @private
+     */
+    static _stepBody(step, settings, linkTo) {
+        const section = step.section;
+        const lines = [];
+        const meta = [`**Status:** ${SpecExportService._statusLabel(section.status)}`];
+        if (section.lastModified) {
+            meta.push(`**Last modified:** ${section.lastModified.split('T')[0]}`);
+        }
+        lines.push(meta.join(' · '), '');
+
+        if ((section.modifiers || []).length > 0) {
+            lines.push(`**Modifiers applied:** ${section.modifiers.map(modifier => `\`${modifier}\``).join(', ')}`, '');
+        }
+        if (step.dependencies.length > 0) {
+            lines.push(`**Depends on:** ${step.dependencies.map(dependency => `[${dependency.heading}](${linkTo(dependency)})`).join(', ')}`, '');
+        }
+        if (step.dependents.length > 0) {
+            lines.push(`**Used by:** ${step.dependents.map(dependent => `[${dependent.heading}](${linkTo(dependent)})`).join(', ')}`, '');
+        }
+        if (section.overrideInstructions && section.overrideInstructions.trim()) {
+            lines.push('**Override instructions:**', '', ...section.overrideInstructions.trim().split('\n').map(line => `> ${line}`), '');
+        }
+        if (section.notes && section.notes.trim()) {
+            lines.push('**Notes:**', '', ...section.notes.trim().split('\n').map(line => `> ${line}`), '');
+        }
+
+        lines.push(step.hasOutput
+            ? SpecExportService._demoteHeadings(section.output.trim(), SpecExportService.OUTPUT_HEADING_OFFSET)
+            : '_No output yet._', '');
+
+        if (settings.includeInputs && section.input && section.input.trim()) {
+            lines.push('### Input', '', SpecExportService._demoteHeadings(section.input.trim(), 3), '');
+        }
+        return lines;
+    }
+
+    /**
+     * Push Markdown headings down by offset levels (capped at h6), leaving fenced code alone
+     * @private
+     */
+    static _demoteHeadings(markdown, offset) {
+        let inFence = false;
+        return markdown.split('\n').map(line => {
+            if (/^\s*(```|~~~)/.test(line)) {
+                inFence = !inFence;
+                return line;
+            }
+            if (inFence) return line;
+            return line.replace(/^(#{1,6})(\s)/, (match, hashes, space) => '#'.repeat(Math.min(6, hashes.length + offset)) + space);
+        }).join('\n');
+    }
+
+    /**
+     * @private
+     */
+    static _renderList(items) {
+        let html = '';
+        const open = [];
+        items.forEach(item => {
+            const depth = Math.min(item.depth, open.length);
+            while (open.length > depth + 1) {
+                html += `</li></${open.pop()}>`;
+            }
+            if (open.length === depth) {
+                const tag = item.ordered ? 'ol' : 'ul';
+                open.push(tag);
+                html += `<${tag}><li>`;
+            } else {
+                html += '</li><li>';
+            }
+            html += SpecExportService._inline(item.text);
+        });
+        while (open.length > 0) {
+            html += `</li></${open.pop()}>`;
+        }
+        return html;
+    }
+
+    /**
+     * Inline Markdown: code spans first (their content is not formatted), then links, bold and italic
+     * @private
+     */
+    static _inline(text) {
+        const codeSpans = [];
+        let html = SpecExportService.escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => {
+            codeSpans.push(`<code>${code}</code>`);
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        });
+        html = html
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+                const safe = /^(https?:|mailto:|#|\.{0,2}\/|[\w.-]+\.md(#|$))/i.test(href) ? href : '#';
+                return `<a href="${safe}">${label}</a>`;
+            })
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/__([^_]+)__/g, '<strong>$1</strong>')
+            .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_([^_\s][^_]*)_(?!\w)/g, '$1<em>$2</em>');
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[Number(index)]);
+    }
+
+    /**
+     * @private
+     */
+    static _uniqueAnchor(text, usedAnchors) {
+        const base = SpecExportService.slugify(text) || 'section';
+        const count = usedAnchors.get(base) || 0;
+        usedAnchors.set(base, count + 1);
+        return count === 0 ? base : `${base}-${count}`;
+    }
+
+    /**
+     * @private
+     */
+    static _statusLabel(status) {
+        const label = String(status || 'not_started').replace(/_/g, ' ');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    }
+
+    /**
+     * @private
+     */
+    static _tableText(text) {
+        return String(text).replace(/\|/g, '\\|');
+    }
+
+    /**
+     * @private
+     */
+    static _fileSafe(name) {
+        return String(name).replace(/[^a-z0-9]/gi, '_');
+    }
+
+    /**
+     * @private
+     */
+    static _dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * @private
+     */
+    static _crc32(data) {
+        if (!SpecExportService._crcTable) {
+            SpecExportService._crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                SpecExportService._crcTable[n] = c >>> 0;
+            }
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = SpecExportService._crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof window !== 'undefined') {
+    window.SpecExportService = SpecExportService;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpecExportService;
+}
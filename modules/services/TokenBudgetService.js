@@ -0,0 +1,286 @@
+// Token Budget Service - Estimates prompt/response tokens and cost, accumulates usage per section,
+// run and project (stored on project.tokenUsage) and checks runs against project.tokenBudget
+class TokenBudgetService {
+    // Rough average for English prose and markdown; good enough for budgeting, not billing
+    static CHARS_PER_TOKEN = 4;
+
+    // Completed runs kept on the project
+    static MAX_STORED_RUNS = 20;
+
+    static BudgetAction = {
+        WARN: 'warn',
+        PAUSE: 'pause',
+        STOP: 'stop'
+    };
+
+    static BudgetState = {
+        OK: 'ok',
+        WARNING: 'warning',
+        EXCEEDED: 'exceeded'
+    };
+
+    // Limits of null mean unlimited; costs are per 1,000 tokens
+    static DEFAULT_BUDGET = {
+        maxTokensPerRun: null,
+        maxCostPerRun: null,
+        warnAt: 0.8,
+        action: 'warn',
+        inputCostPer1K: 0,
+        outputCostPer1K: 0
+    };
+
+    /**
+     * @param {StateManager} stateManager - State manager holding the projects
+     */
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+    }
+
+    /**
+     * Estimate the token count of a text
+     * @param {string} text - Prompt or response text
+     * @returns {number} Estimated tokens
+     */
+    static estimateTokens(text) {
+        if (!text) return 0;
+        return Math.ceil(String(text).length / TokenBudgetService.CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Estimate the cost of a prompt/response pair
+     * @param {number} promptTokens - Prompt tokens
+     * @param {number} responseTokens - Response tokens
+     * @param {object} budget - Budget with inputCostPer1K/outputCostPer1K
+     * @returns {number} Cost in the budget's currency
+     */
+    static estimateCost(promptTokens, responseTokens, budget) {
+        const rates = { ...TokenBudgetService.DEFAULT_BUDGET, ...(budget || {}) };
+        return (promptTokens / 1000) * (Number(rates.inputCostPer1K) || 0) +
+               (responseTokens / 1000) * (Number(rates.outputCostPer1K) || 0);
+    }
+
+    /**
+     * Project budget merged with defaults
+     * @param {object} project - Project data
+     * @returns {object} Budget
+     */
+    static getBudget(project) {
+        return { ...TokenBudgetService.DEFAULT_BUDGET, ...((project && project.tokenBudget) || {}) };
+    }
+
+    /**
+     * Project usage with every field present
+     * @param {object} project - Project data
+     * @returns {{totals: object, sections: object, currentRun: object|null, runs: Array}}
+     */
+    static getUsage(project) {
+        const usage = (project && project.tokenUsage) || {};
+        return {
+            totals: { ...TokenBudgetService._emptyTotals(), ...(usage.totals || {}) },
+            sections: usage.sections || {},
+            currentRun: usage.currentRun || null,
+            runs: usage.runs || []
+        };
+    }
+
+    /**
+     * Check the current (or given) run against the project budget
+     * @param {object} project - Project data
+     * @param {object|null} run - Run to check (defaults to the current run)
+     * @returns {{state: string, action: string, ratio: number|null, tokens: number, cost: number, message: string}}
+     *          ratio is the larger of token and cost usage relative to their limits (null when no limit is set)
+     */
+    static checkBudget(project, run = null) {
+        const budget = TokenBudgetService.getBudget(project);
+        const target = run || TokenBudgetService.getUsage(project).currentRun;
+        const totals = target ? target.totals : TokenBudgetService._emptyTotals();
+
+        const ratios = [];
+        if (budget.maxTokensPerRun > 0) ratios.push(totals.totalTokens / budget.maxTokensPerRun);
+        if (budget.maxCostPerRun > 0) ratios.push(totals.cost / budget.maxCostPerRun);
+        const ratio = ratios.length > 0 ? Math.max(...ratios) : null;
+
+        let state = TokenBudgetService.BudgetState.OK;
+        if (ratio !== null && ratio >= 1) {
+            state = TokenBudgetService.BudgetState.EXCEEDED;
+        } else if (ratio !== null && ratio >= budget.warnAt) {
+            state = TokenBudgetService.BudgetState.WARNING;
+        }
+
+        const limits = [];
+        if (budget.maxTokensPerRun > 0) limits.push(`${totals.totalTokens.toLocaleString()} / ${Number(budget.maxTokensPerRun).toLocaleString()} tokens`);
+        if (budget.maxCostPerRun > 0) limits.push(`${TokenBudgetService.formatCost(totals.cost)} / ${TokenBudgetService.formatCost(budget.maxCostPerRun)}`);
+        const message = state === TokenBudgetService.BudgetState.OK
+            ? ''
+            : `Run token budget ${state === TokenBudgetService.BudgetState.EXCEEDED ? 'exceeded' : `at ${Math.round(ratio * 100)}%`}: ${limits.join(', ')}`;
+
+        return {
+            state: state,
+            action: budget.action,
+            ratio: ratio,
+            tokens: totals.totalTokens,
+            cost: totals.cost,
+            message: message
+        };
+    }
+
+    /**
+     * Format a cost for display
+     * @param {number} cost - Cost
+     * @returns {string}
+     */
+    static formatCost(cost) {
+        return `$${(cost || 0).toFixed(cost > 0 && cost < 0.01 ? 4 : 2)}`;
+    }
+
+    /**
+     * Start a run; usage recorded with inRun until endRun() counts toward it
+     * @param {string} projectId - Project ID
+     * @param {string} engine - Automation engine
+     * @returns {object|null} Run
+     */
+    startRun(projectId, engine) {
+        const project = this.stateManager.getProject(projectId);
+        if (!project) return null;
+
+        const usage = TokenBudgetService.getUsage(project);
+        const runs = usage.currentRun ? this._archiveRun(usage.runs, usage.currentRun) : usage.runs;
+        const run = {
+            id: `run-${Date.now()}`,
+            engine: engine,
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            totals: TokenBudgetService._emptyTotals(),
+            sections: {}
+        };
+        this._saveUsage(projectId, { ...usage, currentRun: run, runs });
+        return run;
+    }
+
+    /**
+     * Finish the current run and move it to the run history
+     * @param {string} projectId - Project ID
+     * @returns {object|null} Finished run
+     */
+    endRun(projectId) {
+        const project = this.stateManager.getProject(projectId);
+        if (!project) return null;
+
+        const usage = TokenBudgetService.getUsage(project);
+        if (!usage.currentRun) return null;
+
+        const run = {
+            ...usage.currentRun,
+            endedAt: new Date().toISOString(),
+            budgetState: TokenBudgetService.checkBudget(project).state
+        };
+        this._saveUsage(projectId, { ...usage, currentRun: null, runs: this._archiveRun(usage.runs, run) });
+        return run;
+    }
+
+    /**
+     * Record one prompt/response exchange
+     * @param {string} projectId - Project ID
+     * @param {object} entry - { key, label, prompt, response, inRun } key groups usage (section ID or call kind);
+     *                         inRun: false keeps it out of the current run (e.g. chat messages);
+     *                         promptTokens/responseTokens replace the estimates when the texts are not at hand
+     *                         (server job tasks report their usage)
+     * @returns {object|null} Budget check for the current run after recording
+     */
+    record(projectId, entry) {
+        const project = this.stateManager.getProject(projectId);
+        if (!project) return null;
+
+        const budget = TokenBudgetService.getBudget(project);
+        const promptTokens = Number.isFinite(entry.promptTokens) ? entry.promptTokens : TokenBudgetService.estimateTokens(entry.prompt);
+        const responseTokens = Number.isFinite(entry.responseTokens) ? entry.responseTokens : TokenBudgetService.estimateTokens(entry.response);
+        const delta = {
+            promptTokens: promptTokens,
+            responseTokens: responseTokens,
+            totalTokens: promptTokens + responseTokens,
+            cost: TokenBudgetService.estimateCost(promptTokens, responseTokens, budget),
+            calls: 1
+        };
+        const key = entry.key || 'other';
+        const label = entry.label || key;
+
+        const usage = TokenBudgetService.getUsage(project);
+        const updated = {
+            ...usage,
+            totals: TokenBudgetService._addTotals(usage.totals, delta),
+            sections: TokenBudgetService._addSection(usage.sections, key, label, delta)
+        };
+        if (usage.currentRun && entry.inRun !== false) {
+            updated.currentRun = {
+                ...usage.currentRun,
+                totals: TokenBudgetService._addTotals(usage.currentRun.totals, delta),
+                sections: TokenBudgetService._addSection(usage.currentRun.sections, key, label, delta)
+            };
+        }
+        this._saveUsage(projectId, updated);
+
+        return TokenBudgetService.checkBudget({ ...project, tokenUsage: updated });
+    }
+
+    /**
+     * Clear all recorded usage for a project
+     * @param {string} projectId - Project ID
+     */
+    resetUsage(projectId) {
+        this._saveUsage(projectId, null);
+    }
+
+    /**
+     * @private
+     */
+    _saveUsage(projectId, usage) {
+        this.stateManager.updateProject(projectId, { tokenUsage: usage });
+    }
+
+    /**
+     * @private
+     */
+    _archiveRun(runs, run) {
+        return [...runs, run].slice(-TokenBudgetService.MAX_STORED_RUNS);
+    }
+
+    /**
+     * @private
+     */
+    static _emptyTotals() {
+        return { promptTokens: 0, responseTokens: 0, totalTokens: 0, cost: 0, calls: 0 };
+    }
+
+    /**
+     * @private
+     */
+    static _addTotals(totals, delta) {
+        const base = { ...TokenBudgetService._emptyTotals(), ...(totals || {}) };
+        return {
+            promptTokens: base.promptTokens + delta.promptTokens,
+            responseTokens: base.responseTokens + delta.responseTokens,
+            totalTokens: base.totalTokens + delta.totalTokens,
+            cost: base.cost + delta.cost,
+            calls: base.calls + delta.calls
+        };
+    }
+
+    /**
+     * @private
+     */
+    static _addSection(sections, key, label, delta) {
+        const existing = sections[key] || { label: label };
+        return {
+            ...sections,
+            [key]: { ...TokenBudgetService._addTotals(existing, delta), label: label }
+        };
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof window !== 'undefined') {
+    window.TokenBudgetService = TokenBudgetService;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TokenBudgetService;
+}
@@ -0,0 +1,160 @@
+// Traceability Service - Links the feature IDs defined in step outputs to the downstream outputs that reference them
+// Builds a matrix of features against coverage columns (UX spec, API contract, validation) from pipeline-config.json
+class TraceabilityService {
+    // Used for any setting pipeline-config.json "traceability" leaves out
+    static DEFAULT_CONFIG = {
+        idPattern: '\\*\\*Feature ID\\*\\*:\\s*`?([A-Za-z0-9][\\w.:/-]*)',
+        definedBy: ['feature-extraction', 'atomic-features'],
+        columns: [
+            { key: 'ux-spec', label: 'UX spec', steps: ['ux-specification'] },
+            { key: 'api-contract', label: 'API contract', steps: ['api-contract-inference'] },
+            { key: 'validation', label: 'Validation', steps: ['post-implementation-validation'] }
+        ]
+    };
+
+    /**
+     * Feature IDs defined in an output, with the name from the nearest heading above each
+     * @param {string} output - Step output
+     * @param {string} [idPattern] - Regex source whose first group is the ID
+     * @returns {Array<{id: string, name: string, line: number}>} In order of appearance, first definition of each ID
+     */
+    static extractIds(output, idPattern = TraceabilityService.DEFAULT_CONFIG.idPattern) {
+        const pattern = new RegExp(idPattern);
+        const found = new Map();
+        let heading = '';
+        (output || '').split('\n').forEach((line, index) => {
+            const headingMatch = line.match(/^#{1,6}\s+(.+?)\s*$/);
+            if (headingMatch) {
+                // "Feature 1: Shared list" / "Atomic Feature: Check off item" → the name after the label
+                heading = headingMatch[1].replace(/^(?:atomic\s+)?feature(?:\s+\d+)?\s*:\s*/i, '');
+                return;
+            }
+            const match = line.match(pattern);
+            const id = match ? match[1].replace(/[.:/-]+$/, '') : '';
+            if (id && !found.has(id)) {
+                found.set(id, { id, name: heading, line: index + 1 });
+            }
+        });
+        return [...found.values()];
+    }
+
+    /**
+     * Build the traceability matrix of a project
+     * An ID is defined by the first defining step (config definedBy) that lists it; every later section whose
+     * output mentions the ID references it. A feature has a gap for each column none of whose steps references it.
+     * @param {object} project - Project
+     * @param {object} [config] - pipeline-config.json "traceability" (merged over DEFAULT_CONFIG)
+     * @returns {{columns: Array, rows: Array, summary: object}} rows: [{ id, name, definedIn, references,
+     *          coverage: { columnKey: references[] }, gaps: columnKey[] }]; references: [{ sectionId, sectionName,
+     *          stepName, count }]; columns carry present (the project has one of the column's steps)
+     */
+    static buildMatrix(project, config = {}) {
+        const settings = { ...TraceabilityService.DEFAULT_CONFIG, ...(config || {}) };
+        const sections = (project && project.sections) || [];
+        const stepOf = (section) => section.stepName || section.sectionId;
+
+        const rows = [];
+        const rowsById = new Map();
+        sections.forEach((section, index) => {
+            if (!settings.definedBy.includes(stepOf(section)) || !section.output) return;
+            TraceabilityService.extractIds(section.output, settings.idPattern).forEach(entry => {
+                if (rowsById.has(entry.id)) return;
+                const row = {
+                    id: entry.id,
+                    name: entry.name,
+                    definedIn: { sectionId: section.sectionId, sectionName: section.sectionName || section.sectionId, stepName: stepOf(section) },
+                    definedAt: index,
+                    references: [],
+                    coverage: {},
+                    gaps: []
+                };
+                rowsById.set(entry.id, row);
+                rows.push(row);
+            });
+        });
+
+        rows.forEach(row => {
+            const idPattern = new RegExp(`(?<![\\w-])${TraceabilityService._escapeRegExp(row.id)}(?![\\w-])`, 'gi');
+            sections.forEach((section, index) => {
+                if (index <= row.definedAt || !section.output) return;
+                const count = (section.output.match(idPattern) || []).length;
+                if (count > 0) {
+                    row.references.push({
+                        sectionId: section.sectionId,
+                        sectionName: section.sectionName || section.sectionId,
+                        stepName: stepOf(section),
+                        count
+                    });
+                }
+            });
+            settings.columns.forEach(column => {
+                row.coverage[column.key] = row.references.filter(ref => column.steps.includes(ref.stepName));
+                if (row.coverage[column.key].length === 0) {
+                    row.gaps.push(column.key);
+                }
+            });
+            delete row.definedAt;
+        });
+
+        const columns = settings.columns.map(column => ({
+            ...column,
+            present: sections.some(section => column.steps.includes(stepOf(section)))
+        }));
+        const gapsByColumn = {};
+        columns.forEach(column => {
+            gapsByColumn[column.key] = rows.filter(row => row.gaps.includes(column.key)).length;
+        });
+
+        return {
+            columns,
+            rows,
+            summary: {
+                features: rows.length,
+                withGaps: rows.filter(row => row.gaps.length > 0).length,
+                gapsByColumn
+            }
+        };
+    }
+
+    /**
+     * Markdown table of a matrix (for download or pasting into an issue)
+     * @param {object} matrix - Result of buildMatrix()
+     * @param {string} [title] - Document title
+     * @returns {string}
+     */
+    static toMarkdown(matrix, title = 'Traceability Matrix') {
+        const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+        const lines = [
+            `# ${title}`,
+            '',
+            `${matrix.summary.features} feature(s), ${matrix.summary.withGaps} with gaps.`,
+            '',
+            `| ID | Feature | Defined in | ${matrix.columns.map(column => cell(column.label)).join(' | ')} | Referenced by |`,
+            `|---|---|---|${matrix.columns.map(() => '---').join('|')}|---|`
+        ];
+        matrix.rows.forEach(row => {
+            const coverage = matrix.columns.map(column => row.coverage[column.key].length > 0
+                ? `✓ ${row.coverage[column.key].map(ref => ref.sectionName).join(', ')}`
+                : '✗ missing');
+            const references = row.references.map(ref => `${ref.sectionName} (${ref.count})`).join(', ') || '-';
+            lines.push(`| \`${cell(row.id)}\` | ${cell(row.name || '-')} | ${cell(row.definedIn.sectionName)} | ` +
+                `${coverage.map(cell).join(' | ')} | ${cell(references)} |`);
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * @private
+     */
+    static _escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof window !== 'undefined') {
+    window.TraceabilityService = TraceabilityService;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TraceabilityService;
+}
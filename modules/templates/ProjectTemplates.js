@@ -1,5 +1,16 @@
 // Project Templates - Provides starter templates for new projects
+// Built-in templates are defined below; user-defined templates are saved on the server (see loadUserTemplates)
 class ProjectTemplates {
+    // Marks a JSON file as a project template (same value as the server's TemplateStore.KIND)
+    static KIND = 'feat-spec-template';
+
+    // User-defined templates by ID, shared by every instance; filled by loadUserTemplates()
+    static userTemplates = {};
+
+    // Section fields a template keeps from its source project (output and status only with includeOutputs)
+    static SECTION_FIELDS = ['sectionId', 'sectionName', 'stepName', 'input', 'modifiers', 'dependencies', 'notes',
+        'overrideInstructions', 'isProcessStep', 'isInferenceStep', 'processStepType', 'specialized', 'isCustom'];
+
     constructor() {
         this.templates = {
             'empty': {
@@ -60,6 +71,140 @@ class ProjectTemplates {
                 }
             }
         };
+        this.builtInIds = Object.keys(this.templates);
+        Object.assign(this.templates, ProjectTemplates.userTemplates);
+    }
+    
+    /**
+     * Fetch the user-defined templates from the server into the shared cache
+     * @returns {Promise<Array>} User templates
+     */
+    static async loadUserTemplates() {
+        try {
+            const response = await fetch('/api/templates');
+            if (!response.ok) {
+                throw new Error(`Server error: ${response.status}`);
+            }
+            const result = await response.json();
+            const templates = (result.data || result).templates || [];
+            ProjectTemplates.userTemplates = Object.fromEntries(templates.map(template => [template.id, template]));
+            return templates;
+        } catch (error) {
+            console.warn('Could not load user templates:', error.message);
+            return Object.values(ProjectTemplates.userTemplates);
+        }
+    }
+    
+    /**
+     * Save a user-defined template on the server (a template whose ID is taken gets a new one)
+     * @param {Object} template - Template from fromProject() or an imported file
+     * @returns {Promise<Object>} Saved template (with its ID)
+     */
+    static async saveUserTemplate(template) {
+        const response = await fetch('/api/templates/save', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ template })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Server error: ${response.status}`);
+        }
+        const saved = (result.data || result).template;
+        ProjectTemplates.userTemplates = { ...ProjectTemplates.userTemplates, [saved.id]: saved };
+        return saved;
+    }
+    
+    /**
+     * Delete a user-defined template on the server
+     * @param {string} templateId - Template ID
+     */
+    static async deleteUserTemplate(templateId) {
+        const response = await fetch('/api/templates/delete', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ id: templateId })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Server error: ${response.status}`);
+        }
+        const { [templateId]: removed, ...rest } = ProjectTemplates.userTemplates;
+        ProjectTemplates.userTemplates = rest;
+    }
+    
+    /**
+     * Build a template from an existing project
+     * Keeps inputs, modifiers, custom steps (with their prompts) and override instructions;
+     * outputs and step statuses only when includeOutputs is set
+     * @param {Object} project - Source project
+     * @param {Object} options - { name, description, includeOutputs }
+     * @returns {Object} Template document (no ID until saved)
+     */
+    static fromProject(project, options = {}) {
+        const includeOutputs = !!options.includeOutputs;
+        const description = options.description !== undefined ? options.description : (project.description || '');
+        return {
+            kind: ProjectTemplates.KIND,
+            name: options.name || project.name,
+            description: description || `Saved from project "${project.name}"`,
+            icon: '⭐',
+            case: project.case || null,
+            caseChain: project.caseChain || null,
+            customWorkflow: !!project.customWorkflow,
+            automationEngine: project.automationEngine || 'file-watching',
+            includesOutputs: includeOutputs,
+            sourceProject: project.name,
+            sections: project.sections.map(section => {
+                const templateSection = {};
+                ProjectTemplates.SECTION_FIELDS.forEach(field => {
+                    if (section[field] !== undefined) {
+                        templateSection[field] = section[field];
+                    }
+                });
+                // Custom steps have no prompt file; their prompt travels with the template
+                if (section.isCustom) {
+                    templateSection.prompt = section.prompt || '';
+                }
+                if (includeOutputs) {
+                    templateSection.output = section.output || '';
+                    templateSection.status = section.status || 'not_started';
+                } else {
+                    templateSection.status = 'not_started';
+                }
+                return templateSection;
+            }),
+            metadata: {
+                description: description,
+                tags: []
+            }
+        };
+    }
+    
+    /**
+     * Parse and check a template file for import
+     * @param {string} content - File content
+     * @returns {Object} Template document
+     * @throws {Error} If the file is not a template
+     */
+    static parseTemplateFile(content) {
+        const template = JSON.parse(content);
+        if (!template || template.kind !== ProjectTemplates.KIND) {
+            throw new Error('Not a project template file');
+        }
+        if (!template.name || !Array.isArray(template.sections)) {
+            throw new Error('Template must have a name and a sections array');
+        }
+        return template;
+    }
+    
+    /**
+     * Whether a template is user-defined (saved on the server) rather than built in
+     * @param {string} templateId - Template ID
+     * @returns {boolean}
+     */
+    isUserTemplate(templateId) {
+        return !!this.templates[templateId] && !this.builtInIds.includes(templateId);
     }
     
     /**
@@ -71,8 +216,9 @@ class ProjectTemplates {
             id,
             name: template.name,
             description: template.description,
-            icon: template.icon,
-            case: template.case
+            icon: template.icon || '⭐',
+            case: template.case,
+            userDefined: this.isUserTemplate(id)
         }));
     }
     
@@ -101,29 +247,32 @@ class ProjectTemplates {
         // If template has a case, use it; otherwise use case 1 as default
         const caseNumber = template.case || 1;
         
+        const metadata = template.metadata || {};
         return {
             name: projectName,
-            description: projectDescription || template.metadata.description || '',
+            description: projectDescription || metadata.description || '',
             case: caseNumber,
-            caseChain: null,
-            customWorkflow: false,
-            automationEngine: 'file-watching',
+            caseChain: template.caseChain || null,
+            customWorkflow: !!template.customWorkflow,
+            automationEngine: template.automationEngine || 'file-watching',
+            userDefined: this.isUserTemplate(templateId), // User templates also carry modifiers and override instructions
             sections: template.sections.map(section => ({
                 ...section,
                 automationId: this._generateAutomationId(),
                 validationStatus: null,
-                prompt: '',
+                prompt: section.prompt || '',
+                output: section.output || '',
                 dependencies: section.dependencies || [],
                 modifiers: section.modifiers || [],
-                overrideInstructions: '',
-                isProcessStep: false,
-                isInferenceStep: false,
-                processStepType: null,
-                specialized: null,
+                overrideInstructions: section.overrideInstructions || '',
+                isProcessStep: section.isProcessStep || false,
+                isInferenceStep: section.isInferenceStep || false,
+                processStepType: section.processStepType || null,
+                specialized: section.specialized || null,
                 lastModified: Date.now()
             })),
             metadata: {
-                ...template.metadata,
+                ...metadata,
                 templateId: templateId,
                 createdAt: new Date().toISOString()
             }
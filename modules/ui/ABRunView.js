@@ -0,0 +1,262 @@
+// A/B Run View - Pick agent providers, run a section's prompt against each, compare the outputs and promote one
+class ABRunView {
+    constructor(stateManager, renderingEngine) {
+        this.stateManager = stateManager;
+        this.renderingEngine = renderingEngine;
+        this.service = new ABRunService(stateManager);
+        this.projectId = null;
+        this.sectionId = null;
+        this.providers = [];
+        this.selected = new Set();
+        this.running = false;
+        this.error = null;
+        this.compare = [null, null]; // Provider IDs shown in the diff (left, right)
+        this.handlersAttached = false;
+    }
+
+    /**
+     * Open the A/B run dialog for a section (shows its last run, if any)
+     * @param {string} projectId - Project ID
+     * @param {string} sectionId - Section ID
+     */
+    async open(projectId, sectionId) {
+        const modal = document.getElementById('ab-run-modal');
+        if (!modal) return;
+
+        this.projectId = projectId;
+        this.sectionId = sectionId;
+        this.error = null;
+        this.setupHandlers();
+        modal.style.display = 'flex';
+
+        const { defaultProvider, providers } = await AgentProviderService.listProviders();
+        this.providers = providers || [];
+        const run = this.service.getLastRun(projectId, sectionId);
+        // Preselect the last run's providers, else the server default and the next configured one
+        const ids = this.providers.map(provider => provider.id);
+        this.selected = new Set(run
+            ? run.variants.map(variant => variant.providerId)
+            : [defaultProvider, ...ids].filter(id => ids.includes(id)).slice(0, ABRunService.MIN_PROVIDERS));
+        this.compare = run ? run.variants.slice(0, 2).map(variant => variant.providerId) : [null, null];
+        this.render();
+    }
+
+    /**
+     * Close the dialog (a run in progress keeps going and is shown when reopened)
+     */
+    close() {
+        const modal = document.getElementById('ab-run-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Run the prompt against the selected providers
+     */
+    async start() {
+        if (this.running) return;
+        const providerIds = this.providers.map(provider => provider.id).filter(id => this.selected.has(id));
+        this.running = true;
+        this.error = null;
+        this.compare = providerIds.slice(0, 2);
+        this.render();
+        try {
+            await this.service.run(this.projectId, this.sectionId, providerIds, () => this.render());
+        } catch (error) {
+            this.error = error.message;
+        }
+        this.running = false;
+        this.render();
+    }
+
+    /**
+     * Promote a variant's output to the section
+     * @param {string} providerId - Provider of the variant
+     */
+    promote(providerId) {
+        if (!this.service.promote(this.projectId, this.sectionId, providerId)) return;
+        this.renderingEngine.renderAll();
+        this.render();
+    }
+
+    /**
+     * Render the provider picker, the variant scores and the diff
+     */
+    render() {
+        const body = document.getElementById('ab-run-body');
+        const title = document.getElementById('ab-run-title');
+        const startBtn = document.getElementById('ab-run-start');
+        const section = this.stateManager.getSection(this.projectId, this.sectionId);
+        if (!body || !section) return;
+
+        if (title) {
+            title.textContent = `A/B Run: ${section.sectionName || section.sectionId}`;
+        }
+        const enoughSelected = this.selected.size >= ABRunService.MIN_PROVIDERS;
+        if (startBtn) {
+            startBtn.disabled = this.running || !enoughSelected;
+            startBtn.textContent = this.running ? 'Running...' : 'Run';
+        }
+
+        const run = this.service.getLastRun(this.projectId, this.sectionId);
+        const html = `
+            ${this._renderProviders(enoughSelected)}
+            ${this.error ? `<div class="ab-run-error">${this._escapeHtml(this.error)}</div>` : ''}
+            ${run ? `
+                <div class="ab-run-variants">
+                    ${run.variants.map(variant => this._renderVariant(section, run, variant)).join('')}
+                </div>
+                ${this._renderComparison(run)}
+            ` : ''}
+        `;
+
+        if (window.safeSetInnerHTML) {
+            window.safeSetInnerHTML(body, html, { trusted: true });
+        } else {
+            body.innerHTML = html; // Safe: all user and agent content is escaped above
+        }
+    }
+
+    /**
+     * Wire the dialog once (event delegation on the modal)
+     */
+    setupHandlers() {
+        if (this.handlersAttached) return;
+        const modal = document.getElementById('ab-run-modal');
+        if (!modal) return;
+
+        modal.addEventListener('click', (e) => {
+            const promoteBtn = e.target.closest('[data-ab-promote]');
+            if (e.target.id === 'ab-run-close' || e.target.id === 'ab-run-done' ||
+                e.target.classList.contains('modal-backdrop')) {
+                this.close();
+            } else if (e.target.id === 'ab-run-start') {
+                this.start();
+            } else if (promoteBtn) {
+                this.promote(promoteBtn.dataset.abPromote);
+            }
+        });
+        modal.addEventListener('change', (e) => {
+            if (e.target.dataset.abProvider) {
+                if (e.target.checked) {
+                    this.selected.add(e.target.dataset.abProvider);
+                } else {
+                    this.selected.delete(e.target.dataset.abProvider);
+                }
+                this.render();
+            } else if (e.target.dataset.abCompare) {
+                this.compare[Number(e.target.dataset.abCompare)] = e.target.value;
+                this.render();
+            }
+        });
+        this.handlersAttached = true;
+    }
+
+    /**
+     * @private
+     */
+    _renderProviders(enoughSelected) {
+        if (this.providers.length < ABRunService.MIN_PROVIDERS) {
+            return `<div class="ab-run-empty">A/B runs need at least ${ABRunService.MIN_PROVIDERS} agent providers configured on the server (${this.providers.length} available).</div>`;
+        }
+        return `
+            <div class="ab-run-providers">
+                <span class="ab-run-providers-label">Compare:</span>
+                ${this.providers.map(provider => `
+                    <label class="ab-run-provider">
+                        <input type="checkbox" data-ab-provider="${this._escapeHtml(provider.id)}"
+                            ${this.selected.has(provider.id) ? 'checked' : ''} ${this.running ? 'disabled' : ''}>
+                        ${this._escapeHtml(this._providerLabel(provider.id))}
+                    </label>
+                `).join('')}
+                ${enoughSelected ? '' : `<span class="ab-run-hint">Select at least ${ABRunService.MIN_PROVIDERS}</span>`}
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _renderVariant(section, run, variant) {
+        const score = variant.score;
+        const passed = score && score.score >= run.threshold;
+        const isCurrent = variant.status === 'complete' && variant.output === (section.output || '');
+        let status;
+        if (variant.status === 'running') {
+            status = '<span class="ab-run-status running">Running...</span>';
+        } else if (variant.status === 'failed') {
+            status = `<span class="ab-run-status failed">Failed: ${this._escapeHtml(variant.error)}</span>`;
+        } else {
+            status = `<span class="ab-run-score ${passed ? 'pass' : 'fail'}">${(score.score * 100).toFixed(0)}%</span>
+                <span class="ab-run-meta">${variant.output.split('\n').length} lines · ${(variant.durationMs / 1000).toFixed(1)}s</span>`;
+        }
+
+        return `
+            <div class="ab-run-variant ${variant.status}">
+                <div class="ab-run-variant-header">
+                    <span class="ab-run-variant-name">${this._escapeHtml(this._providerLabel(variant.providerId))}</span>
+                    ${isCurrent ? '<span class="revision-current">current</span>' : ''}
+                </div>
+                <div class="ab-run-variant-status">${status}</div>
+                ${score && score.failedItems.length > 0 ? `
+                    <ul class="ab-run-failed-items">
+                        ${score.failedItems.map(item => `<li>${this._escapeHtml(item.detail ? `${item.label}: ${item.detail}` : item.label)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+                <button class="btn btn-primary" data-ab-promote="${this._escapeHtml(variant.providerId)}"
+                    ${variant.status !== 'complete' || isCurrent ? 'disabled' : ''}>Promote to Output</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Side-by-side diff of two variants' outputs
+     * @private
+     */
+    _renderComparison(run) {
+        const ids = run.variants.map(variant => variant.providerId);
+        const [leftId, rightId] = this.compare.map((id, index) => ids.includes(id) ? id : ids[Math.min(index, ids.length - 1)]);
+        const left = run.variants.find(variant => variant.providerId === leftId);
+        const right = run.variants.find(variant => variant.providerId === rightId);
+        const options = (selectedId) => ids.map(id =>
+            `<option value="${this._escapeHtml(id)}" ${id === selectedId ? 'selected' : ''}>${this._escapeHtml(this._providerLabel(id))}</option>`).join('');
+        const ready = left.status === 'complete' && right.status === 'complete';
+
+        return `
+            <div class="revision-diff-header ab-run-compare">
+                <select data-ab-compare="0">${options(leftId)}</select>
+                <select data-ab-compare="1">${options(rightId)}</select>
+            </div>
+            <div class="revision-diff-container">
+                ${ready
+                    ? RevisionHistoryService.renderDiff(RevisionHistoryService.diffLines(left.output, right.output), text => this._escapeHtml(text))
+                    : '<div class="revision-diff-empty">Both outputs are needed for the comparison</div>'}
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _providerLabel(providerId) {
+        const provider = this.providers.find(candidate => candidate.id === providerId);
+        if (!provider) return providerId;
+        return provider.model ? `${provider.label} (${provider.model})` : provider.label;
+    }
+
+    /**
+     * @private
+     */
+    _escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.ABRunView = ABRunView;
+}
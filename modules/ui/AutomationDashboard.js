@@ -1,15 +1,22 @@
 // Automation Dashboard - Comprehensive automation status display
 class AutomationDashboard {
-    constructor(stateManager, eventSystem, automationSystem, cursorCLIAutomation, multiAgentAutomation) {
+    constructor(stateManager, eventSystem, automationSystem, cursorCLIAutomation, multiAgentAutomation, runJournal = null, openRunJournal = null) {
         this.stateManager = stateManager;
         this.eventSystem = eventSystem;
         this.automationSystem = automationSystem;
         this.cursorCLIAutomation = cursorCLIAutomation;
         this.multiAgentAutomation = multiAgentAutomation;
+        this.runJournal = runJournal; // RunJournalService: activity of a running automation is also journaled
+        this.openRunJournal = openRunJournal; // openRunJournal(projectId) shows the journal browser
         this.updateInterval = null;
         this.activityHistory = [];
     }
     
+    static JOBS_REFRESH_INTERVAL = 10000; // Job list refresh (the dashboard re-renders every 2s)
+    
+    // Server-side job list, shared because RenderingEngine creates a dashboard per render
+    static jobCache = { projectId: null, jobs: [], fetchedAt: 0 };
+    
     /**
      * Render automation dashboard
      * @param {string} projectId - Project ID
@@ -31,7 +38,9 @@ class AutomationDashboard {
                 <div class="dashboard-header">
                     <div class="dashboard-actions">
                         <button class="dashboard-btn" id="dashboard-refresh" title="Refresh">🔄</button>
-                        <button class="dashboard-btn" id="dashboard-export" title="Export Report">📥</button>
+                        <button class="dashboard-btn" id="dashboard-export" title="Export Run Report (Markdown)">📥</button>
+                        <button class="dashboard-btn" id="dashboard-export-html" title="Export Run Report (HTML)">🌐</button>
+                        ${this.openRunJournal ? '<button class="dashboard-btn" id="dashboard-journal" title="Run Journal">📜</button>' : ''}
                     </div>
                 </div>
                 
@@ -157,6 +166,28 @@ class AutomationDashboard {
                         </div>
                     </div>
                     
+                    <!-- Token Budget Card -->
+                    <div class="dashboard-card token-budget-card">
+                        <div class="dashboard-card-header">
+                            <h3>Token Usage</h3>
+                        </div>
+                        <div class="dashboard-card-content">
+                            ${this.renderTokenUsage(project)}
+                        </div>
+                    </div>
+                    
+                    <!-- Background Jobs Card -->
+                    <div class="dashboard-card jobs-card">
+                        <div class="dashboard-card-header">
+                            <h3>Background Jobs</h3>
+                        </div>
+                        <div class="dashboard-card-content">
+                            <div id="dashboard-jobs">
+                                ${this.renderJobs(projectId)}
+                            </div>
+                        </div>
+                    </div>
+                    
                     ${status.engine === 'multi-agent' ? `
                     <!-- Agent Status Card (Multi-Agent Only) -->
                     <div class="dashboard-card agent-status-card">
@@ -374,9 +405,10 @@ class AutomationDashboard {
             return '<div class="dashboard-empty">No quality metrics available</div>';
         }
         
-        const scores = Array.from(qualityScores.values());
+        // Scores are 0-1; lowest first so failing steps are visible
+        const scores = Array.from(qualityScores.values()).sort((a, b) => (a.score || 0) - (b.score || 0));
         const avgScore = scores.length > 0 ? 
-            Math.round(scores.reduce((sum, s) => sum + (s.score || 0), 0) / scores.length) : 0;
+            Math.round(scores.reduce((sum, s) => sum + (s.score || 0), 0) / scores.length * 100) : 0;
         
         return `
             <div class="quality-metrics">
@@ -385,17 +417,259 @@ class AutomationDashboard {
                     <span class="quality-value">${avgScore}/100</span>
                 </div>
                 <div class="quality-breakdown">
-                    ${scores.slice(0, 5).map(score => `
-                        <div class="quality-item">
-                            <span class="quality-section">${this._escapeHtml(score.sectionName || 'Unknown')}</span>
-                            <span class="quality-score">${score.score || 0}/100</span>
+                    ${scores.map(score => this._renderQualityEntry(score)).join('')}
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Render one step's quality score with its rubric/LLM breakdown and failed rubric items
+     * @private
+     * @param {object} score - Quality score from MultiAgentAutomationSystem.scoreOutput
+     * @returns {string} HTML string
+     */
+    _renderQualityEntry(score) {
+        const percent = Math.round((score.score || 0) * 100);
+        const belowThreshold = typeof score.threshold === 'number' && score.score < score.threshold;
+        const breakdown = [];
+        if (typeof score.ruleScore === 'number') {
+            breakdown.push(`rubric ${Math.round(score.ruleScore * 100)}`);
+        }
+        breakdown.push(typeof score.llmScore === 'number' ? `LLM ${Math.round(score.llmScore * 100)}` : 'LLM n/a');
+        const failedItems = score.failedItems || [];
+        
+        return `
+            <div class="quality-entry">
+                <div class="quality-item">
+                    <span class="quality-section">${this._escapeHtml(score.sectionName || 'Unknown')}</span>
+                    <span class="quality-score ${belowThreshold ? 'quality-below-threshold' : ''}" title="${this._escapeHtml(breakdown.join(', '))}">${percent}/100</span>
+                </div>
+                ${failedItems.length > 0 ? `
+                    <ul class="quality-failures">
+                        ${failedItems.map(item => `
+                            <li>${this._escapeHtml(item.label)}${item.detail ? ` <span class="quality-failure-detail">${this._escapeHtml(item.detail)}</span>` : ''}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Render estimated token usage for the current (or last) run against the budget, and project totals
+     * @param {Object} project - Project object
+     * @returns {string} HTML string
+     */
+    renderTokenUsage(project) {
+        if (!window.TokenBudgetService) {
+            return '<div class="dashboard-empty">Token tracking not available</div>';
+        }
+        
+        const usage = TokenBudgetService.getUsage(project);
+        if (usage.totals.calls === 0) {
+            return '<div class="dashboard-empty">No agent calls recorded yet</div>';
+        }
+        
+        const run = usage.currentRun || usage.runs[usage.runs.length - 1] || null;
+        const formatCost = TokenBudgetService.formatCost;
+        let runHtml = '';
+        if (run) {
+            const check = TokenBudgetService.checkBudget(project, run);
+            const budget = TokenBudgetService.getBudget(project);
+            const percent = check.ratio !== null ? Math.min(100, Math.round(check.ratio * 100)) : null;
+            const sections = Object.values(run.sections)
+                .sort((a, b) => b.totalTokens - a.totalTokens)
+                .slice(0, 5);
+            
+            runHtml = `
+                <div class="token-usage-run">
+                    <div class="token-usage-row">
+                        <span class="token-usage-label">${usage.currentRun ? 'Current run' : 'Last run'}:</span>
+                        <span class="token-usage-value">${run.totals.totalTokens.toLocaleString()} tokens · ${formatCost(run.totals.cost)}</span>
+                    </div>
+                    ${percent !== null ? `
+                        <div class="token-budget-bar budget-${check.state}" title="${this._escapeHtml(check.message || `${percent}% of budget`)}">
+                            <div class="token-budget-fill" style="width: ${percent}%"></div>
                         </div>
-                    `).join('')}
+                        <div class="token-usage-budget">${percent}% of budget · on exceed: ${this._escapeHtml(budget.action)}</div>
+                    ` : '<div class="token-usage-budget">No budget set</div>'}
+                    <div class="token-usage-sections">
+                        ${sections.map(section => `
+                            <div class="token-usage-row">
+                                <span class="token-usage-section">${this._escapeHtml(section.label)}</span>
+                                <span class="token-usage-value">${section.totalTokens.toLocaleString()} (${section.calls} call${section.calls === 1 ? '' : 's'})</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }
+        
+        return `
+            <div class="token-usage">
+                ${runHtml}
+                <div class="token-usage-row token-usage-total">
+                    <span class="token-usage-label">Project total:</span>
+                    <span class="token-usage-value">${usage.totals.totalTokens.toLocaleString()} tokens · ${formatCost(usage.totals.cost)} · ${usage.totals.calls} calls</span>
                 </div>
             </div>
         `;
     }
     
+    /**
+     * Render server-side agent jobs for the project (from the cached job list)
+     * @param {string} projectId - Project ID
+     * @returns {string} HTML string
+     */
+    renderJobs(projectId) {
+        if (!window.AgentJobService) {
+            return '<div class="dashboard-empty">Job queue not available</div>';
+        }
+        const { jobCache } = AutomationDashboard;
+        if (jobCache.projectId !== projectId) {
+            return '<div class="dashboard-empty">Loading jobs...</div>';
+        }
+        if (jobCache.jobs.length === 0) {
+            return '<div class="dashboard-empty">No jobs for this project</div>';
+        }
+        
+        const attachedJobId = this.cursorCLIAutomation ? this.cursorCLIAutomation.currentJobId : null;
+        return `
+            <div class="jobs-list">
+                ${jobCache.jobs.slice(0, 5).map(job => {
+                    const finished = window.AgentJobService.isFinished(job.status);
+                    const hasOutputs = job.tasks.some(task => task.status === 'completed' && task.sectionId);
+                    const actions = [];
+                    if (!finished && job.source === 'cursor-cli' && job.id !== attachedJobId) {
+                        actions.push('<button class="dashboard-job-btn" data-job-action="attach">Re-attach</button>');
+                    }
+                    if (!finished) {
+                        actions.push('<button class="dashboard-job-btn" data-job-action="cancel">Cancel</button>');
+                    }
+                    if (finished && job.status !== 'completed') {
+                        actions.push('<button class="dashboard-job-btn" data-job-action="resume">Resume</button>');
+                    }
+                    if (finished && hasOutputs) {
+                        actions.push('<button class="dashboard-job-btn" data-job-action="apply">Apply outputs</button>');
+                    }
+                    const detail = job.currentTask || job.error || this.formatTime(job.finishedAt || job.createdAt);
+                    return `
+                        <div class="job-item" data-job-id="${this._escapeHtml(job.id)}">
+                            <div class="job-item-header">
+                                <span class="job-label">${this._escapeHtml(job.label)}</span>
+                                <span class="job-status status-${this._escapeHtml(job.status)}">${this._escapeHtml(job.status)}</span>
+                            </div>
+                            <div class="job-item-details">
+                                ${job.progress.completed}/${job.progress.total} steps · ${this._escapeHtml(detail)}
+                            </div>
+                            ${actions.length > 0 ? `<div class="job-item-actions">${actions.join('')}</div>` : ''}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+    
+    /**
+     * Refresh the cached job list and re-render the jobs card
+     * @param {string} projectId - Project ID
+     * @param {boolean} force - Ignore JOBS_REFRESH_INTERVAL
+     */
+    async refreshJobs(projectId, force = false) {
+        if (!window.AgentJobService) return;
+        const { jobCache } = AutomationDashboard;
+        const fresh = jobCache.projectId === projectId &&
+            Date.now() - jobCache.fetchedAt < AutomationDashboard.JOBS_REFRESH_INTERVAL;
+        if (fresh && !force) return;
+        
+        jobCache.fetchedAt = Date.now();
+        try {
+            jobCache.jobs = await window.AgentJobService.listJobs(projectId);
+            jobCache.projectId = projectId;
+        } catch (error) {
+            console.warn('Failed to load automation jobs:', error);
+            return;
+        }
+        
+        const container = document.getElementById('automation-dashboard-container');
+        const jobsElement = container ? container.querySelector('#dashboard-jobs') : null;
+        if (!jobsElement) return;
+        const html = this.renderJobs(projectId);
+        if (window.safeSetInnerHTML) {
+            window.safeSetInnerHTML(jobsElement, html, { trusted: true });
+        } else {
+            jobsElement.innerHTML = html;
+        }
+        this._setupJobHandlers(jobsElement, projectId);
+    }
+    
+    /**
+     * Handle a job action (attach, cancel, resume, apply)
+     * @private
+     */
+    async handleJobAction(action, jobId, projectId) {
+        const job = AutomationDashboard.jobCache.jobs.find(j => j.id === jobId);
+        if (!job) return;
+        
+        try {
+            switch (action) {
+                case 'attach':
+                    if (this.cursorCLIAutomation) {
+                        this.cursorCLIAutomation.attachToJob(projectId, jobId);
+                    }
+                    this.addActivity(`Re-attached to job: ${job.label}`);
+                    break;
+                case 'cancel':
+                    await window.AgentJobService.cancelJob(jobId);
+                    this.addActivity(`Job cancelled: ${job.label}`);
+                    break;
+                case 'resume':
+                    if (job.source === 'cursor-cli' && this.cursorCLIAutomation) {
+                        this.cursorCLIAutomation.resumeJob(projectId, jobId);
+                    } else {
+                        await window.AgentJobService.resumeJob(jobId);
+                    }
+                    this.addActivity(`Job resumed: ${job.label}`);
+                    break;
+                case 'apply': {
+                    const details = await window.AgentJobService.getJob(jobId);
+                    const applied = details.tasks.filter(task => task.status === 'completed' && task.sectionId);
+                    applied.forEach(task => {
+                        this.stateManager.updateSection(projectId, task.sectionId, {
+                            output: task.output,
+                            status: 'complete'
+                        }, { source: job.source === 'cursor-cli' ? 'cursor-cli' : 'manual' });
+                    });
+                    this.addActivity(`Applied ${applied.length} output(s) from job: ${job.label}`);
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error(`Job action "${action}" failed:`, error);
+            this.addActivity(`Job ${action} failed: ${error.message}`);
+        }
+        
+        // Give the server a moment to start or stop the job before refreshing
+        setTimeout(() => this.refreshJobs(projectId, true), 500);
+    }
+    
+    /**
+     * Bind job action buttons
+     * @private
+     */
+    _setupJobHandlers(element, projectId) {
+        element.querySelectorAll('.dashboard-job-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const item = btn.closest('.job-item');
+                if (item) {
+                    btn.disabled = true;
+                    this.handleJobAction(btn.dataset.jobAction, item.dataset.jobId, projectId);
+                }
+            });
+        });
+    }
+    
     /**
      * Get recent activity
      * @returns {Array} Array of activity items
@@ -425,8 +699,9 @@ class AutomationDashboard {
     /**
      * Add activity to history
      * @param {string} message - Activity message
+     * @param {string} [projectId] - Also record it in the project's running journal run, if any
      */
-    addActivity(message) {
+    addActivity(message, projectId = null) {
         this.activityHistory.push({
             timestamp: Date.now(),
             message
@@ -436,6 +711,11 @@ class AutomationDashboard {
         if (this.activityHistory.length > 100) {
             this.activityHistory.shift();
         }
+        
+        const runId = projectId && this.runJournal ? this.runJournal.activeRun(projectId) : null;
+        if (runId) {
+            this.runJournal.record(runId, 'activity', { message });
+        }
     }
     
     /**
@@ -491,6 +771,7 @@ class AutomationDashboard {
         if (refreshBtn) {
             refreshBtn.addEventListener('click', () => {
                 this.updateDashboard(projectId);
+                this.refreshJobs(projectId, true);
             });
         }
         
@@ -498,7 +779,21 @@ class AutomationDashboard {
         const exportBtn = container.querySelector('#dashboard-export');
         if (exportBtn) {
             exportBtn.addEventListener('click', () => {
-                this.exportReport(projectId);
+                this.exportReport(projectId, RunReportService.Format.MARKDOWN);
+            });
+        }
+        const exportHtmlBtn = container.querySelector('#dashboard-export-html');
+        if (exportHtmlBtn) {
+            exportHtmlBtn.addEventListener('click', () => {
+                this.exportReport(projectId, RunReportService.Format.HTML);
+            });
+        }
+        
+        // Run journal button
+        const journalBtn = container.querySelector('#dashboard-journal');
+        if (journalBtn) {
+            journalBtn.addEventListener('click', () => {
+                this.openRunJournal(projectId);
             });
         }
         
@@ -510,6 +805,12 @@ class AutomationDashboard {
             });
         });
         
+        // Job action buttons
+        const jobsElement = container.querySelector('#dashboard-jobs');
+        if (jobsElement) {
+            this._setupJobHandlers(jobsElement, projectId);
+        }
+        
         // Toggle buttons
         container.querySelectorAll('.dashboard-toggle').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -543,7 +844,7 @@ class AutomationDashboard {
                 } else if (this.automationSystem) {
                     this.automationSystem.start(projectId);
                 }
-                this.addActivity('Automation started');
+                this.addActivity('Automation started', projectId);
                 break;
             case 'pause':
                 if (engine === 'cursor-cli' && this.cursorCLIAutomation) {
@@ -551,7 +852,7 @@ class AutomationDashboard {
                 } else if (engine === 'multi-agent' && this.multiAgentAutomation) {
                     this.multiAgentAutomation.pause?.();
                 }
-                this.addActivity('Automation paused');
+                this.addActivity('Automation paused', projectId);
                 break;
             case 'resume':
                 if (engine === 'cursor-cli' && this.cursorCLIAutomation) {
@@ -559,7 +860,7 @@ class AutomationDashboard {
                 } else if (engine === 'multi-agent' && this.multiAgentAutomation) {
                     this.multiAgentAutomation.resume?.();
                 }
-                this.addActivity('Automation resumed');
+                this.addActivity('Automation resumed', projectId);
                 break;
             case 'stop':
                 if (engine === 'cursor-cli' && this.cursorCLIAutomation) {
@@ -569,7 +870,7 @@ class AutomationDashboard {
                 } else if (this.automationSystem) {
                     this.automationSystem.stop();
                 }
-                this.addActivity('Automation stopped');
+                this.addActivity('Automation stopped', projectId);
                 break;
         }
         
@@ -592,46 +893,39 @@ class AutomationDashboard {
         }
         
         this.setupHandlers(container, projectId);
+        this.refreshJobs(projectId);
     }
     
     /**
-     * Export status report
+     * Export a run report of the project's latest journal run (Markdown or standalone HTML)
+     * Falls back to a report of the current step states when the journal has no run or cannot be reached
      * @private
      */
-    exportReport(projectId) {
+    async exportReport(projectId, format = RunReportService.Format.MARKDOWN) {
         const project = this.stateManager.getProject(projectId);
         if (!project) return;
         
-        const status = this.getAutomationStatus(project);
-        const progress = this.calculateProgress(project);
-        
-        const report = {
-            project: {
-                id: project.id,
-                name: project.name,
-                case: project.case
-            },
-            automation: {
-                engine: status.engine,
-                state: status.state,
-                currentSection: status.currentSection,
-                uptime: status.uptime
-            },
-            progress: {
-                percentage: progress.percentage,
-                complete: progress.complete,
-                inProgress: progress.inProgress,
-                pending: progress.pending,
-                total: progress.total
-            },
-            timestamp: new Date().toISOString()
-        };
+        let run = null;
+        let events = [];
+        if (this.runJournal) {
+            try {
+                const runs = await this.runJournal.listRuns(projectId);
+                if (runs.length > 0) {
+                    const result = await this.runJournal.getEvents(runs[0].runId);
+                    run = result.run;
+                    events = result.events;
+                }
+            } catch (error) {
+                console.warn('Run report: the run journal could not be read:', error.message);
+            }
+        }
         
-        const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+        const { filename, mimeType, content } = RunReportService.export(project, run, events, format);
+        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `automation-status-${project.id}-${Date.now()}.json`;
+        a.download = filename;
         a.click();
         URL.revokeObjectURL(url);
     }
@@ -644,6 +938,7 @@ class AutomationDashboard {
             clearInterval(this.updateInterval);
         }
         
+        this.refreshJobs(projectId);
         this.updateInterval = setInterval(() => {
             this.updateDashboard(projectId);
         }, 2000); // Update every 2 seconds
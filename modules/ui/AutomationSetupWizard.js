@@ -9,8 +9,12 @@ class AutomationSetupWizard {
             engine: 'file-watching',
             automationDirectory: '',
             scopeDirectory: '',
+            agentProvider: '',
+            tokenBudget: null,
+            contextWindow: null,
             createNewDir: true
         };
+        this.agentProviders = [];
     }
     
     /**
@@ -32,9 +36,22 @@ class AutomationSetupWizard {
             engine: project.automationEngine || 'file-watching',
             automationDirectory: project.automationDirectory || '',
             scopeDirectory: project.scopeDirectory || '',
+            agentProvider: project.agentProvider || '',
+            tokenBudget: project.tokenBudget ? { ...project.tokenBudget } : null,
+            contextWindow: project.contextWindow ? { ...project.contextWindow } : null,
             createNewDir: !project.automationDirectory
         };
         
+        // Load configured agent providers for the scope/provider step
+        if (window.AgentProviderService) {
+            window.AgentProviderService.listProviders().then(result => {
+                this.agentProviders = result.providers || [];
+                if (this.currentStep === 3) {
+                    this.renderStep(3);
+                }
+            });
+        }
+        
         // Show modal
         const modal = document.getElementById('automation-setup-wizard-modal');
         if (modal) {
@@ -232,6 +249,16 @@ class AutomationSetupWizard {
                     />
                 </div>
                 
+                <div class="wizard-input-group">
+                    <label for="wizard-agent-provider">Agent Provider:</label>
+                    <select id="wizard-agent-provider" class="wizard-input">
+                        ${window.AgentProviderService ? window.AgentProviderService.renderOptions(this.agentProviders, this.wizardData.agentProvider) : '<option value="">Server default</option>'}
+                    </select>
+                </div>
+                
+                ${this.wizardData.engine === 'cursor-cli' || this.wizardData.engine === 'multi-agent' ? this._renderBudgetFields() : ''}
+                ${this.wizardData.engine === 'multi-agent' ? this._renderContextWindowFields() : ''}
+                
                 <div class="wizard-help-text">
                     <p><strong>What is this?</strong></p>
                     <p>The scope directory limits the agent's focus to a specific part of your codebase. This helps agents stay focused and avoid modifying unrelated files.</p>
@@ -268,6 +295,20 @@ class AutomationSetupWizard {
                         <strong>Scope Directory:</strong>
                         <span class="wizard-review-path">${this._escapeHtml(this.wizardData.scopeDirectory || 'Not set')}</span>
                     </div>
+                    <div class="wizard-review-item">
+                        <strong>Agent Provider:</strong>
+                        <span>${this._escapeHtml(this.wizardData.agentProvider || 'Server default')}</span>
+                    </div>
+                    <div class="wizard-review-item">
+                        <strong>Token Budget:</strong>
+                        <span>${this._escapeHtml(this._describeBudget())}</span>
+                    </div>
+                    ` : ''}
+                    ${this.wizardData.engine === 'multi-agent' ? `
+                    <div class="wizard-review-item">
+                        <strong>Context Window:</strong>
+                        <span>${this._escapeHtml(this._describeContextWindow())}</span>
+                    </div>
                     ` : ''}
                 </div>
                 
@@ -337,6 +378,18 @@ class AutomationSetupWizard {
                         this.wizardData.scopeDirectory = e.target.value;
                     });
                 }
+                const providerSelect = document.getElementById('wizard-agent-provider');
+                if (providerSelect) {
+                    providerSelect.addEventListener('change', (e) => {
+                        this.wizardData.agentProvider = e.target.value;
+                    });
+                }
+                document.querySelectorAll('[data-budget-field]').forEach(input => {
+                    input.addEventListener('change', () => this._readBudgetFields());
+                });
+                document.querySelectorAll('[data-context-field]').forEach(input => {
+                    input.addEventListener('change', () => this._readContextWindowFields());
+                });
                 break;
         }
     }
@@ -399,7 +452,10 @@ class AutomationSetupWizard {
             this.stateManager.updateProject(this.projectId, {
                 automationEngine: this.wizardData.engine,
                 automationDirectory: this.wizardData.automationDirectory.trim(),
-                scopeDirectory: (this.wizardData.scopeDirectory || '').trim() || null
+                scopeDirectory: (this.wizardData.scopeDirectory || '').trim() || null,
+                agentProvider: this.wizardData.agentProvider || null,
+                tokenBudget: this.wizardData.tokenBudget,
+                contextWindow: this.wizardData.contextWindow
             });
             
             return { success: true };
@@ -409,6 +465,131 @@ class AutomationSetupWizard {
         }
     }
     
+    /**
+     * Render the token budget inputs (cursor-cli and multi-agent runs)
+     * @private
+     * @returns {string} HTML string
+     */
+    _renderBudgetFields() {
+        const budget = { ...(window.TokenBudgetService ? window.TokenBudgetService.DEFAULT_BUDGET : {}), ...(this.wizardData.tokenBudget || {}) };
+        const value = (field) => budget[field] === null || budget[field] === undefined ? '' : this._escapeHtml(String(budget[field]));
+        
+        return `
+            <div class="wizard-input-group">
+                <label>Token Budget per Run (optional):</label>
+                <div class="wizard-budget-grid">
+                    <label>Max tokens
+                        <input type="number" min="0" step="1000" class="wizard-input" data-budget-field="maxTokensPerRun" value="${value('maxTokensPerRun')}" placeholder="Unlimited" />
+                    </label>
+                    <label>Max cost ($)
+                        <input type="number" min="0" step="0.01" class="wizard-input" data-budget-field="maxCostPerRun" value="${value('maxCostPerRun')}" placeholder="Unlimited" />
+                    </label>
+                    <label>Input cost per 1K tokens ($)
+                        <input type="number" min="0" step="0.0001" class="wizard-input" data-budget-field="inputCostPer1K" value="${value('inputCostPer1K')}" />
+                    </label>
+                    <label>Output cost per 1K tokens ($)
+                        <input type="number" min="0" step="0.0001" class="wizard-input" data-budget-field="outputCostPer1K" value="${value('outputCostPer1K')}" />
+                    </label>
+                    <label>When exceeded
+                        <select class="wizard-input" data-budget-field="action">
+                            <option value="warn" ${budget.action === 'warn' ? 'selected' : ''}>Warn</option>
+                            <option value="pause" ${budget.action === 'pause' ? 'selected' : ''}>Pause</option>
+                            <option value="stop" ${budget.action === 'stop' ? 'selected' : ''}>Stop</option>
+                        </select>
+                    </label>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Read the token budget inputs into wizardData.tokenBudget
+     * @private
+     */
+    _readBudgetFields() {
+        const budget = { ...(this.wizardData.tokenBudget || {}) };
+        document.querySelectorAll('[data-budget-field]').forEach(input => {
+            const field = input.dataset.budgetField;
+            if (field === 'action') {
+                budget.action = input.value;
+            } else {
+                const number = parseFloat(input.value);
+                budget[field] = Number.isFinite(number) && number >= 0 ? number : null;
+            }
+        });
+        this.wizardData.tokenBudget = budget;
+    }
+    
+    /**
+     * Describe the token budget for the review step
+     * @private
+     * @returns {string}
+     */
+    _describeBudget() {
+        const budget = this.wizardData.tokenBudget;
+        if (!budget || (!(budget.maxTokensPerRun > 0) && !(budget.maxCostPerRun > 0))) {
+            return 'No limit';
+        }
+        const limits = [];
+        if (budget.maxTokensPerRun > 0) limits.push(`${budget.maxTokensPerRun.toLocaleString()} tokens`);
+        if (budget.maxCostPerRun > 0) limits.push(`$${budget.maxCostPerRun}`);
+        return `${limits.join(' / ')} per run, then ${budget.action || 'warn'}`;
+    }
+    
+    /**
+     * Render the context window inputs (multi-agent runs)
+     * @private
+     * @returns {string} HTML string
+     */
+    _renderContextWindowFields() {
+        const contextWindow = this.wizardData.contextWindow || {};
+        const defaultTokens = window.ContextAssembler ? window.ContextAssembler.DEFAULT_MAX_TOKENS : 24000;
+        
+        return `
+            <div class="wizard-input-group">
+                <label>Context Window:</label>
+                <div class="wizard-budget-grid">
+                    <label>Max prompt tokens
+                        <input type="number" min="1000" step="1000" class="wizard-input" data-context-field="maxTokens" value="${contextWindow.maxTokens ? this._escapeHtml(String(contextWindow.maxTokens)) : ''}" placeholder="${defaultTokens}" />
+                    </label>
+                    <label>
+                        <input type="checkbox" data-context-field="includeScopeFiles" ${contextWindow.includeScopeFiles ? 'checked' : ''} />
+                        Include relevant scope files in prompts
+                    </label>
+                </div>
+                <div class="wizard-help-text"><p>Inputs and direct dependencies are kept first; older outputs are summarised and scope files excerpted to fit.</p></div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Read the context window inputs into wizardData.contextWindow
+     * @private
+     */
+    _readContextWindowFields() {
+        const contextWindow = { ...(this.wizardData.contextWindow || {}) };
+        document.querySelectorAll('[data-context-field]').forEach(input => {
+            if (input.type === 'checkbox') {
+                contextWindow[input.dataset.contextField] = input.checked;
+            } else {
+                const number = parseInt(input.value, 10);
+                contextWindow[input.dataset.contextField] = Number.isFinite(number) && number > 0 ? number : null;
+            }
+        });
+        this.wizardData.contextWindow = contextWindow;
+    }
+    
+    /**
+     * Describe the context window for the review step
+     * @private
+     * @returns {string}
+     */
+    _describeContextWindow() {
+        const contextWindow = this.wizardData.contextWindow || {};
+        const tokens = contextWindow.maxTokens || (window.ContextAssembler ? window.ContextAssembler.DEFAULT_MAX_TOKENS : 24000);
+        return `${tokens.toLocaleString()} tokens${contextWindow.includeScopeFiles ? ', with scope files' : ''}`;
+    }
+    
     /**
      * Get case display name
      * @private
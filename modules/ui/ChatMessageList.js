@@ -13,6 +13,8 @@ export class ChatMessageList {
         this.messageListElement = null;
         this.messages = [];
         this.currentChatId = null;
+        this.streamingElement = null;
+        this.streamingContent = '';
         
         this._initialize();
     }
@@ -50,6 +52,8 @@ export class ChatMessageList {
         }
         
         // Clear existing messages - safe
+        this.streamingElement = null;
+        this.streamingContent = '';
         while (this.messageListElement.firstChild) {
             this.messageListElement.removeChild(this.messageListElement.firstChild);
         }
@@ -120,7 +124,103 @@ export class ChatMessageList {
             messageElement.innerHTML = messageHtml;
         }
         
-        this.messageListElement.appendChild(messageElement);
+        // Keep the loading indicator and any streaming response below committed messages
+        const anchor = this.streamingElement || this.messageListElement.querySelector('#chat-loading-indicator');
+        if (anchor && anchor.parentNode === this.messageListElement) {
+            this.messageListElement.insertBefore(messageElement, anchor);
+        } else {
+            this.messageListElement.appendChild(messageElement);
+        }
+    }
+    
+    /**
+     * Starts an assistant message that is filled incrementally by appendStreamingChunk
+     * Replaces the loading indicator and shows a Stop button that emits chat:message:cancel;
+     * "Thinking..." is shown until the first chunk arrives
+     */
+    startStreamingMessage() {
+        if (!this.messageListElement || this.streamingElement) {
+            return;
+        }
+        
+        this.hideLoading();
+        this.streamingContent = '';
+        
+        const element = document.createElement('div');
+        element.className = 'chat-message chat-message-assistant chat-message-streaming';
+        element.id = 'chat-streaming-message';
+        // Static structure - streamed text is set via textContent below
+        const streamingHtml = `
+            <div class="chat-message-header">
+                <span class="chat-message-role">Assistant</span>
+                <button class="chat-message-cancel" title="Stop generating">Stop</button>
+            </div>
+            <div class="chat-message-content chat-message-streaming-content">
+                <div class="chat-loading-spinner"></div>
+                <span style="margin-left: 8px; color: #888;">Thinking...</span>
+            </div>
+        `;
+        if (window.safeSetInnerHTML) {
+            window.safeSetInnerHTML(element, streamingHtml, { trusted: true });
+        } else {
+            element.innerHTML = streamingHtml;
+        }
+        
+        const cancelButton = element.querySelector('.chat-message-cancel');
+        if (cancelButton) {
+            cancelButton.addEventListener('click', () => {
+                cancelButton.disabled = true;
+                cancelButton.textContent = 'Stopping...';
+                this.eventSystem.emit('chat:message:cancel', {
+                    source: 'ChatMessageList',
+                    data: { chatId: this.currentChatId }
+                });
+            });
+        }
+        
+        this.messageListElement.appendChild(element);
+        this.streamingElement = element;
+        this.scrollToBottom();
+    }
+    
+    /**
+     * Appends streamed text to the in-progress assistant message
+     * Text is shown raw while streaming and rendered as markdown once complete
+     * @param {string} text - Text chunk
+     */
+    appendStreamingChunk(text) {
+        if (!this.streamingElement) {
+            this.startStreamingMessage();
+        }
+        if (!this.streamingElement) {
+            return;
+        }
+        
+        this.streamingContent += text;
+        const contentElement = this.streamingElement.querySelector('.chat-message-streaming-content');
+        if (contentElement) {
+            contentElement.textContent = this.streamingContent;
+        }
+        this.scrollToBottom();
+    }
+    
+    /**
+     * Checks whether a streamed response is being displayed
+     * @returns {boolean}
+     */
+    hasStreamingMessage() {
+        return this.streamingElement !== null;
+    }
+    
+    /**
+     * Removes the in-progress streaming message (callers add the final message separately)
+     */
+    endStreamingMessage() {
+        if (this.streamingElement) {
+            this.streamingElement.remove();
+        }
+        this.streamingElement = null;
+        this.streamingContent = '';
     }
     
     /**
@@ -232,6 +332,8 @@ export class ChatMessageList {
      */
     clear() {
         this.messages = [];
+        this.streamingElement = null;
+        this.streamingContent = '';
         if (this.messageListElement) {
             this.messageListElement.innerHTML = '';
         }
@@ -12,6 +12,7 @@ export class ChatSettings {
         this.containerElement = containerElement;
         this.modalElement = null;
         this.currentChatId = null;
+        this.pendingProvider = null; // Stored provider while the provider options are loading
         this.onSaveCallback = null;
         this.onCancelCallback = null;
         
@@ -189,6 +190,7 @@ export class ChatSettings {
         const saveHistoryCheckbox = this.modalElement.querySelector('.chat-settings-save-history');
         const maxHeightInput = this.modalElement.querySelector('.chat-settings-max-height');
         const projectSelect = this.modalElement.querySelector('.chat-settings-project');
+        const providerSelect = this.modalElement.querySelector('.chat-settings-provider');
         
         if (nameInput) {
             nameInput.value = chatInstance.name || '';
@@ -206,6 +208,21 @@ export class ChatSettings {
             maxHeightInput.value = chatInstance.maxHeight || '';
         }
         
+        if (providerSelect && typeof window !== 'undefined' && window.AgentProviderService) {
+            const selected = chatInstance.agentProvider || '';
+            // The options arrive asynchronously; until then getFormData keeps the stored provider
+            this.pendingProvider = selected;
+            window.AgentProviderService.listProviders().then(result => {
+                if (this.pendingProvider !== selected) {
+                    return; // Populated again for another chat in the meantime
+                }
+                providerSelect.innerHTML = window.AgentProviderService.renderOptions(
+                    result.providers, selected, 'Inherit from project'
+                );
+                this.pendingProvider = null;
+            });
+        }
+        
         if (projectSelect) {
             // Populate project select if needed
             // This would require access to StateManager, so we'll handle it externally
@@ -225,6 +242,7 @@ export class ChatSettings {
         const scopeInput = this.modalElement.querySelector('.chat-settings-scope');
         const saveHistoryCheckbox = this.modalElement.querySelector('.chat-settings-save-history');
         const maxHeightInput = this.modalElement.querySelector('.chat-settings-max-height');
+        const providerSelect = this.modalElement.querySelector('.chat-settings-provider');
         
         const maxHeightValue = maxHeightInput ? maxHeightInput.value.trim() : '';
         const maxHeight = maxHeightValue ? parseInt(maxHeightValue, 10) : null;
@@ -233,6 +251,9 @@ export class ChatSettings {
             name: nameInput ? nameInput.value.trim() : '',
             scopeDirectory: scopeInput ? scopeInput.value.trim() : '',
             saveHistory: saveHistoryCheckbox ? saveHistoryCheckbox.checked : true,
+            agentProvider: providerSelect
+                ? ((this.pendingProvider !== null ? this.pendingProvider : providerSelect.value) || null)
+                : undefined,
             maxHeight: maxHeight && !isNaN(maxHeight) ? maxHeight : null
         };
     }
@@ -0,0 +1,253 @@
+// Merge Conflict View - Shown when a save is refused because the file was saved elsewhere since it was loaded
+// Lists the projects and sections that differ between your copy and the server's and lets you pick one per section
+class MergeConflictView {
+    static PREVIEW_LENGTH = 1500; // Characters of each copy shown when comparing a field
+
+    static STATUS_LABELS = {
+        'changed': 'Differs',
+        'local-only': 'Only in your copy',
+        'server-only': 'Only on the server'
+    };
+
+    constructor() {
+        this.conflict = null;
+        this.diff = null;
+        this.choices = new Map();
+        this.settle = null;
+        this.handlersAttached = false;
+    }
+
+    /**
+     * Ask how to merge a refused save
+     * @param {{filename: string, local: object, server: object|null, revision: string|null}} conflict - From
+     *        DataLayer.saveToServer; server is null when the file was deleted or could not be read
+     * @returns {Promise<object|null>} State to save, or null to cancel the save
+     */
+    resolve(conflict) {
+        const modal = document.getElementById('merge-conflict-modal');
+        if (!modal) return Promise.resolve(null);
+
+        if (!conflict.server) {
+            const message = conflict.revision
+                ? `${conflict.filename} was changed on the server and could not be read. Overwrite it with your copy?`
+                : `${conflict.filename} was deleted on the server since it was loaded. Save your copy again?`;
+            return Promise.resolve(confirm(message) ? conflict.local : null);
+        }
+
+        const diff = ProjectGroupMergeService.diff(conflict.local, conflict.server);
+        if (diff.differences === 0) {
+            return Promise.resolve(conflict.local); // Only bookkeeping (timestamps, revision history) differs
+        }
+
+        // A second refused save replaces a dialog still open for the first
+        this._finish(null);
+        this.conflict = conflict;
+        this.diff = diff;
+        this.choices = ProjectGroupMergeService.defaultChoices(diff);
+        this.setupHandlers();
+        this.render();
+        modal.style.display = 'flex';
+
+        return new Promise(resolve => {
+            this.settle = resolve;
+        });
+    }
+
+    /**
+     * Render the differences with a choice per item
+     */
+    render() {
+        const body = document.getElementById('merge-conflict-body');
+        if (!body || !this.diff) return;
+
+        const { filename } = this.conflict;
+        const html = `
+            <p class="merge-conflict-summary">
+                <strong>${this._escapeHtml(filename)}</strong> was saved elsewhere (another tab, a collaborator or a tool)
+                since you loaded it. ${this.diff.differences} difference(s). Choose which copy to keep for each.
+            </p>
+            <div class="merge-conflict-toolbar">
+                <button class="btn btn-secondary" data-merge-all="local">Use mine for all</button>
+                <button class="btn btn-secondary" data-merge-all="server">Use server's for all</button>
+            </div>
+            <div class="merge-conflict-list">
+                ${this.diff.comparable
+                    ? this.diff.projects.map(project => this._renderProject(project)).join('')
+                    : this._renderWholeFile()}
+            </div>
+        `;
+
+        if (window.safeSetInnerHTML) {
+            window.safeSetInnerHTML(body, html, { trusted: true });
+        } else {
+            body.innerHTML = html; // Safe: all file content is escaped above
+        }
+    }
+
+    /**
+     * Wire the dialog once (event delegation on the modal)
+     */
+    setupHandlers() {
+        if (this.handlersAttached) return;
+        const modal = document.getElementById('merge-conflict-modal');
+        if (!modal) return;
+
+        modal.addEventListener('click', (e) => {
+            if (e.target.id === 'merge-conflict-close' || e.target.id === 'merge-conflict-cancel' ||
+                e.target.classList.contains('modal-backdrop')) {
+                this._finish(null);
+            } else if (e.target.id === 'merge-conflict-save') {
+                this._finish(ProjectGroupMergeService.merge(this.conflict.local, this.conflict.server, this.diff, this.choices));
+            } else if (e.target.dataset.mergeAll) {
+                this.choices.forEach((value, key) => this.choices.set(key, e.target.dataset.mergeAll));
+                this.render();
+            }
+        });
+        modal.addEventListener('change', (e) => {
+            if (e.target.dataset.mergeKey) {
+                this.choices.set(e.target.dataset.mergeKey, e.target.value);
+            }
+        });
+        this.handlersAttached = true;
+    }
+
+    /**
+     * @private
+     */
+    _finish(result) {
+        const modal = document.getElementById('merge-conflict-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        if (this.settle) {
+            const settle = this.settle;
+            this.settle = null;
+            settle(result);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _renderProject(project) {
+        const projectKey = ProjectGroupMergeService.projectKey(project.projectId);
+        const projectChoice = project.status !== 'changed' || project.fields.length > 0
+            ? this._renderChoice(projectKey)
+            : '';
+        const fields = project.fields.length > 0
+            ? `<span class="merge-conflict-fields">Project settings: ${this._escapeHtml(project.fields.join(', '))}</span>`
+            : '';
+
+        return `
+            <div class="merge-conflict-project">
+                <div class="merge-conflict-row merge-conflict-project-header">
+                    <span class="merge-conflict-name">${this._escapeHtml(project.name || project.projectId)}</span>
+                    <span class="merge-conflict-status merge-conflict-${project.status}">${MergeConflictView.STATUS_LABELS[project.status]}</span>
+                    ${fields}
+                    ${projectChoice}
+                </div>
+                ${project.sections.map(section => this._renderSection(project, section)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _renderSection(project, section) {
+        const key = ProjectGroupMergeService.sectionKey(project.projectId, section.sectionId);
+        return `
+            <div class="merge-conflict-section">
+                <div class="merge-conflict-row">
+                    <span class="merge-conflict-name">${this._escapeHtml(section.sectionName || section.sectionId)}</span>
+                    <span class="merge-conflict-status merge-conflict-${section.status}">${MergeConflictView.STATUS_LABELS[section.status]}</span>
+                    <span class="merge-conflict-fields">${this._escapeHtml(section.fields.join(', '))}</span>
+                    ${this._renderChoice(key)}
+                </div>
+                ${section.status === 'changed' ? this._renderComparison(project.projectId, section) : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Both copies of the section's differing text fields
+     * @private
+     */
+    _renderComparison(projectId, section) {
+        const fields = section.fields.filter(field => ProjectGroupMergeService.TEXT_FIELDS.includes(field));
+        if (fields.length === 0) return '';
+
+        const find = (state) => {
+            const project = state.projects.find(candidate => candidate.id === projectId);
+            return (project && (project.sections || []).find(candidate => candidate.sectionId === section.sectionId)) || {};
+        };
+        const mine = find(this.conflict.local);
+        const theirs = find(this.conflict.server);
+
+        return `
+            <details class="merge-conflict-compare">
+                <summary>Compare</summary>
+                ${fields.map(field => `
+                    <div class="merge-conflict-field">${this._escapeHtml(field)}</div>
+                    <div class="merge-conflict-columns">
+                        <div><div class="merge-conflict-column-title">Mine</div><pre>${this._escapeHtml(this._preview(mine[field]))}</pre></div>
+                        <div><div class="merge-conflict-column-title">Server</div><pre>${this._escapeHtml(this._preview(theirs[field]))}</pre></div>
+                    </div>
+                `).join('')}
+            </details>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _renderWholeFile() {
+        return `
+            <div class="merge-conflict-row">
+                <span class="merge-conflict-name">Whole file</span>
+                <span class="merge-conflict-fields">The file is not a project group, so it can only be kept or replaced as a whole</span>
+                ${this._renderChoice('file')}
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _renderChoice(key) {
+        const value = this.choices.get(key);
+        const name = `merge-${key.replace(/[^a-zA-Z0-9_-]/g, '_')}`;
+        return `
+            <span class="merge-conflict-choice">
+                <label><input type="radio" name="${this._escapeHtml(name)}" data-merge-key="${this._escapeHtml(key)}" value="local" ${value === 'local' ? 'checked' : ''}> Mine</label>
+                <label><input type="radio" name="${this._escapeHtml(name)}" data-merge-key="${this._escapeHtml(key)}" value="server" ${value === 'server' ? 'checked' : ''}> Server</label>
+            </span>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _preview(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (!text) return '(empty)';
+        return text.length > MergeConflictView.PREVIEW_LENGTH
+            ? `${text.slice(0, MergeConflictView.PREVIEW_LENGTH)}\n… (${text.length - MergeConflictView.PREVIEW_LENGTH} more characters)`
+            : text;
+    }
+
+    /**
+     * @private
+     */
+    _escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.MergeConflictView = MergeConflictView;
+}
@@ -0,0 +1,689 @@
+// Pipeline Editor - Create and edit custom cases (steps, modifiers, dependencies, triggers)
+// Saves each case as an additional pipeline config file that PipelineConfig.loadConfig merges
+class PipelineEditor {
+    constructor(errorHandler = null) {
+        this.errorHandler = errorHandler;
+        this.pipelines = [];    // Definition files from the server
+        this.promptFiles = [];  // Prompt files relative to reference/pipeline-steps/
+        this.builtInCases = {}; // Cases from pipeline-config.json (read-only; can be copied)
+        this.draft = null;      // Case being edited (see _draftFromCase)
+        this.serverErrors = [];
+        this.handlersAttached = false;
+    }
+
+    /**
+     * Open the editor with the list of cases
+     */
+    async open() {
+        const modal = document.getElementById('pipeline-editor-modal');
+        if (!modal) return;
+        this.setupHandlers();
+        this.draft = null;
+        modal.style.display = 'flex';
+        this._setBody('<div class="pipeline-editor-loading">Loading pipeline definitions...</div>');
+
+        try {
+            await this.refresh();
+        } catch (error) {
+            this._setBody(`<div class="pipeline-editor-error">Could not load pipeline definitions: ${this._escapeHtml(error.message)}</div>`);
+            return;
+        }
+        this.render();
+    }
+
+    /**
+     * Close the editor (unsaved changes are discarded)
+     */
+    close() {
+        const modal = document.getElementById('pipeline-editor-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+        this.draft = null;
+    }
+
+    /**
+     * Reload definitions and prompt files from the server and built-in cases from PipelineConfig
+     */
+    async refresh() {
+        const response = await fetch('/api/pipelines');
+        if (!response.ok) {
+            throw new Error(`Server error: ${response.status}`);
+        }
+        const result = await response.json();
+        const data = result.data || result;
+        this.pipelines = data.pipelines || [];
+        this.promptFiles = data.promptFiles || [];
+
+        const config = await window.PipelineConfig.reloadConfig();
+        this.builtInCases = Object.fromEntries(
+            Object.entries(config.cases || {}).filter(([, caseConfig]) => !caseConfig.custom)
+        );
+    }
+
+    /**
+     * Start a new, empty case
+     */
+    newCase() {
+        this.draft = {
+            id: null,
+            caseNumber: this._nextCaseNumber(),
+            name: '',
+            description: '',
+            steps: []
+        };
+        this.serverErrors = [];
+        this.render();
+    }
+
+    /**
+     * Edit a custom case, or start a new case from a copy of a built-in case
+     * @param {string} caseNumber - Case number
+     */
+    editCase(caseNumber) {
+        const definition = this.pipelines.find(pipeline => pipeline.cases && pipeline.cases[caseNumber]);
+        if (definition) {
+            this.draft = this._draftFromCase(caseNumber, definition.cases[caseNumber], definition.id);
+        } else if (this.builtInCases[caseNumber]) {
+            this.draft = this._draftFromCase(String(this._nextCaseNumber()), this.builtInCases[caseNumber], null);
+            this.draft.name = `Copy of ${this.draft.name}`;
+        } else {
+            return;
+        }
+        this.serverErrors = [];
+        this.render();
+    }
+
+    /**
+     * Validate the draft and save it on the server, then reload the pipeline configuration
+     */
+    async save() {
+        if (!this.draft) return;
+        const { errors } = this.validate();
+        if (errors.length > 0) {
+            this.render();
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/pipelines/save', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pipeline: this.toDefinition() })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Server error: ${response.status}`);
+            }
+            const saved = (result.data || result).pipeline;
+            this.draft.id = saved.id;
+            this.serverErrors = [];
+            await this.refresh();
+            this._notify(`Case ${this.draft.caseNumber} saved. New projects can use it now.`, 'Pipeline Saved');
+        } catch (error) {
+            this.serverErrors = [error.message];
+        }
+        this.render();
+    }
+
+    /**
+     * Delete a custom case's definition file
+     * @param {string} caseNumber - Case number
+     */
+    async deleteCase(caseNumber) {
+        const definition = this.pipelines.find(pipeline => pipeline.cases && pipeline.cases[caseNumber]);
+        if (!definition) return;
+        if (!confirm(`Delete Case ${caseNumber} (${definition.cases[caseNumber].name})? Existing projects keep their steps but lose the case's process steps and modifier options.`)) return;
+
+        try {
+            const response = await fetch('/api/pipelines/delete', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ id: definition.id })
+            });
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Server error: ${response.status}`);
+            }
+            if (this.draft && this.draft.id === definition.id) {
+                this.draft = null;
+            }
+            await this.refresh();
+        } catch (error) {
+            alert('Failed to delete case: ' + error.message);
+        }
+        this.render();
+    }
+
+    /**
+     * Validate the draft against the built-in cases, the other definition files and the prompt files
+     * @returns {{errors: string[], warnings: string[]}}
+     */
+    validate() {
+        const reservedCases = [
+            ...Object.keys(this.builtInCases),
+            ...this.pipelines
+                .filter(pipeline => pipeline.id !== this.draft.id)
+                .flatMap(pipeline => Object.keys(pipeline.cases || {}))
+        ];
+        return PipelineDefinitionValidator.validate(this.toDefinition(), {
+            reservedCases,
+            promptFiles: this.promptFiles
+        });
+    }
+
+    /**
+     * Pipeline definition file for the draft
+     * @returns {object} { kind, id, cases: { "<number>": caseConfig } }
+     */
+    toDefinition() {
+        const caseConfig = {
+            name: this.draft.name.trim(),
+            description: this.draft.description.trim(),
+            workflow: {}
+        };
+        const inference = {};
+        const processSteps = {};
+
+        this.draft.steps.forEach(step => {
+            const directory = PipelineDefinitionValidator.STEP_DIRECTORIES[step.kind];
+            const stepConfig = { ...step.extra, step: `${directory}/${step.name}.md` };
+            if (step.displayName.trim()) {
+                stepConfig.name = step.displayName.trim();
+            }
+            if (step.kind === 'core') {
+                stepConfig.modifiers = [...step.modifiers];
+                if (step.dependencies) stepConfig.dependencies = [...step.dependencies];
+                if (step.optional) stepConfig.optional = true;
+                caseConfig.workflow[step.name] = stepConfig;
+            } else if (step.kind === 'inference') {
+                stepConfig.after = step.after;
+                inference[step.name] = stepConfig;
+            } else {
+                stepConfig.triggers = [...step.triggers];
+                if (step.required) stepConfig.required = true;
+                processSteps[step.name] = stepConfig;
+            }
+        });
+
+        if (Object.keys(inference).length > 0) caseConfig.inference = inference;
+        if (Object.keys(processSteps).length > 0) caseConfig.processSteps = processSteps;
+
+        const definition = {
+            kind: PipelineDefinitionValidator.KIND,
+            cases: { [String(this.draft.caseNumber)]: caseConfig }
+        };
+        if (this.draft.id) {
+            definition.id = this.draft.id;
+        }
+        return definition;
+    }
+
+    /**
+     * Render the case list and, when a case is open, its form
+     */
+    render() {
+        const saveBtn = document.getElementById('pipeline-editor-save');
+        const validation = this.draft ? this.validate() : { errors: [], warnings: [] };
+        if (saveBtn) {
+            saveBtn.style.display = this.draft ? '' : 'none';
+            saveBtn.disabled = validation.errors.length > 0;
+        }
+
+        this._setBody(`
+            <div class="pipeline-editor-layout">
+                <div class="pipeline-editor-cases">${this._renderCaseList()}</div>
+                <div class="pipeline-editor-form">
+                    ${this.draft ? this._renderForm() : '<div class="pipeline-editor-empty">Pick a custom case to edit, copy a built-in case, or start a new one.</div>'}
+                    <div id="pipeline-editor-validation">${this.draft ? this._renderValidation(validation) : ''}</div>
+                </div>
+            </div>
+        `);
+    }
+
+    /**
+     * Wire the editor once (event delegation on the modal)
+     */
+    setupHandlers() {
+        if (this.handlersAttached) return;
+        const modal = document.getElementById('pipeline-editor-modal');
+        if (!modal) return;
+
+        modal.addEventListener('click', (e) => {
+            const actionEl = e.target.closest('[data-pipeline-action]');
+            if (e.target.id === 'pipeline-editor-close' || e.target.id === 'pipeline-editor-cancel' ||
+                e.target.classList.contains('modal-backdrop')) {
+                this.close();
+                return;
+            }
+            if (e.target.id === 'pipeline-editor-save') {
+                this.save();
+                return;
+            }
+            if (!actionEl) return;
+
+            const { pipelineAction, caseNumber } = actionEl.dataset;
+            const index = parseInt(actionEl.dataset.stepIndex, 10);
+            switch (pipelineAction) {
+                case 'new-case':
+                    this.newCase();
+                    break;
+                case 'edit-case':
+                    this.editCase(caseNumber);
+                    break;
+                case 'delete-case':
+                    this.deleteCase(caseNumber);
+                    break;
+                case 'add-step':
+                    this._addStep();
+                    break;
+                case 'move-up':
+                case 'move-down':
+                    this._moveStep(index, pipelineAction === 'move-up' ? -1 : 1);
+                    break;
+                case 'remove-step':
+                    this._removeStep(index);
+                    break;
+            }
+        });
+
+        // Text fields update the draft as you type; selects and checkboxes re-render (options depend on them)
+        modal.addEventListener('input', (e) => {
+            if (e.target.matches('input[type="text"], input[type="number"], textarea')) {
+                this._applyField(e.target);
+                this._refreshValidation();
+            }
+        });
+        modal.addEventListener('change', (e) => {
+            if (e.target.dataset.field && (e.target.tagName === 'SELECT' || e.target.type === 'checkbox')) {
+                this._applyField(e.target);
+                this.render();
+            }
+        });
+        this.handlersAttached = true;
+    }
+
+    /**
+     * Update the draft from a form field
+     * @private
+     */
+    _applyField(el) {
+        if (!this.draft || !el.dataset.field) return;
+        const field = el.dataset.field;
+        if (el.dataset.stepIndex === undefined) {
+            this.draft[field] = field === 'caseNumber' ? el.value.trim() : el.value;
+            return;
+        }
+
+        const step = this.draft.steps[parseInt(el.dataset.stepIndex, 10)];
+        if (!step) return;
+        switch (field) {
+            case 'kind':
+                step.kind = el.value;
+                step.name = this._promptNames(step.kind)[0] || '';
+                step.modifiers = [];
+                break;
+            case 'name': {
+                const previous = step.name;
+                step.name = el.value;
+                step.modifiers = [];
+                this._renameReferences(previous, step.name);
+                break;
+            }
+            case 'displayName':
+                step.displayName = el.value;
+                break;
+            case 'modifier':
+                step.modifiers = el.checked
+                    ? [...step.modifiers, el.value]
+                    : step.modifiers.filter(modifier => modifier !== el.value);
+                break;
+            case 'sequential':
+                step.dependencies = el.checked ? null : [];
+                break;
+            case 'dependencies':
+            case 'triggers':
+                step[field] = Array.from(el.selectedOptions).map(option => option.value);
+                break;
+            case 'after':
+                step.after = el.value;
+                break;
+            case 'optional':
+            case 'required':
+                step[field] = el.checked;
+                break;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _refreshValidation() {
+        const container = document.getElementById('pipeline-editor-validation');
+        const saveBtn = document.getElementById('pipeline-editor-save');
+        if (!container || !this.draft) return;
+        const validation = this.validate();
+        if (window.safeSetInnerHTML) {
+            window.safeSetInnerHTML(container, this._renderValidation(validation), { trusted: true });
+        } else {
+            container.innerHTML = this._renderValidation(validation); // Safe: all user content is escaped
+        }
+        if (saveBtn) {
+            saveBtn.disabled = validation.errors.length > 0;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _addStep() {
+        const used = new Set(this.draft.steps.map(step => step.name));
+        const name = this._promptNames('core').find(candidate => !used.has(candidate)) || '';
+        this.draft.steps.push(this._newStep('core', name));
+        this.render();
+    }
+
+    /**
+     * @private
+     */
+    _moveStep(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.draft.steps.length) return;
+        const steps = this.draft.steps;
+        [steps[index], steps[target]] = [steps[target], steps[index]];
+        this.render();
+    }
+
+    /**
+     * @private
+     */
+    _removeStep(index) {
+        const [removed] = this.draft.steps.splice(index, 1);
+        if (removed) {
+            this._renameReferences(removed.name, null);
+        }
+        this.render();
+    }
+
+    /**
+     * Point dependencies, "after" and triggers at a renamed step (or drop them when newName is null)
+     * @private
+     */
+    _renameReferences(oldName, newName) {
+        const rename = (list) => list
+            .map(name => (name === oldName ? newName : name))
+            .filter(Boolean);
+        this.draft.steps.forEach(step => {
+            if (step.dependencies) step.dependencies = rename(step.dependencies);
+            step.triggers = rename(step.triggers);
+            if (step.after === oldName) step.after = newName || '';
+        });
+    }
+
+    /**
+     * @private
+     */
+    _newStep(kind, name) {
+        return {
+            kind,
+            name,
+            displayName: '',
+            modifiers: [],
+            dependencies: null, // null = depends on the previous core step
+            after: '',
+            triggers: [],
+            optional: false,
+            required: false,
+            extra: {}
+        };
+    }
+
+    /**
+     * Editable draft from a case configuration
+     * @private
+     */
+    _draftFromCase(caseNumber, caseConfig, id) {
+        const steps = [];
+        const split = (stepConfig) => {
+            const { step, name, modifiers, dependencies, optional, after, triggers, required, ...extra } = stepConfig || {};
+            return { displayName: name || '', modifiers, dependencies, optional, after, triggers, required, extra };
+        };
+        Object.entries(caseConfig.workflow || {}).forEach(([name, stepConfig]) => {
+            const parts = split(stepConfig);
+            steps.push({
+                ...this._newStep('core', name),
+                displayName: parts.displayName,
+                modifiers: [...(parts.modifiers || [])],
+                dependencies: Array.isArray(parts.dependencies) ? [...parts.dependencies] : null,
+                optional: !!parts.optional,
+                extra: parts.extra
+            });
+        });
+        Object.entries(caseConfig.inference || {}).forEach(([name, stepConfig]) => {
+            const parts = split(stepConfig);
+            steps.push({ ...this._newStep('inference', name), displayName: parts.displayName, after: parts.after || '', extra: parts.extra });
+        });
+        Object.entries(caseConfig.processSteps || {}).forEach(([name, stepConfig]) => {
+            const parts = split(stepConfig);
+            steps.push({
+                ...this._newStep('process', name),
+                displayName: parts.displayName,
+                triggers: [...(parts.triggers || [])],
+                required: !!parts.required,
+                extra: parts.extra
+            });
+        });
+        return {
+            id,
+            caseNumber: String(caseNumber),
+            name: caseConfig.name || '',
+            description: caseConfig.description || '',
+            steps
+        };
+    }
+
+    /**
+     * Step names with a prompt file for a kind (core → core/*.md, ...)
+     * @private
+     */
+    _promptNames(kind) {
+        const prefix = `${PipelineDefinitionValidator.STEP_DIRECTORIES[kind]}/`;
+        return this.promptFiles
+            .filter(file => file.startsWith(prefix) && !file.slice(prefix.length).includes('/'))
+            .map(file => file.slice(prefix.length, -3));
+    }
+
+    /**
+     * Modifier names with a file for a step (modifiers/<step>/*.md)
+     * @private
+     */
+    _modifierNames(stepName) {
+        const prefix = `modifiers/${stepName}/`;
+        return this.promptFiles
+            .filter(file => file.startsWith(prefix))
+            .map(file => file.slice(prefix.length, -3));
+    }
+
+    /**
+     * @private
+     */
+    _nextCaseNumber() {
+        const numbers = [
+            ...Object.keys(this.builtInCases),
+            ...this.pipelines.flatMap(pipeline => Object.keys(pipeline.cases || {}))
+        ].map(number => parseInt(number, 10)).filter(Number.isInteger);
+        return numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+    }
+
+    /**
+     * @private
+     */
+    _renderCaseList() {
+        const builtIn = Object.entries(this.builtInCases).map(([number, caseConfig]) => `
+            <div class="pipeline-case-item builtin">
+                <span class="pipeline-case-name">Case ${this._escapeHtml(number)}: ${this._escapeHtml(caseConfig.name)}</span>
+                <button class="btn btn-secondary" data-pipeline-action="edit-case" data-case-number="${this._escapeHtml(number)}" title="Start a new case from this one">Copy</button>
+            </div>
+        `).join('');
+        const custom = this.pipelines.flatMap(pipeline => Object.entries(pipeline.cases || {})).map(([number, caseConfig]) => `
+            <div class="pipeline-case-item custom ${this.draft && this.draft.caseNumber === number ? 'active' : ''}">
+                <span class="pipeline-case-name">Case ${this._escapeHtml(number)}: ${this._escapeHtml(caseConfig.name)}</span>
+                <button class="btn btn-secondary" data-pipeline-action="edit-case" data-case-number="${this._escapeHtml(number)}">Edit</button>
+                <button class="btn btn-secondary" data-pipeline-action="delete-case" data-case-number="${this._escapeHtml(number)}">Delete</button>
+            </div>
+        `).join('');
+
+        return `
+            <button class="btn btn-primary" data-pipeline-action="new-case">+ New Case</button>
+            <h4>Custom cases</h4>
+            ${custom || '<div class="pipeline-editor-empty">None yet</div>'}
+            <h4>Built-in cases</h4>
+            ${builtIn}
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _renderForm() {
+        const draft = this.draft;
+        const sectionSteps = draft.steps.filter(step => step.kind !== 'process').map(step => step.name);
+        return `
+            <div class="pipeline-form-fields">
+                <label>Case number <input type="number" min="1" data-field="caseNumber" value="${this._escapeHtml(draft.caseNumber)}"></label>
+                <label>Name <input type="text" data-field="name" value="${this._escapeHtml(draft.name)}"></label>
+                <label>Description <textarea rows="2" data-field="description">${this._escapeHtml(draft.description)}</textarea></label>
+            </div>
+            <div class="pipeline-steps">
+                ${draft.steps.map((step, index) => this._renderStep(step, index, sectionSteps)).join('')}
+            </div>
+            <button class="btn btn-secondary" data-pipeline-action="add-step">+ Add Step</button>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _renderStep(step, index, sectionSteps) {
+        const names = this._promptNames(step.kind);
+        if (step.name && !names.includes(step.name)) {
+            names.unshift(step.name);
+        }
+        const others = sectionSteps.filter(name => name !== step.name);
+        const option = (value, label, selected) =>
+            `<option value="${this._escapeHtml(value)}" ${selected ? 'selected' : ''}>${this._escapeHtml(label)}</option>`;
+        const attrs = `data-step-index="${index}"`;
+
+        let details = '';
+        if (step.kind === 'core') {
+            const modifierNames = [...new Set([...this._modifierNames(step.name), ...step.modifiers])];
+            details = `
+                <div class="pipeline-step-detail">
+                    <span class="pipeline-step-label">Modifiers</span>
+                    ${modifierNames.length === 0 ? '<span class="pipeline-editor-empty">No modifier files for this step</span>' : modifierNames.map(modifier => `
+                        <label><input type="checkbox" ${attrs} data-field="modifier" value="${this._escapeHtml(modifier)}" ${step.modifiers.includes(modifier) ? 'checked' : ''}> ${this._escapeHtml(modifier)}</label>
+                    `).join('')}
+                </div>
+                <div class="pipeline-step-detail">
+                    <span class="pipeline-step-label">Depends on</span>
+                    <label><input type="checkbox" ${attrs} data-field="sequential" ${step.dependencies ? '' : 'checked'}> previous step</label>
+                    ${step.dependencies ? `<select multiple ${attrs} data-field="dependencies">${others.map(name => option(name, name, step.dependencies.includes(name))).join('')}</select>` : ''}
+                    <label><input type="checkbox" ${attrs} data-field="optional" ${step.optional ? 'checked' : ''}> optional</label>
+                </div>
+            `;
+        } else if (step.kind === 'inference') {
+            details = `
+                <div class="pipeline-step-detail">
+                    <span class="pipeline-step-label">Runs after</span>
+                    <select ${attrs} data-field="after">${option('', '—', !step.after)}${others.map(name => option(name, name, step.after === name)).join('')}</select>
+                </div>
+            `;
+        } else {
+            details = `
+                <div class="pipeline-step-detail">
+                    <span class="pipeline-step-label">Triggered by</span>
+                    <select multiple ${attrs} data-field="triggers">${sectionSteps.map(name => option(name, name, step.triggers.includes(name))).join('')}</select>
+                    <label><input type="checkbox" ${attrs} data-field="required" ${step.required ? 'checked' : ''}> required</label>
+                </div>
+            `;
+        }
+
+        return `
+            <div class="pipeline-step">
+                <div class="pipeline-step-header">
+                    <span class="pipeline-step-number">${index + 1}</span>
+                    <select ${attrs} data-field="kind">
+                        ${option('core', 'Core', step.kind === 'core')}
+                        ${option('inference', 'Inference', step.kind === 'inference')}
+                        ${option('process', 'Process', step.kind === 'process')}
+                    </select>
+                    <select ${attrs} data-field="name">${names.map(name => option(name, name, name === step.name)).join('')}</select>
+                    <input type="text" ${attrs} data-field="displayName" placeholder="Display name (optional)" value="${this._escapeHtml(step.displayName)}">
+                    <button class="btn-icon" data-pipeline-action="move-up" data-step-index="${index}" title="Move up">↑</button>
+                    <button class="btn-icon" data-pipeline-action="move-down" data-step-index="${index}" title="Move down">↓</button>
+                    <button class="btn-icon" data-pipeline-action="remove-step" data-step-index="${index}" title="Remove step">✕</button>
+                </div>
+                ${details}
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _renderValidation(validation) {
+        const errors = [...this.serverErrors, ...validation.errors];
+        if (errors.length === 0 && validation.warnings.length === 0) {
+            return '<div class="pipeline-validation ok">✓ No problems found</div>';
+        }
+        return `
+            <ul class="pipeline-validation">
+                ${errors.map(error => `<li class="error">${this._escapeHtml(error)}</li>`).join('')}
+                ${validation.warnings.map(warning => `<li class="warning">${this._escapeHtml(warning)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _setBody(html) {
+        const body = document.getElementById('pipeline-editor-body');
+        if (!body) return;
+        if (window.safeSetInnerHTML) {
+            window.safeSetInnerHTML(body, html, { trusted: true });
+        } else {
+            body.innerHTML = html; // Safe: all user content is escaped
+        }
+    }
+
+    /**
+     * @private
+     */
+    _notify(message, title) {
+        if (this.errorHandler) {
+            this.errorHandler.showUserNotification(message, {
+                source: 'PipelineEditor',
+                operation: 'save'
+            }, {
+                severity: ErrorHandler.Severity.INFO,
+                title
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.PipelineEditor = PipelineEditor;
+}
@@ -0,0 +1,145 @@
+// Prompt Lint Panel - Runs the prompt linter on the server and lists the issues by file
+class PromptLintPanel {
+    constructor() {
+        this.result = null;
+        this.filter = 'all'; // 'all' | 'error' | 'warning'
+        this.handlersAttached = false;
+    }
+
+    /**
+     * Open the panel and run the linter
+     */
+    async open() {
+        const modal = document.getElementById('prompt-lint-modal');
+        if (!modal) return;
+        this.setupHandlers();
+        modal.style.display = 'flex';
+        await this.run();
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        const modal = document.getElementById('prompt-lint-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Lint the prompt templates (server reads reference/ from disk) and render the result
+     */
+    async run() {
+        this._setBody('<div class="prompt-lint-empty">Linting prompt templates...</div>');
+        try {
+            const response = await fetch('/api/prompt-lint');
+            const result = await response.json();
+            if (!response.ok || result.success === false) {
+                throw new Error(result.error || `Server error: ${response.status}`);
+            }
+            this.result = result.data || result;
+        } catch (error) {
+            this.result = null;
+            this._setBody(`<div class="prompt-lint-error">Could not run the prompt linter: ${this._escapeHtml(error.message)}</div>`);
+            return;
+        }
+        this.render();
+    }
+
+    /**
+     * Render the summary, filter and issues grouped by file
+     */
+    render() {
+        if (!this.result) return;
+        const { issues, errors, warnings, filesChecked } = this.result;
+        const shown = issues.filter(issue => this.filter === 'all' || issue.severity === this.filter);
+
+        const byFile = new Map();
+        shown.forEach(issue => {
+            if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+            byFile.get(issue.file).push(issue);
+        });
+
+        const filterButton = (value, label) =>
+            `<button class="prompt-lint-filter ${this.filter === value ? 'active' : ''}" data-lint-filter="${value}">${label}</button>`;
+
+        this._setBody(`
+            <div class="prompt-lint-summary">
+                <span>${filesChecked} prompt files checked</span>
+                <span class="prompt-lint-count error">${errors} error${errors === 1 ? '' : 's'}</span>
+                <span class="prompt-lint-count warning">${warnings} warning${warnings === 1 ? '' : 's'}</span>
+                <div class="prompt-lint-filters">
+                    ${filterButton('all', 'All')}
+                    ${filterButton('error', 'Errors')}
+                    ${filterButton('warning', 'Warnings')}
+                </div>
+            </div>
+            ${shown.length === 0 ? '<div class="prompt-lint-empty">✓ No issues</div>' : Array.from(byFile.entries()).map(([file, fileIssues]) => `
+                <div class="prompt-lint-file">
+                    <div class="prompt-lint-file-name">${this._escapeHtml(file)}</div>
+                    <ul>
+                        ${fileIssues.map(issue => `
+                            <li class="prompt-lint-issue ${issue.severity}">
+                                ${issue.line ? `<span class="prompt-lint-line">${issue.line}</span>` : ''}
+                                <span class="prompt-lint-message">${this._escapeHtml(issue.message)}</span>
+                                <span class="prompt-lint-rule">${this._escapeHtml(issue.rule)}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `).join('')}
+        `);
+    }
+
+    /**
+     * Wire the panel once (event delegation on the modal)
+     */
+    setupHandlers() {
+        if (this.handlersAttached) return;
+        const modal = document.getElementById('prompt-lint-modal');
+        if (!modal) return;
+
+        modal.addEventListener('click', (e) => {
+            const filterBtn = e.target.closest('[data-lint-filter]');
+            if (e.target.id === 'prompt-lint-close' || e.target.id === 'prompt-lint-done' ||
+                e.target.classList.contains('modal-backdrop')) {
+                this.close();
+            } else if (e.target.id === 'prompt-lint-rerun') {
+                this.run();
+            } else if (filterBtn) {
+                this.filter = filterBtn.dataset.lintFilter;
+                this.render();
+            }
+        });
+        this.handlersAttached = true;
+    }
+
+    /**
+     * @private
+     */
+    _setBody(html) {
+        const body = document.getElementById('prompt-lint-body');
+        if (!body) return;
+        if (window.safeSetInnerHTML) {
+            window.safeSetInnerHTML(body, html, { trusted: true });
+        } else {
+            body.innerHTML = html; // Safe: all file content is escaped
+        }
+    }
+
+    /**
+     * @private
+     */
+    _escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.PromptLintPanel = PromptLintPanel;
+}
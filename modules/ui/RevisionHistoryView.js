@@ -0,0 +1,222 @@
+// Revision History View - Browse a section's revisions, diff them side by side and restore one
+class RevisionHistoryView {
+    static FIELD_LABELS = {
+        output: 'Output',
+        input: 'Input',
+        prompt: 'Prompt'
+    };
+
+    constructor(stateManager, renderingEngine) {
+        this.stateManager = stateManager;
+        this.renderingEngine = renderingEngine;
+        this.projectId = null;
+        this.sectionId = null;
+        this.field = 'output';
+        this.selectedId = null;
+        this.compareWith = 'current'; // 'current' | 'previous'
+        this.handlersAttached = false;
+    }
+
+    /**
+     * Open the history for a section
+     * @param {string} projectId - Project ID
+     * @param {string} sectionId - Section ID
+     * @param {string} field - 'output', 'input' or 'prompt'
+     */
+    open(projectId, sectionId, field = 'output') {
+        const modal = document.getElementById('revision-history-modal');
+        if (!modal) return;
+
+        this.projectId = projectId;
+        this.sectionId = sectionId;
+        this.field = field;
+        this.selectedId = null;
+        this.compareWith = 'current';
+        this.setupHandlers();
+        this.render();
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the history modal
+     */
+    close() {
+        const modal = document.getElementById('revision-history-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Render the modal body for the current section and field
+     */
+    render() {
+        const body = document.getElementById('revision-history-body');
+        const title = document.getElementById('revision-history-title');
+        const section = this.stateManager.getSection(this.projectId, this.sectionId);
+        if (!body || !section) return;
+
+        if (title) {
+            title.textContent = `Revision History: ${section.sectionName || section.sectionId}`;
+        }
+
+        const revisions = RevisionHistoryService.getRevisions(section, this.field);
+        const selected = revisions.find(revision => revision.id === this.selectedId) || revisions[0] || null;
+        this.selectedId = selected ? selected.id : null;
+
+        const tabs = RevisionHistoryService.TRACKED_FIELDS.map(field => `
+            <button class="revision-history-tab ${field === this.field ? 'active' : ''}" data-revision-field="${field}">
+                ${RevisionHistoryView.FIELD_LABELS[field]} (${RevisionHistoryService.getRevisions(section, field).length})
+            </button>
+        `).join('');
+
+        const html = `
+            <div class="revision-history-tabs">${tabs}</div>
+            ${revisions.length === 0
+                ? `<div class="revision-history-empty">No revisions of the ${this.field} yet. Revisions are recorded each time it changes.</div>`
+                : `
+                <div class="revision-history-layout">
+                    <div class="revision-history-list">
+                        ${revisions.map(revision => this._renderRevisionItem(section, revision, revision.id === this.selectedId)).join('')}
+                    </div>
+                    <div class="revision-history-detail">
+                        ${this._renderDetail(section, selected)}
+                    </div>
+                </div>
+            `}
+        `;
+
+        if (window.safeSetInnerHTML) {
+            window.safeSetInnerHTML(body, html, { trusted: true });
+        } else {
+            body.innerHTML = html; // Safe: all user content is escaped above
+        }
+    }
+
+    /**
+     * Restore a revision as the section's current value (recorded as a 'restore' revision)
+     * @param {string} revisionId - Revision ID
+     */
+    restore(revisionId) {
+        const section = this.stateManager.getSection(this.projectId, this.sectionId);
+        const revision = section && (section.revisions || []).find(candidate => candidate.id === revisionId);
+        if (!revision) return;
+
+        this.stateManager.updateSection(this.projectId, this.sectionId, {
+            [revision.field]: revision.value
+        }, { source: RevisionHistoryService.Source.RESTORE });
+        this.selectedId = null;
+        this.renderingEngine.renderAll();
+        this.render();
+    }
+
+    /**
+     * Wire the modal's buttons once (event delegation on the modal)
+     */
+    setupHandlers() {
+        if (this.handlersAttached) return;
+        const modal = document.getElementById('revision-history-modal');
+        if (!modal) return;
+
+        modal.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-revision-field], [data-revision-id], [data-revision-compare], [data-revision-restore]');
+            if (e.target.id === 'revision-history-close' || e.target.id === 'revision-history-done' ||
+                e.target.classList.contains('modal-backdrop')) {
+                this.close();
+            } else if (!target) {
+                return;
+            } else if (target.dataset.revisionField) {
+                this.field = target.dataset.revisionField;
+                this.selectedId = null;
+                this.render();
+            } else if (target.dataset.revisionRestore) {
+                this.restore(target.dataset.revisionRestore);
+            } else if (target.dataset.revisionCompare) {
+                this.compareWith = target.dataset.revisionCompare;
+                this.render();
+            } else if (target.dataset.revisionId) {
+                this.selectedId = target.dataset.revisionId;
+                this.render();
+            }
+        });
+        this.handlersAttached = true;
+    }
+
+    /**
+     * @private
+     */
+    _renderRevisionItem(section, revision, isSelected) {
+        const previous = RevisionHistoryService.getPreviousRevision(section, revision);
+        const diff = previous ? RevisionHistoryService.diffLines(previous.value, revision.value) : null;
+        const isCurrent = revision.value === (section[revision.field] || '');
+        return `
+            <div class="revision-history-item ${isSelected ? 'selected' : ''}" data-revision-id="${revision.id}">
+                <div class="revision-history-item-header">
+                    <span class="revision-source revision-source-${this._escapeHtml(revision.source)}">${this._escapeHtml(RevisionHistoryService.describeSource(revision.source))}</span>
+                    ${isCurrent ? '<span class="revision-current">current</span>' : ''}
+                </div>
+                <div class="revision-history-item-meta">
+                    ${this._escapeHtml(new Date(revision.timestamp).toLocaleString())}
+                    · ${diff ? `+${diff.added} −${diff.removed}` : `${revision.value.split('\n').length} lines`}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _renderDetail(section, revision) {
+        const previous = RevisionHistoryService.getPreviousRevision(section, revision);
+        const compareWithPrevious = this.compareWith === 'previous';
+        const current = section[revision.field] || '';
+        const diff = compareWithPrevious
+            ? RevisionHistoryService.diffLines(previous ? previous.value : '', revision.value)
+            : RevisionHistoryService.diffLines(revision.value, current);
+        const leftLabel = compareWithPrevious
+            ? (previous ? this._describeRevision(previous) : 'Empty')
+            : this._describeRevision(revision);
+        const rightLabel = compareWithPrevious ? this._describeRevision(revision) : 'Current';
+        const isCurrent = revision.value === current;
+
+        return `
+            <div class="revision-history-toolbar">
+                <div class="revision-history-compare">
+                    Compare with:
+                    <button class="${!compareWithPrevious ? 'active' : ''}" data-revision-compare="current">Current</button>
+                    <button class="${compareWithPrevious ? 'active' : ''}" data-revision-compare="previous">Previous revision</button>
+                </div>
+                <button class="btn btn-primary" data-revision-restore="${revision.id}" ${isCurrent ? 'disabled title="This revision is the current value"' : ''}>Restore this revision</button>
+            </div>
+            <div class="revision-diff-header">
+                <span>${this._escapeHtml(leftLabel)}</span>
+                <span>${this._escapeHtml(rightLabel)}</span>
+            </div>
+            <div class="revision-diff-container">
+                ${RevisionHistoryService.renderDiff(diff, text => this._escapeHtml(text))}
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _describeRevision(revision) {
+        return `${RevisionHistoryService.describeSource(revision.source)} · ${new Date(revision.timestamp).toLocaleString()}`;
+    }
+
+    /**
+     * @private
+     */
+    _escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.RevisionHistoryView = RevisionHistoryView;
+}
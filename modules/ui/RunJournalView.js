@@ -0,0 +1,630 @@
+// Run Journal View - Browses the automation runs kept in the server's run journal: a run's events with filters,
+// JSON Lines/CSV export, and a replay that steps through the run's timeline
+class RunJournalView {
+    static EVENTS_LIMIT = 500;   // Events listed at once (exports include all matches)
+    static PLAY_INTERVAL = 800;  // Time per event while the replay plays
+    static SEARCH_DELAY = 300;   // Wait after typing in the search box
+
+    // Step state shown in the replay after each event type
+    static STEP_STATES = {
+        'step-started': 'running',
+        'prompt-sent': 'running',
+        'output-received': 'output received',
+        'score': 'scored',
+        'refinement': 'refining',
+        'file-detected': 'file detected',
+        'step-completed': 'completed',
+        'step-failed': 'failed'
+    };
+
+    constructor(runJournal, stateManager) {
+        this.runJournal = runJournal;
+        this.stateManager = stateManager;
+        this.projectId = null;
+        this.allProjects = false;
+        this.runs = [];
+        this.run = null;
+        this.timeline = [];  // All events of the selected run (replay and step filter)
+        this.events = [];    // Events matching the filters
+        this.total = 0;
+        this.filter = { type: '', sectionId: '', search: '' };
+        this.mode = 'events'; // 'events' | 'replay'
+        this.position = 0;
+        this.playTimer = null;
+        this.searchTimer = null;
+        this.error = null;
+        this.handlersAttached = false;
+    }
+
+    /**
+     * Open the journal on a project's runs (the newest run is selected)
+     * @param {string|null} projectId - Project ID, or null for all projects
+     */
+    async open(projectId) {
+        const modal = document.getElementById('run-journal-modal');
+        if (!modal) return;
+
+        this.projectId = projectId;
+        this.allProjects = !projectId;
+        this.setupHandlers();
+        modal.style.display = 'flex';
+        await this.loadRuns();
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        this._stopPlaying();
+        const modal = document.getElementById('run-journal-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Reload the run list, keeping the selected run when it is still there
+     */
+    async loadRuns() {
+        try {
+            this.error = null;
+            this.runs = await this.runJournal.listRuns(this.allProjects ? null : this.projectId);
+        } catch (error) {
+            this.runs = [];
+            this.error = `Could not load the run journal: ${error.message}`;
+        }
+        const selected = this.run && this.runs.find(run => run.runId === this.run.runId);
+        if (selected || this.runs.length > 0) {
+            await this.selectRun((selected || this.runs[0]).runId);
+        } else {
+            this.run = null;
+            this.render();
+        }
+    }
+
+    /**
+     * Show a run: its timeline is loaded once, the event list follows the filters
+     * @param {string} runId - Run ID
+     */
+    async selectRun(runId) {
+        this._stopPlaying();
+        if (!this.run || this.run.runId !== runId) {
+            this.filter = { type: '', sectionId: '', search: '' };
+            this.position = 0;
+            this.events = [];
+            this.total = 0;
+        }
+        try {
+            const result = await this.runJournal.getEvents(runId);
+            this.run = result.run;
+            this.timeline = result.events;
+            this.position = Math.min(this.position, Math.max(0, this.timeline.length - 1));
+            this.error = null;
+        } catch (error) {
+            this.run = this.runs.find(run => run.runId === runId) || null;
+            this.timeline = [];
+            this.error = `Could not load the run: ${error.message}`;
+        }
+        this.render();
+        await this.loadEvents();
+    }
+
+    /**
+     * Reload the event list with the current filters
+     */
+    async loadEvents() {
+        if (!this.run) return;
+        try {
+            const result = await this.runJournal.getEvents(this.run.runId, {
+                ...this._serverFilter(),
+                limit: RunJournalView.EVENTS_LIMIT
+            });
+            this.events = result.events;
+            this.total = result.total;
+        } catch (error) {
+            this.events = [];
+            this.total = 0;
+            this.error = `Could not load the events: ${error.message}`;
+        }
+        this._renderEvents();
+    }
+
+    /**
+     * Download the events matching the filters
+     * @param {string} format - 'jsonl' or 'csv'
+     */
+    async exportEvents(format) {
+        if (!this.run) return;
+        try {
+            const { run, events } = await this.runJournal.getEvents(this.run.runId, this._serverFilter());
+            const content = format === 'csv' ? RunJournalService.toCsv(events) : RunJournalService.toJsonLines(run, events);
+            const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/x-ndjson' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${(run.label || run.runId).replace(/[^a-z0-9]/gi, '_')}_journal.${format === 'csv' ? 'csv' : 'jsonl'}`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            alert(`Could not export the run: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download the selected run's report (all of its events; the filters only narrow the list)
+     * @param {string} format - RunReportService.Format
+     */
+    async exportReport(format) {
+        if (!this.run) return;
+        try {
+            const { run, events } = await this.runJournal.getEvents(this.run.runId);
+            // The project may have been removed since the run; the report then lists the journaled steps only
+            const project = this.stateManager.getProject(run.projectId) || { id: run.projectId, name: run.projectName || run.projectId, sections: [] };
+            const { filename, mimeType, content } = RunReportService.export(project, run, events, format);
+            const blob = new Blob([content], { type: mimeType });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            alert(`Could not export the report: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete the selected run after confirmation
+     */
+    async deleteRun() {
+        if (!this.run || !confirm(`Delete the journal of "${this.run.label || this.run.runId}"? This cannot be undone.`)) return;
+        try {
+            await this.runJournal.deleteRun(this.run.runId);
+            this.run = null;
+        } catch (error) {
+            alert(`Could not delete the run: ${error.message}`);
+        }
+        await this.loadRuns();
+    }
+
+    /**
+     * Render the run list and the selected run
+     */
+    render() {
+        const body = document.getElementById('run-journal-body');
+        const title = document.getElementById('run-journal-title');
+        if (!body) return;
+
+        if (title) {
+            const project = this.projectId && this.stateManager.getProject(this.projectId);
+            title.textContent = project && !this.allProjects ? `Run Journal: ${project.name}` : 'Run Journal';
+        }
+
+        const html = `
+            <div class="run-journal-layout">
+                <div class="run-journal-runs">
+                    ${this.projectId ? `
+                        <label class="run-journal-option">
+                            <input type="checkbox" id="run-journal-all-projects" ${this.allProjects ? 'checked' : ''}> All projects
+                        </label>
+                    ` : ''}
+                    ${this.runs.length > 0
+                        ? this.runs.map(run => this._renderRunItem(run)).join('')
+                        : '<div class="run-journal-empty">No runs recorded yet. Runs are recorded when automation runs.</div>'}
+                </div>
+                <div class="run-journal-main">
+                    ${this.error ? `<div class="run-journal-error">${this._escapeHtml(this.error)}</div>` : ''}
+                    ${this.run ? this._renderRun() : ''}
+                </div>
+            </div>
+        `;
+
+        if (window.safeSetInnerHTML) {
+            window.safeSetInnerHTML(body, html, { trusted: true });
+        } else {
+            body.innerHTML = html; // Safe: all journal content is escaped above
+        }
+        this._renderEvents();
+        this._renderReplay();
+    }
+
+    /**
+     * Wire the dialog once (event delegation on the modal)
+     */
+    setupHandlers() {
+        if (this.handlersAttached) return;
+        const modal = document.getElementById('run-journal-modal');
+        if (!modal) return;
+
+        modal.addEventListener('click', (e) => {
+            const runItem = e.target.closest('.run-journal-run');
+            if (e.target.id === 'run-journal-close' || e.target.id === 'run-journal-done' ||
+                e.target.classList.contains('modal-backdrop')) {
+                this.close();
+            } else if (e.target.id === 'run-journal-refresh') {
+                this.loadRuns();
+            } else if (e.target.id === 'run-journal-export-jsonl') {
+                this.exportEvents('jsonl');
+            } else if (e.target.id === 'run-journal-export-csv') {
+                this.exportEvents('csv');
+            } else if (e.target.id === 'run-journal-report-md') {
+                this.exportReport(RunReportService.Format.MARKDOWN);
+            } else if (e.target.id === 'run-journal-report-html') {
+                this.exportReport(RunReportService.Format.HTML);
+            } else if (e.target.id === 'run-journal-delete') {
+                this.deleteRun();
+            } else if (e.target.dataset.journalMode) {
+                this._stopPlaying();
+                this.mode = e.target.dataset.journalMode;
+                this.render();
+            } else if (e.target.dataset.replay) {
+                this._replayAction(e.target.dataset.replay);
+            } else if (runItem) {
+                this.selectRun(runItem.dataset.runId);
+            }
+        });
+        modal.addEventListener('change', (e) => {
+            if (e.target.id === 'run-journal-all-projects') {
+                this.allProjects = e.target.checked;
+                this.loadRuns();
+            } else if (e.target.id === 'run-journal-type' || e.target.id === 'run-journal-step') {
+                this.filter[e.target.id === 'run-journal-type' ? 'type' : 'sectionId'] = e.target.value;
+                this.loadEvents();
+            }
+        });
+        modal.addEventListener('input', (e) => {
+            if (e.target.id === 'run-journal-search') {
+                this.filter.search = e.target.value;
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.loadEvents(), RunJournalView.SEARCH_DELAY);
+            } else if (e.target.id === 'run-journal-position') {
+                this._stopPlaying();
+                this.position = parseInt(e.target.value, 10) || 0;
+                this._renderReplay();
+            }
+        });
+        this.handlersAttached = true;
+    }
+
+    /**
+     * @private
+     */
+    _renderRunItem(run) {
+        const selected = this.run && this.run.runId === run.runId;
+        return `
+            <div class="run-journal-run ${selected ? 'selected' : ''}" data-run-id="${this._escapeHtml(run.runId)}">
+                <div class="run-journal-run-label">${this._escapeHtml(run.label || run.runId)}</div>
+                <div class="run-journal-run-meta">
+                    <span class="run-journal-status run-journal-status-${this._escapeHtml(run.status)}">${this._escapeHtml(run.status)}</span>
+                    ${this._escapeHtml(this._formatDate(run.startedAt))} · ${run.eventCount} event(s)
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Header of the selected run, then the event list or the replay
+     * @private
+     */
+    _renderRun() {
+        const run = this.run;
+        const duration = run.endedAt ? this._formatDuration(new Date(run.endedAt) - new Date(run.startedAt)) : 'still running';
+        return `
+            <div class="run-journal-header">
+                <div>
+                    <div class="run-journal-run-title">${this._escapeHtml(run.label || run.runId)}</div>
+                    <div class="run-journal-run-meta">
+                        <span class="run-journal-status run-journal-status-${this._escapeHtml(run.status)}">${this._escapeHtml(run.status)}</span>
+                        ${this._escapeHtml(run.engine || '')} · ${this._escapeHtml(this._formatDate(run.startedAt))} · ${this._escapeHtml(duration)}
+                        ${run.summary ? ` · ${this._escapeHtml(run.summary)}` : ''}
+                    </div>
+                </div>
+                <div class="run-journal-modes">
+                    <button class="btn btn-secondary ${this.mode === 'events' ? 'active' : ''}" data-journal-mode="events">Events</button>
+                    <button class="btn btn-secondary ${this.mode === 'replay' ? 'active' : ''}" data-journal-mode="replay">Replay</button>
+                    <button class="btn btn-secondary" id="run-journal-delete" title="Delete this run's journal">Delete</button>
+                </div>
+            </div>
+            ${this.mode === 'replay' ? this._renderReplayControls() : this._renderFilters()}
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _renderFilters() {
+        const typeCounts = this.run.typeCounts || {};
+        const types = Object.keys(typeCounts).sort();
+        return `
+            <div class="run-journal-filters">
+                <select id="run-journal-type">
+                    <option value="">All event types</option>
+                    ${types.map(type => `<option value="${this._escapeHtml(type)}" ${this.filter.type === type ? 'selected' : ''}>${this._escapeHtml(this._typeLabel(type))} (${typeCounts[type]})</option>`).join('')}
+                </select>
+                <select id="run-journal-step">
+                    <option value="">All steps</option>
+                    ${this._steps().map(step => `<option value="${this._escapeHtml(step.sectionId)}" ${this.filter.sectionId === step.sectionId ? 'selected' : ''}>${this._escapeHtml(step.sectionName)}</option>`).join('')}
+                </select>
+                <input type="search" id="run-journal-search" placeholder="Search messages, prompts and outputs" value="${this._escapeHtml(this.filter.search)}">
+            </div>
+            <div id="run-journal-events" class="run-journal-events"></div>
+        `;
+    }
+
+    /**
+     * Fill the event list (kept apart from render() so the filter inputs keep focus)
+     * @private
+     */
+    _renderEvents() {
+        const container = document.getElementById('run-journal-events');
+        if (!container) return;
+
+        const more = this.total > this.events.length
+            ? `<div class="run-journal-more">Showing ${this.events.length} of ${this.total} matching events. Narrow the filters or export to see all.</div>`
+            : '';
+        const html = this.events.length > 0
+            ? this.events.map(event => this._renderEvent(event)).join('') + more
+            : '<div class="run-journal-empty">No events match the filters.</div>';
+
+        if (window.safeSetInnerHTML) {
+            window.safeSetInnerHTML(container, html, { trusted: true });
+        } else {
+            container.innerHTML = html; // Safe: all journal content is escaped
+        }
+    }
+
+    /**
+     * @private
+     */
+    _renderEvent(event, open = false) {
+        return `
+            <details class="run-journal-event run-journal-event-${this._escapeHtml(event.type)}" ${open ? 'open' : ''}>
+                <summary>
+                    <span class="run-journal-event-time" title="${this._escapeHtml(event.timestamp)}">${this._escapeHtml(this._offset(event.timestamp))}</span>
+                    <span class="run-journal-event-type">${this._escapeHtml(this._typeLabel(event.type))}</span>
+                    ${event.sectionName ? `<span class="run-journal-event-step">${this._escapeHtml(event.sectionName)}</span>` : ''}
+                    <span class="run-journal-event-message">${this._escapeHtml(event.message)}</span>
+                </summary>
+                ${this._renderData(event.data)}
+            </details>
+        `;
+    }
+
+    /**
+     * Prompts and outputs as text, everything else as JSON
+     * @private
+     */
+    _renderData(data) {
+        if (!data || Object.keys(data).length === 0) {
+            return '<div class="run-journal-data-empty">No details</div>';
+        }
+        // Server jobs record { length, sha256, excerpt } instead of the full text
+        const texts = ['prompt', 'output'].filter(key => typeof data[key] === 'string' || typeof data[key]?.excerpt === 'string');
+        const rest = Object.fromEntries(Object.entries(data).filter(([key, value]) => !texts.includes(key) && value !== undefined && value !== null));
+        const label = (key) => {
+            const name = key === 'prompt' ? 'Prompt' : 'Output';
+            const value = data[key];
+            return typeof value === 'string'
+                ? `${name} (${value.length} characters)`
+                : `${name} (${value.length} characters, sha256 ${value.sha256}${value.excerpt.length < value.length ? ', excerpt' : ''})`;
+        };
+        return `
+            ${texts.map(key => `
+                <div class="run-journal-data-label">${this._escapeHtml(label(key))}</div>
+                <pre class="run-journal-data">${this._escapeHtml(typeof data[key] === 'string' ? data[key] : data[key].excerpt)}</pre>
+            `).join('')}
+            ${Object.keys(rest).length > 0 ? `<pre class="run-journal-data">${this._escapeHtml(JSON.stringify(rest, null, 2))}</pre>` : ''}
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _renderReplayControls() {
+        if (this.timeline.length === 0) {
+            return '<div class="run-journal-empty">This run has no events to replay.</div>';
+        }
+        return `
+            <div class="run-journal-replay-controls">
+                <button class="btn btn-secondary" data-replay="first" title="First event">⏮</button>
+                <button class="btn btn-secondary" data-replay="previous" title="Previous event">◀</button>
+                <button class="btn btn-secondary" data-replay="play" id="run-journal-play">${this.playTimer ? '⏸ Pause' : '▶ Play'}</button>
+                <button class="btn btn-secondary" data-replay="next" title="Next event">▶</button>
+                <button class="btn btn-secondary" data-replay="last" title="Last event">⏭</button>
+                <input type="range" id="run-journal-position" min="0" max="${this.timeline.length - 1}" value="${this.position}">
+                <span id="run-journal-position-label" class="run-journal-position-label"></span>
+            </div>
+            <div id="run-journal-replay" class="run-journal-replay"></div>
+        `;
+    }
+
+    /**
+     * The run as it stood at the replay position: every step's state, the current event and the ones before it
+     * @private
+     */
+    _renderReplay() {
+        const container = document.getElementById('run-journal-replay');
+        if (!container || this.timeline.length === 0) return;
+
+        const current = this.timeline[this.position];
+        const slider = document.getElementById('run-journal-position');
+        const label = document.getElementById('run-journal-position-label');
+        const play = document.getElementById('run-journal-play');
+        if (slider) slider.value = this.position;
+        if (label) label.textContent = `Event ${this.position + 1} of ${this.timeline.length} · ${this._offset(current.timestamp)}`;
+        if (play) play.textContent = this.playTimer ? '⏸ Pause' : '▶ Play';
+
+        const steps = this._stepStates(this.position);
+        const recent = this.timeline.slice(Math.max(0, this.position - 5), this.position).reverse();
+        const html = `
+            <div class="run-journal-replay-steps">
+                <table>
+                    <thead><tr><th>Step</th><th>State</th><th>Prompts</th><th>Score</th></tr></thead>
+                    <tbody>
+                        ${steps.length > 0 ? steps.map(step => `
+                            <tr class="${current.sectionId === step.sectionId ? 'run-journal-step-current' : ''}">
+                                <td>${this._escapeHtml(step.sectionName)}</td>
+                                <td><span class="run-journal-step-state run-journal-step-${this._escapeHtml(step.state.replace(/\s+/g, '-'))}">${this._escapeHtml(step.state)}</span></td>
+                                <td>${step.prompts}</td>
+                                <td>${step.score === null ? '' : `${(step.score * 100).toFixed(0)}%`}</td>
+                            </tr>
+                        `).join('') : '<tr><td colspan="4" class="run-journal-empty">No step has started yet</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+            <div class="run-journal-replay-events">
+                ${this._renderEvent(current, true)}
+                ${recent.length > 0 ? `
+                    <div class="run-journal-data-label">Before this</div>
+                    ${recent.map(event => this._renderEvent(event)).join('')}
+                ` : ''}
+            </div>
+        `;
+
+        if (window.safeSetInnerHTML) {
+            window.safeSetInnerHTML(container, html, { trusted: true });
+        } else {
+            container.innerHTML = html; // Safe: all journal content is escaped
+        }
+    }
+
+    /**
+     * @private
+     */
+    _replayAction(action) {
+        const last = this.timeline.length - 1;
+        if (action === 'play') {
+            if (this.playTimer) {
+                this._stopPlaying();
+            } else {
+                if (this.position >= last) this.position = 0;
+                this.playTimer = setInterval(() => {
+                    if (this.position >= this.timeline.length - 1) {
+                        this._stopPlaying();
+                    } else {
+                        this.position++;
+                    }
+                    this._renderReplay();
+                }, RunJournalView.PLAY_INTERVAL);
+            }
+        } else {
+            this._stopPlaying();
+            const positions = { first: 0, previous: this.position - 1, next: this.position + 1, last };
+            this.position = Math.max(0, Math.min(last, positions[action]));
+        }
+        this._renderReplay();
+    }
+
+    /**
+     * @private
+     */
+    _stopPlaying() {
+        clearInterval(this.playTimer);
+        this.playTimer = null;
+    }
+
+    /**
+     * State of each step after the events up to a position
+     * @private
+     */
+    _stepStates(position) {
+        const steps = new Map();
+        this.timeline.slice(0, position + 1).forEach(event => {
+            if (!event.sectionId) return;
+            if (!steps.has(event.sectionId)) {
+                steps.set(event.sectionId, { sectionId: event.sectionId, sectionName: event.sectionName || event.sectionId, state: 'pending', prompts: 0, score: null });
+            }
+            const step = steps.get(event.sectionId);
+            if (RunJournalView.STEP_STATES[event.type]) {
+                step.state = RunJournalView.STEP_STATES[event.type];
+            }
+            if (event.type === 'prompt-sent') {
+                step.prompts++;
+            } else if (event.type === 'score' && event.data && typeof event.data.score === 'number') {
+                step.score = event.data.score;
+            }
+        });
+        return [...steps.values()];
+    }
+
+    /**
+     * Steps that appear in the selected run
+     * @private
+     */
+    _steps() {
+        const steps = new Map();
+        this.timeline.forEach(event => {
+            if (event.sectionId && !steps.has(event.sectionId)) {
+                steps.set(event.sectionId, { sectionId: event.sectionId, sectionName: event.sectionName || event.sectionId });
+            }
+        });
+        return [...steps.values()];
+    }
+
+    /**
+     * @private
+     */
+    _serverFilter() {
+        return {
+            types: this.filter.type ? [this.filter.type] : [],
+            sectionId: this.filter.sectionId || null,
+            search: this.filter.search
+        };
+    }
+
+    /**
+     * @private
+     */
+    _typeLabel(type) {
+        return RunJournalService.EVENT_TYPES[type] || type;
+    }
+
+    /**
+     * Time since the run started, e.g. +1:05
+     * @private
+     */
+    _offset(timestamp) {
+        if (!this.run) return '';
+        const ms = Math.max(0, new Date(timestamp) - new Date(this.run.startedAt));
+        return `+${this._formatDuration(ms)}`;
+    }
+
+    /**
+     * @private
+     */
+    _formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+        const pad = (value) => String(value).padStart(2, '0');
+        return hours > 0
+            ? `${hours}:${pad(minutes % 60)}:${pad(seconds % 60)}`
+            : `${minutes}:${pad(seconds % 60)}`;
+    }
+
+    /**
+     * @private
+     */
+    _formatDate(timestamp) {
+        return timestamp ? new Date(timestamp).toLocaleString() : '';
+    }
+
+    /**
+     * @private
+     */
+    _escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.RunJournalView = RunJournalView;
+}
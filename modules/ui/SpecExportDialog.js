@@ -0,0 +1,100 @@
+// Spec Export Dialog - Choose a format and options, then download the project's specification
+class SpecExportDialog {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+        this.projectId = null;
+        this.handlersAttached = false;
+    }
+
+    /**
+     * Open the dialog for a project
+     * @param {string} projectId - Project ID
+     */
+    open(projectId) {
+        const modal = document.getElementById('spec-export-modal');
+        const project = this.stateManager.getProject(projectId);
+        if (!modal || !project) return;
+
+        this.projectId = projectId;
+        this.setupHandlers();
+
+        const title = document.getElementById('spec-export-title');
+        if (title) {
+            title.textContent = `Export Specification: ${project.name}`;
+        }
+        const summary = document.getElementById('spec-export-summary');
+        if (summary) {
+            const withOutput = project.sections.filter(section => section.output && section.output.trim()).length;
+            summary.textContent = `${withOutput} of ${project.sections.length} steps have output.`;
+        }
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        const modal = document.getElementById('spec-export-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Build the export with the selected format and options and download it
+     */
+    exportSelected() {
+        const project = this.stateManager.getProject(this.projectId);
+        if (!project) return;
+
+        const selected = document.querySelector('input[name="spec-export-format"]:checked');
+        const format = selected ? selected.value : SpecExportService.Format.MARKDOWN;
+        const options = {
+            includeInputs: !!document.getElementById('spec-export-include-inputs')?.checked,
+            includeIncomplete: !!document.getElementById('spec-export-include-incomplete')?.checked
+        };
+
+        const result = SpecExportService.export(project, format, options);
+        this._download(result.filename, result.content, result.mimeType);
+        this.close();
+    }
+
+    /**
+     * Wire the dialog's buttons once (event delegation on the modal)
+     */
+    setupHandlers() {
+        if (this.handlersAttached) return;
+        const modal = document.getElementById('spec-export-modal');
+        if (!modal) return;
+
+        modal.addEventListener('click', (e) => {
+            if (e.target.id === 'spec-export-close' || e.target.id === 'spec-export-cancel' ||
+                e.target.classList.contains('modal-backdrop')) {
+                this.close();
+            } else if (e.target.id === 'spec-export-confirm') {
+                this.exportSelected();
+            }
+        });
+        this.handlersAttached = true;
+    }
+
+    /**
+     * @private
+     */
+    _download(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.SpecExportDialog = SpecExportDialog;
+}
@@ -0,0 +1,265 @@
+// Template Library View - Save a project as a template, and list, import, export or delete user templates
+class TemplateLibraryView {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+        this.mode = 'library'; // 'library' | 'save'
+        this.projectId = null;
+        this.handlersAttached = false;
+    }
+
+    /**
+     * Open the save form for a project
+     * @param {string} projectId - Project ID
+     */
+    openSave(projectId) {
+        const project = this.stateManager.getProject(projectId);
+        if (!project) return;
+        this.mode = 'save';
+        this.projectId = projectId;
+        this._show(`Save "${project.name}" as Template`);
+    }
+
+    /**
+     * Open the list of user templates
+     */
+    async openLibrary() {
+        this.mode = 'library';
+        this.projectId = null;
+        this._show('Project Templates');
+        await ProjectTemplates.loadUserTemplates();
+        this.render();
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        const modal = document.getElementById('template-library-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Render the body for the current mode
+     */
+    render() {
+        const body = document.getElementById('template-library-body');
+        const importBtn = document.getElementById('template-library-import');
+        const saveBtn = document.getElementById('template-library-save');
+        if (!body) return;
+
+        if (importBtn) importBtn.style.display = this.mode === 'library' ? '' : 'none';
+        if (saveBtn) saveBtn.style.display = this.mode === 'save' ? '' : 'none';
+
+        const html = this.mode === 'save' ? this._renderSaveForm() : this._renderLibrary();
+        if (window.safeSetInnerHTML) {
+            window.safeSetInnerHTML(body, html, { trusted: true });
+        } else {
+            body.innerHTML = html; // Safe: all user content is escaped above
+        }
+    }
+
+    /**
+     * Save the current project as a template with the form's values
+     */
+    async save() {
+        const project = this.stateManager.getProject(this.projectId);
+        if (!project) return;
+
+        const name = document.getElementById('template-save-name')?.value.trim();
+        if (!name) {
+            alert('Please enter a template name.');
+            return;
+        }
+        const template = ProjectTemplates.fromProject(project, {
+            name,
+            description: document.getElementById('template-save-description')?.value.trim() || '',
+            includeOutputs: !!document.getElementById('template-save-outputs')?.checked
+        });
+
+        try {
+            await ProjectTemplates.saveUserTemplate(template);
+            this.mode = 'library';
+            this._show('Project Templates');
+        } catch (error) {
+            alert('Failed to save template: ' + error.message);
+        }
+    }
+
+    /**
+     * Import a template file (saved on the server, under a new ID if its ID is taken)
+     * @param {File} file - Template JSON file
+     */
+    async importFile(file) {
+        try {
+            const template = ProjectTemplates.parseTemplateFile(await file.text());
+            // Built-in IDs are not known to the server; such a template is saved under a new ID
+            if (new ProjectTemplates().builtInIds.includes(template.id)) {
+                delete template.id;
+            }
+            await ProjectTemplates.saveUserTemplate(template);
+            this.render();
+        } catch (error) {
+            alert('Failed to import template: ' + error.message);
+        }
+    }
+
+    /**
+     * Download a template as a JSON file to share
+     * @param {string} templateId - Template ID
+     */
+    exportTemplate(templateId) {
+        const template = ProjectTemplates.userTemplates[templateId];
+        if (!template) return;
+
+        const blob = new Blob([JSON.stringify(template, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${template.name.replace(/[^a-z0-9]/gi, '_')}.template.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Delete a user template after confirmation
+     * @param {string} templateId - Template ID
+     */
+    async deleteTemplate(templateId) {
+        const template = ProjectTemplates.userTemplates[templateId];
+        if (!template || !confirm(`Delete the template "${template.name}"? This affects everyone using this server.`)) return;
+
+        try {
+            await ProjectTemplates.deleteUserTemplate(templateId);
+            this.render();
+        } catch (error) {
+            alert('Failed to delete template: ' + error.message);
+        }
+    }
+
+    /**
+     * Wire the modal's buttons once (event delegation on the modal)
+     */
+    setupHandlers() {
+        if (this.handlersAttached) return;
+        const modal = document.getElementById('template-library-modal');
+        const fileInput = document.getElementById('template-import-input');
+        if (!modal) return;
+
+        modal.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-template-action]');
+            if (e.target.id === 'template-library-close' || e.target.id === 'template-library-done' ||
+                e.target.classList.contains('modal-backdrop')) {
+                this.close();
+            } else if (e.target.id === 'template-library-save') {
+                this.save();
+            } else if (e.target.id === 'template-library-import' && fileInput) {
+                fileInput.click();
+            } else if (action && action.dataset.templateAction === 'export') {
+                this.exportTemplate(action.dataset.templateId);
+            } else if (action && action.dataset.templateAction === 'delete') {
+                this.deleteTemplate(action.dataset.templateId);
+            }
+        });
+
+        if (fileInput) {
+            fileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    await this.importFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+        this.handlersAttached = true;
+    }
+
+    /**
+     * @private
+     */
+    _show(title) {
+        const modal = document.getElementById('template-library-modal');
+        if (!modal) return;
+        const titleEl = document.getElementById('template-library-title');
+        if (titleEl) {
+            titleEl.textContent = title;
+        }
+        this.setupHandlers();
+        this.render();
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * @private
+     */
+    _renderSaveForm() {
+        const project = this.stateManager.getProject(this.projectId);
+        const customSteps = project.sections.filter(section => section.isCustom).length;
+        return `
+            <div class="template-save-form">
+                <label for="template-save-name">Template name</label>
+                <input type="text" id="template-save-name" value="${this._escapeHtml(project.name)}">
+                <label for="template-save-description">Description</label>
+                <textarea id="template-save-description" rows="3">${this._escapeHtml(project.description || '')}</textarea>
+                <label class="template-save-option">
+                    <input type="checkbox" id="template-save-outputs">
+                    <span>Include step outputs (and their statuses)</span>
+                </label>
+                <p class="template-save-note">
+                    The template keeps Case ${project.case || '—'}, ${project.sections.length} steps${customSteps > 0 ? ` (${customSteps} custom)` : ''},
+                    their inputs, modifiers, notes and override instructions. It is saved on the server, so everyone using it can start from it.
+                </p>
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _renderLibrary() {
+        const templates = Object.values(ProjectTemplates.userTemplates);
+        if (templates.length === 0) {
+            return `<div class="template-library-empty">No saved templates yet. Use <strong>Save as Template...</strong> in a project's context menu, or import a template file.</div>`;
+        }
+        return `
+            <div class="template-library-list">
+                ${templates.map(template => `
+                    <div class="template-library-item">
+                        <span class="template-icon">${this._escapeHtml(template.icon || '⭐')}</span>
+                        <div class="template-library-info">
+                            <span class="template-name">${this._escapeHtml(template.name)}</span>
+                            <span class="template-description">${this._escapeHtml(template.description || '')}</span>
+                            <span class="template-library-meta">
+                                Case ${this._escapeHtml(String(template.case || '—'))} · ${template.sections.length} steps
+                                ${template.includesOutputs ? ' · includes outputs' : ''}
+                                ${template.updatedAt ? ` · updated ${this._escapeHtml(new Date(template.updatedAt).toLocaleDateString())}` : ''}
+                            </span>
+                        </div>
+                        <div class="template-library-actions">
+                            <button class="btn btn-secondary" data-template-action="export" data-template-id="${this._escapeHtml(template.id)}">Export</button>
+                            <button class="btn btn-secondary" data-template-action="delete" data-template-id="${this._escapeHtml(template.id)}">Delete</button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.TemplateLibraryView = TemplateLibraryView;
+}
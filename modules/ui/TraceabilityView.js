@@ -0,0 +1,203 @@
+// Traceability View - Matrix of a project's feature IDs against the outputs that cover them (UX spec, API contract,
+// validation), flagging the gaps
+class TraceabilityView {
+    constructor(stateManager) {
+        this.stateManager = stateManager;
+        this.projectId = null;
+        this.config = {};
+        this.matrix = null;
+        this.gapsOnly = false;
+        this.handlersAttached = false;
+    }
+
+    /**
+     * Open the matrix for a project (rebuilt from the current outputs each time)
+     * @param {string} projectId - Project ID
+     */
+    async open(projectId) {
+        const modal = document.getElementById('traceability-modal');
+        const project = this.stateManager.getProject(projectId);
+        if (!modal || !project) return;
+
+        this.projectId = projectId;
+        this.setupHandlers();
+        try {
+            this.config = window.PipelineConfig ? await window.PipelineConfig.getTraceability() : {};
+        } catch (error) {
+            console.warn('Could not load traceability settings, using defaults:', error);
+            this.config = {};
+        }
+        this.refresh();
+        modal.style.display = 'flex';
+    }
+
+    /**
+     * Close the dialog
+     */
+    close() {
+        const modal = document.getElementById('traceability-modal');
+        if (modal) {
+            modal.style.display = 'none';
+        }
+    }
+
+    /**
+     * Rebuild the matrix from the project's outputs and render it
+     */
+    refresh() {
+        const project = this.stateManager.getProject(this.projectId);
+        if (!project) return;
+        this.matrix = TraceabilityService.buildMatrix(project, this.config);
+        this.render();
+    }
+
+    /**
+     * Download the matrix as Markdown
+     */
+    download() {
+        const project = this.stateManager.getProject(this.projectId);
+        if (!project || !this.matrix) return;
+
+        const content = TraceabilityService.toMarkdown(this.matrix, `Traceability Matrix: ${project.name}`);
+        const blob = new Blob([content], { type: 'text/markdown' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${(project.name || 'project').replace(/[^a-z0-9]/gi, '_')}_traceability.md`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Render the summary and the matrix
+     */
+    render() {
+        const body = document.getElementById('traceability-body');
+        const title = document.getElementById('traceability-title');
+        const project = this.stateManager.getProject(this.projectId);
+        if (!body || !project || !this.matrix) return;
+
+        if (title) {
+            title.textContent = `Traceability Matrix: ${project.name}`;
+        }
+
+        const { columns, rows, summary } = this.matrix;
+        const visibleRows = this.gapsOnly ? rows.filter(row => row.gaps.length > 0) : rows;
+        const html = rows.length === 0 ? this._renderEmpty() : `
+            <div class="traceability-toolbar">
+                <span class="traceability-summary">
+                    ${summary.features} feature(s), <strong class="${summary.withGaps > 0 ? 'traceability-gap-count' : ''}">${summary.withGaps} with gaps</strong>
+                    ${columns.map(column => `· ${this._escapeHtml(column.label)}: ${summary.gapsByColumn[column.key]} missing`).join(' ')}
+                </span>
+                <label class="traceability-filter">
+                    <input type="checkbox" id="traceability-gaps-only" ${this.gapsOnly ? 'checked' : ''}>
+                    Only features with gaps
+                </label>
+            </div>
+            <div class="traceability-table-wrapper">
+                <table class="traceability-table">
+                    <thead>
+                        <tr>
+                            <th>ID</th>
+                            <th>Feature</th>
+                            <th>Defined in</th>
+                            ${columns.map(column => `
+                                <th title="${this._escapeHtml(column.steps.join(', '))}">
+                                    ${this._escapeHtml(column.label)}
+                                    ${column.present ? '' : '<span class="traceability-absent" title="The project has no step for this column">(no step)</span>'}
+                                </th>
+                            `).join('')}
+                            <th>Referenced by</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${visibleRows.map(row => this._renderRow(row, columns)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        if (window.safeSetInnerHTML) {
+            window.safeSetInnerHTML(body, html, { trusted: true });
+        } else {
+            body.innerHTML = html; // Safe: all output content is escaped above
+        }
+    }
+
+    /**
+     * Wire the dialog once (event delegation on the modal)
+     */
+    setupHandlers() {
+        if (this.handlersAttached) return;
+        const modal = document.getElementById('traceability-modal');
+        if (!modal) return;
+
+        modal.addEventListener('click', (e) => {
+            if (e.target.id === 'traceability-close' || e.target.id === 'traceability-done' ||
+                e.target.classList.contains('modal-backdrop')) {
+                this.close();
+            } else if (e.target.id === 'traceability-refresh') {
+                this.refresh();
+            } else if (e.target.id === 'traceability-download') {
+                this.download();
+            }
+        });
+        modal.addEventListener('change', (e) => {
+            if (e.target.id === 'traceability-gaps-only') {
+                this.gapsOnly = e.target.checked;
+                this.render();
+            }
+        });
+        this.handlersAttached = true;
+    }
+
+    /**
+     * @private
+     */
+    _renderRow(row, columns) {
+        const cells = columns.map(column => {
+            const refs = row.coverage[column.key];
+            return refs.length > 0
+                ? `<td class="traceability-covered">✓ ${refs.map(ref => this._escapeHtml(ref.sectionName)).join(', ')}</td>`
+                : '<td class="traceability-missing">✗ Missing</td>';
+        }).join('');
+        const references = row.references.length > 0
+            ? row.references.map(ref => `<span class="traceability-ref" title="${ref.count} mention(s)">${this._escapeHtml(ref.sectionName)}</span>`).join(' ')
+            : '<span class="traceability-none">Not referenced downstream</span>';
+
+        return `
+            <tr class="${row.gaps.length > 0 ? 'traceability-row-gap' : ''}">
+                <td><code>${this._escapeHtml(row.id)}</code></td>
+                <td>${this._escapeHtml(row.name || '')}</td>
+                <td>${this._escapeHtml(row.definedIn.sectionName)}</td>
+                ${cells}
+                <td>${references}</td>
+            </tr>
+        `;
+    }
+
+    /**
+     * @private
+     */
+    _renderEmpty() {
+        const definedBy = (this.config.definedBy || TraceabilityService.DEFAULT_CONFIG.definedBy).join(', ');
+        return `<div class="traceability-empty">No feature IDs found. Feature IDs are read from "**Feature ID**:" lines in the outputs of: ${this._escapeHtml(definedBy)}.</div>`;
+    }
+
+    /**
+     * @private
+     */
+    _escapeHtml(text) {
+        if (text === null || text === undefined) return '';
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in browser
+if (typeof window !== 'undefined') {
+    window.TraceabilityView = TraceabilityView;
+}
@@ -24,6 +24,7 @@ class AppConstants {
         // Automation
         CONTINUOUS_CHECK_INTERVAL: 120000, // Continuous check interval (2min)
         MODAL_AUTO_CLOSE: 2000,           // Modal auto-close delay (2s)
+        PAUSE_POLL_INTERVAL: 500,         // How often a paused run checks for resume/stop
         
         // Server operations
         CURSOR_CLI_TIMEOUT: 300000,       // Cursor CLI timeout (5min)
@@ -19,6 +19,7 @@ class ErrorHandler {
         FILE_READ_ERROR: 'FILE_READ_ERROR',
         FILE_WRITE_ERROR: 'FILE_WRITE_ERROR',
         TIMEOUT_ERROR: 'TIMEOUT_ERROR',
+        CONFLICT: 'CONFLICT',
         RETRY_EXHAUSTED: 'RETRY_EXHAUSTED',
         FALLBACK_USED: 'FALLBACK_USED',
         UNKNOWN_ERROR: 'UNKNOWN_ERROR'
@@ -200,6 +201,7 @@ class ErrorHandler {
             [ErrorHandler.ErrorCode.FILE_READ_ERROR]: 'Failed to read file. Please check file permissions.',
             [ErrorHandler.ErrorCode.FILE_WRITE_ERROR]: 'Failed to write file. Please check file permissions.',
             [ErrorHandler.ErrorCode.TIMEOUT_ERROR]: 'Operation timed out. Please try again.',
+            [ErrorHandler.ErrorCode.CONFLICT]: 'The file was changed elsewhere since it was loaded and was not saved. Save again to merge the changes.',
             [ErrorHandler.ErrorCode.RETRY_EXHAUSTED]: 'Operation failed after multiple attempts. Please check your connection and try again.',
             [ErrorHandler.ErrorCode.FALLBACK_USED]: 'Primary operation failed, but fallback succeeded.',
             [ErrorHandler.ErrorCode.UNKNOWN_ERROR]: 'An unexpected error occurred. Please try again.'
@@ -219,3 +219,24 @@ export function aggregateContext(files, maxSize = 100000) {
     return context.trim();
 }
 
+
+/**
+ * Lists and reads the text files of a scope directory
+ * @param {string} scopeDirectory - The scope directory path
+ * @param {number} maxFiles - Maximum number of files to read (default: 200)
+ * @returns {Promise<Array<{path: string, content: string}>>} Files read (empty on failure)
+ */
+export async function readScopeTextFiles(scopeDirectory, maxFiles = 200) {
+    const listResult = await listScopeFiles(scopeDirectory);
+    if (!listResult.success || !listResult.files || listResult.files.length === 0) {
+        return [];
+    }
+    
+    const textFiles = filterTextFiles(listResult.files).slice(0, maxFiles);
+    if (textFiles.length === 0) {
+        return [];
+    }
+    
+    const readResult = await readScopeFiles(textFiles.map(file => file.path));
+    return readResult.success && readResult.files ? readResult.files : [];
+}
@@ -0,0 +1,212 @@
+// Pipeline Definition Validator - Checks additional pipeline config files (custom cases) before they are saved or merged
+// Shared by the browser (PipelineEditor) and the server (PipelineStore)
+
+class PipelineDefinitionValidator {
+    // Marks a JSON file as an additional pipeline definition
+    static KIND = 'feat-spec-pipeline';
+
+    // Step kinds and the prompt directory PromptLoader loads each from (<directory>/<stepName>.md)
+    static STEP_DIRECTORIES = {
+        core: 'core',
+        inference: 'inference',
+        process: 'process-steps'
+    };
+
+    /**
+     * Validate a pipeline definition file
+     * @param {object} definition - { kind, id, cases: { "<number>": caseConfig } }
+     * @param {object} [context]
+     * @param {string[]} [context.reservedCases] - Case numbers already defined elsewhere (cannot be redefined)
+     * @param {string[]} [context.promptFiles] - Prompt files relative to reference/pipeline-steps/; skips file checks when omitted
+     * @returns {{errors: string[], warnings: string[]}}
+     */
+    static validate(definition, context = {}) {
+        const errors = [];
+        const warnings = [];
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            return { errors: ['definition must be an object'], warnings };
+        }
+        if (definition.kind !== PipelineDefinitionValidator.KIND) {
+            errors.push(`kind must be "${PipelineDefinitionValidator.KIND}"`);
+        }
+        if (!definition.cases || typeof definition.cases !== 'object' || Object.keys(definition.cases).length === 0) {
+            errors.push('cases must define at least one case');
+            return { errors, warnings };
+        }
+
+        const reserved = (context.reservedCases || []).map(String);
+        Object.entries(definition.cases).forEach(([caseNumber, caseConfig]) => {
+            const prefix = `Case ${caseNumber}`;
+            if (!/^[1-9][0-9]*$/.test(caseNumber)) {
+                errors.push(`${prefix}: case numbers must be positive integers`);
+            } else if (reserved.includes(caseNumber)) {
+                errors.push(`${prefix}: already defined in another pipeline config file`);
+            }
+            const result = PipelineDefinitionValidator.validateCase(caseConfig, context);
+            result.errors.forEach(error => errors.push(`${prefix}: ${error}`));
+            result.warnings.forEach(warning => warnings.push(`${prefix}: ${warning}`));
+        });
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Validate one case: names, prompt files, references between steps and dependency cycles
+     * @param {object} caseConfig - { name, description, workflow, inference, processSteps }
+     * @param {object} [context] - See validate()
+     * @returns {{errors: string[], warnings: string[]}}
+     */
+    static validateCase(caseConfig, context = {}) {
+        const errors = [];
+        const warnings = [];
+        if (!caseConfig || typeof caseConfig !== 'object') {
+            return { errors: ['case must be an object'], warnings };
+        }
+        if (typeof caseConfig.name !== 'string' || !caseConfig.name.trim()) {
+            errors.push('name is required');
+        }
+
+        const workflow = caseConfig.workflow || {};
+        const inference = caseConfig.inference || {};
+        const processSteps = caseConfig.processSteps || {};
+        if (Object.keys(workflow).length === 0) {
+            errors.push('workflow needs at least one core step');
+        }
+
+        // Core and inference steps become sections, so their names share one namespace
+        const sectionSteps = [...Object.keys(workflow), ...Object.keys(inference)];
+        const seen = new Set();
+        sectionSteps.forEach(name => {
+            if (seen.has(name)) {
+                errors.push(`step "${name}" is defined more than once`);
+            }
+            seen.add(name);
+        });
+
+        const checkStep = (kind, name, stepConfig) => {
+            if (!/^[a-z0-9][a-z0-9-]*$/.test(name)) {
+                errors.push(`step "${name}" must use lowercase letters, digits and dashes`);
+            }
+            const expected = `${PipelineDefinitionValidator.STEP_DIRECTORIES[kind]}/${name}.md`;
+            if (stepConfig.step !== expected) {
+                errors.push(`${kind} step "${name}" must use the prompt file ${expected} (prompts are loaded by step name)`);
+            } else if (context.promptFiles && !context.promptFiles.includes(expected)) {
+                errors.push(`prompt file ${expected} for step "${name}" does not exist`);
+            }
+        };
+
+        Object.entries(workflow).forEach(([name, stepConfig]) => {
+            stepConfig = stepConfig || {};
+            checkStep('core', name, stepConfig);
+            (stepConfig.dependencies || []).forEach(dependency => {
+                if (!seen.has(dependency)) {
+                    errors.push(`step "${name}" depends on unknown step "${dependency}"`);
+                }
+            });
+            if (context.promptFiles) {
+                (stepConfig.modifiers || []).forEach(modifier => {
+                    if (!context.promptFiles.includes(`modifiers/${name}/${modifier}.md`)) {
+                        warnings.push(`modifier "${modifier}" on step "${name}" has no file modifiers/${name}/${modifier}.md and will add nothing`);
+                    }
+                });
+            }
+        });
+
+        Object.entries(inference).forEach(([name, stepConfig]) => {
+            stepConfig = stepConfig || {};
+            checkStep('inference', name, stepConfig);
+            if (!stepConfig.after) {
+                errors.push(`inference step "${name}" needs an "after" step`);
+            } else if (!seen.has(stepConfig.after)) {
+                errors.push(`inference step "${name}" runs after unknown step "${stepConfig.after}"`);
+            }
+        });
+
+        Object.entries(processSteps).forEach(([name, stepConfig]) => {
+            stepConfig = stepConfig || {};
+            checkStep('process', name, stepConfig);
+            const triggers = stepConfig.triggers || [];
+            if (triggers.length === 0) {
+                warnings.push(`process step "${name}" has no triggers and will never be offered`);
+            }
+            triggers.forEach(trigger => {
+                if (!seen.has(trigger)) {
+                    errors.push(`process step "${name}" is triggered by unknown step "${trigger}"`);
+                }
+            });
+        });
+
+        const cycle = PipelineDefinitionValidator.findCycle(PipelineDefinitionValidator.buildGraph(caseConfig));
+        if (cycle) {
+            errors.push(`dependency cycle: ${cycle.join(' → ')}`);
+        }
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Dependency graph of a case's sections, as PipelineConfig.generateSectionsForCase builds them
+     * Core steps without explicit dependencies depend on the previous core step
+     * @param {object} caseConfig - Case configuration
+     * @returns {Map<string, string[]>} Step name → steps it depends on
+     */
+    static buildGraph(caseConfig) {
+        const graph = new Map();
+        let previous = null;
+        Object.entries(caseConfig.workflow || {}).forEach(([name, stepConfig]) => {
+            const dependencies = stepConfig && Array.isArray(stepConfig.dependencies)
+                ? stepConfig.dependencies
+                : (previous ? [previous] : []);
+            graph.set(name, [...dependencies]);
+            previous = name;
+        });
+        Object.entries(caseConfig.inference || {}).forEach(([name, stepConfig]) => {
+            graph.set(name, stepConfig && stepConfig.after ? [stepConfig.after] : []);
+        });
+        return graph;
+    }
+
+    /**
+     * First dependency cycle found in a graph
+     * @param {Map<string, string[]>} graph - Step name → dependencies
+     * @returns {string[]|null} Steps on the cycle, starting and ending with the same step, or null
+     */
+    static findCycle(graph) {
+        const state = new Map(); // undefined = unvisited, 1 = on the current path, 2 = done
+        const path = [];
+
+        const visit = (node) => {
+            state.set(node, 1);
+            path.push(node);
+            for (const dependency of graph.get(node) || []) {
+                if (!graph.has(dependency)) continue;
+                if (state.get(dependency) === 1) {
+                    return [...path.slice(path.indexOf(dependency)), dependency];
+                }
+                if (!state.has(dependency)) {
+                    const cycle = visit(dependency);
+                    if (cycle) return cycle;
+                }
+            }
+            path.pop();
+            state.set(node, 2);
+            return null;
+        };
+
+        for (const node of graph.keys()) {
+            if (!state.has(node)) {
+                const cycle = visit(node);
+                if (cycle) return cycle;
+            }
+        }
+        return null;
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof window !== 'undefined') {
+    window.PipelineDefinitionValidator = PipelineDefinitionValidator;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PipelineDefinitionValidator;
+}
@@ -0,0 +1,155 @@
+// Project Group Migrations - Ordered registry that upgrades project group files to the current schemaVersion
+// Shared by the browser (DataLayer) and the server (SchemaValidator) so both read old files the same way
+
+class ProjectGroupMigrations {
+    // Version written to new and migrated files (the version of the last migration below)
+    static CURRENT_VERSION = 3;
+
+    // Ordered migrations; each upgrades a state from version - 1 to version
+    // migrate(state, changes) mutates its own copy of the state and pushes a line per change
+    static MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Convert legacy pages to projects',
+            migrate(state, changes) {
+                if (!Array.isArray(state.pages) || Array.isArray(state.projects)) return;
+                const now = new Date().toISOString();
+                state.projects = state.pages.map((page, index) => {
+                    const name = page.title || page.name || 'Migrated Project';
+                    changes.push(`Converted page "${name}" to a project (steps are added from the pipeline when it loads)`);
+                    return {
+                        id: page.id || `project-migrated-${index + 1}`,
+                        name: name,
+                        description: 'Migrated from old format',
+                        workflowType: 'full',
+                        status: 'draft',
+                        sections: [],
+                        legacyElements: page.elements || [], // Page elements do not map to pipeline steps; kept for reference
+                        createdAt: now,
+                        lastModified: now
+                    };
+                });
+                state.activeProjectId = state.projects.length > 0 ? state.projects[0].id : null;
+                delete state.pages;
+            }
+        },
+        {
+            version: 2,
+            description: 'Map workflow types to case numbers',
+            migrate(state, changes) {
+                (state.projects || []).forEach(project => {
+                    if (project.case) return;
+                    // 'ux-only' was the UX-only workflow (Case 2); everything else was the full workflow (Case 1)
+                    project.case = project.workflowType === 'ux-only' ? 2 : 1;
+                    project.caseChain = project.caseChain || null;
+                    changes.push(`Project "${project.name}": workflow type "${project.workflowType || 'none'}" → Case ${project.case}`);
+                });
+            }
+        },
+        {
+            version: 3,
+            description: 'Record schema version and default the automation engine',
+            migrate(state, changes) {
+                (state.projects || []).forEach(project => {
+                    if (!project.automationEngine) {
+                        project.automationEngine = 'file-watching';
+                        changes.push(`Project "${project.name}": automation engine set to file-watching`);
+                    }
+                    if (!Array.isArray(project.sections)) {
+                        project.sections = [];
+                        changes.push(`Project "${project.name}": added missing sections list`);
+                    }
+                });
+            }
+        }
+    ];
+
+    /**
+     * Schema version of a state; files saved before versioning are recognised by their shape
+     * @param {object} state - Project group state
+     * @returns {number} 0 = legacy pages, 1 = workflowType projects, 2 = case projects without a version
+     */
+    static getVersion(state) {
+        if (!state || typeof state !== 'object') return 0;
+        if (Number.isInteger(state.schemaVersion)) return state.schemaVersion;
+        if (!Array.isArray(state.projects)) return 0;
+        if (state.projects.some(project => project && project.workflowType && !project.case)) return 1;
+        return 2;
+    }
+
+    /**
+     * Whether a state needs any migration
+     * @param {object} state - Project group state
+     * @returns {boolean}
+     */
+    static needsMigration(state) {
+        return ProjectGroupMigrations.getVersion(state) < ProjectGroupMigrations.CURRENT_VERSION;
+    }
+
+    /**
+     * Upgrade a state to the current version; the input is not modified
+     * @param {object} state - Project group state
+     * @returns {{state: object, report: object}} Migrated copy and a report (see dryRun)
+     * @throws {Error} If the file was written by a newer version
+     */
+    static migrate(state) {
+        const fromVersion = ProjectGroupMigrations.getVersion(state);
+        if (fromVersion > ProjectGroupMigrations.CURRENT_VERSION) {
+            throw new Error(`File uses schema version ${fromVersion}, but this version of the app supports up to ${ProjectGroupMigrations.CURRENT_VERSION}. Update the app to open it.`);
+        }
+
+        const migrated = JSON.parse(JSON.stringify(state));
+        const applied = [];
+        ProjectGroupMigrations.MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => {
+                const changes = [];
+                migration.migrate(migrated, changes);
+                migrated.schemaVersion = migration.version;
+                applied.push({ version: migration.version, description: migration.description, changes });
+            });
+
+        return {
+            state: migrated,
+            report: {
+                fromVersion,
+                toVersion: Math.max(fromVersion, ProjectGroupMigrations.CURRENT_VERSION),
+                applied
+            }
+        };
+    }
+
+    /**
+     * Report what migrate() would change without keeping the result
+     * @param {object} state - Project group state
+     * @returns {{fromVersion: number, toVersion: number, applied: Array<{version: number, description: string, changes: string[]}>}}
+     */
+    static dryRun(state) {
+        return ProjectGroupMigrations.migrate(state).report;
+    }
+
+    /**
+     * One-line-per-change summary of a report
+     * @param {object} report - Report from migrate() or dryRun()
+     * @returns {string}
+     */
+    static formatReport(report) {
+        if (!report || report.applied.length === 0) {
+            return 'No migration needed';
+        }
+        const lines = [`Upgraded file from schema version ${report.fromVersion} to ${report.toVersion}:`];
+        report.applied.forEach(migration => {
+            lines.push(`- v${migration.version}: ${migration.description}`);
+            migration.changes.forEach(change => lines.push(`    ${change}`));
+        });
+        return lines.join('\n');
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof window !== 'undefined') {
+    window.ProjectGroupMigrations = ProjectGroupMigrations;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProjectGroupMigrations;
+}
@@ -0,0 +1,263 @@
+// Prompt Linter - Checks the prompt templates under reference/pipeline-steps against the pipeline config
+// Reports undeclared and unused {VARIABLE} placeholders, missing modifier files and broken step references
+// Shared by the browser (PromptLintPanel, automation engines) and Node (tools/prompt-linter.js, server)
+
+class PromptLinter {
+    static Severity = {
+        ERROR: 'error',
+        WARNING: 'warning'
+    };
+
+    static Rule = {
+        UNDECLARED_VARIABLE: 'undeclared-variable',
+        UNUSED_VARIABLE: 'unused-variable',
+        MISSING_MODIFIER_FILE: 'missing-modifier-file',
+        BROKEN_STEP_REFERENCE: 'broken-step-reference'
+    };
+
+    // {UPPER_CASE} placeholders, as substituted by PromptLoader.substituteVariables
+    static PLACEHOLDER_PATTERN = /\{([A-Z][A-Z0-9_]*)\}/g;
+
+    // Placeholders PromptLoader handles outside the variables block
+    static MARKERS = ['INJECT_MODIFIER_CONTENT_HERE'];
+
+    // Modifiers that change how a step is presented rather than inject a file
+    static BEHAVIOR_MODIFIERS = ['override-instructions'];
+
+    // Prompt directories by step kind (PromptLoader loads <directory>/<stepName>.md)
+    static STEP_DIRECTORIES = {
+        core: 'core',
+        inference: 'inference',
+        process: 'process-steps'
+    };
+
+    /**
+     * Lint the prompt files against a pipeline configuration
+     * @param {object} config - Pipeline config with additional config files merged (cases, caseChaining, variables, rubrics, retrieval)
+     * @param {Object<string, string>} files - Prompt file contents by path relative to reference/pipeline-steps/
+     * @returns {{issues: Array<{severity: string, rule: string, file: string, line: number|null, message: string}>, errors: number, warnings: number, filesChecked: number}}
+     */
+    static lint(config, files) {
+        const issues = [];
+        const declared = Object.keys((config && config.variables) || {});
+        const used = new Set();
+
+        Object.entries(files).forEach(([file, content]) => {
+            const reported = new Set();
+            PromptLinter.findPlaceholders(PromptLinter._lintedText(file, content)).forEach(({ name, line }) => {
+                used.add(name);
+                if (declared.includes(name) || PromptLinter.MARKERS.includes(name) || reported.has(name)) return;
+                reported.add(name);
+                issues.push({
+                    severity: PromptLinter.Severity.ERROR,
+                    rule: PromptLinter.Rule.UNDECLARED_VARIABLE,
+                    file,
+                    line: line + PromptLinter._promptLineOffset(file, content),
+                    message: `{${name}} is not declared in the variables block of pipeline-config.json and will reach the agent unreplaced`
+                });
+            });
+        });
+
+        declared.filter(name => !used.has(name)).forEach(name => {
+            issues.push({
+                severity: PromptLinter.Severity.WARNING,
+                rule: PromptLinter.Rule.UNUSED_VARIABLE,
+                file: 'pipeline-config.json',
+                line: null,
+                message: `variable ${name} is declared but no prompt uses {${name}}`
+            });
+        });
+
+        issues.push(...PromptLinter._checkConfig(config || {}, files));
+
+        const sorted = issues.sort((a, b) =>
+            a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0) || a.rule.localeCompare(b.rule));
+        return {
+            issues: sorted,
+            errors: sorted.filter(issue => issue.severity === PromptLinter.Severity.ERROR).length,
+            warnings: sorted.filter(issue => issue.severity === PromptLinter.Severity.WARNING).length,
+            filesChecked: Object.keys(files).length
+        };
+    }
+
+    /**
+     * Placeholders in a text, in order of appearance
+     * @param {string} text - Prompt text
+     * @returns {Array<{name: string, line: number}>} Line numbers start at 1
+     */
+    static findPlaceholders(text) {
+        const found = [];
+        const pattern = new RegExp(PromptLinter.PLACEHOLDER_PATTERN.source, 'g');
+        let match;
+        while ((match = pattern.exec(text || '')) !== null) {
+            found.push({ name: match[1], line: text.slice(0, match.index).split('\n').length });
+        }
+        return found;
+    }
+
+    /**
+     * Placeholders left in an assembled prompt (check before sending it to an agent)
+     * @param {string} prompt - Prompt after PromptLoader.getPrompt
+     * @param {string[]} [ignore] - Placeholders the caller fills in later (e.g. INPUT when input is appended separately)
+     * @returns {string[]} Distinct placeholder names
+     */
+    static findUnresolved(prompt, ignore = []) {
+        const names = PromptLinter.findPlaceholders(prompt).map(placeholder => placeholder.name);
+        return [...new Set(names)].filter(name => !ignore.includes(name) && !PromptLinter.MARKERS.includes(name));
+    }
+
+    /**
+     * The part of a prompt file that PromptLoader sends (the **Prompt:** block), or the whole file
+     * @param {string} content - File content
+     * @returns {{text: string, offset: number}} Prompt text and the number of lines before it
+     */
+    static extractPrompt(content) {
+        const fenced = content.match(/\*\*Prompt:\*\*\s*```(?:\w+)?\n([\s\S]*?)\n```/);
+        const plain = fenced ? null : content.match(/\*\*Prompt:\*\*\s*([\s\S]*?)\s*\*\*Output Format:\*\*/);
+        const match = fenced || plain;
+        if (!match) {
+            return { text: content, offset: 0 };
+        }
+        const start = match.index + match[0].indexOf(match[1]);
+        return { text: match[1], offset: content.slice(0, start).split('\n').length - 1 };
+    }
+
+    /**
+     * Format a lint result as text (one line per issue, then a summary)
+     * @param {object} result - Result of lint()
+     * @returns {string}
+     */
+    static formatReport(result) {
+        const lines = result.issues.map(issue =>
+            `${issue.severity === PromptLinter.Severity.ERROR ? 'error  ' : 'warning'} ${issue.file}${issue.line ? `:${issue.line}` : ''}  ${issue.message}  (${issue.rule})`);
+        lines.push(`${result.filesChecked} prompt files checked: ${result.errors} error(s), ${result.warnings} warning(s)`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Step files, modifier files and step references in the cases
+     * @private
+     */
+    static _checkConfig(config, files) {
+        const issues = [];
+        const add = (severity, rule, message) => issues.push({ severity, rule, file: 'pipeline-config.json', line: null, message });
+        const hasFile = (file) => Object.prototype.hasOwnProperty.call(files, file);
+        const allSteps = new Set();
+        const missingModifiers = new Set();
+
+        // A core prompt without {INJECT_MODIFIER_CONTENT_HERE} has nowhere to put modifier files, so none is loaded
+        const injectsModifiers = (stepName) => !hasFile(`core/${stepName}.md`) ||
+            files[`core/${stepName}.md`].includes('{INJECT_MODIFIER_CONTENT_HERE}');
+        const checkModifiers = (where, stepName, modifiers) => {
+            if (!injectsModifiers(stepName)) return;
+            (modifiers || []).forEach(modifier => {
+                const file = `modifiers/${stepName}/${modifier}.md`;
+                if (PromptLinter.BEHAVIOR_MODIFIERS.includes(modifier) || hasFile(file) || missingModifiers.has(file)) return;
+                missingModifiers.add(file);
+                add(PromptLinter.Severity.ERROR, PromptLinter.Rule.MISSING_MODIFIER_FILE,
+                    `${where}: modifier "${modifier}" on step "${stepName}" has no file ${file}`);
+            });
+        };
+        const checkStepFile = (where, kind, stepName, stepConfig) => {
+            const expected = `${PromptLinter.STEP_DIRECTORIES[kind]}/${stepName}.md`;
+            if (!hasFile(expected)) {
+                add(PromptLinter.Severity.ERROR, PromptLinter.Rule.BROKEN_STEP_REFERENCE,
+                    `${where}: ${kind} step "${stepName}" has no prompt file ${expected}`);
+            } else if (stepConfig && stepConfig.step && stepConfig.step !== expected) {
+                add(PromptLinter.Severity.WARNING, PromptLinter.Rule.BROKEN_STEP_REFERENCE,
+                    `${where}: step "${stepName}" points at ${stepConfig.step}, but prompts are loaded from ${expected}`);
+            }
+            if (stepConfig && stepConfig.specialized) {
+                const specialized = stepConfig.specialized.endsWith('.md') ? stepConfig.specialized : `${stepConfig.specialized}.md`;
+                if (!hasFile(specialized) && !hasFile(`case3-specialized/${specialized}`)) {
+                    add(PromptLinter.Severity.ERROR, PromptLinter.Rule.BROKEN_STEP_REFERENCE,
+                        `${where}: step "${stepName}" uses specialized prompt ${stepConfig.specialized}, which does not exist`);
+                }
+            }
+        };
+
+        Object.entries(config.cases || {}).forEach(([caseNumber, caseConfig]) => {
+            const where = `Case ${caseNumber}`;
+            const workflow = caseConfig.workflow || {};
+            const inference = caseConfig.inference || {};
+            const caseSteps = new Set([...Object.keys(workflow), ...Object.keys(inference)]);
+            caseSteps.forEach(step => allSteps.add(step));
+
+            Object.entries(workflow).forEach(([stepName, stepConfig]) => {
+                checkStepFile(where, 'core', stepName, stepConfig);
+                checkModifiers(where, stepName, stepConfig && stepConfig.modifiers);
+                ((stepConfig && stepConfig.dependencies) || []).forEach(dependency => {
+                    if (!caseSteps.has(dependency)) {
+                        add(PromptLinter.Severity.ERROR, PromptLinter.Rule.BROKEN_STEP_REFERENCE,
+                            `${where}: step "${stepName}" depends on "${dependency}", which is not a step of this case`);
+                    }
+                });
+            });
+            Object.entries(inference).forEach(([stepName, stepConfig]) => {
+                checkStepFile(where, 'inference', stepName, stepConfig);
+                if (stepConfig && stepConfig.after && !caseSteps.has(stepConfig.after)) {
+                    add(PromptLinter.Severity.ERROR, PromptLinter.Rule.BROKEN_STEP_REFERENCE,
+                        `${where}: inference step "${stepName}" runs after "${stepConfig.after}", which is not a step of this case`);
+                }
+            });
+            Object.entries(caseConfig.processSteps || {}).forEach(([stepName, stepConfig]) => {
+                checkStepFile(where, 'process', stepName, stepConfig);
+                ((stepConfig && stepConfig.triggers) || []).forEach(trigger => {
+                    if (!caseSteps.has(trigger)) {
+                        add(PromptLinter.Severity.ERROR, PromptLinter.Rule.BROKEN_STEP_REFERENCE,
+                            `${where}: process step "${stepName}" is triggered by "${trigger}", which is not a step of this case`);
+                    }
+                });
+            });
+        });
+
+        Object.entries(config.caseChaining || {}).forEach(([chainKey, chainConfig]) => {
+            Object.entries(chainConfig || {})
+                .filter(([key, value]) => /^case\dModifiers$/.test(key) && value && typeof value === 'object')
+                .forEach(([, stepModifiers]) => {
+                    Object.entries(stepModifiers).forEach(([stepName, modifiers]) => {
+                        checkModifiers(`Case chain ${chainKey}`, stepName, modifiers);
+                    });
+                });
+        });
+
+        // Rubrics and retrieval settings are keyed by step name
+        Object.keys((config.rubrics && config.rubrics.steps) || {}).forEach(stepName => {
+            if (!allSteps.has(stepName)) {
+                add(PromptLinter.Severity.WARNING, PromptLinter.Rule.BROKEN_STEP_REFERENCE,
+                    `rubrics.steps.${stepName} does not match any step`);
+            }
+        });
+        ((config.retrieval && config.retrieval.steps) || []).forEach(stepName => {
+            if (!allSteps.has(stepName)) {
+                add(PromptLinter.Severity.WARNING, PromptLinter.Rule.BROKEN_STEP_REFERENCE,
+                    `retrieval.steps lists "${stepName}", which does not match any step`);
+            }
+        });
+
+        return issues;
+    }
+
+    /**
+     * Text of a file that ends up in prompts: the prompt block of step files, all of a modifier file
+     * @private
+     */
+    static _lintedText(file, content) {
+        return file.startsWith('modifiers/') ? content : PromptLinter.extractPrompt(content).text;
+    }
+
+    /**
+     * @private
+     */
+    static _promptLineOffset(file, content) {
+        return file.startsWith('modifiers/') ? 0 : PromptLinter.extractPrompt(content).offset;
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof window !== 'undefined') {
+    window.PromptLinter = PromptLinter;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptLinter;
+}
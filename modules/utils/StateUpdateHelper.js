@@ -39,7 +39,7 @@ class StateUpdateHelper {
      * @param {string} projectId - Project ID
      * @param {string} sectionId - Section ID
      * @param {object} updates - Updates to apply
-     * @param {object} options - Options (emitEvent, source)
+     * @param {object} options - Options (emitEvent, source, revisionSource)
      */
     updateSection(projectId, sectionId, updates, options = {}) {
         const standardUpdates = {
@@ -47,7 +47,7 @@ class StateUpdateHelper {
             lastModified: new Date().toISOString()
         };
         
-        this.stateManager.updateSection(projectId, sectionId, standardUpdates);
+        this.stateManager.updateSection(projectId, sectionId, standardUpdates, { source: options.revisionSource });
         
         if (options.emitEvent !== false) {
             this.eventSystem.emit(window.EventType.SECTION_UPDATED, {
@@ -0,0 +1,140 @@
+// Structured Output Parser - Extracts the structured JSON data of a step output
+// Shared by the browser (ProjectManager, FileOperations) and Node (OutputSchemaValidator, tools/prompt-snapshots.js)
+
+class StructuredOutputParser {
+    // Steps the input-structuring output is keyed by, and older-layout "### <Heading>" can be matched to
+    static KNOWN_STEPS = ['research', 'feature-extraction', 'app-analysis', 'decomposition', 'atomic-features', 'ux-specification'];
+
+    // Top-level keys of the structured data that describe the output rather than target a step
+    static NON_STEP_KEYS = ['metadata'];
+
+    /**
+     * Extract the JSON data of an output: the whole output when it is JSON, else the last ```json block
+     * @param {string} outputText - Step output
+     * @returns {{found: boolean, data: *, error: string|null}} found is false when there is no JSON to parse;
+     *          error is set when the JSON does not parse (data is then null)
+     */
+    static extractJson(outputText) {
+        const text = (outputText || '').trim();
+        let jsonContent = null;
+
+        if (text.startsWith('{') || text.startsWith('[')) {
+            jsonContent = text;
+        } else {
+            const blocks = [...text.matchAll(/```json[ \t]*\r?\n([\s\S]*?)```/g)];
+            if (blocks.length > 0) {
+                jsonContent = blocks[blocks.length - 1][1];
+            }
+        }
+
+        if (jsonContent === null) {
+            return { found: false, data: null, error: null };
+        }
+        try {
+            return { found: true, data: JSON.parse(jsonContent), error: null };
+        } catch (e) {
+            return { found: true, data: null, error: e.message };
+        }
+    }
+
+    /**
+     * Structured outputs by target step
+     * Uses section.structuredOutput (stored after schema validation) when present. Otherwise the output's JSON
+     * is used when it is keyed by known steps; outputs in the older layout (a ```json block under a
+     * "### For <step> Step" heading per step) are read by their headings. Non-step keys like metadata are skipped.
+     * @param {object|string} source - Section or output text
+     * @returns {Object<string, string>} Pretty-printed JSON (or the raw block when it is not valid JSON) by step name
+     */
+    static parse(source) {
+        const isSection = source && typeof source === 'object';
+        if (isSection && source.structuredOutput) {
+            return StructuredOutputParser._fromData(source.structuredOutput);
+        }
+
+        const text = (isSection ? source.output : source) || '';
+        const data = StructuredOutputParser.extractJson(text).data;
+        const keyedBySteps = data && typeof data === 'object' && !Array.isArray(data) &&
+            Object.keys(data).some(key => StructuredOutputParser.KNOWN_STEPS.includes(key));
+        if (!keyedBySteps) {
+            const outputs = StructuredOutputParser._parseHeadings(text);
+            if (Object.keys(outputs).length > 0) {
+                return outputs;
+            }
+        }
+        return StructuredOutputParser._fromData(data);
+    }
+
+    /**
+     * Each object or array property of the structured data, except NON_STEP_KEYS
+     * @private
+     */
+    static _fromData(data) {
+        const outputs = {};
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return outputs;
+        }
+        Object.entries(data).forEach(([stepName, value]) => {
+            if (value && typeof value === 'object' && !StructuredOutputParser.NON_STEP_KEYS.includes(stepName)) {
+                outputs[stepName] = JSON.stringify(value, null, 2);
+            }
+        });
+        return outputs;
+    }
+
+    /**
+     * JSON blocks of an older-layout output, keyed by the step heading they follow
+     * Tried in order, earlier patterns win (within pattern 1 the last block for a step wins):
+     * 1. "### For <step> Step" followed by a ```json block
+     * 2. "### For <step>" followed by a ```json block
+     * 3. Any "### <Heading>" naming a known step, followed by a ```json block
+     * @private
+     */
+    static _parseHeadings(text) {
+        const outputs = {};
+
+        StructuredOutputParser._collect(text, /### For (\w+(?:-\w+)*) Step\s*```json\s*([\s\S]*?)\s*```/g, outputs,
+            heading => heading, true);
+        StructuredOutputParser._collect(text, /### For (\w+(?:-\w+)*)\s*```json\s*([\s\S]*?)\s*```/g, outputs,
+            heading => heading);
+        StructuredOutputParser._collect(text, /###\s+(\w+(?:\s+\w+)*)\s*[\s\S]*?```json\s*([\s\S]*?)\s*```/g, outputs, heading => {
+            const normalized = heading.toLowerCase().replace(/\s+/g, '-');
+            return StructuredOutputParser.KNOWN_STEPS.find(step => normalized.includes(step.replace('-', ''))) || null;
+        });
+
+        return outputs;
+    }
+
+    /**
+     * Add the blocks matched by a pattern (only for steps not found yet unless overwrite is set)
+     * @private
+     */
+    static _collect(text, pattern, outputs, toStepName, overwrite = false) {
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const stepName = toStepName(match[1]);
+            if (stepName && (overwrite || !outputs[stepName])) {
+                outputs[stepName] = StructuredOutputParser._formatJson(match[2].trim());
+            }
+        }
+    }
+
+    /**
+     * Pretty-print JSON content, or return it unchanged when it does not parse
+     * @private
+     */
+    static _formatJson(jsonContent) {
+        try {
+            return JSON.stringify(JSON.parse(jsonContent), null, 2);
+        } catch (e) {
+            return jsonContent;
+        }
+    }
+}
+
+// Export for use in browser or Node.js
+if (typeof window !== 'undefined') {
+    window.StructuredOutputParser = StructuredOutputParser;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StructuredOutputParser;
+}
@@ -1,8 +1,8 @@
 // Node.js server for feat-spec app with file watching capabilities
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { watch } = require('fs');
 const { URL } = require('url');
 const { exec, execFile, spawn } = require('child_process');
 const { promisify } = require('util');
@@ -11,13 +11,25 @@ const PathService = require('./server/utils/PathService');
 const ServerErrorHandler = require('./server/utils/ServerErrorHandler');
 const RateLimiter = require('./server/utils/RateLimiter');
 const SchemaValidator = require('./server/utils/SchemaValidator');
+const OutputSchemaValidator = require('./server/utils/OutputSchemaValidator');
+const ProviderRegistry = require('./server/providers/ProviderRegistry');
+const JobQueue = require('./server/jobs/JobQueue');
+const PromptAssembler = require('./server/jobs/PromptAssembler');
+const SearchIndexManager = require('./server/search/SearchIndexManager');
+const FileWatchHub = require('./server/watch/FileWatchHub');
+const CollaborationHub = require('./server/collab/CollaborationHub');
+const RunJournal = require('./server/journal/RunJournal');
+const TemplateStore = require('./server/templates/TemplateStore');
+const PipelineStore = require('./server/pipelines/PipelineStore');
+const PromptLinter = require('./modules/utils/PromptLinter');
+const TokenBudgetService = require('./modules/services/TokenBudgetService');
 
 const PORT = process.env.PORT || 8050;
 
 // Initialize server error handler
 const errorHandler = new ServerErrorHandler();
 const PROJECT_ROOT = path.resolve(__dirname, '..');
-const SAVED_FILES_DIR = path.join(__dirname, 'saved-files');
+const SAVED_FILES_DIR = process.env.SAVED_FILES_DIR || path.join(__dirname, 'saved-files');
 
 // Initialize rate limiter (100 requests per minute per IP)
 const rateLimiter = new RateLimiter(100, 60000);
@@ -25,6 +37,9 @@ const rateLimiter = new RateLimiter(100, 60000);
 // Initialize schema validator
 const schemaValidator = new SchemaValidator();
 
+// Step output validation against the pipeline-config.json output schemas
+const outputSchemaValidator = new OutputSchemaValidator();
+
 // Cleanup rate limiter every minute
 setInterval(() => rateLimiter.cleanup(), 60000);
 
@@ -36,12 +51,67 @@ const SERVER_CONSTANTS = {
     },
     BUFFERS: {
         CURSOR_CLI_MAX: 10 * 1024 * 1024  // 10MB
+    },
+    JOBS: {
+        CONCURRENCY: 2,                   // Agent jobs running at once
+        MAX_STORED: 100,                  // Finished jobs kept on disk
+        HEARTBEAT_INTERVAL: 30000         // Keep-alive for job event streams
+    },
+    SEARCH: {
+        DEFAULT_LIMIT: 10,                // Snippets returned per query
+        WATCH_OWNER: 'search-index'       // projectId used for the index's own directory watchers
+    },
+    WATCH: {
+        DEBOUNCE: 300,                    // Quiet time after a raw fs.watch event before a file is checked
+        STABLE_INTERVAL: 500,             // Between size/mtime checks of a file that is still being written
+        MAX_STABLE_WAIT: 30000,           // Report a file that never settles after this long
+        HEARTBEAT_INTERVAL: 30000         // Keep-alive for watch event streams
+    },
+    COLLABORATION: {
+        HEARTBEAT_INTERVAL: 15000         // Keep-alive for collaboration streams (also expires stale locks)
+    },
+    JOURNAL: {
+        MAX_RUNS: 200,                    // Automation runs kept in the run journal
+        EXCERPT_LENGTH: 500               // Characters of a job's prompt and output kept in the journal
     }
 };
 
+// Text files read for chat context and indexed for search
+const SCOPE_TEXT_EXTENSIONS = [
+    '.txt', '.md', '.js', '.ts', '.jsx', '.tsx', '.json', '.html', '.css', '.scss',
+    '.py', '.java', '.cpp', '.c', '.h', '.hpp', '.cs', '.go', '.rs', '.rb', '.php',
+    '.xml', '.yaml', '.yml', '.toml', '.ini', '.cfg', '.conf', '.log', '.sh', '.bat',
+    '.ps1', '.sql', '.r', '.m', '.swift', '.kt', '.dart', '.vue', '.svelte',
+    '.graphql', '.gql', '.proto', '.thrift', '.avsc', '.avdl'
+];
+const SCOPE_IGNORE_DIRS = ['node_modules', '.git', '.vscode', '.idea'];
+
 // Initialize PathService
 const pathService = new PathService(PROJECT_ROOT);
 
+// Initialize agent providers (built-in cursor-cli plus any defined in agent-providers.json)
+const AGENT_PROVIDERS_FILE = process.env.AGENT_PROVIDERS_FILE || path.join(__dirname, 'agent-providers.json');
+const providerRegistry = new ProviderRegistry({ timeoutMs: SERVER_CONSTANTS.TIMEOUTS.CURSOR_CLI_TIMEOUT });
+providerRegistry.loadFromFile(AGENT_PROVIDERS_FILE);
+
+// Agent job queue (persisted in automation-jobs/, survives browser refreshes and restarts)
+const AGENT_JOBS_DIR = process.env.AGENT_JOBS_DIR || path.join(__dirname, 'automation-jobs');
+const promptAssembler = new PromptAssembler(__dirname);
+const jobQueue = new JobQueue({
+    storageDir: AGENT_JOBS_DIR,
+    concurrency: parseInt(process.env.AGENT_JOB_CONCURRENCY, 10) || SERVER_CONSTANTS.JOBS.CONCURRENCY,
+    maxStoredJobs: SERVER_CONSTANTS.JOBS.MAX_STORED,
+    runTask: runAgentJobTask
+});
+jobQueue.setMaxListeners(0); // One listener per attached client
+
+// Automation run journal (persisted in automation-journal/): browser runs record their events through /api/journal/*,
+// server-side jobs are recorded from their job events
+const RUN_JOURNAL_DIR = process.env.RUN_JOURNAL_DIR || path.join(__dirname, 'automation-journal');
+const runJournal = new RunJournal({ directory: RUN_JOURNAL_DIR, maxRuns: SERVER_CONSTANTS.JOURNAL.MAX_RUNS });
+const jobJournalRuns = new Map(); // jobId -> run ID of the job's current execution (a resumed job starts a new run)
+jobQueue.on('event', (jobId, type, payload) => journalJobEvent(jobId, type, payload));
+
 // Handle Windows path separators (legacy function, now uses PathService)
 function normalizePath(p) {
     return pathService.normalize(p);
@@ -52,9 +122,36 @@ if (!fs.existsSync(SAVED_FILES_DIR)) {
     fs.mkdirSync(SAVED_FILES_DIR, { recursive: true });
 }
 
-// Store active watchers: { directoryPath: { watcher, files: Map, clients: Set } }
+// File watchers shared by /api/watch, the search indexes and watch event streams (one fs.watch per directory)
+const fileWatchHub = new FileWatchHub({
+    debounceMs: SERVER_CONSTANTS.WATCH.DEBOUNCE,
+    stableIntervalMs: SERVER_CONSTANTS.WATCH.STABLE_INTERVAL,
+    maxWaitMs: SERVER_CONSTANTS.WATCH.MAX_STABLE_WAIT,
+    ignoreDirs: SCOPE_IGNORE_DIRS
+});
+fileWatchHub.setMaxListeners(0); // One listener per watch event stream
+
+// Watchers started through /api/watch: { "projectId:sectionId:directory": { directory, projectId, sectionId } }
 const watchers = new Map();
 
+// Search indexes over scope directories (BM25, plus embeddings when search-config.json defines a backend)
+const SEARCH_CONFIG_FILE = process.env.SEARCH_CONFIG_FILE || path.join(__dirname, 'search-config.json');
+const searchIndexes = new SearchIndexManager({
+    baseDir: PROJECT_ROOT,
+    indexOptions: { extensions: SCOPE_TEXT_EXTENSIONS, ignoreDirs: SCOPE_IGNORE_DIRS },
+    watch: (directory) => watchDirectory(directory, SERVER_CONSTANTS.SEARCH.WATCH_OWNER, 'scope')
+});
+searchIndexes.loadConfigFromFile(SEARCH_CONFIG_FILE);
+// Keep search indexes over watched directories current (re-indexing is debounced)
+fileWatchHub.on('event', (directory, type, file) => searchIndexes.notifyFileChange(file.path));
+
+// User-defined project templates live next to the saved project groups
+const templateStore = new TemplateStore(path.join(SAVED_FILES_DIR, 'templates'));
+const pipelineStore = new PipelineStore(path.join(__dirname, 'reference'));
+
+// Shared editing sessions on saved project group files (in memory; a session ends with its last participant)
+const collaborationHub = new CollaborationHub();
+
 // Simple file server
 function serveFile(filePath, res) {
     const ext = path.extname(filePath).toLowerCase();
@@ -83,60 +180,49 @@ function serveFile(filePath, res) {
     });
 }
 
-// Watch a directory for file changes
-function watchDirectory(dirPath, projectId, sectionId) {
+// Validate a directory to watch
+// Returns { path } (absolute) or { error, status }
+function resolveWatchDirectory(dirPath) {
     // Validate path using PathService
     const validation = pathService.validate(dirPath);
     if (!validation.valid) {
-        return { error: validation.error || 'Access denied' };
+        return { error: validation.error || 'Access denied', status: 403 };
     }
     
     const normalizedPath = validation.path;
-    const key = `${projectId}:${sectionId}:${normalizedPath}`;
-    
     if (!fs.existsSync(normalizedPath)) {
-        return { error: 'Directory does not exist' };
+        return { error: 'Directory does not exist', status: 404 };
     }
     
     if (!fs.statSync(normalizedPath).isDirectory()) {
-        return { error: 'Path is not a directory' };
+        return { error: 'Path is not a directory', status: 400 };
     }
     
+    return { path: normalizedPath };
+}
+
+// Watch a directory for file changes
+function watchDirectory(dirPath, projectId, sectionId) {
+    const resolved = resolveWatchDirectory(dirPath);
+    if (resolved.error) {
+        return { error: resolved.error };
+    }
+    
+    const normalizedPath = resolved.path;
+    const key = `${projectId}:${sectionId}:${normalizedPath}`;
+    
     // Check if already watching
     if (watchers.has(key)) {
         return { success: true, alreadyWatching: true };
     }
     
-    const fileStates = new Map();
-    const watcher = watch(normalizedPath, { recursive: true }, (eventType, filename) => {
-        if (!filename) return;
-        
-        const filePath = path.join(normalizedPath, filename);
-        
-        try {
-            const stats = fs.statSync(filePath);
-            if (stats.isFile()) {
-                const state = fileStates.get(filename) || { lastModified: 0, size: 0 };
-                const newState = {
-                    lastModified: stats.mtimeMs,
-                    size: stats.size,
-                    path: filePath
-                };
-                
-                // Check if file changed
-                if (state.lastModified !== newState.lastModified || state.size !== newState.size) {
-                    fileStates.set(filename, newState);
-                }
-            }
-        } catch (err) {
-            // File might have been deleted
-            fileStates.delete(filename);
-        }
-    });
+    try {
+        fileWatchHub.watch(normalizedPath);
+    } catch (err) {
+        return { error: err.message };
+    }
     
     watchers.set(key, {
-        watcher,
-        fileStates,
         directory: normalizedPath,
         projectId,
         sectionId
@@ -212,8 +298,8 @@ async function readFile(filePath) {
 // Stop watching a directory
 function stopWatching(key) {
     if (watchers.has(key)) {
-        const { watcher } = watchers.get(key);
-        watcher.close();
+        const { directory } = watchers.get(key);
+        fileWatchHub.unwatch(directory);
         watchers.delete(key);
         return { success: true };
     }
@@ -229,8 +315,16 @@ const SERVER_VALIDATION = {
     BLOCKED_EXTENSIONS: ['.exe', '.sh', '.bat', '.cmd', '.ps1', '.js', '.html']
 };
 
+// Revision of a saved file: a hash of its content, so a change from anywhere (another tab, the pipeline runner,
+// a hand edit) makes a client's copy stale
+function fileRevision(content) {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex').slice(0, 16);
+}
+
 // Save file to server
-function saveFileToServer(filename, content) {
+// baseRevision is the revision the client's copy was loaded or last saved at (null for a file it expects to be new);
+// the write is refused with code CONFLICT when the file on disk no longer matches. Without it the file is overwritten.
+function saveFileToServer(filename, content, baseRevision = undefined) {
     try {
         // Validate filename
         if (!filename || typeof filename !== 'string') {
@@ -277,8 +371,26 @@ function saveFileToServer(filename, content) {
             return { success: false, error: 'File size exceeds maximum allowed size' };
         }
         
+        if (baseRevision !== undefined) {
+            const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+            const currentRevision = current === null ? null : fileRevision(current);
+            // Writing the content already on disk is not a conflict
+            if (currentRevision !== baseRevision && current !== contentString) {
+                return {
+                    success: false,
+                    error: current === null
+                        ? 'The file was deleted on the server since it was loaded'
+                        : 'The file was changed on the server since it was loaded',
+                    code: ServerErrorHandler.ErrorCode.CONFLICT,
+                    filename: safeFilename,
+                    revision: currentRevision,
+                    content: current
+                };
+            }
+        }
+        
         fs.writeFileSync(filePath, contentString, 'utf8');
-        return { success: true, filename: safeFilename, path: filePath };
+        return { success: true, filename: safeFilename, path: filePath, revision: fileRevision(contentString) };
     } catch (error) {
         const result = errorHandler.handleError(error, {
             source: 'Server',
@@ -289,259 +401,502 @@ function saveFileToServer(filename, content) {
     }
 }
 
-// Execute cursor-cli command
-function executeCursorCLI(prompt, scopeDirectory) {
-    console.log('[executeCursorCLI] Called with scopeDirectory:', scopeDirectory);
-    console.log('[executeCursorCLI] Prompt length:', prompt ? prompt.length : 0);
-    return new Promise((resolve, reject) => {
+// Resolve and validate an agent scope directory (absolute or project-relative)
+function resolveScopeDirectory(scopeDirectory) {
+    const scopeDir = scopeDirectory.trim();
+    let scopePath;
+    if (pathService.isAbsolute(scopeDir)) {
+        // For chat system, allow scope directories outside project root (read-only context)
+        scopePath = path.resolve(scopeDir);
+    } else {
+        // Relative path - validate using PathService
+        const validation = pathService.validate(scopeDir);
+        if (!validation.valid) {
+            throw new Error(validation.error || 'Invalid scope directory path');
+        }
+        scopePath = validation.path;
+    }
+    
+    if (!fs.existsSync(scopePath) || !fs.statSync(scopePath).isDirectory()) {
+        throw new Error('Scope directory does not exist or is not a directory');
+    }
+    return scopePath;
+}
+
+// Execute a prompt through the selected agent provider (defaults to cursor-cli)
+// options.onChunk receives (text, stream) as output arrives; options.signal cancels the run
+async function executeAgentPrompt(prompt, scopeDirectory, providerId = null, options = {}) {
+    if (!prompt || !scopeDirectory) {
+        throw new Error('Prompt and scope directory are required');
+    }
+    
+    const provider = providerRegistry.resolve(providerId);
+    const scopePath = resolveScopeDirectory(scopeDirectory);
+    console.log(`[Agent] Provider: ${provider.id} (${provider.type}), scope: ${scopePath}, prompt length: ${prompt.length}`);
+    
+    const result = await provider.execute(prompt, { scopePath, onChunk: options.onChunk, signal: options.signal });
+    return { ...result, provider: provider.id };
+}
+
+// Active streaming executions: executionId -> AbortController
+const activeExecutions = new Map();
+
+// Stream an agent execution as Server-Sent Events (start, chunk, done, error)
+function streamAgentPrompt(res, prompt, scopeDirectory, providerId) {
+    const executionId = `exec-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const controller = new AbortController();
+    activeExecutions.set(executionId, controller);
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    
+    const sendEvent = (event, payload) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+        }
+    };
+    
+    // Client went away (tab closed, fetch aborted) - kill the agent process
+    res.on('close', () => controller.abort());
+    
+    sendEvent('start', { executionId });
+    executeAgentPrompt(prompt, scopeDirectory, providerId, {
+        signal: controller.signal,
+        onChunk: (text, stream) => sendEvent('chunk', { text, stream })
+    })
+        .then(result => sendEvent('done', result))
+        .catch(error => {
+            const result = errorHandler.handleError(error, {
+                source: 'Server',
+                operation: 'cursor-cli-execute-stream',
+                providerId: providerId || null
+            });
+            sendEvent('error', { error: result.error, code: result.code, cancelled: error.cancelled === true });
+        })
+        .finally(() => {
+            activeExecutions.delete(executionId);
+            res.end();
+        });
+}
+
+// Cancel a streaming execution by id
+function cancelAgentExecution(executionId) {
+    const controller = activeExecutions.get(executionId);
+    if (!controller) {
+        return { success: false, error: 'Execution not found' };
+    }
+    controller.abort();
+    return { success: true, executionId };
+}
+
+// Run one job task: use the task's prompt, or assemble the step prompt server-side from the
+// job's project snapshot (which accumulates outputs of earlier tasks)
+async function runAgentJobTask(job, task, { signal, onChunk, log }) {
+    let prompt = task.prompt;
+    let section = null;
+    
+    if (!prompt) {
+        section = (job.project.sections || []).find(s => s.sectionId === task.sectionId);
+        if (!section) {
+            throw new Error(`Section not found in job project: ${task.sectionId}`);
+        }
+        const stepPrompt = await promptAssembler.getPrompt(section, job.project);
+        const input = promptAssembler.getSectionInput(section, job.project);
+        const snippets = await retrieveSnippetsForStep(section, job.project, job.scopeDirectory, input, log);
+        prompt = `${stepPrompt}${snippets}\n\n## Input\n\n${input}`;
+        const unresolved = PromptLinter.findUnresolved(stepPrompt);
+        if (unresolved.length > 0) {
+            log(`Warning: unresolved placeholders in the ${section.stepName || section.sectionId} prompt: ${unresolved.map(name => `{${name}}`).join(', ')}`);
+        }
+    }
+    
+    const budgetService = job.project ? enforceJobBudget(job, log) : null;
+    appendJobJournal(job.id, [{
+        type: 'prompt-sent',
+        sectionId: task.sectionId,
+        sectionName: task.label,
+        message: `Prompt sent to ${job.providerId || 'the default provider'} (${prompt.length} characters)`,
+        data: { prompt: journalText(prompt), providerId: job.providerId || null }
+    }]);
+    const result = await executeAgentPrompt(prompt, job.scopeDirectory, job.providerId, { signal, onChunk });
+    appendJobJournal(job.id, [{
+        type: 'output-received',
+        sectionId: task.sectionId,
+        sectionName: task.label,
+        message: `Output received (${(result.output || '').length} characters)`,
+        data: { output: journalText(result.output), provider: result.provider || null }
+    }]);
+    
+    const usage = {
+        promptTokens: TokenBudgetService.estimateTokens(prompt),
+        responseTokens: TokenBudgetService.estimateTokens(result.output)
+    };
+    if (budgetService) {
+        const check = budgetService.record(job.project.id, { key: task.sectionId || task.id, label: task.label, ...usage });
+        if (check && check.state !== TokenBudgetService.BudgetState.OK) {
+            log(check.message);
+        }
+    }
+    
+    if (section) {
+        section.output = result.output;
+        section.status = 'complete';
         try {
-            if (!prompt || !scopeDirectory) {
-                console.error('[executeCursorCLI] Missing prompt or scopeDirectory');
-                reject(new Error('Prompt and scope directory are required'));
-                return;
-            }
-            
-            // Handle scope directory path (could be absolute or relative)
-            const scopeDir = scopeDirectory.trim();
-            
-            // Use PathService to resolve and normalize
-            let scopePath;
-            if (pathService.isAbsolute(scopeDir)) {
-                // Already absolute - validate it exists and is accessible
-                scopePath = path.resolve(scopeDir);
-                // For chat system, allow scope directories outside project root (read-only context)
-                // But validate the path exists
-                if (!fs.existsSync(scopePath)) {
-                    reject(new Error('Scope directory does not exist'));
-                    return;
-                }
-            } else {
-                // Relative path - validate using PathService
-                const validation = pathService.validate(scopeDir);
+            const validation = await validateStepOutput(section.stepName || section.sectionId, result.output);
+            if (validation.hasSchema) {
+                section.structuredOutput = validation.data;
+                section.structuredOutputErrors = validation.errors;
+                appendJobJournal(job.id, [{
+                    type: 'score',
+                    sectionId: task.sectionId,
+                    sectionName: task.label,
+                    message: validation.valid ? 'Output matches the output schema' : `Output schema: ${validation.errors.length} error(s)`,
+                    data: { schemaValid: validation.valid, errors: validation.errors }
+                }]);
                 if (!validation.valid) {
-                    reject(new Error(validation.error || 'Invalid scope directory path'));
-                    return;
+                    log(`Structured output does not match the output schema: ${validation.errors.join('; ')}`);
                 }
-                scopePath = validation.path;
-            }
-            
-            // Validate path exists
-            if (!fs.existsSync(scopePath)) {
-                reject(new Error('Scope directory does not exist'));
-                return;
             }
-            
-            console.log(`[Cursor CLI] Path validation passed: ${scopePath}`);
-            
-            // Check if scope directory exists
-            if (!fs.existsSync(scopePath) || !fs.statSync(scopePath).isDirectory()) {
-                reject(new Error('Scope directory does not exist or is not a directory'));
-                return;
+        } catch (error) {
+            log(`Could not validate the structured output: ${error.message}`);
+        }
+        if (job.automationDirectory) {
+            const fileName = `${section.stepName || section.sectionId}-output.md`;
+            const saved = saveAutomationFile(`${job.automationDirectory}/${fileName}`, result.output);
+            log(saved.success ? `Saved ${saved.path}` : `Could not save ${fileName}: ${saved.error}`);
+            if (saved.success) {
+                appendJobJournal(job.id, [{
+                    type: 'file-saved',
+                    sectionId: task.sectionId,
+                    sectionName: task.label,
+                    message: `Saved ${fileName}`,
+                    data: { path: saved.path }
+                }]);
             }
-            
-            // Build cursor-agent command
-            // Syntax from https://cursor.com/cli: cursor-agent -p --force "prompt"
-            // -p: print mode (non-interactive)
-            // --force: enable file modifications
-            // The agent works in the current directory context
-            // Try cursor-agent from PATH first, then try WSL, then common install locations
-            const homeDir = process.env.HOME || process.env.USERPROFILE || process.env.HOMEPATH;
-            let cursorAgentPath = 'cursor-agent';
-            
-            // Use WSL cursor-agent if Windows, otherwise use native
-            if (process.platform === 'win32') {
-                // Convert Windows path to WSL path for scope directory
-                const wslScopePath = scopePath.replace(/^([A-Z]):/, (match, drive) => {
-                    return `/mnt/${drive.toLowerCase()}`;
-                }).replace(/\\/g, '/');
-                
-                // Get API key from environment variable
-                const apiKey = process.env.CURSOR_API_KEY;
-                if (!apiKey) {
-                    throw new Error('CURSOR_API_KEY environment variable is required');
-                }
-                
-                // Build the bash command - pass prompt via stdin using "$(cat)" to avoid escaping issues
-                // This matches the working approach from the Unity bridge script
-                const escapedApiKey = JSON.stringify(apiKey);
-                const escapedScopePath = JSON.stringify(wslScopePath);
-                
-                // Use stdin approach exactly like the working Unity bridge script
-                // Build command string WITHOUT the prompt (prompt goes to stdin)
-                let command = 'cd ' + escapedScopePath + ' && ' +
-                    'mkdir -p ~/.cursor && ' +
-                    '(test -f ~/.cursor/cli-config.json || echo "{}" > ~/.cursor/cli-config.json) && ' +
-                    'export PATH="$HOME/.local/bin:$PATH" && ' +
-                    'export CURSOR_CLI_NO_RETRY=1';
-                
-                // Add API key as environment variable (not flag)
-                if (apiKey) {
-                    command += ' && export CURSOR_API_KEY=' + escapedApiKey;
-                }
-                
-                // Add cursor-agent command with -p "$(cat)" to read from stdin
-                // This is the exact pattern from the working script
-                command += ' && cursor-agent --print -p "$(cat)"';
-                
-                const bashCmd = command;
-                
-                // Debug logging
-                console.log('[Cursor CLI] Using stdin approach (matching working script)');
-                console.log('[Cursor CLI] Command (no prompt, prompt goes to stdin):', bashCmd);
-                console.log('[Cursor CLI] Scope path:', wslScopePath);
-                console.log('[Cursor CLI] Prompt length:', prompt.length, 'chars');
-                
-                // Use spawn with stdin pipe enabled (exactly like working script)
-                const wslProcess = spawn('wsl.exe', ['bash', '-c', bashCmd], {
-                    cwd: scopePath,
-                    shell: false,
-                    stdio: ['pipe', 'pipe', 'pipe'] // Enable stdin to write prompt
-                });
-                
-                let stdout = '';
-                let stderr = '';
-                
-                // Write prompt to stdin (exactly like working script)
-                wslProcess.stdin.write(prompt, 'utf8');
-                wslProcess.stdin.end();
-                
-                wslProcess.stdout.on('data', (data) => {
-                    stdout += data.toString();
-                });
-                
-                wslProcess.stderr.on('data', (data) => {
-                    const chunk = data.toString();
-                    stderr += chunk;
-                });
+        }
+    }
+    
+    return { ...result, usage };
+}
 
-                wslProcess.on('close', (code) => {
-                    // cursor-agent may exit with non-zero but still produce output
-                    if (stdout || stderr) {
-                        resolve({
-                            success: true,
-                            output: stdout,
-                            stderr: stderr
-                        });
-                    } else if (code !== 0) {
-                        reject(new Error(`Cursor CLI error: Process exited with code ${code}\n${stderr || 'No output'}`));
-                    } else {
-                        resolve({
-                            success: true,
-                            output: stdout,
-                            stderr: stderr
-                        });
-                    }
-                });
-                
-                wslProcess.on('error', (error) => {
-                    reject(new Error(`Cursor CLI error: ${error.message}\n${stderr || ''}`));
-                });
-                
-                // Set timeout
-                setTimeout(() => {
-                    if (!wslProcess.killed) {
-                        wslProcess.kill();
-                        reject(new Error('Cursor CLI timeout after 5 minutes'));
-                    }
-                }, 300000);
-                return; // Early return for WSL path
-            } else {
-                // Linux/Mac - use stdin approach for consistency
-                const apiKey = process.env.CURSOR_API_KEY;
-                if (!apiKey) {
-                    throw new Error('CURSOR_API_KEY environment variable is required');
-                }
-                const escapedApiKey = JSON.stringify(apiKey);
-                const escapedScopePath = JSON.stringify(scopePath);
-                
-                // Build command using stdin approach (same as Windows/WSL)
-                const bashCmd = 'export PATH="$HOME/.local/bin:$PATH" && ' +
-                    'export CURSOR_API_KEY=' + escapedApiKey + ' && ' +
-                    'cd ' + escapedScopePath + ' && ' +
-                    'cursor-agent -p --force "$(cat)"';
-                
-                // Use spawn with stdin pipe enabled
-                const cursorProcess = spawn('bash', ['-c', bashCmd], {
-                    cwd: scopePath,
-                    shell: false,
-                    stdio: ['pipe', 'pipe', 'pipe'], // Enable stdin pipe
-                    env: {
-                        ...process.env,
-                        PATH: `${homeDir ? `${homeDir}/.local/bin:` : ''}${process.env.PATH}`,
-                        CURSOR_API_KEY: apiKey
-                    }
-                });
-                
-                let stdout = '';
-                let stderr = '';
-                
-                // Write prompt to stdin (this avoids all escaping issues)
-                cursorProcess.stdin.write(prompt, 'utf8');
-                cursorProcess.stdin.end();
-                
-                cursorProcess.stdout.on('data', (data) => {
-                    stdout += data.toString();
-                });
-                
-                cursorProcess.stderr.on('data', (data) => {
-                    stderr += data.toString();
-                });
-                
-                cursorProcess.on('close', (code) => {
-                    // cursor-agent may exit with non-zero but still produce output
-                    if (stdout || stderr) {
-                        resolve({
-                            success: true,
-                            output: stdout,
-                            stderr: stderr
-                        });
-                    } else if (code !== 0) {
-                        reject(new Error(`Cursor CLI error: Process exited with code ${code}\n${stderr || 'No output'}`));
-                    } else {
-                        resolve({
-                            success: true,
-                            output: stdout,
-                            stderr: stderr
-                        });
-                    }
-                });
-                
-                cursorProcess.on('error', (error) => {
-                    reject(new Error(`Cursor CLI error: ${error.message}\n${stderr || ''}`));
+// Token budget of a job's project snapshot; the job is one run (TokenBudgetService.startRun on its first task).
+// An exceeded budget with the pause or stop action fails the job before the next task; resuming the job
+// continues past the budget. Returns the budget service for recording the task's usage.
+function enforceJobBudget(job, log) {
+    const budgetService = new TokenBudgetService({
+        getProject: (projectId) => (projectId === job.project.id ? job.project : null),
+        updateProject: (projectId, updates) => Object.assign(job.project, updates)
+    });
+    if (!job.budgetRun) {
+        budgetService.startRun(job.project.id, `job:${job.source}`);
+        job.budgetRun = 'running';
+    }
+    
+    const check = TokenBudgetService.checkBudget(job.project);
+    if (check.state !== TokenBudgetService.BudgetState.EXCEEDED || check.action === TokenBudgetService.BudgetAction.WARN ||
+        job.budgetRun === 'overridden') {
+        return budgetService;
+    }
+    if (job.budgetRun === 'stopped') {
+        // Only a resume reruns a job that failed on its budget
+        job.budgetRun = 'overridden';
+        log(`${check.message}. Resumed past the budget.`);
+        return budgetService;
+    }
+    job.budgetRun = 'stopped';
+    throw new Error(`${check.message}. Resume the job to continue past the budget.`);
+}
+
+// Record a server-side job's progress in the run journal
+function journalJobEvent(jobId, type, payload) {
+    if (type === 'job') {
+        const runId = jobJournalRuns.get(jobId);
+        if (payload.status === JobQueue.STATUS.RUNNING && !runId) {
+            const newRunId = `${jobId}-${Date.now().toString(36)}`.replace(/[^A-Za-z0-9_-]/g, '_');
+            try {
+                runJournal.startRun({
+                    runId: newRunId,
+                    projectId: payload.projectId || 'unknown',
+                    projectName: payload.projectName,
+                    engine: `job:${payload.source || 'server'}`,
+                    label: payload.label
                 });
-                
-                // Set timeout
-                setTimeout(() => {
-                    if (!cursorProcess.killed) {
-                        cursorProcess.kill();
-                        reject(new Error('Cursor CLI timeout after 5 minutes'));
-                    }
-                }, SERVER_CONSTANTS.TIMEOUTS.CURSOR_CLI_TIMEOUT);
-                return; // Early return for native path
+                jobJournalRuns.set(jobId, newRunId);
+            } catch (error) {
+                console.warn(`[RunJournal] Could not start a run for job ${jobId}: ${error.message}`);
+                return;
             }
-            
-            // Execute command in the scope directory
-            exec(command, {
-                cwd: scopePath,
-                maxBuffer: 10 * 1024 * 1024, // 10MB buffer
-                timeout: 300000 // 5 minute timeout
-            }, (error, stdout, stderr) => {
-                if (error) {
-                    reject(new Error(`Cursor CLI error: ${error.message}\n${stderr || ''}`));
-                    return;
-                }
-                
-                // Return the output
-                resolve({
-                    success: true,
-                    output: stdout,
-                    stderr: stderr || ''
-                });
-            });
-        } catch (error) {
-            reject(error);
+            appendJobJournal(jobId, [{
+                type: 'run-started',
+                message: `Job started: ${payload.label || jobId}`,
+                data: { jobId, providerId: payload.providerId, steps: payload.progress && payload.progress.total }
+            }]);
+        } else if (runId && payload.status !== JobQueue.STATUS.RUNNING) {
+            const status = payload.status === JobQueue.STATUS.COMPLETED || payload.status === JobQueue.STATUS.FAILED
+                ? payload.status
+                : RunJournal.STATUS.STOPPED;
+            const progress = payload.progress || {};
+            appendJobJournal(jobId, [{
+                type: 'run-finished',
+                message: `Job ${payload.status}${payload.error ? `: ${payload.error}` : ''}`,
+                data: { status: payload.status, progress }
+            }]);
+            try {
+                runJournal.endRun(runId, { status, summary: `${progress.completed || 0}/${progress.total || 0} step(s) completed` });
+            } catch (error) {
+                console.warn(`[RunJournal] Could not end run ${runId}: ${error.message}`);
+            }
+            jobJournalRuns.delete(jobId);
+        }
+    } else if (type === 'task') {
+        const types = {
+            [JobQueue.TASK_STATUS.RUNNING]: 'step-started',
+            [JobQueue.TASK_STATUS.COMPLETED]: 'step-completed',
+            [JobQueue.TASK_STATUS.FAILED]: 'step-failed',
+            [JobQueue.TASK_STATUS.CANCELLED]: 'step-failed'
+        };
+        if (!types[payload.status]) return;
+        appendJobJournal(jobId, [{
+            type: types[payload.status],
+            sectionId: payload.sectionId,
+            sectionName: payload.label,
+            message: `${payload.label} ${payload.status}${payload.error ? `: ${payload.error}` : ''}`,
+            data: {
+                status: payload.status,
+                provider: payload.provider || null,
+                error: payload.error || null,
+                outputLength: typeof payload.output === 'string' ? payload.output.length : undefined
+            }
+        }]);
+    }
+}
+
+// A job's prompt or output as recorded in its journal run: length, hash and opening excerpt.
+// The job keeps its outputs itself, so the journal does not grow by every task's full text.
+function journalText(text) {
+    const value = text || '';
+    const excerptLength = SERVER_CONSTANTS.JOURNAL.EXCERPT_LENGTH;
+    return {
+        length: value.length,
+        sha256: fileRevision(value),
+        excerpt: value.length > excerptLength ? `${value.slice(0, excerptLength)}…` : value
+    };
+}
+
+// Append events to a job's journal run; journal problems never affect the job
+function appendJobJournal(jobId, events) {
+    const runId = jobJournalRuns.get(jobId);
+    if (!runId) return;
+    try {
+        runJournal.append(runId, events);
+    } catch (error) {
+        console.warn(`[RunJournal] Could not record events for job ${jobId}: ${error.message}`);
+    }
+}
+
+// /api/journal/* requests; returns null when the run does not exist
+function handleJournalRequest(pathname, data) {
+    if (pathname === '/api/journal/start') {
+        return { run: runJournal.startRun(data) };
+    } else if (pathname === '/api/journal/append') {
+        return runJournal.append(data.runId, data.events);
+    } else if (pathname === '/api/journal/end') {
+        const run = runJournal.endRun(data.runId, data);
+        return run && { run };
+    } else if (pathname === '/api/journal/runs') {
+        return { runs: runJournal.listRuns({ projectId: data.projectId || null }) };
+    } else if (pathname === '/api/journal/events') {
+        return runJournal.readEvents(data.runId, data);
+    } else if (pathname === '/api/journal/delete') {
+        return runJournal.deleteRun(data.runId) ? { deleted: true } : null;
+    }
+    throw new Error(`Unknown journal endpoint: ${pathname}`);
+}
+
+// Validate a step output against the step's output schema (pipeline-config.json "outputSchemas")
+async function validateStepOutput(stepName, output) {
+    const schema = await promptAssembler.getOutputSchema(stepName);
+    return outputSchemaValidator.validate(schema, output);
+}
+
+// Search index snippets for retrieval steps (pipeline-config.json "retrieval"), as a prompt section
+// Returns '' for other steps or when nothing matches; retrieval problems never fail the job
+async function retrieveSnippetsForStep(section, project, scopeDirectory, input, log) {
+    try {
+        const retrieval = await promptAssembler.getRetrieval();
+        const resolved = resolveRetrievalScope(scopeDirectory || '');
+        if (!retrieval.steps.includes(section.stepName) || !resolved.success) {
+            return '';
+        }
+        
+        const query = [section.sectionName, input, project.description].filter(Boolean).join('\n').substring(0, 2000);
+        const { results } = await searchIndexes.query(resolved.path, query, { limit: retrieval.limit });
+        if (results.length === 0) {
+            return '';
+        }
+        log(`Retrieved ${results.length} snippets from the search index`);
+        return `\n\n## Retrieved Codebase Snippets\n\nMost relevant passages from the scope directory's search index:\n\n` +
+            results.map(result => `### ${result.path}:${result.startLine}-${result.endLine}\n\`\`\`\n${result.content}\n\`\`\``).join('\n\n');
+    } catch (error) {
+        log(`Search index unavailable: ${error.message}`);
+        return '';
+    }
+}
+
+// Stream a job's events as Server-Sent Events (snapshot, log, chunk, task, job, end)
+// Closing the stream only detaches - the job keeps running
+function streamJobEvents(res, jobId, logsSince) {
+    const snapshot = jobQueue.getDetails(jobId, logsSince);
+    if (!snapshot) {
+        errorHandler.sendErrorResponse(res, 'Job not found', {
+            source: 'Server',
+            operation: 'jobs-attach',
+            jobId
+        }, 404);
+        return;
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    
+    const isFinished = (status) => status !== JobQueue.STATUS.QUEUED && status !== JobQueue.STATUS.RUNNING;
+    const sendEvent = (event, payload) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
         }
+    };
+    
+    let heartbeat = null;
+    const listener = (eventJobId, event, payload) => {
+        if (eventJobId !== jobId) return;
+        sendEvent(event, payload);
+        if (event === 'job' && isFinished(payload.status)) {
+            sendEvent('end', payload);
+            detach();
+        }
+    };
+    const detach = () => {
+        jobQueue.removeListener('event', listener);
+        clearInterval(heartbeat);
+        if (!res.writableEnded) res.end();
+    };
+    
+    sendEvent('snapshot', snapshot);
+    if (isFinished(snapshot.status)) {
+        sendEvent('end', jobQueue.summarize(jobQueue.get(jobId)));
+        res.end();
+        return;
+    }
+    
+    jobQueue.on('event', listener);
+    heartbeat = setInterval(() => {
+        if (!res.writableEnded) res.write(': keep-alive\n\n');
+    }, SERVER_CONSTANTS.JOBS.HEARTBEAT_INTERVAL);
+    res.on('close', detach);
+}
+
+// Stream a directory's file events as Server-Sent Events
+// snapshot (the files present when the stream opens), then file-created, file-changed and file-deleted
+// once each file has stopped changing; closing the stream releases its watcher
+function streamWatchEvents(res, directory) {
+    const resolved = resolveWatchDirectory(directory);
+    if (resolved.error) {
+        errorHandler.sendErrorResponse(res, resolved.error, {
+            source: 'Server',
+            operation: 'watch-events',
+            directory
+        }, resolved.status);
+        return;
+    }
+    
+    try {
+        fileWatchHub.watch(resolved.path);
+    } catch (err) {
+        errorHandler.sendErrorResponse(res, err, {
+            source: 'Server',
+            operation: 'watch-events',
+            directory
+        }, 500);
+        return;
+    }
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
     });
+    
+    const sendEvent = (event, payload) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+        }
+    };
+    
+    let detached = false;
+    const listener = (eventDirectory, type, file) => {
+        if (eventDirectory === resolved.path) {
+            sendEvent(type, { directory, ...file });
+        }
+    };
+    const heartbeat = setInterval(() => {
+        if (!res.writableEnded) res.write(': keep-alive\n\n');
+    }, SERVER_CONSTANTS.WATCH.HEARTBEAT_INTERVAL);
+    const detach = () => {
+        if (detached) return;
+        detached = true;
+        fileWatchHub.removeListener('event', listener);
+        fileWatchHub.unwatch(resolved.path);
+        clearInterval(heartbeat);
+        if (!res.writableEnded) res.end();
+    };
+    
+    const listing = getDirectoryFiles(resolved.path);
+    sendEvent('snapshot', { directory, files: listing.files || [] });
+    fileWatchHub.on('event', listener);
+    res.on('close', detach);
+}
+
+// Session key for a saved project group file (the name saveFileToServer stores it under), or null if invalid
+function collaborationFilename(filename) {
+    if (!filename || typeof filename !== 'string' || !filename.trim()) {
+        return null;
+    }
+    const safeFilename = filename.trim().replace(/[^a-zA-Z0-9._-]/g, '_');
+    return safeFilename.includes('..') ? null : safeFilename;
+}
+
+// Join a collaboration session and stream it as Server-Sent Events
+// snapshot, then presence, locks and operation (edits by the other participants)
+// Closing the stream leaves the session and releases the participant's locks
+function streamCollaboration(res, filename, client) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    
+    const sendEvent = (event, payload) => {
+        if (!res.writableEnded) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+        }
+    };
+    
+    const heartbeat = setInterval(() => {
+        collaborationHub.pruneLocks(filename);
+        if (!res.writableEnded) res.write(': keep-alive\n\n');
+    }, SERVER_CONSTANTS.COLLABORATION.HEARTBEAT_INTERVAL);
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        collaborationHub.leave(filename, client.clientId, sendEvent);
+    });
+    
+    sendEvent('snapshot', collaborationHub.join(filename, client, sendEvent));
 }
 
 // Save file to automation directory
@@ -661,10 +1016,12 @@ function loadFileFromServer(filename) {
         const content = fs.readFileSync(filePath, 'utf8');
         const stats = fs.statSync(filePath);
         
-        // Validate JSON content against schema
+        // Validate JSON content against schema (after migrating older files to the current schemaVersion)
+        let migration = null;
         try {
             const parsedData = JSON.parse(content);
             const validation = schemaValidator.validateProjectGroup(parsedData);
+            migration = validation.migration || null;
             
             if (!validation.success) {
                 return {
@@ -686,6 +1043,8 @@ function loadFileFromServer(filename) {
             success: true,
             filename: safeFilename,
             content: content,
+            revision: fileRevision(content), // Sent back as baseRevision when saving
+            migration: migration, // Dry-run report; the client applies the same migrations when it loads the file
             size: stats.size,
             modified: stats.mtime.toISOString()
         };
@@ -834,41 +1193,31 @@ function listDirectoryFiles(dirPath) {
     }
 }
 
+// Resolve a scope directory for file listing and search indexes (absolute, or relative to PROJECT_ROOT)
+// Returns { success, path } or { success: false, error } instead of throwing like resolveScopeDirectory
+// Scope directories may lie outside the project root (read-only context); they must exist
+function resolveRetrievalScope(scopeDirectory) {
+    if (!scopeDirectory || !scopeDirectory.trim()) {
+        return { success: false, error: 'Scope directory is required' };
+    }
+    
+    const scopeDir = scopeDirectory.trim();
+    const targetPath = path.isAbsolute(scopeDir) ? path.resolve(scopeDir) : path.resolve(PROJECT_ROOT, scopeDir);
+    
+    if (!fs.existsSync(targetPath) || !fs.statSync(targetPath).isDirectory()) {
+        return { success: false, error: 'Directory does not exist' };
+    }
+    return { success: true, path: targetPath };
+}
+
 // List files recursively in a scope directory (for chat context)
 function listScopeFilesRecursive(scopeDirectory, maxDepth = 10) {
     try {
-        if (!scopeDirectory || !scopeDirectory.trim()) {
-            return { success: false, error: 'Scope directory is required' };
+        const resolved = resolveRetrievalScope(scopeDirectory);
+        if (!resolved.success) {
+            return resolved;
         }
-        
-        // Handle scope directory path (could be absolute or relative)
-        let targetPath;
-        const scopeDir = scopeDirectory.trim();
-        
-        // Check if path is absolute
-        if (path.isAbsolute(scopeDir)) {
-            // Already absolute - use as-is but verify it's within project root
-            targetPath = path.resolve(scopeDir);
-        } else {
-            // Relative path - resolve relative to PROJECT_ROOT
-            targetPath = path.resolve(PROJECT_ROOT, scopeDir);
-        }
-        
-        // For chat system, allow paths outside project root (read-only context)
-        // We still validate the path exists below
-        
-        if (!fs.existsSync(targetPath) || !fs.statSync(targetPath).isDirectory()) {
-            return { success: false, error: 'Directory does not exist' };
-        }
-        
-        // Text file extensions
-        const textExtensions = [
-            '.txt', '.md', '.js', '.ts', '.jsx', '.tsx', '.json', '.html', '.css', '.scss',
-            '.py', '.java', '.cpp', '.c', '.h', '.hpp', '.cs', '.go', '.rs', '.rb', '.php',
-            '.xml', '.yaml', '.yml', '.toml', '.ini', '.cfg', '.conf', '.log', '.sh', '.bat',
-            '.ps1', '.sql', '.r', '.m', '.swift', '.kt', '.dart', '.vue', '.svelte',
-            '.graphql', '.gql', '.proto', '.thrift', '.avsc', '.avdl'
-        ];
+        const targetPath = resolved.path;
         
         const files = [];
         
@@ -886,15 +1235,14 @@ function listScopeFilesRecursive(scopeDirectory, maxDepth = 10) {
                     
                     // Skip node_modules, .git, and other common ignore directories
                     if (entry.isDirectory()) {
-                        const dirName = entry.name.toLowerCase();
-                        if (dirName === 'node_modules' || dirName === '.git' || dirName === '.vscode' || dirName === '.idea') {
+                        if (SCOPE_IGNORE_DIRS.includes(entry.name.toLowerCase())) {
                             continue;
                         }
                         walkDir(fullPath, currentDepth + 1);
                     } else if (entry.isFile()) {
                         const ext = path.extname(entry.name).toLowerCase();
                         // Only include text files
-                        if (textExtensions.includes(ext)) {
+                        if (SCOPE_TEXT_EXTENSIONS.includes(ext)) {
                             try {
                                 const stats = fs.statSync(fullPath);
                                 const relativePath = path.relative(PROJECT_ROOT, fullPath);
@@ -1209,6 +1557,75 @@ function handleApiRequest(req, res, pathname) {
             return;
         }
         
+        // Handle GET requests for /api/agent-providers
+        if (pathname === '/api/agent-providers' && req.method === 'GET') {
+            errorHandler.sendSuccessResponse(res, providerRegistry.list());
+            return;
+        }
+        
+        // Handle GET requests for /api/search/status
+        if (pathname === '/api/search/status' && req.method === 'GET') {
+            errorHandler.sendSuccessResponse(res, searchIndexes.list());
+            return;
+        }
+        
+        // Handle GET requests for /api/pipelines (custom case definitions and the prompt files steps can use)
+        if (pathname === '/api/pipelines' && req.method === 'GET') {
+            const result = errorHandler.handleSync(() => ({
+                pipelines: pipelineStore.list(),
+                promptFiles: pipelineStore.listPromptFiles()
+            }), {
+                source: 'Server',
+                operation: 'list-pipelines'
+            });
+            if (result.success) {
+                errorHandler.sendSuccessResponse(res, result.data);
+            } else {
+                errorHandler.sendErrorResponse(res, result.error, {
+                    source: 'Server',
+                    operation: 'list-pipelines'
+                });
+            }
+            return;
+        }
+        
+        // Handle GET requests for /api/prompt-lint (lint the prompt templates against the pipeline config)
+        if (pathname === '/api/prompt-lint' && req.method === 'GET') {
+            const result = errorHandler.handleSync(() => {
+                const { config, files } = pipelineStore.readReference();
+                return PromptLinter.lint(config, files);
+            }, {
+                source: 'Server',
+                operation: 'prompt-lint'
+            });
+            if (result.success) {
+                errorHandler.sendSuccessResponse(res, result.data);
+            } else {
+                errorHandler.sendErrorResponse(res, result.error, {
+                    source: 'Server',
+                    operation: 'prompt-lint'
+                });
+            }
+            return;
+        }
+        
+        // Handle GET requests for /api/templates
+        if (pathname === '/api/templates' && req.method === 'GET') {
+            const result = errorHandler.handleSync(() => templateStore.list(), {
+                source: 'Server',
+                operation: 'list-templates'
+            });
+            if (result.success) {
+                errorHandler.sendSuccessResponse(res, { templates: result.data });
+            } else {
+                errorHandler.sendErrorResponse(res, result.error, {
+                    source: 'Server',
+                    operation: 'list-templates'
+                });
+            }
+            return;
+        }
+        
         // Handle POST requests (and other methods that need body)
         if (req.method === 'POST' || req.method === 'PUT') {
             let body = '';
@@ -1225,6 +1642,18 @@ function handleApiRequest(req, res, pathname) {
                         const result = watchDirectory(directory, projectId, sectionId);
                         res.writeHead(200, { 'Content-Type': 'application/json' });
                         res.end(JSON.stringify(result));
+                    } else if (pathname === '/api/watch/events') {
+                        const { directory } = data;
+                        if (!directory || typeof directory !== 'string') {
+                            errorHandler.sendErrorResponse(res, 'directory parameter is required', {
+                                source: 'Server',
+                                operation: 'watch-events',
+                                pathname
+                            }, 400);
+                            return;
+                        }
+                        streamWatchEvents(res, directory);
+                        return; // Response stays open until the client disconnects
                     } else if (pathname === '/api/files' || pathname === '/api/list-files') {
                         const { directory } = data;
                         const result = getDirectoryFiles(directory);
@@ -1274,10 +1703,24 @@ function handleApiRequest(req, res, pathname) {
                             errorHandler.sendSuccessResponse(res, result);
                         }
                     } else if (pathname === '/api/save-file') {
-                        const { filename, content } = data;
-                        const result = saveFileToServer(filename, content);
+                        const { filename, content, baseRevision } = data;
+                        const result = saveFileToServer(filename, content, baseRevision);
                         if (result.success) {
                             errorHandler.sendSuccessResponse(res, result);
+                        } else if (result.code === ServerErrorHandler.ErrorCode.CONFLICT) {
+                            // 409 with the server's copy so the client can merge without another round trip;
+                            // the copy is added after handleError so the whole file is not logged
+                            const errorResponse = errorHandler.handleError({ error: result.error, code: result.code }, {
+                                source: 'Server',
+                                operation: 'save-file',
+                                filename: result.filename,
+                                revision: result.revision
+                            });
+                            res.writeHead(409, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify({
+                                ...errorResponse,
+                                context: { ...errorResponse.context, content: result.content }
+                            }));
                         } else {
                             errorHandler.sendErrorResponse(res, result.error, {
                                 source: 'Server',
@@ -1285,6 +1728,65 @@ function handleApiRequest(req, res, pathname) {
                                 filename: filename
                             });
                         }
+                    } else if (pathname.startsWith('/api/collab/')) {
+                        const operation = `collab-${pathname.split('/').pop()}`;
+                        const filename = collaborationFilename(data.filename);
+                        if (!filename || !data.clientId || typeof data.clientId !== 'string') {
+                            errorHandler.sendErrorResponse(res, 'filename and clientId parameters are required', {
+                                source: 'Server',
+                                operation,
+                                pathname
+                            }, 400);
+                            return;
+                        }
+                        
+                        if (pathname === '/api/collab/join') {
+                            const name = typeof data.name === 'string' ? data.name.trim().slice(0, 60) : '';
+                            streamCollaboration(res, filename, { clientId: data.clientId, name });
+                            return; // Response stays open until the participant leaves
+                        }
+                        
+                        let result;
+                        if (pathname === '/api/collab/operation') {
+                            result = collaborationHub.applyOperation(filename, data.clientId, data.op);
+                        } else if (pathname === '/api/collab/presence') {
+                            result = collaborationHub.setPresence(filename, data.clientId, data);
+                        } else if (pathname === '/api/collab/lock') {
+                            result = data.release
+                                ? collaborationHub.releaseLock(filename, data.clientId, data)
+                                : collaborationHub.acquireLock(filename, data.clientId, data);
+                        } else {
+                            result = { error: 'Unknown collaboration endpoint', status: 404 };
+                        }
+                        
+                        if (result.error) {
+                            // A 409 carries the holder's lock so the client can say who is editing
+                            errorHandler.sendErrorResponse(res, result.error, {
+                                source: 'Server',
+                                operation,
+                                filename,
+                                lock: result.lock || null
+                            }, result.status || 400);
+                        } else {
+                            errorHandler.sendSuccessResponse(res, result);
+                        }
+                    } else if (pathname.startsWith('/api/journal/')) {
+                        const operation = `journal-${pathname.split('/').pop()}`;
+                        const result = errorHandler.handleSync(() => handleJournalRequest(pathname, data), {
+                            source: 'Server',
+                            operation
+                        });
+                        if (!result.success) {
+                            errorHandler.sendErrorResponse(res, result.error, { source: 'Server', operation }, 400);
+                        } else if (!result.data) {
+                            errorHandler.sendErrorResponse(res, `Journal run not found: ${data.runId}`, {
+                                source: 'Server',
+                                operation,
+                                runId: data.runId
+                            }, 404);
+                        } else {
+                            errorHandler.sendSuccessResponse(res, result.data);
+                        }
                     } else if (pathname === '/api/load-file') {
                         const { filename } = data;
                         const result = loadFileFromServer(filename);
@@ -1310,6 +1812,72 @@ function handleApiRequest(req, res, pathname) {
                                 filename: filename || filePath
                             }, result.error.includes('not found') ? 404 : 500);
                         }
+                    } else if (pathname === '/api/templates/save') {
+                        const { template } = data;
+                        try {
+                            errorHandler.sendSuccessResponse(res, { template: templateStore.save(template) });
+                        } catch (error) {
+                            errorHandler.sendErrorResponse(res, error.message, {
+                                source: 'Server',
+                                operation: 'save-template'
+                            }, 400);
+                        }
+                    } else if (pathname === '/api/templates/delete') {
+                        const { id } = data;
+                        if (templateStore.remove(id)) {
+                            errorHandler.sendSuccessResponse(res, { id });
+                        } else {
+                            errorHandler.sendErrorResponse(res, 'Template not found', {
+                                source: 'Server',
+                                operation: 'delete-template',
+                                id
+                            }, 404);
+                        }
+                    } else if (pathname === '/api/pipelines/validate') {
+                        const { pipeline } = data;
+                        errorHandler.sendSuccessResponse(res, pipelineStore.validate(pipeline));
+                    } else if (pathname === '/api/pipelines/save') {
+                        const { pipeline } = data;
+                        try {
+                            const result = pipelineStore.save(pipeline);
+                            promptAssembler.reload();
+                            errorHandler.sendSuccessResponse(res, { pipeline: result.definition, warnings: result.warnings });
+                        } catch (error) {
+                            errorHandler.sendErrorResponse(res, error.message, {
+                                source: 'Server',
+                                operation: 'save-pipeline'
+                            }, 400);
+                        }
+                    } else if (pathname === '/api/pipelines/delete') {
+                        const { id } = data;
+                        if (pipelineStore.remove(id)) {
+                            promptAssembler.reload();
+                            errorHandler.sendSuccessResponse(res, { id });
+                        } else {
+                            errorHandler.sendErrorResponse(res, 'Pipeline definition not found', {
+                                source: 'Server',
+                                operation: 'delete-pipeline',
+                                id
+                            }, 404);
+                        }
+                    } else if (pathname === '/api/validate-output') {
+                        const { stepName, output } = data;
+                        if (!stepName || typeof output !== 'string') {
+                            errorHandler.sendErrorResponse(res, 'stepName and output are required', {
+                                source: 'Server',
+                                operation: 'validate-output'
+                            }, 400);
+                            return;
+                        }
+                        validateStepOutput(stepName, output).then(result => {
+                            errorHandler.sendSuccessResponse(res, result);
+                        }).catch(error => {
+                            errorHandler.sendErrorResponse(res, `Output schema for ${stepName} is invalid: ${error.message}`, {
+                                source: 'Server',
+                                operation: 'validate-output',
+                                stepName
+                            }, 500);
+                        });
                     } else if (pathname === '/api/create-directory') {
                         const { caseSlug, defaultDir } = data;
                         const result = createAutomationDirectory(caseSlug, defaultDir);
@@ -1390,12 +1958,129 @@ function handleApiRequest(req, res, pathname) {
                                 scopeDirectory
                             });
                         }
+                    } else if (pathname === '/api/search/index' || pathname === '/api/search/query') {
+                        const { scopeDirectory, query, limit, mode, rebuild } = data;
+                        const operation = pathname === '/api/search/index' ? 'search-index' : 'search-query';
+                        const resolved = typeof scopeDirectory === 'string'
+                            ? resolveRetrievalScope(scopeDirectory)
+                            : { success: false, error: 'scopeDirectory parameter is required' };
+                        if (!resolved.success) {
+                            errorHandler.sendErrorResponse(res, resolved.error, {
+                                source: 'Server',
+                                operation,
+                                scopeDirectory
+                            }, 400);
+                            return;
+                        }
+                        if (operation === 'search-query' && (!query || typeof query !== 'string')) {
+                            errorHandler.sendErrorResponse(res, 'query parameter is required', {
+                                source: 'Server',
+                                operation
+                            }, 400);
+                            return;
+                        }
+                        
+                        const pending = operation === 'search-index'
+                            ? searchIndexes.getIndex(resolved.path, rebuild === true).then(() => searchIndexes.describe(resolved.path))
+                            : searchIndexes.query(resolved.path, query, {
+                                limit: typeof limit === 'number' ? limit : SERVER_CONSTANTS.SEARCH.DEFAULT_LIMIT,
+                                mode: mode === 'keyword' ? 'keyword' : 'hybrid'
+                            });
+                        pending.then(result => {
+                            errorHandler.sendSuccessResponse(res, result);
+                        }).catch(error => {
+                            errorHandler.sendErrorResponse(res, error.message, {
+                                source: 'Server',
+                                operation,
+                                scopeDirectory
+                            }, 500);
+                        });
+                    } else if (pathname === '/api/cursor-cli-execute-stream') {
+                        const { prompt, scopeDirectory, providerId } = data;
+                        streamAgentPrompt(res, prompt, scopeDirectory, providerId);
+                        return; // Response stays open until the agent finishes
+                    } else if (pathname === '/api/cursor-cli-cancel') {
+                        const { executionId } = data;
+                        if (!executionId || typeof executionId !== 'string') {
+                            errorHandler.sendErrorResponse(res, 'executionId parameter is required', {
+                                source: 'Server',
+                                operation: 'cursor-cli-cancel',
+                                pathname
+                            }, 400);
+                            return;
+                        }
+                        const result = cancelAgentExecution(executionId);
+                        if (result.success) {
+                            errorHandler.sendSuccessResponse(res, result);
+                        } else {
+                            errorHandler.sendErrorResponse(res, result.error, {
+                                source: 'Server',
+                                operation: 'cursor-cli-cancel',
+                                executionId
+                            }, 404);
+                        }
+                    } else if (pathname === '/api/jobs/create') {
+                        const result = errorHandler.handleSync(() => jobQueue.create(data), {
+                            source: 'Server',
+                            operation: 'jobs-create',
+                            projectId: data.projectId || null
+                        });
+                        if (result.success) {
+                            errorHandler.sendSuccessResponse(res, result.data);
+                        } else {
+                            errorHandler.sendErrorResponse(res, result.error, {
+                                source: 'Server',
+                                operation: 'jobs-create'
+                            }, 400);
+                        }
+                    } else if (pathname === '/api/jobs/list') {
+                        errorHandler.sendSuccessResponse(res, { jobs: jobQueue.list({ projectId: data.projectId || null }) });
+                    } else if (pathname === '/api/jobs/status' || pathname === '/api/jobs/attach' ||
+                               pathname === '/api/jobs/cancel' || pathname === '/api/jobs/resume') {
+                        const { jobId } = data;
+                        const operation = `jobs-${pathname.split('/').pop()}`;
+                        if (!jobId || typeof jobId !== 'string') {
+                            errorHandler.sendErrorResponse(res, 'jobId parameter is required', {
+                                source: 'Server',
+                                operation,
+                                pathname
+                            }, 400);
+                            return;
+                        }
+                        const logsSince = Number.isInteger(data.logsSince) ? data.logsSince : 0;
+                        
+                        if (pathname === '/api/jobs/attach') {
+                            streamJobEvents(res, jobId, logsSince);
+                            return; // Response stays open until the job finishes or the client detaches
+                        }
+                        
+                        if (pathname === '/api/jobs/status') {
+                            const details = jobQueue.getDetails(jobId, logsSince);
+                            if (details) {
+                                errorHandler.sendSuccessResponse(res, details);
+                            } else {
+                                errorHandler.sendErrorResponse(res, 'Job not found', {
+                                    source: 'Server',
+                                    operation,
+                                    jobId
+                                }, 404);
+                            }
+                            return;
+                        }
+                        
+                        const result = pathname === '/api/jobs/cancel' ? jobQueue.cancel(jobId) : jobQueue.resume(jobId);
+                        if (result.success) {
+                            errorHandler.sendSuccessResponse(res, result.job);
+                        } else {
+                            errorHandler.sendErrorResponse(res, result.error, {
+                                source: 'Server',
+                                operation,
+                                jobId
+                            }, result.error === 'Job not found' ? 404 : 409);
+                        }
                     } else if (pathname === '/api/cursor-cli-execute') {
-                        console.log('[API] /api/cursor-cli-execute called');
-                        const { prompt, scopeDirectory } = data;
-                        console.log('[API] scopeDirectory:', scopeDirectory);
-                        console.log('[API] prompt length:', prompt ? prompt.length : 0);
-                        executeCursorCLI(prompt, scopeDirectory)
+                        const { prompt, scopeDirectory, providerId } = data;
+                        executeAgentPrompt(prompt, scopeDirectory, providerId)
                             .then(result => {
                                 res.writeHead(200, { 'Content-Type': 'application/json' });
                                 res.end(JSON.stringify(result));
@@ -1403,7 +2088,8 @@ function handleApiRequest(req, res, pathname) {
                             .catch(error => {
                                 errorHandler.sendErrorResponse(res, error, {
                                     source: 'Server',
-                                    operation: 'cursor-cli-execute'
+                                    operation: 'cursor-cli-execute',
+                                    providerId: providerId || null
                                 });
                             });
                         return; // Don't continue processing
@@ -1485,19 +2171,32 @@ function serveNonApiFiles(req, res, pathname) {
     });
 }
 
+const loadedJobs = jobQueue.load();
+const loadedRuns = runJournal.load();
+// Job runs still open were cut off by the restart (their jobs are marked interrupted and start a new run on resume)
+runJournal.listRuns()
+    .filter(run => run.status === RunJournal.STATUS.RUNNING && run.engine && run.engine.startsWith('job:'))
+    .forEach(run => runJournal.endRun(run.runId, { status: RunJournal.STATUS.STOPPED, summary: 'Interrupted by a server restart' }));
+
 server.listen(PORT, () => {
     console.log(`Feat-spec server running at http://localhost:${PORT}/feat-spec`);
     console.log(`API available at http://localhost:${PORT}/api/`);
     console.log(`Project root: ${PROJECT_ROOT}`);
     console.log(`Server __dirname: ${__dirname}`);
     console.log(`Test: app.css exists at ${path.join(__dirname, 'app.css')}: ${fs.existsSync(path.join(__dirname, 'app.css'))}`);
+    console.log(`Agent jobs: ${loadedJobs} loaded from ${AGENT_JOBS_DIR}, concurrency ${jobQueue.concurrency}`);
+    console.log(`Run journal: ${loadedRuns} runs loaded from ${RUN_JOURNAL_DIR}`);
 });
 
 // Cleanup on exit
 process.on('SIGINT', () => {
     console.log('\nShutting down...');
-    watchers.forEach(({ watcher }) => watcher.close());
+    fileWatchHub.close();
     watchers.clear();
+    activeExecutions.forEach(controller => controller.abort());
+    activeExecutions.clear();
+    jobQueue.shutdown();
+    searchIndexes.shutdown();
     server.close();
     process.exit(0);
 });
@@ -0,0 +1,364 @@
+// Collaboration Hub - Shared editing sessions on saved project group files
+// Relays edit operations between the browsers that joined a file, tracks which section each participant is viewing,
+// and holds field locks so two people cannot edit the same section input, output or notes at once
+class CollaborationHub {
+    static OPERATION_TYPES = ['section-update', 'project-update', 'project-create', 'project-delete', 'projects-reorder'];
+
+    // Section fields only the lock holder may change
+    static PROTECTED_FIELDS = ['input', 'output', 'notes'];
+
+    static LOCK_TTL = 60000; // A lock that is not refreshed for this long is released
+
+    static COLORS = ['#4a9eff', '#4caf50', '#ffb74d', '#ff5555', '#ba68c8', '#4dd0e1', '#f06292', '#aed581'];
+
+    /**
+     * @param {object} options
+     * @param {number} [options.lockTtlMs] - Lock lifetime without a refresh
+     */
+    constructor(options = {}) {
+        this.lockTtlMs = options.lockTtlMs || CollaborationHub.LOCK_TTL;
+        this.sessions = new Map(); // filename -> { seq, participants: Map, locks: Map, changes: Map, values: Map, colorIndex }
+    }
+
+    /**
+     * Join (or re-join) a file's session
+     * @param {string} filename - Saved project group file
+     * @param {{clientId: string, name: string}} client - Participant
+     * @param {Function} send - send(event, payload) pushes an event to this participant
+     * @returns {object} Snapshot: { filename, clientId, seq, participants, locks, changes } where changes are the
+     *          operations since the session started (compacted to the latest per section/project), oldest first
+     */
+    join(filename, client, send) {
+        let session = this.sessions.get(filename);
+        if (!session) {
+            // values: "projectId:sectionId:field" -> latest protected field value the session has seen
+            session = { seq: 0, participants: new Map(), locks: new Map(), changes: new Map(), values: new Map(), colorIndex: 0 };
+            this.sessions.set(filename, session);
+        }
+
+        const existing = session.participants.get(client.clientId);
+        session.participants.set(client.clientId, {
+            clientId: client.clientId,
+            name: client.name || 'Anonymous',
+            color: existing ? existing.color : CollaborationHub.COLORS[session.colorIndex++ % CollaborationHub.COLORS.length],
+            projectId: existing ? existing.projectId : null,
+            sectionId: existing ? existing.sectionId : null,
+            send
+        });
+        this._broadcast(session, 'presence', { participants: this._participants(session) }, client.clientId);
+        this.pruneLocks(filename);
+
+        return {
+            filename,
+            clientId: client.clientId,
+            seq: session.seq,
+            participants: this._participants(session),
+            locks: this._locks(session),
+            changes: [...session.changes.values()]
+        };
+    }
+
+    /**
+     * Leave a session; the participant's locks are released and the session ends with its last participant
+     * @param {string} filename - Saved project group file
+     * @param {string} clientId - Participant
+     * @param {Function} [send] - Only leave if this is still the participant's stream (a re-join replaces it)
+     */
+    leave(filename, clientId, send = null) {
+        const session = this.sessions.get(filename);
+        const participant = session && session.participants.get(clientId);
+        if (!participant || (send && participant.send !== send)) return;
+
+        session.participants.delete(clientId);
+        if (session.participants.size === 0) {
+            this.sessions.delete(filename);
+            return;
+        }
+
+        let released = false;
+        session.locks.forEach((lock, key) => {
+            if (lock.clientId === clientId) {
+                session.locks.delete(key);
+                released = true;
+            }
+        });
+        this._broadcast(session, 'presence', { participants: this._participants(session) });
+        if (released) {
+            this._broadcast(session, 'locks', { locks: this._locks(session) });
+        }
+    }
+
+    /**
+     * Record which project and section a participant is viewing
+     * @returns {{participants: Array}|{error: string, status: number}}
+     */
+    setPresence(filename, clientId, { projectId = null, sectionId = null } = {}) {
+        const found = this._participant(filename, clientId);
+        if (found.error) return found;
+
+        found.participant.projectId = projectId;
+        found.participant.sectionId = sectionId;
+        const participants = this._participants(found.session);
+        this._broadcast(found.session, 'presence', { participants }, clientId);
+        return { participants };
+    }
+
+    /**
+     * Take or refresh the lock on a section field
+     * @returns {{lock: object}|{error: string, status: number, lock?: object}} status 409 with the holder's lock
+     *          when another participant holds it
+     */
+    acquireLock(filename, clientId, { projectId, sectionId, field }) {
+        const found = this._participant(filename, clientId);
+        if (found.error) return found;
+        if (!projectId || !sectionId || !CollaborationHub.PROTECTED_FIELDS.includes(field)) {
+            return { error: `Locks are taken on a section's ${CollaborationHub.PROTECTED_FIELDS.join(', ')}`, status: 400 };
+        }
+
+        const { session, participant } = found;
+        this.pruneLocks(filename);
+        const key = this._lockKey(projectId, sectionId, field);
+        const held = session.locks.get(key);
+        if (held && held.clientId !== clientId) {
+            return { error: `${held.name} is editing this ${field}`, status: 409, lock: held };
+        }
+
+        const lock = {
+            projectId,
+            sectionId,
+            field,
+            clientId,
+            name: participant.name,
+            color: participant.color,
+            expiresAt: Date.now() + this.lockTtlMs
+        };
+        session.locks.set(key, lock);
+        if (!held) {
+            this._broadcast(session, 'locks', { locks: this._locks(session) }, clientId);
+        }
+        return { lock };
+    }
+
+    /**
+     * Release a lock held by the participant
+     * @returns {{released: boolean}|{error: string, status: number}}
+     */
+    releaseLock(filename, clientId, { projectId, sectionId, field }) {
+        const found = this._participant(filename, clientId);
+        if (found.error) return found;
+
+        const key = this._lockKey(projectId, sectionId, field);
+        const held = found.session.locks.get(key);
+        if (!held || held.clientId !== clientId) {
+            return { released: false };
+        }
+        found.session.locks.delete(key);
+        this._broadcast(found.session, 'locks', { locks: this._locks(found.session) }, clientId);
+        return { released: true };
+    }
+
+    /**
+     * Apply an edit operation: record it and relay it to the other participants
+     * section-update: { projectId, sectionId, updates }, project-update: { projectId, updates },
+     * project-create: { project }, project-delete: { projectId }, projects-reorder: { projectIds }
+     * @returns {{seq: number}|{error: string, status: number, lock?: object}} status 409 when the update changes a
+     *          protected field another participant holds the lock on; for a project-update carrying the step list,
+     *          a locked field changes when it differs from the latest value the session has seen for it
+     */
+    applyOperation(filename, clientId, op) {
+        const found = this._participant(filename, clientId);
+        if (found.error) return found;
+        if (!op || !CollaborationHub.OPERATION_TYPES.includes(op.type)) {
+            return { error: `Unknown operation type: ${op && op.type}`, status: 400 };
+        }
+
+        const { session, participant } = found;
+        const blocked = this._blockingLock(filename, session, clientId, op);
+        if (blocked) {
+            return { error: `${blocked.name} is editing this ${blocked.field}`, status: 409, lock: blocked };
+        }
+        this._recordValues(session, op);
+
+        const entry = {
+            seq: ++session.seq,
+            clientId,
+            name: participant.name,
+            timestamp: new Date().toISOString(),
+            op
+        };
+        this._recordChange(session, entry);
+        this._broadcast(session, 'operation', entry, clientId);
+        return { seq: entry.seq };
+    }
+
+    /**
+     * Drop expired locks (and tell the participants)
+     * @param {string} filename - Saved project group file
+     */
+    pruneLocks(filename) {
+        const session = this.sessions.get(filename);
+        if (!session) return;
+        const now = Date.now();
+        let changed = false;
+        session.locks.forEach((lock, key) => {
+            if (lock.expiresAt <= now) {
+                session.locks.delete(key);
+                changed = true;
+            }
+        });
+        if (changed) {
+            this._broadcast(session, 'locks', { locks: this._locks(session) });
+        }
+    }
+
+    /**
+     * Lock held by another participant on a protected field the operation changes
+     * A project-update with sections (the whole step list, e.g. after a step was added or moved) carries every
+     * section's fields; a locked field counts as changed when it differs from the value the session last saw.
+     * A field the session has no value for yet has not been edited by the lock holder, so nothing is lost.
+     * @private
+     */
+    _blockingLock(filename, session, clientId, op) {
+        const lockedByOther = (key) => {
+            const lock = session.locks.get(key);
+            return lock && lock.clientId !== clientId ? lock : null;
+        };
+
+        if (op.type === 'section-update') {
+            this.pruneLocks(filename);
+            return Object.keys(op.updates || {})
+                .filter(field => CollaborationHub.PROTECTED_FIELDS.includes(field))
+                .map(field => lockedByOther(this._lockKey(op.projectId, op.sectionId, field)))
+                .find(Boolean) || null;
+        }
+        if (op.type === 'project-update' && op.updates && Array.isArray(op.updates.sections)) {
+            this.pruneLocks(filename);
+            for (const section of op.updates.sections.filter(Boolean)) {
+                for (const field of CollaborationHub.PROTECTED_FIELDS) {
+                    const key = this._lockKey(op.projectId, section && section.sectionId, field);
+                    const lock = lockedByOther(key);
+                    if (lock && session.values.has(key) && session.values.get(key) !== (section[field] ?? '')) {
+                        return lock;
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Remember the protected field values an accepted operation sets
+     * @private
+     */
+    _recordValues(session, op) {
+        const record = (projectId, sectionId, values) => {
+            CollaborationHub.PROTECTED_FIELDS
+                .filter(field => field in values)
+                .forEach(field => session.values.set(this._lockKey(projectId, sectionId, field), values[field] ?? ''));
+        };
+        if (op.type === 'section-update') {
+            record(op.projectId, op.sectionId, op.updates || {});
+        } else if (op.type === 'project-update' && op.updates && Array.isArray(op.updates.sections)) {
+            op.updates.sections.filter(section => section && section.sectionId)
+                .forEach(section => record(op.projectId, section.sectionId, section));
+        } else if (op.type === 'project-create' && op.project) {
+            (op.project.sections || []).filter(section => section && section.sectionId)
+                .forEach(section => record(op.project.id, section.sectionId, section));
+        }
+    }
+
+    /**
+     * Keep only the latest change per section/project so a late joiner replays the current values, in order
+     * @private
+     */
+    _recordChange(session, entry) {
+        const { op } = entry;
+        const put = (key, value) => {
+            session.changes.delete(key); // Re-insert so iteration stays in the order of the latest change
+            session.changes.set(key, value);
+        };
+        const dropProject = (projectId) => {
+            [...session.changes.keys()]
+                .filter(key => key.startsWith(`section:${projectId}:`) || key === `project:${projectId}`)
+                .forEach(key => session.changes.delete(key));
+        };
+
+        if (op.type === 'section-update') {
+            const key = `section:${op.projectId}:${op.sectionId}`;
+            const previous = session.changes.get(key);
+            put(key, previous
+                ? { ...entry, op: { ...op, updates: { ...previous.op.updates, ...op.updates } } }
+                : entry);
+        } else if (op.type === 'project-update') {
+            const key = `project:${op.projectId}`;
+            if (op.updates && op.updates.sections) {
+                // The new step list carries the sections' current values (locked fields were checked in applyOperation)
+                [...session.changes.keys()]
+                    .filter(key => key.startsWith(`section:${op.projectId}:`))
+                    .forEach(key => session.changes.delete(key));
+            }
+            const previous = session.changes.get(key);
+            put(key, previous
+                ? { ...entry, op: { ...op, updates: { ...previous.op.updates, ...op.updates } } }
+                : entry);
+        } else if (op.type === 'project-create') {
+            put(`create:${op.project && op.project.id}`, entry);
+        } else if (op.type === 'project-delete') {
+            dropProject(op.projectId);
+            if (session.changes.has(`create:${op.projectId}`)) {
+                session.changes.delete(`create:${op.projectId}`); // Created and deleted within the session
+            } else {
+                put(`delete:${op.projectId}`, entry);
+            }
+        } else if (op.type === 'projects-reorder') {
+            put('order', entry);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _participant(filename, clientId) {
+        const session = this.sessions.get(filename);
+        const participant = session && session.participants.get(clientId);
+        if (!participant) {
+            return { error: 'Not in a collaboration session for this file', status: 404 };
+        }
+        return { session, participant };
+    }
+
+    /**
+     * @private
+     */
+    _broadcast(session, event, payload, exceptClientId = null) {
+        session.participants.forEach(participant => {
+            if (participant.clientId !== exceptClientId) {
+                participant.send(event, payload);
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _participants(session) {
+        return [...session.participants.values()].map(({ clientId, name, color, projectId, sectionId }) =>
+            ({ clientId, name, color, projectId, sectionId }));
+    }
+
+    /**
+     * @private
+     */
+    _locks(session) {
+        return [...session.locks.values()];
+    }
+
+    /**
+     * @private
+     */
+    _lockKey(projectId, sectionId, field) {
+        return `${projectId}:${sectionId}:${field}`;
+    }
+}
+
+module.exports = CollaborationHub;
@@ -0,0 +1,525 @@
+// Job Queue - Persistent queue of agent runs with per-job status, logs, cancel and resume
+// Jobs are stored as JSON files so a run survives browser refreshes and server restarts
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+class JobQueue extends EventEmitter {
+    static STATUS = {
+        QUEUED: 'queued',
+        RUNNING: 'running',
+        COMPLETED: 'completed',
+        FAILED: 'failed',
+        CANCELLED: 'cancelled',
+        INTERRUPTED: 'interrupted'
+    };
+
+    static TASK_STATUS = {
+        PENDING: 'pending',
+        RUNNING: 'running',
+        COMPLETED: 'completed',
+        FAILED: 'failed',
+        CANCELLED: 'cancelled'
+    };
+
+    static MAX_LOG_ENTRIES = 1000;
+    static PERSIST_DELAY = 1000; // Debounce for writes caused by streamed output
+
+    /**
+     * @param {object} options
+     * @param {string} options.storageDir - Directory where job files are kept
+     * @param {number} options.concurrency - Maximum number of jobs running at once
+     * @param {number} options.maxStoredJobs - Finished jobs beyond this count are deleted (oldest first)
+     * @param {Function} options.runTask - async (job, task, { signal, onChunk, log }) => { output, provider, usage? }
+     *                                     usage ({ promptTokens, responseTokens }) is kept on the task
+     */
+    constructor(options = {}) {
+        super();
+        if (typeof options.runTask !== 'function') {
+            throw new Error('JobQueue requires a runTask function');
+        }
+        this.storageDir = options.storageDir;
+        this.concurrency = Math.max(1, options.concurrency || 2);
+        this.maxStoredJobs = options.maxStoredJobs || 100;
+        this.runTask = options.runTask;
+        this.jobs = new Map();
+        this.running = new Map(); // jobId -> AbortController
+        this.persistTimers = new Map();
+    }
+
+    /**
+     * Load persisted jobs. Jobs that were running when the server stopped become "interrupted"
+     * (resumable); queued jobs are scheduled again.
+     * @returns {number} Number of jobs loaded
+     */
+    load() {
+        if (!fs.existsSync(this.storageDir)) {
+            fs.mkdirSync(this.storageDir, { recursive: true });
+            return 0;
+        }
+
+        fs.readdirSync(this.storageDir)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                try {
+                    const job = JSON.parse(fs.readFileSync(path.join(this.storageDir, file), 'utf8'));
+                    if (!job || !job.id || !Array.isArray(job.tasks)) return;
+                    if (job.status === JobQueue.STATUS.RUNNING) {
+                        this._interrupt(job, 'Server restarted while the job was running');
+                        this._persistNow(job);
+                    }
+                    this.jobs.set(job.id, job);
+                } catch (error) {
+                    console.warn(`[JobQueue] Skipping unreadable job file ${file}: ${error.message}`);
+                }
+            });
+
+        this._schedule();
+        return this.jobs.size;
+    }
+
+    /**
+     * Create and enqueue a job
+     * @param {object} definition - { source, projectId, projectName, label, scopeDirectory, providerId,
+     *                                automationDirectory, project, tasks: [{ sectionId, label, prompt? }] }
+     * @returns {object} Job summary
+     */
+    create(definition) {
+        if (!definition || !Array.isArray(definition.tasks) || definition.tasks.length === 0) {
+            throw new Error('A job requires at least one task');
+        }
+        if (!definition.scopeDirectory || typeof definition.scopeDirectory !== 'string') {
+            throw new Error('scopeDirectory is required');
+        }
+
+        const now = new Date().toISOString();
+        const jobId = `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const job = {
+            id: jobId,
+            source: definition.source || 'api',
+            projectId: definition.projectId || null,
+            projectName: definition.projectName || null,
+            label: definition.label || `Agent run (${definition.tasks.length} step(s))`,
+            status: JobQueue.STATUS.QUEUED,
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null,
+            error: null,
+            scopeDirectory: definition.scopeDirectory,
+            providerId: definition.providerId || null,
+            automationDirectory: definition.automationDirectory || null,
+            project: definition.project || null,
+            tasks: definition.tasks.map((task, index) => {
+                if (!task || (!task.sectionId && !task.prompt)) {
+                    throw new Error(`Task ${index + 1} requires a sectionId or a prompt`);
+                }
+                if (!task.prompt && !definition.project) {
+                    throw new Error('Tasks without a prompt require the project data for prompt assembly');
+                }
+                return {
+                    id: `task-${index + 1}`,
+                    sectionId: task.sectionId || null,
+                    label: task.label || task.sectionId || `Task ${index + 1}`,
+                    prompt: typeof task.prompt === 'string' ? task.prompt : null,
+                    status: JobQueue.TASK_STATUS.PENDING,
+                    output: '',
+                    provider: null,
+                    usage: null,
+                    error: null,
+                    startedAt: null,
+                    finishedAt: null
+                };
+            }),
+            logs: []
+        };
+
+        this.jobs.set(jobId, job);
+        this._log(job, `Job queued with ${job.tasks.length} task(s)`);
+        this._persistNow(job);
+        this._prune();
+        this._emitJob(job);
+        this._schedule();
+        return this.summarize(job);
+    }
+
+    /**
+     * Get a job by id
+     * @param {string} jobId - Job ID
+     * @returns {object|null}
+     */
+    get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    /**
+     * List job summaries, newest first
+     * @param {object} filter - { projectId }
+     * @returns {object[]}
+     */
+    list(filter = {}) {
+        return Array.from(this.jobs.values())
+            .filter(job => !filter.projectId || job.projectId === filter.projectId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(job => this.summarize(job));
+    }
+
+    /**
+     * Detailed job view: summary, tasks with outputs, and log entries from logsSince on
+     * @param {string} jobId - Job ID
+     * @param {number} logsSince - Index of the first log entry to include
+     * @returns {object|null}
+     */
+    getDetails(jobId, logsSince = 0) {
+        const job = this.jobs.get(jobId);
+        if (!job) return null;
+        return {
+            ...this.summarize(job),
+            tasks: job.tasks.map(task => this._describeTask(task, true)),
+            logs: job.logs.slice(Math.max(0, logsSince)),
+            logCount: job.logs.length
+        };
+    }
+
+    /**
+     * Cancel a queued or running job
+     * @param {string} jobId - Job ID
+     * @returns {{success: boolean, error?: string, job?: object}}
+     */
+    cancel(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            return { success: false, error: 'Job not found' };
+        }
+        if (!this._isActive(job)) {
+            return { success: false, error: `Job is already ${job.status}` };
+        }
+
+        const controller = this.running.get(jobId);
+        if (controller) {
+            // _run marks the job cancelled once the running task has stopped
+            controller.abort();
+        } else {
+            job.status = JobQueue.STATUS.CANCELLED;
+            job.finishedAt = new Date().toISOString();
+            this._log(job, 'Job cancelled before it started');
+            this._persistNow(job);
+            this._emitJob(job);
+        }
+        return { success: true, job: this.summarize(job) };
+    }
+
+    /**
+     * Re-queue a failed, cancelled or interrupted job; completed tasks are kept
+     * @param {string} jobId - Job ID
+     * @returns {{success: boolean, error?: string, job?: object}}
+     */
+    resume(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            return { success: false, error: 'Job not found' };
+        }
+        if (this._isActive(job) || job.status === JobQueue.STATUS.COMPLETED) {
+            return { success: false, error: `Job is ${job.status} and cannot be resumed` };
+        }
+
+        job.tasks.forEach(task => {
+            if (task.status !== JobQueue.TASK_STATUS.COMPLETED) {
+                task.status = JobQueue.TASK_STATUS.PENDING;
+                task.error = null;
+                task.output = '';
+                task.usage = null;
+            }
+        });
+        job.status = JobQueue.STATUS.QUEUED;
+        job.error = null;
+        job.finishedAt = null;
+        this._log(job, 'Job resumed');
+        this._persistNow(job);
+        this._emitJob(job);
+        this._schedule();
+        return { success: true, job: this.summarize(job) };
+    }
+
+    /**
+     * Stop all running jobs for server shutdown; they are saved as interrupted
+     */
+    shutdown() {
+        this.running.forEach((controller, jobId) => {
+            const job = this.jobs.get(jobId);
+            if (job) {
+                this._interrupt(job, 'Server shut down while the job was running');
+                this._persistNow(job);
+            }
+            controller.abort();
+        });
+        this.running.clear();
+        this.persistTimers.forEach(timer => clearTimeout(timer));
+        this.persistTimers.clear();
+    }
+
+    /**
+     * Public job description (no prompts, project data or outputs)
+     * @param {object} job - Job
+     * @returns {object}
+     */
+    summarize(job) {
+        const completed = job.tasks.filter(task => task.status === JobQueue.TASK_STATUS.COMPLETED).length;
+        const current = job.tasks.find(task => task.status === JobQueue.TASK_STATUS.RUNNING);
+        return {
+            id: job.id,
+            source: job.source,
+            projectId: job.projectId,
+            projectName: job.projectName,
+            label: job.label,
+            status: job.status,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            error: job.error,
+            providerId: job.providerId,
+            progress: { completed, total: job.tasks.length },
+            currentTask: current ? current.label : null,
+            tasks: job.tasks.map(task => this._describeTask(task, false))
+        };
+    }
+
+    /**
+     * Start queued jobs while below the concurrency limit
+     * @private
+     */
+    _schedule() {
+        const queued = Array.from(this.jobs.values())
+            .filter(job => job.status === JobQueue.STATUS.QUEUED)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        for (const job of queued) {
+            if (this.running.size >= this.concurrency) break;
+            this._run(job);
+        }
+    }
+
+    /**
+     * Run the pending tasks of a job in order; stops at the first failure
+     * @private
+     */
+    async _run(job) {
+        const controller = new AbortController();
+        this.running.set(job.id, controller);
+        job.status = JobQueue.STATUS.RUNNING;
+        job.startedAt = job.startedAt || new Date().toISOString();
+        this._log(job, 'Job started');
+        this._persistNow(job);
+        this._emitJob(job);
+
+        try {
+            for (const task of job.tasks) {
+                if (task.status === JobQueue.TASK_STATUS.COMPLETED) continue;
+                if (controller.signal.aborted) break;
+
+                task.status = JobQueue.TASK_STATUS.RUNNING;
+                task.startedAt = new Date().toISOString();
+                task.output = '';
+                this._log(job, `Executing ${task.label}...`, task.id);
+                this._emitTask(job, task);
+                this._persistNow(job);
+
+                try {
+                    const result = await this.runTask(job, task, {
+                        signal: controller.signal,
+                        log: (message) => this._log(job, message, task.id),
+                        onChunk: (text, stream) => {
+                            if (stream !== 'stdout') return;
+                            task.output += text;
+                            this.emit('event', job.id, 'chunk', { taskId: task.id, text });
+                            this._persistSoon(job);
+                        }
+                    });
+                    task.output = result.output;
+                    task.provider = result.provider || null;
+                    task.usage = result.usage || null;
+                    task.status = JobQueue.TASK_STATUS.COMPLETED;
+                    task.finishedAt = new Date().toISOString();
+                    this._log(job, `✓ ${task.label} completed`, task.id);
+                } catch (error) {
+                    task.finishedAt = new Date().toISOString();
+                    if (job.status === JobQueue.STATUS.INTERRUPTED) {
+                        // Aborted by shutdown(): leave the task pending for resume
+                        task.status = JobQueue.TASK_STATUS.PENDING;
+                        task.output = '';
+                        break;
+                    }
+                    if (error.cancelled || controller.signal.aborted) {
+                        task.status = JobQueue.TASK_STATUS.CANCELLED;
+                        this._log(job, `${task.label} cancelled`, task.id);
+                    } else {
+                        task.status = JobQueue.TASK_STATUS.FAILED;
+                        task.error = error.message;
+                        job.error = `${task.label}: ${error.message}`;
+                        this._log(job, `✗ ${task.label} failed: ${error.message}`, task.id);
+                    }
+                    this._emitTask(job, task);
+                    break;
+                }
+
+                this._emitTask(job, task);
+                this._persistNow(job);
+            }
+
+            // shutdown() may already have marked the job interrupted
+            if (job.status === JobQueue.STATUS.RUNNING) {
+                if (job.error) {
+                    job.status = JobQueue.STATUS.FAILED;
+                } else if (controller.signal.aborted) {
+                    job.status = JobQueue.STATUS.CANCELLED;
+                    this._log(job, 'Job cancelled');
+                } else {
+                    job.status = JobQueue.STATUS.COMPLETED;
+                    this._log(job, 'All tasks completed');
+                }
+                job.finishedAt = new Date().toISOString();
+            }
+        } finally {
+            this.running.delete(job.id);
+            this._persistNow(job);
+            this._emitJob(job);
+            this._schedule();
+        }
+    }
+
+    /**
+     * Mark a running job as interrupted so it can be resumed later
+     * @private
+     */
+    _interrupt(job, reason) {
+        job.status = JobQueue.STATUS.INTERRUPTED;
+        job.finishedAt = new Date().toISOString();
+        job.tasks.forEach(task => {
+            if (task.status === JobQueue.TASK_STATUS.RUNNING) {
+                task.status = JobQueue.TASK_STATUS.PENDING;
+                task.output = '';
+            }
+        });
+        this._log(job, reason);
+    }
+
+    /**
+     * @private
+     */
+    _isActive(job) {
+        return job.status === JobQueue.STATUS.QUEUED || job.status === JobQueue.STATUS.RUNNING;
+    }
+
+    /**
+     * @private
+     */
+    _describeTask(task, includeOutput) {
+        const description = {
+            id: task.id,
+            sectionId: task.sectionId,
+            label: task.label,
+            status: task.status,
+            provider: task.provider,
+            usage: task.usage || null,
+            error: task.error,
+            startedAt: task.startedAt,
+            finishedAt: task.finishedAt
+        };
+        if (includeOutput) {
+            description.output = task.output;
+        }
+        return description;
+    }
+
+    /**
+     * Append a log entry (capped at MAX_LOG_ENTRIES)
+     * @private
+     */
+    _log(job, message, taskId = null) {
+        const entry = { timestamp: new Date().toISOString(), message, taskId };
+        job.logs.push(entry);
+        if (job.logs.length > JobQueue.MAX_LOG_ENTRIES) {
+            job.logs.splice(0, job.logs.length - JobQueue.MAX_LOG_ENTRIES);
+        }
+        job.updatedAt = entry.timestamp;
+        this.emit('event', job.id, 'log', entry);
+    }
+
+    /**
+     * @private
+     */
+    _emitJob(job) {
+        this.emit('event', job.id, 'job', this.summarize(job));
+    }
+
+    /**
+     * @private
+     */
+    _emitTask(job, task) {
+        this.emit('event', job.id, 'task', this._describeTask(task, task.status === JobQueue.TASK_STATUS.COMPLETED));
+    }
+
+    /**
+     * @private
+     */
+    _jobPath(jobId) {
+        return path.join(this.storageDir, `${jobId}.json`);
+    }
+
+    /**
+     * Write a job file immediately
+     * @private
+     */
+    _persistNow(job) {
+        const timer = this.persistTimers.get(job.id);
+        if (timer) {
+            clearTimeout(timer);
+            this.persistTimers.delete(job.id);
+        }
+        try {
+            if (!fs.existsSync(this.storageDir)) {
+                fs.mkdirSync(this.storageDir, { recursive: true });
+            }
+            const filePath = this._jobPath(job.id);
+            const tempPath = `${filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(job, null, 2), 'utf8');
+            fs.renameSync(tempPath, filePath);
+        } catch (error) {
+            console.error(`[JobQueue] Failed to persist job ${job.id}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write a job file after PERSIST_DELAY (coalesces streamed output)
+     * @private
+     */
+    _persistSoon(job) {
+        if (this.persistTimers.has(job.id)) return;
+        this.persistTimers.set(job.id, setTimeout(() => {
+            this.persistTimers.delete(job.id);
+            this._persistNow(job);
+        }, JobQueue.PERSIST_DELAY));
+    }
+
+    /**
+     * Delete the oldest finished jobs beyond maxStoredJobs
+     * @private
+     */
+    _prune() {
+        const finished = Array.from(this.jobs.values())
+            .filter(job => !this._isActive(job))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        finished.slice(this.maxStoredJobs).forEach(job => {
+            this.jobs.delete(job.id);
+            try {
+                fs.unlinkSync(this._jobPath(job.id));
+            } catch (error) {
+                // Already gone
+            }
+        });
+    }
+}
+
+module.exports = JobQueue;
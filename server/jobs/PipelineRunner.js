@@ -0,0 +1,257 @@
+// Pipeline Runner - Runs a project's steps in order without the browser (used by tools/pipeline-runner.js)
+// Prompts come from PromptAssembler, outputs are validated against the step output schemas, scored with the
+// step rubrics and token usage is recorded on the project with TokenBudgetService, like the UI automation engines do
+const fs = require('fs');
+const path = require('path');
+const OutputSchemaValidator = require('../utils/OutputSchemaValidator');
+const PromptLinter = require('../../modules/utils/PromptLinter');
+const RubricScorer = require('../../modules/services/RubricScorer');
+const TokenBudgetService = require('../../modules/services/TokenBudgetService');
+
+class PipelineRunner {
+    static STEP_STATUS = {
+        COMPLETED: 'completed',
+        LOW_QUALITY: 'low-quality',
+        FAILED: 'failed',
+        SKIPPED: 'skipped',
+        ASSEMBLED: 'assembled' // Dry run: prompt built, not executed
+    };
+
+    // Engine name recorded on the token usage run
+    static ENGINE = 'cli';
+
+    /**
+     * @param {object} options
+     * @param {PromptAssembler} options.assembler - Prompt assembler for the app root
+     * @param {ProviderRegistry} options.providerRegistry - Agent providers
+     * @param {Function} [options.log] - Called with progress lines
+     */
+    constructor(options = {}) {
+        this.assembler = options.assembler;
+        this.providerRegistry = options.providerRegistry;
+        this.log = options.log || (() => {});
+        this.scorer = new RubricScorer();
+        this.outputValidator = new OutputSchemaValidator();
+    }
+
+    /**
+     * Sections of a project to run, in pipeline order
+     * Steps are matched by section ID or step name; from/to are inclusive
+     * @param {object} project - Project data
+     * @param {object} [range] - { from, to, steps: string[] }
+     * @returns {object[]} Sections
+     * @throws {Error} If a named step is not part of the project
+     */
+    static selectSections(project, range = {}) {
+        const sections = project.sections || [];
+        const indexOf = (name) => {
+            const index = sections.findIndex(section => section.sectionId === name || section.stepName === name);
+            if (index < 0) {
+                throw new Error(`Step "${name}" is not part of project "${project.name}"`);
+            }
+            return index;
+        };
+
+        if (range.steps && range.steps.length > 0) {
+            const wanted = new Set(range.steps.map(indexOf));
+            return sections.filter((section, index) => wanted.has(index));
+        }
+        const from = range.from ? indexOf(range.from) : 0;
+        const to = range.to ? indexOf(range.to) : sections.length - 1;
+        if (from > to) {
+            throw new Error(`Step "${range.from}" comes after "${range.to}"`);
+        }
+        return sections.slice(from, to + 1);
+    }
+
+    /**
+     * Run sections of a project; the project is updated in place (section output, structured output and status,
+     * token usage)
+     * A failed step stops the run unless continueOnError is set, since later steps take its output as input
+     * @param {object} project - Project data
+     * @param {object[]} sections - Sections to run (see selectSections)
+     * @param {object} options
+     * @param {string} options.scopePath - Resolved scope directory the agent works in
+     * @param {string|null} [options.providerId] - Agent provider (project or registry default when omitted)
+     * @param {string|null} [options.outputDir] - Directory for <step>-output.md files
+     * @param {number|null} [options.minScore] - Overrides the rubric threshold for every step (0-1)
+     * @param {boolean} [options.continueOnError] - Keep going after a failed step
+     * @param {boolean} [options.dryRun] - Assemble prompts only; nothing is executed or changed
+     * @param {AbortSignal} [options.signal] - Aborting cancels the running step and skips the rest
+     * @returns {Promise<{provider: string, steps: Array, tokenUsage: object|null, budget: object|null, stoppedReason: string|null}>}
+     */
+    async run(project, sections, options = {}) {
+        const provider = this.providerRegistry.resolve(options.providerId || project.agentProvider || null);
+        const budgetService = new TokenBudgetService({
+            getProject: (projectId) => (projectId === project.id ? project : null),
+            updateProject: (projectId, updates) => Object.assign(project, updates)
+        });
+        const steps = [];
+        let stoppedReason = null;
+
+        if (!options.dryRun) {
+            budgetService.startRun(project.id, PipelineRunner.ENGINE);
+        }
+        this.log(`Running ${sections.length} step(s) of "${project.name}" with ${provider.label}`);
+
+        for (const section of sections) {
+            const label = section.sectionName || section.stepName || section.sectionId;
+            if (stoppedReason) {
+                steps.push(this._stepResult(section, PipelineRunner.STEP_STATUS.SKIPPED, { error: stoppedReason }));
+                continue;
+            }
+
+            const started = Date.now();
+            try {
+                const result = await this._runStep(project, section, provider, budgetService, options);
+                steps.push(this._stepResult(section, result.status, { ...result, durationMs: Date.now() - started }));
+                if (result.budget && result.budget.state === TokenBudgetService.BudgetState.EXCEEDED &&
+                    result.budget.action !== TokenBudgetService.BudgetAction.WARN) {
+                    stoppedReason = result.budget.message;
+                    this.log(`Stopping: ${result.budget.message}`);
+                }
+            } catch (error) {
+                const cancelled = options.signal && options.signal.aborted;
+                steps.push(this._stepResult(section, PipelineRunner.STEP_STATUS.FAILED, {
+                    error: cancelled ? 'Cancelled' : error.message,
+                    durationMs: Date.now() - started
+                }));
+                this.log(`✗ ${label}: ${cancelled ? 'cancelled' : error.message}`);
+                if (cancelled) {
+                    stoppedReason = 'Run cancelled';
+                } else if (!options.continueOnError) {
+                    stoppedReason = `Stopped after "${label}" failed`;
+                }
+            }
+        }
+
+        const run = options.dryRun ? null : budgetService.endRun(project.id);
+        return {
+            provider: provider.id,
+            steps,
+            tokenUsage: run ? run.totals : null,
+            budget: options.dryRun ? null : TokenBudgetService.checkBudget(project, run),
+            stoppedReason
+        };
+    }
+
+    /**
+     * Whether a run result should fail the command (a failed, skipped or low-quality step)
+     * @param {object} result - Result of run()
+     * @returns {boolean}
+     */
+    static hasFailures(result) {
+        const { FAILED, SKIPPED, LOW_QUALITY } = PipelineRunner.STEP_STATUS;
+        return result.steps.some(step => [FAILED, SKIPPED, LOW_QUALITY].includes(step.status));
+    }
+
+    /**
+     * Format a run result as text (one line per step, then a summary)
+     * @param {object} result - Result of run()
+     * @returns {string}
+     */
+    static formatReport(result) {
+        const symbols = { completed: '✓', 'low-quality': '!', failed: '✗', skipped: '-', assembled: '·' };
+        const lines = result.steps.map(step => {
+            const score = step.score !== null ? ` ${(step.score * 100).toFixed(0)}% (threshold ${(step.threshold * 100).toFixed(0)}%)` : '';
+            const detail = step.error || (step.failedItems.length > 0 ? `failed: ${step.failedItems.join('; ')}` : '');
+            return `${symbols[step.status] || '?'} ${step.label}  ${step.status}${score}${detail ? `  ${detail}` : ''}`;
+        });
+        const count = (status) => result.steps.filter(step => step.status === status).length;
+        lines.push(count('assembled') > 0
+            ? `${count('assembled')} prompt(s) assembled (dry run)`
+            : `${result.steps.length} step(s): ${count('completed')} completed, ${count('low-quality')} low quality, ` +
+              `${count('failed')} failed, ${count('skipped')} skipped`);
+        if (result.tokenUsage) {
+            lines.push(`Estimated tokens: ${result.tokenUsage.totalTokens} (${TokenBudgetService.formatCost(result.tokenUsage.cost)})`);
+        }
+        if (result.stoppedReason) {
+            lines.push(result.stoppedReason);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Assemble, execute, score and store one step
+     * @private
+     */
+    async _runStep(project, section, provider, budgetService, options) {
+        const label = section.sectionName || section.stepName || section.sectionId;
+        const stepName = section.stepName || section.sectionId;
+        const stepPrompt = await this.assembler.getPrompt(section, project);
+        const prompt = `${stepPrompt}\n\n## Input\n\n${this.assembler.getSectionInput(section, project)}`;
+        const unresolved = PromptLinter.findUnresolved(stepPrompt);
+        if (unresolved.length > 0) {
+            this.log(`Warning: unresolved placeholders in the ${stepName} prompt: ${unresolved.map(name => `{${name}}`).join(', ')}`);
+        }
+
+        if (options.dryRun) {
+            this.log(`${label}: prompt assembled (${prompt.length} characters)`);
+            return { status: PipelineRunner.STEP_STATUS.ASSEMBLED, unresolved };
+        }
+
+        this.log(`${label}: running...`);
+        const result = await provider.execute(prompt, { scopePath: options.scopePath, signal: options.signal });
+        const output = result.output || '';
+        if (!output.trim()) {
+            throw new Error(result.stderr ? `No output: ${result.stderr.trim()}` : 'Agent returned no output');
+        }
+
+        const rubric = await this.assembler.getRubric(stepName);
+        const threshold = typeof options.minScore === 'number'
+            ? options.minScore
+            : (typeof rubric.threshold === 'number' ? rubric.threshold : RubricScorer.DEFAULT_RUBRIC.threshold);
+        const validation = this.outputValidator.validate(await this.assembler.getOutputSchema(stepName), output);
+        const quality = this.scorer.score(output, rubric, validation);
+        const budget = budgetService.record(project.id, { key: section.sectionId, label, prompt, response: output });
+
+        section.output = output;
+        section.status = 'complete';
+        if (validation.hasSchema) {
+            section.structuredOutput = validation.data;
+            section.structuredOutputErrors = validation.errors;
+        }
+        project.lastModified = new Date().toISOString();
+
+        let outputFile = null;
+        if (options.outputDir) {
+            fs.mkdirSync(options.outputDir, { recursive: true });
+            outputFile = path.join(options.outputDir, `${stepName}-output.md`);
+            fs.writeFileSync(outputFile, output, 'utf8');
+        }
+
+        // Output that does not match the step's schema is low quality whatever the score
+        const passed = quality.score >= threshold && !RubricScorer.failedSchema(quality);
+        this.log(`${passed ? '✓' : '!'} ${label}: rubric ${(quality.score * 100).toFixed(0)}%${outputFile ? ` → ${outputFile}` : ''}`);
+        return {
+            status: passed ? PipelineRunner.STEP_STATUS.COMPLETED : PipelineRunner.STEP_STATUS.LOW_QUALITY,
+            score: quality.score,
+            threshold,
+            failedItems: quality.failedItems.map(item => item.detail ? `${item.label}: ${item.detail}` : item.label),
+            outputFile,
+            unresolved,
+            budget
+        };
+    }
+
+    /**
+     * @private
+     */
+    _stepResult(section, status, details = {}) {
+        return {
+            sectionId: section.sectionId,
+            stepName: section.stepName || section.sectionId,
+            label: section.sectionName || section.stepName || section.sectionId,
+            status,
+            score: typeof details.score === 'number' ? details.score : null,
+            threshold: typeof details.threshold === 'number' ? details.threshold : null,
+            failedItems: details.failedItems || [],
+            unresolved: details.unresolved || [],
+            outputFile: details.outputFile || null,
+            durationMs: details.durationMs || null,
+            error: details.error || null
+        };
+    }
+}
+
+module.exports = PipelineRunner;
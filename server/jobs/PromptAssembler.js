@@ -0,0 +1,178 @@
+// Prompt Assembler - Runs the browser PipelineConfig/PromptLoader modules in a Node sandbox
+// so server-side jobs assemble exactly the same prompts as the UI
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+class PromptAssembler {
+    // Browser scripts loaded into the sandbox, in index.html order
+    static MODULE_FILES = [
+        'modules/utils/AppConstants.js',
+        'modules/PipelineConfig.js',
+        'modules/PromptLoader.js',
+        'modules/ReferenceDocuments.js'
+    ];
+
+    /**
+     * @param {string} appRoot - Directory containing index.html, modules/ and reference/
+     */
+    constructor(appRoot) {
+        this.appRoot = path.resolve(appRoot);
+        this.sandbox = null;
+    }
+
+    /**
+     * Assemble the prompt for a section with input substituted (same call the UI makes)
+     * @param {object} section - Section data
+     * @param {object} project - Project data (sections carry the upstream outputs)
+     * @returns {Promise<string>} Prompt text
+     */
+    async getPrompt(section, project) {
+        const { PromptLoader } = this._getSandbox();
+        const prompt = await PromptLoader.getPrompt(section.sectionId, section, project, { substituteInput: true });
+        if (!prompt) {
+            throw new Error(`No prompt available for step: ${section.sectionId}`);
+        }
+        return prompt;
+    }
+
+    /**
+     * Retrieval settings from pipeline-config.json (steps that pull search index snippets, snippet limit)
+     * @returns {Promise<{limit: number, steps: string[]}>}
+     */
+    async getRetrieval() {
+        const { PipelineConfig } = this._getSandbox();
+        return PipelineConfig.getRetrieval();
+    }
+
+    /**
+     * Case configurations from pipeline-config.json with additional pipeline config files merged
+     * @returns {Promise<Object<string, object>>} Case config by case number
+     */
+    async getCases() {
+        const { PipelineConfig } = this._getSandbox();
+        await PipelineConfig.loadConfig();
+        return JSON.parse(JSON.stringify(PipelineConfig.config.cases || {}));
+    }
+
+    /**
+     * Sections a new project of a case starts with (PipelineConfig.generateSectionsForCase)
+     * @param {number} caseNumber - Case number
+     * @returns {Promise<object[]>} Section definitions ({ id, stepName, name, dependencies, modifiers, ... })
+     */
+    async getCaseSections(caseNumber) {
+        const { PipelineConfig } = this._getSandbox();
+        return JSON.parse(JSON.stringify(await PipelineConfig.generateSectionsForCase(Number(caseNumber))));
+    }
+
+    /**
+     * Quality rubric for a step from pipeline-config.json (defaults merged with the step's rubric)
+     * @param {string} stepName - Step name
+     * @returns {Promise<object>}
+     */
+    async getRubric(stepName) {
+        const { PipelineConfig } = this._getSandbox();
+        return PipelineConfig.getRubric(stepName);
+    }
+
+    /**
+     * JSON Schema of a step's structured output from pipeline-config.json
+     * @param {string} stepName - Step name
+     * @returns {Promise<object|null>} Schema, or null when the step declares none
+     */
+    async getOutputSchema(stepName) {
+        const { PipelineConfig } = this._getSandbox();
+        return PipelineConfig.getOutputSchema(stepName);
+    }
+
+    /**
+     * Section input: user input if present, else dependency outputs, else the previous section's output
+     * Mirrors CursorCLIAutomationSystem.getSectionInput
+     * @param {object} section - Section data
+     * @param {object} project - Project data
+     * @returns {string} Input text
+     */
+    getSectionInput(section, project) {
+        if (section.input && section.input.trim()) {
+            return section.input;
+        }
+
+        const sections = project.sections || [];
+        if (section.dependencies && section.dependencies.length > 0) {
+            return section.dependencies
+                .map(depId => sections.find(s => s.sectionId === depId))
+                .filter(dep => dep && dep.output)
+                .map(dep => dep.output)
+                .join('\n\n---\n\n');
+        }
+
+        const currentIndex = sections.findIndex(s => s.sectionId === section.sectionId);
+        return currentIndex > 0 ? (sections[currentIndex - 1].output || '') : '';
+    }
+
+    /**
+     * Drop the sandbox so the next call reloads pipeline-config.json, pipeline definitions and prompts
+     * (after a pipeline definition is saved or deleted). Calls already running keep the old sandbox.
+     */
+    reload() {
+        this.sandbox = null;
+    }
+
+    /**
+     * Create the sandbox on first use
+     * @private
+     * @returns {object} Sandbox global (window)
+     */
+    _getSandbox() {
+        if (this.sandbox) {
+            return this.sandbox;
+        }
+
+        const sandbox = {
+            console,
+            setTimeout,
+            clearTimeout,
+            fetch: (resource) => this._fetchLocal(resource)
+        };
+        sandbox.window = sandbox;
+        vm.createContext(sandbox);
+
+        PromptAssembler.MODULE_FILES.forEach(file => {
+            const filePath = path.join(this.appRoot, file);
+            vm.runInContext(fs.readFileSync(filePath, 'utf8'), sandbox, { filename: filePath });
+        });
+
+        this.sandbox = sandbox;
+        return sandbox;
+    }
+
+    /**
+     * Minimal fetch() replacement serving files from the app root
+     * Resolves the same relative paths the browser modules try (./x, /feat-spec/x, ../feat-spec/x)
+     * @private
+     */
+    async _fetchLocal(resource) {
+        const relative = String(resource)
+            .replace(/^(\.\.\/feat-spec\/|\/feat-spec\/|\.\/|\/)/, '');
+        const filePath = path.resolve(this.appRoot, relative);
+        const inRoot = filePath.startsWith(this.appRoot + path.sep);
+
+        let content = null;
+        if (inRoot) {
+            try {
+                content = await fs.promises.readFile(filePath, 'utf8');
+            } catch (error) {
+                content = null;
+            }
+        }
+
+        return {
+            ok: content !== null,
+            status: content !== null ? 200 : 404,
+            text: async () => content,
+            json: async () => JSON.parse(content)
+        };
+    }
+}
+
+module.exports = PromptAssembler;
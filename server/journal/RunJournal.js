@@ -0,0 +1,307 @@
+// Run Journal - Durable record of automation runs: steps started, prompts sent, outputs received, scores,
+// refinements and files detected. Each run is a small JSON file with its summary and a JSON Lines file of events.
+const fs = require('fs');
+const path = require('path');
+
+class RunJournal {
+    static STATUS = {
+        RUNNING: 'running',
+        COMPLETED: 'completed',
+        FAILED: 'failed',
+        STOPPED: 'stopped'
+    };
+
+    static ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+    static TYPE_PATTERN = /^[a-z][a-z0-9-]{0,40}$/;
+    static MAX_TEXT_LENGTH = 20000;    // Longer strings in event data (prompts, outputs) are cut
+    static MAX_MESSAGE_LENGTH = 2000;
+    static MAX_EVENTS_PER_APPEND = 500;
+
+    /**
+     * @param {object} options
+     * @param {string} options.directory - Directory where run files are kept
+     * @param {number} [options.maxRuns] - Runs beyond this count are deleted (oldest finished first)
+     */
+    constructor(options = {}) {
+        this.directory = options.directory;
+        this.maxRuns = options.maxRuns || 200;
+        this.runs = new Map(); // runId -> run summary
+    }
+
+    /**
+     * Load the run summaries kept on disk
+     * @returns {number} Number of runs loaded
+     */
+    load() {
+        if (!fs.existsSync(this.directory)) {
+            fs.mkdirSync(this.directory, { recursive: true });
+            return 0;
+        }
+
+        fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                try {
+                    const run = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+                    if (run && RunJournal.ID_PATTERN.test(run.runId || '')) {
+                        this.runs.set(run.runId, run);
+                    }
+                } catch (error) {
+                    console.warn(`[RunJournal] Skipping unreadable run file ${file}: ${error.message}`);
+                }
+            });
+        return this.runs.size;
+    }
+
+    /**
+     * Start a run (starting a run that already exists returns it unchanged, so a retried request is harmless)
+     * @param {object} details - { runId, projectId, projectName, engine, label }
+     * @returns {object} Run summary
+     * @throws {Error} If runId or projectId are missing or malformed
+     */
+    startRun(details = {}) {
+        const { runId, projectId } = details;
+        if (!RunJournal.ID_PATTERN.test(runId || '')) {
+            throw new Error('runId must be 1-100 letters, digits, "-" or "_"');
+        }
+        if (!projectId || typeof projectId !== 'string') {
+            throw new Error('projectId is required');
+        }
+        if (this.runs.has(runId)) {
+            return this.runs.get(runId);
+        }
+
+        const now = new Date().toISOString();
+        const run = {
+            runId,
+            projectId,
+            projectName: this._text(details.projectName, 200) || null,
+            engine: this._text(details.engine, 40) || null,
+            label: this._text(details.label, 200) || null,
+            status: RunJournal.STATUS.RUNNING,
+            startedAt: now,
+            updatedAt: now,
+            endedAt: null,
+            summary: null,
+            eventCount: 0,
+            typeCounts: {}
+        };
+        this.runs.set(runId, run);
+        this._persist(run);
+        this._prune();
+        return run;
+    }
+
+    /**
+     * Append events to a run
+     * @param {string} runId - Run ID
+     * @param {Array<object>} events - [{ type, timestamp?, sectionId?, sectionName?, message?, data? }]
+     * @returns {{eventCount: number}|null} null when the run does not exist
+     * @throws {Error} If an event has no valid type
+     */
+    append(runId, events) {
+        const run = this.runs.get(runId);
+        if (!run) return null;
+        const list = Array.isArray(events) ? events.slice(0, RunJournal.MAX_EVENTS_PER_APPEND) : [];
+        if (list.length === 0) {
+            return { eventCount: run.eventCount };
+        }
+
+        const invalid = list.find(event => !event || !RunJournal.TYPE_PATTERN.test(event.type || ''));
+        if (invalid) {
+            throw new Error(`Invalid event type: ${invalid && invalid.type}`);
+        }
+
+        const lines = list.map(event => {
+            const entry = {
+                seq: ++run.eventCount,
+                timestamp: this._timestamp(event.timestamp),
+                type: event.type,
+                sectionId: this._text(event.sectionId, 100) || null,
+                sectionName: this._text(event.sectionName, 200) || null,
+                message: this._text(event.message, RunJournal.MAX_MESSAGE_LENGTH) || '',
+                data: event.data && typeof event.data === 'object' ? this._trim(event.data) : null
+            };
+            run.typeCounts[entry.type] = (run.typeCounts[entry.type] || 0) + 1;
+            return JSON.stringify(entry);
+        });
+
+        fs.appendFileSync(this._eventsPath(runId), `${lines.join('\n')}\n`, 'utf8');
+        run.updatedAt = new Date().toISOString();
+        this._persist(run);
+        return { eventCount: run.eventCount };
+    }
+
+    /**
+     * Finish a run
+     * @param {string} runId - Run ID
+     * @param {object} result - { status: completed | failed | stopped, summary }
+     * @returns {object|null} Run summary, or null when the run does not exist
+     */
+    endRun(runId, result = {}) {
+        const run = this.runs.get(runId);
+        if (!run) return null;
+
+        const finished = [RunJournal.STATUS.COMPLETED, RunJournal.STATUS.FAILED, RunJournal.STATUS.STOPPED];
+        run.status = finished.includes(result.status) ? result.status : RunJournal.STATUS.COMPLETED;
+        run.summary = this._text(result.summary, RunJournal.MAX_MESSAGE_LENGTH) || null;
+        run.endedAt = new Date().toISOString();
+        run.updatedAt = run.endedAt;
+        this._persist(run);
+        return run;
+    }
+
+    /**
+     * Run summaries, newest first
+     * @param {object} filter - { projectId }
+     * @returns {object[]}
+     */
+    listRuns(filter = {}) {
+        return Array.from(this.runs.values())
+            .filter(run => !filter.projectId || run.projectId === filter.projectId)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+    }
+
+    /**
+     * A run's events, filtered
+     * @param {string} runId - Run ID
+     * @param {object} filter - { types: string[], sectionId, search, offset, limit }
+     * @returns {{run: object, events: object[], total: number}|null} total counts the matches before offset/limit
+     */
+    readEvents(runId, filter = {}) {
+        const run = this.runs.get(runId);
+        if (!run) return null;
+
+        const types = Array.isArray(filter.types) && filter.types.length > 0 ? new Set(filter.types) : null;
+        const search = typeof filter.search === 'string' && filter.search.trim() ? filter.search.trim().toLowerCase() : null;
+        const matches = this._readAll(runId).filter(event =>
+            (!types || types.has(event.type)) &&
+            (!filter.sectionId || event.sectionId === filter.sectionId) &&
+            (!search || JSON.stringify([event.message, event.sectionName, event.data]).toLowerCase().includes(search)));
+
+        const offset = Math.max(0, parseInt(filter.offset, 10) || 0);
+        const limit = parseInt(filter.limit, 10) > 0 ? parseInt(filter.limit, 10) : matches.length;
+        return { run, events: matches.slice(offset, offset + limit), total: matches.length };
+    }
+
+    /**
+     * Delete a run and its events
+     * @param {string} runId - Run ID
+     * @returns {boolean} Whether the run existed
+     */
+    deleteRun(runId) {
+        if (!this.runs.has(runId)) return false;
+        this.runs.delete(runId);
+        [this._runPath(runId), this._eventsPath(runId)].forEach(file => {
+            try {
+                fs.unlinkSync(file);
+            } catch (error) {
+                // Already gone
+            }
+        });
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    _readAll(runId) {
+        let content;
+        try {
+            content = fs.readFileSync(this._eventsPath(runId), 'utf8');
+        } catch (error) {
+            return [];
+        }
+        return content.split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null; // A line cut short by a crash
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Delete the oldest runs beyond maxRuns, finished runs first
+     * @private
+     */
+    _prune() {
+        const excess = this.runs.size - this.maxRuns;
+        if (excess <= 0) return;
+        Array.from(this.runs.values())
+            .sort((a, b) => (a.status === RunJournal.STATUS.RUNNING) - (b.status === RunJournal.STATUS.RUNNING) ||
+                a.startedAt.localeCompare(b.startedAt))
+            .slice(0, excess)
+            .forEach(run => this.deleteRun(run.runId));
+    }
+
+    /**
+     * @private
+     */
+    _persist(run) {
+        if (!fs.existsSync(this.directory)) {
+            fs.mkdirSync(this.directory, { recursive: true });
+        }
+        fs.writeFileSync(this._runPath(run.runId), JSON.stringify(run, null, 2), 'utf8');
+    }
+
+    /**
+     * Cut long strings anywhere in event data
+     * @private
+     */
+    _trim(value, depth = 0) {
+        if (typeof value === 'string') {
+            return value.length > RunJournal.MAX_TEXT_LENGTH
+                ? `${value.slice(0, RunJournal.MAX_TEXT_LENGTH)}… [${value.length - RunJournal.MAX_TEXT_LENGTH} more characters]`
+                : value;
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+        if (depth > 5) {
+            return null;
+        }
+        if (Array.isArray(value)) {
+            return value.slice(0, 200).map(item => this._trim(item, depth + 1));
+        }
+        const result = {};
+        Object.entries(value).forEach(([key, item]) => {
+            result[key] = this._trim(item, depth + 1);
+        });
+        return result;
+    }
+
+    /**
+     * @private
+     */
+    _text(value, maxLength) {
+        return typeof value === 'string' ? value.slice(0, maxLength) : '';
+    }
+
+    /**
+     * @private
+     */
+    _timestamp(value) {
+        const time = typeof value === 'string' || typeof value === 'number' ? new Date(value) : null;
+        return time && !isNaN(time.getTime()) ? time.toISOString() : new Date().toISOString();
+    }
+
+    /**
+     * @private
+     */
+    _runPath(runId) {
+        return path.join(this.directory, `${runId}.json`);
+    }
+
+    /**
+     * @private
+     */
+    _eventsPath(runId) {
+        return path.join(this.directory, `${runId}.jsonl`);
+    }
+}
+
+module.exports = RunJournal;
@@ -0,0 +1,203 @@
+// Pipeline Store - Additional pipeline config files (custom cases) under reference/pipelines
+// index.json lists the files so PipelineConfig.loadConfig can merge them with plain fetches
+const fs = require('fs');
+const path = require('path');
+const PipelineDefinitionValidator = require('../../modules/utils/PipelineDefinitionValidator');
+
+class PipelineStore {
+    static INDEX_FILE = 'index.json';
+
+    /**
+     * @param {string} referenceDir - The app's reference/ directory (pipeline-config.json, pipeline-steps/)
+     */
+    constructor(referenceDir) {
+        this.referenceDir = referenceDir;
+        this.directory = path.join(referenceDir, 'pipelines');
+        this.stepsDir = path.join(referenceDir, 'pipeline-steps');
+    }
+
+    /**
+     * All pipeline definition files, in file name order
+     * @returns {Array<object>} Definitions (unreadable files are skipped)
+     */
+    list() {
+        return this._definitionFiles()
+            .map(file => {
+                try {
+                    return JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+                } catch (error) {
+                    console.warn(`[PipelineStore] Skipping unreadable pipeline file ${file}: ${error.message}`);
+                    return null;
+                }
+            })
+            .filter(definition => definition && definition.kind === PipelineDefinitionValidator.KIND);
+    }
+
+    /**
+     * Prompt files available to steps, relative to reference/pipeline-steps/
+     * @returns {string[]} e.g. ["core/research.md", "modifiers/research/ui-only.md", ...]
+     */
+    listPromptFiles() {
+        const files = [];
+        const walk = (dir, prefix) => {
+            if (!fs.existsSync(dir)) return;
+            fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+                const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+                if (entry.isDirectory()) {
+                    walk(path.join(dir, entry.name), relative);
+                } else if (entry.name.endsWith('.md')) {
+                    files.push(relative);
+                }
+            });
+        };
+        walk(this.stepsDir, '');
+        return files.sort();
+    }
+
+    /**
+     * pipeline-config.json with the indexed definition files merged (as PipelineConfig.loadConfig does), and the prompt files
+     * @returns {{config: object, files: Object<string, string>}} Config and prompt contents by path relative to pipeline-steps/
+     */
+    readReference() {
+        const config = JSON.parse(fs.readFileSync(path.join(this.referenceDir, 'pipeline-config.json'), 'utf8'));
+        config.cases = config.cases || {};
+
+        let indexed = [];
+        try {
+            indexed = JSON.parse(fs.readFileSync(path.join(this.directory, PipelineStore.INDEX_FILE), 'utf8')).files || [];
+        } catch (error) {
+            indexed = [];
+        }
+        indexed.forEach(file => {
+            try {
+                const definition = JSON.parse(fs.readFileSync(path.join(this.directory, path.basename(file)), 'utf8'));
+                if (definition.kind !== PipelineDefinitionValidator.KIND) return;
+                Object.entries(definition.cases || {}).forEach(([caseNumber, caseConfig]) => {
+                    if (!config.cases[caseNumber]) {
+                        config.cases[caseNumber] = { ...caseConfig, custom: true, definitionId: definition.id };
+                    }
+                });
+            } catch (error) {
+                console.warn(`[PipelineStore] Skipping unreadable pipeline file ${file}: ${error.message}`);
+            }
+        });
+
+        const files = {};
+        this.listPromptFiles().forEach(file => {
+            files[file] = fs.readFileSync(path.join(this.stepsDir, file), 'utf8');
+        });
+        return { config, files };
+    }
+
+    /**
+     * Validate a definition against pipeline-config.json, the other definition files and the prompt files
+     * @param {object} definition - Pipeline definition
+     * @returns {{errors: string[], warnings: string[]}}
+     */
+    validate(definition) {
+        return PipelineDefinitionValidator.validate(definition, {
+            reservedCases: this._reservedCases(definition && definition.id),
+            promptFiles: this.listPromptFiles()
+        });
+    }
+
+    /**
+     * Create or replace a definition file and update the index
+     * @param {object} definition - Pipeline definition; one without an id gets one from its first case's name
+     * @returns {{definition: object, warnings: string[]}} Saved definition and validation warnings
+     * @throws {Error} If validation finds errors
+     */
+    save(definition) {
+        const { errors, warnings } = this.validate(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid pipeline definition: ${errors.join('; ')}`);
+        }
+
+        const firstCase = Object.values(definition.cases)[0];
+        const id = PipelineStore._safeId(definition.id) || this._uniqueId(firstCase.name);
+        const saved = { ...definition, id, updatedAt: new Date().toISOString() };
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(this._filePath(id), JSON.stringify(saved, null, 2), 'utf8');
+        this._writeIndex();
+        return { definition: saved, warnings };
+    }
+
+    /**
+     * Delete a definition file and update the index
+     * @param {string} id - Definition ID
+     * @returns {boolean} False if there was no such file
+     */
+    remove(id) {
+        const safeId = PipelineStore._safeId(id);
+        if (!safeId || !fs.existsSync(this._filePath(safeId))) return false;
+        fs.unlinkSync(this._filePath(safeId));
+        this._writeIndex();
+        return true;
+    }
+
+    /**
+     * Case numbers in pipeline-config.json and in the definition files other than excludeId
+     * @private
+     */
+    _reservedCases(excludeId) {
+        let reserved = [];
+        try {
+            const baseConfig = JSON.parse(fs.readFileSync(path.join(this.referenceDir, 'pipeline-config.json'), 'utf8'));
+            reserved = Object.keys(baseConfig.cases || {});
+        } catch (error) {
+            console.warn(`[PipelineStore] Could not read pipeline-config.json: ${error.message}`);
+        }
+        this.list()
+            .filter(definition => definition.id !== excludeId)
+            .forEach(definition => reserved.push(...Object.keys(definition.cases || {})));
+        return reserved;
+    }
+
+    /**
+     * @private
+     */
+    _definitionFiles() {
+        if (!fs.existsSync(this.directory)) return [];
+        return fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json') && file !== PipelineStore.INDEX_FILE)
+            .sort();
+    }
+
+    /**
+     * @private
+     */
+    _writeIndex() {
+        const files = this._definitionFiles();
+        fs.writeFileSync(path.join(this.directory, PipelineStore.INDEX_FILE), JSON.stringify({ files }, null, 2), 'utf8');
+    }
+
+    /**
+     * @private
+     */
+    _uniqueId(name) {
+        const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'pipeline';
+        let id = base;
+        for (let n = 2; id === 'index' || fs.existsSync(this._filePath(id)); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+
+    /**
+     * @private
+     */
+    _filePath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    /**
+     * IDs become file names: letters, digits, dashes and underscores only
+     * @private
+     */
+    static _safeId(id) {
+        return typeof id === 'string' && /^[a-zA-Z0-9_-]{1,100}$/.test(id) && id !== 'index' ? id : null;
+    }
+}
+
+module.exports = PipelineStore;
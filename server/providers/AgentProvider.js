@@ -0,0 +1,162 @@
+// Agent Provider - Base class for the LLM backends behind /api/cursor-cli-execute
+// Concrete providers implement execute() and resolve with { success, output, stderr }
+const { spawn, execFile } = require('child_process');
+
+class AgentProvider {
+    /**
+     * @param {object} config - Provider definition (id, type, label, timeoutMs, ...)
+     * @param {object} defaults - Server defaults (timeoutMs)
+     */
+    constructor(config = {}, defaults = {}) {
+        if (!config.id || typeof config.id !== 'string') {
+            throw new Error('Agent provider requires an id');
+        }
+        this.id = config.id;
+        this.type = config.type;
+        this.label = config.label || config.id;
+        this.model = config.model || null;
+        this.timeoutMs = config.timeoutMs || defaults.timeoutMs || 300000;
+        this.config = config;
+    }
+
+    /**
+     * Execute a prompt against this provider
+     * @param {string} prompt - Fully assembled prompt
+     * @param {object} context - Execution context
+     * @param {string} context.scopePath - Resolved, validated scope directory
+     * @param {Function} [context.onChunk] - Called with (text, stream) as output arrives
+     * @param {AbortSignal} [context.signal] - Aborting cancels the execution
+     * @returns {Promise<{success: boolean, output: string, stderr: string}>}
+     */
+    async execute(prompt, context) {
+        throw new Error(`Provider "${this.id}" does not implement execute()`);
+    }
+
+    /**
+     * Public description of the provider (never includes secrets)
+     * @returns {object}
+     */
+    describe() {
+        return {
+            id: this.id,
+            type: this.type,
+            label: this.label,
+            model: this.model
+        };
+    }
+
+    /**
+     * Spawn a process, write the prompt to stdin and collect stdout/stderr
+     * A non-zero exit still resolves when the process produced output (cursor-agent does this)
+     * @protected
+     * @param {string} command - Executable
+     * @param {string[]} args - Arguments
+     * @param {object} spawnOptions - Options passed to child_process.spawn
+     * @param {string} prompt - Prompt written to stdin
+     * @param {object} context - Execution context (onChunk, signal)
+     * @returns {Promise<{success: boolean, output: string, stderr: string}>}
+     */
+    _runWithStdin(command, args, spawnOptions, prompt, context = {}) {
+        const label = this.label;
+        const timeoutMs = this.timeoutMs;
+        const { onChunk, signal } = context;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(AgentProvider.cancelledError());
+                return;
+            }
+
+            // Own process group on POSIX so cancel/timeout can kill the whole tree (bash -> cursor-agent)
+            const child = spawn(command, args, {
+                shell: false,
+                detached: process.platform !== 'win32',
+                ...spawnOptions,
+                stdio: ['pipe', 'pipe', 'pipe']
+            });
+
+            let stdout = '';
+            let stderr = '';
+            let settled = false;
+
+            const finish = (fn, value) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                fn(value);
+            };
+
+            const onAbort = () => {
+                AgentProvider.killProcessTree(child);
+                finish(reject, AgentProvider.cancelledError());
+            };
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            const timer = setTimeout(() => {
+                AgentProvider.killProcessTree(child);
+                finish(reject, new Error(`${label} timeout after ${Math.round(timeoutMs / 1000)} seconds`));
+            }, timeoutMs);
+
+            child.stdout.on('data', (data) => {
+                const text = data.toString();
+                stdout += text;
+                if (onChunk) onChunk(text, 'stdout');
+            });
+
+            child.stderr.on('data', (data) => {
+                const text = data.toString();
+                stderr += text;
+                if (onChunk) onChunk(text, 'stderr');
+            });
+
+            child.on('close', (code) => {
+                if (stdout || stderr || code === 0) {
+                    finish(resolve, { success: true, output: stdout, stderr: stderr });
+                } else {
+                    finish(reject, new Error(`${label} error: Process exited with code ${code}\n${stderr || 'No output'}`));
+                }
+            });
+
+            child.on('error', (error) => {
+                finish(reject, new Error(`${label} error: ${error.message}\n${stderr || ''}`));
+            });
+
+            // Prompt goes to stdin to avoid shell escaping issues
+            child.stdin.on('error', () => {}); // Process may exit before reading stdin
+            child.stdin.write(prompt, 'utf8');
+            child.stdin.end();
+        });
+    }
+
+    /**
+     * Kill a spawned process and its descendants
+     * @param {ChildProcess} child - Process spawned by _runWithStdin
+     */
+    static killProcessTree(child) {
+        if (!child || child.exitCode !== null || child.killed) {
+            return;
+        }
+        try {
+            if (process.platform === 'win32') {
+                execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], () => {});
+            } else {
+                process.kill(-child.pid, 'SIGTERM');
+            }
+        } catch (error) {
+            child.kill();
+        }
+    }
+
+    /**
+     * Error used when an execution is cancelled through its AbortSignal
+     * @returns {Error}
+     */
+    static cancelledError() {
+        const error = new Error('Execution cancelled');
+        error.cancelled = true;
+        return error;
+    }
+}
+
+module.exports = AgentProvider;
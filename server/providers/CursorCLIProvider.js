@@ -0,0 +1,60 @@
+// Cursor CLI Provider - Runs cursor-agent natively or through wsl.exe on Windows
+const AgentProvider = require('./AgentProvider');
+
+class CursorCLIProvider extends AgentProvider {
+    constructor(config = {}, defaults = {}) {
+        super({ label: 'Cursor CLI', ...config, type: 'cursor-cli' }, defaults);
+        this.apiKeyEnv = config.apiKeyEnv || 'CURSOR_API_KEY';
+    }
+
+    async execute(prompt, context) {
+        const scopePath = context.scopePath;
+
+        // Get API key from environment variable
+        const apiKey = process.env[this.apiKeyEnv];
+        if (!apiKey) {
+            throw new Error(`${this.apiKeyEnv} environment variable is required`);
+        }
+        const escapedApiKey = JSON.stringify(apiKey);
+
+        if (process.platform === 'win32') {
+            // Convert Windows path to WSL path for scope directory
+            const wslScopePath = scopePath.replace(/^([A-Z]):/, (match, drive) => {
+                return `/mnt/${drive.toLowerCase()}`;
+            }).replace(/\\/g, '/');
+
+            // Build command string WITHOUT the prompt (prompt goes to stdin via "$(cat)")
+            // This matches the working approach from the Unity bridge script
+            const bashCmd = 'cd ' + JSON.stringify(wslScopePath) + ' && ' +
+                'mkdir -p ~/.cursor && ' +
+                '(test -f ~/.cursor/cli-config.json || echo "{}" > ~/.cursor/cli-config.json) && ' +
+                'export PATH="$HOME/.local/bin:$PATH" && ' +
+                'export CURSOR_CLI_NO_RETRY=1 && ' +
+                'export CURSOR_API_KEY=' + escapedApiKey + ' && ' +
+                'cursor-agent --print -p "$(cat)"';
+
+            console.log('[Cursor CLI] Scope path:', wslScopePath);
+            console.log('[Cursor CLI] Prompt length:', prompt.length, 'chars');
+
+            return this._runWithStdin('wsl.exe', ['bash', '-c', bashCmd], { cwd: scopePath }, prompt, context);
+        }
+
+        // Linux/Mac - use stdin approach for consistency
+        const homeDir = process.env.HOME || process.env.USERPROFILE || process.env.HOMEPATH;
+        const bashCmd = 'export PATH="$HOME/.local/bin:$PATH" && ' +
+            'export CURSOR_API_KEY=' + escapedApiKey + ' && ' +
+            'cd ' + JSON.stringify(scopePath) + ' && ' +
+            'cursor-agent -p --force "$(cat)"';
+
+        return this._runWithStdin('bash', ['-c', bashCmd], {
+            cwd: scopePath,
+            env: {
+                ...process.env,
+                PATH: `${homeDir ? `${homeDir}/.local/bin:` : ''}${process.env.PATH}`,
+                CURSOR_API_KEY: apiKey
+            }
+        }, prompt, context);
+    }
+}
+
+module.exports = CursorCLIProvider;
@@ -0,0 +1,28 @@
+// Local Command Provider - Runs a configured executable with the prompt on stdin
+// The command only ever comes from the server-side provider config, never from a request
+const AgentProvider = require('./AgentProvider');
+
+class LocalCommandProvider extends AgentProvider {
+    constructor(config = {}, defaults = {}) {
+        super({ ...config, type: 'local-command' }, defaults);
+        if (!config.command || typeof config.command !== 'string') {
+            throw new Error(`Local command provider "${config.id}" requires a command`);
+        }
+        this.command = config.command;
+        this.args = Array.isArray(config.args) ? config.args.map(String) : [];
+        this.env = config.env && typeof config.env === 'object' ? config.env : {};
+    }
+
+    async execute(prompt, context) {
+        return this._runWithStdin(this.command, this.args, {
+            cwd: context.scopePath,
+            env: {
+                ...process.env,
+                ...this.env,
+                FEATSPEC_SCOPE_DIR: context.scopePath
+            }
+        }, prompt, context);
+    }
+}
+
+module.exports = LocalCommandProvider;
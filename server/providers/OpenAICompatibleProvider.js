@@ -0,0 +1,180 @@
+// OpenAI-Compatible Provider - Sends the prompt to a /chat/completions HTTP endpoint
+// Works with OpenAI, vLLM, LM Studio, Ollama's OpenAI API and local stand-in servers
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const AgentProvider = require('./AgentProvider');
+
+class OpenAICompatibleProvider extends AgentProvider {
+    constructor(config = {}, defaults = {}) {
+        super({ ...config, type: 'openai-compatible' }, defaults);
+        if (!config.baseUrl || typeof config.baseUrl !== 'string') {
+            throw new Error(`OpenAI-compatible provider "${config.id}" requires a baseUrl`);
+        }
+        if (!config.model || typeof config.model !== 'string') {
+            throw new Error(`OpenAI-compatible provider "${config.id}" requires a model`);
+        }
+        this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+        this.apiKeyEnv = config.apiKeyEnv || null;
+        this.systemPrompt = config.systemPrompt || null;
+        this.temperature = typeof config.temperature === 'number' ? config.temperature : null;
+        this.maxTokens = typeof config.maxTokens === 'number' ? config.maxTokens : null;
+    }
+
+    async execute(prompt, context = {}) {
+        const messages = [];
+        if (this.systemPrompt) {
+            messages.push({ role: 'system', content: this.systemPrompt });
+        }
+        messages.push({ role: 'user', content: prompt });
+
+        const streaming = typeof context.onChunk === 'function';
+        const body = { model: this.model, messages };
+        if (this.temperature !== null) body.temperature = this.temperature;
+        if (this.maxTokens !== null) body.max_tokens = this.maxTokens;
+        if (streaming) body.stream = true;
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKeyEnv) {
+            const apiKey = process.env[this.apiKeyEnv];
+            if (!apiKey) {
+                throw new Error(`${this.apiKeyEnv} environment variable is required`);
+            }
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        const url = `${this.baseUrl}/chat/completions`;
+        const output = streaming
+            ? await this._post(url, body, headers, context, (res, resolve, reject) => this._readEventStream(res, context.onChunk, resolve, reject))
+            : await this._post(url, body, headers, context, (res, resolve, reject) => this._readJson(res, resolve, reject));
+
+        return { success: true, output, stderr: '' };
+    }
+
+    /**
+     * POST a JSON body; readResponse(res, resolve, reject) turns a 2xx response into the output text
+     * @private
+     */
+    _post(urlString, body, headers, context, readResponse) {
+        const { signal } = context;
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(AgentProvider.cancelledError());
+                return;
+            }
+
+            let url;
+            try {
+                url = new URL(urlString);
+            } catch (error) {
+                reject(new Error(`${this.label} error: Invalid baseUrl ${this.baseUrl}`));
+                return;
+            }
+
+            let settled = false;
+            const finish = (fn, value) => {
+                if (settled) return;
+                settled = true;
+                if (signal) signal.removeEventListener('abort', onAbort);
+                fn(value);
+            };
+            const onAbort = () => {
+                req.destroy();
+                finish(reject, AgentProvider.cancelledError());
+            };
+
+            const payload = JSON.stringify(body);
+            const transport = url.protocol === 'https:' ? https : http;
+            const req = transport.request(url, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(payload) }
+            }, (res) => {
+                res.setEncoding('utf8');
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    let data = '';
+                    res.on('data', chunk => { data += chunk; });
+                    res.on('end', () => {
+                        finish(reject, new Error(`${this.label} error: HTTP ${res.statusCode}\n${data.slice(0, 2000)}`));
+                    });
+                    return;
+                }
+                readResponse(res, value => finish(resolve, value), error => finish(reject, error));
+            });
+
+            if (signal) signal.addEventListener('abort', onAbort);
+            req.setTimeout(this.timeoutMs, () => {
+                req.destroy();
+                finish(reject, new Error(`${this.label} timeout after ${Math.round(this.timeoutMs / 1000)} seconds`));
+            });
+            req.on('error', (error) => {
+                finish(reject, new Error(`${this.label} error: ${error.message}`));
+            });
+            req.end(payload);
+        });
+    }
+
+    /**
+     * Read a non-streaming completion response
+     * @private
+     */
+    _readJson(res, resolve, reject) {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => {
+            let parsed;
+            try {
+                parsed = JSON.parse(data);
+            } catch (error) {
+                reject(new Error(`${this.label} error: Invalid JSON response`));
+                return;
+            }
+            const choice = Array.isArray(parsed.choices) ? parsed.choices[0] : null;
+            if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+                reject(new Error(`${this.label} error: Response did not contain choices[0].message.content`));
+                return;
+            }
+            resolve(choice.message.content);
+        });
+    }
+
+    /**
+     * Read a streaming (text/event-stream) completion response, forwarding deltas to onChunk
+     * @private
+     */
+    _readEventStream(res, onChunk, resolve, reject) {
+        let buffer = '';
+        let output = '';
+
+        const handleLine = (line) => {
+            if (!line.startsWith('data:')) return;
+            const data = line.slice(5).trim();
+            if (!data || data === '[DONE]') return;
+            try {
+                const parsed = JSON.parse(data);
+                const choice = Array.isArray(parsed.choices) ? parsed.choices[0] : null;
+                const text = choice && choice.delta && typeof choice.delta.content === 'string' ? choice.delta.content : '';
+                if (text) {
+                    output += text;
+                    onChunk(text, 'stdout');
+                }
+            } catch (error) {
+                // Ignore keep-alive or malformed lines
+            }
+        };
+
+        res.on('data', chunk => {
+            buffer += chunk;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        });
+        res.on('end', () => {
+            if (buffer) handleLine(buffer);
+            resolve(output);
+        });
+        res.on('error', reject);
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
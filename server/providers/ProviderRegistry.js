@@ -0,0 +1,111 @@
+// Provider Registry - Builds agent providers from config and resolves them by id
+// The built-in "cursor-cli" provider is always available and is the default
+const fs = require('fs');
+const CursorCLIProvider = require('./CursorCLIProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const LocalCommandProvider = require('./LocalCommandProvider');
+
+class ProviderRegistry {
+    static PROVIDER_TYPES = {
+        'cursor-cli': CursorCLIProvider,
+        'openai-compatible': OpenAICompatibleProvider,
+        'local-command': LocalCommandProvider
+    };
+
+    static DEFAULT_PROVIDER_ID = 'cursor-cli';
+
+    /**
+     * @param {object} defaults - Defaults passed to every provider (timeoutMs)
+     */
+    constructor(defaults = {}) {
+        this.defaults = defaults;
+        this.providers = new Map();
+        this.defaultProviderId = ProviderRegistry.DEFAULT_PROVIDER_ID;
+        this.register({ id: ProviderRegistry.DEFAULT_PROVIDER_ID, type: 'cursor-cli' });
+    }
+
+    /**
+     * Create and register a provider from a definition
+     * @param {object} definition - { id, type, ...providerOptions }
+     * @returns {AgentProvider}
+     */
+    register(definition) {
+        const ProviderClass = ProviderRegistry.PROVIDER_TYPES[definition && definition.type];
+        if (!ProviderClass) {
+            throw new Error(`Unknown agent provider type: ${definition && definition.type}`);
+        }
+        const provider = new ProviderClass(definition, this.defaults);
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    /**
+     * Load provider definitions from a JSON file
+     * Format: { "defaultProvider": "id", "providers": [ { "id", "type", ... } ] }
+     * A missing file is not an error; invalid entries are skipped with a warning
+     * @param {string} filePath - Absolute path to the config file
+     * @returns {{success: boolean, loaded: number, errors: string[]}}
+     */
+    loadFromFile(filePath) {
+        if (!filePath || !fs.existsSync(filePath)) {
+            return { success: true, loaded: 0, errors: [] };
+        }
+
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.warn(`[ProviderRegistry] Could not parse ${filePath}: ${error.message}`);
+            return { success: false, loaded: 0, errors: [error.message] };
+        }
+
+        const errors = [];
+        let loaded = 0;
+        (Array.isArray(config.providers) ? config.providers : []).forEach(definition => {
+            try {
+                this.register(definition);
+                loaded++;
+            } catch (error) {
+                errors.push(error.message);
+                console.warn(`[ProviderRegistry] Skipping provider: ${error.message}`);
+            }
+        });
+
+        if (config.defaultProvider) {
+            if (this.providers.has(config.defaultProvider)) {
+                this.defaultProviderId = config.defaultProvider;
+            } else {
+                errors.push(`Default provider "${config.defaultProvider}" is not defined`);
+            }
+        }
+
+        return { success: errors.length === 0, loaded, errors };
+    }
+
+    /**
+     * Resolve a provider by id, falling back to the default when no id is given
+     * @param {string|null} providerId - Provider id
+     * @returns {AgentProvider}
+     */
+    resolve(providerId) {
+        const id = providerId || this.defaultProviderId;
+        const provider = this.providers.get(id);
+        if (!provider) {
+            throw new Error(`Agent provider not found: ${id}`);
+        }
+        return provider;
+    }
+
+    /**
+     * List public provider descriptions
+     * @returns {{defaultProvider: string, providers: object[]}}
+     */
+    list() {
+        return {
+            defaultProvider: this.defaultProviderId,
+            providers: Array.from(this.providers.values()).map(provider => provider.describe())
+        };
+    }
+}
+
+module.exports = ProviderRegistry;
@@ -0,0 +1,38 @@
+// Embedding Backend - Base class for the optional vector backends behind the search index
+// Concrete backends implement embed() and resolve with one vector per input text
+class EmbeddingBackend {
+    /**
+     * @param {object} config - Backend definition (type, label, model, batchSize, timeoutMs, ...)
+     */
+    constructor(config = {}) {
+        this.type = config.type;
+        this.label = config.label || config.type || 'embeddings';
+        this.model = config.model || null;
+        this.batchSize = config.batchSize || 32;
+        this.timeoutMs = config.timeoutMs || 60000;
+        this.config = config;
+    }
+
+    /**
+     * Embed texts
+     * @param {string[]} texts - Texts to embed
+     * @returns {Promise<number[][]>} One vector per text, in input order
+     */
+    async embed(texts) {
+        throw new Error(`Embedding backend "${this.label}" does not implement embed()`);
+    }
+
+    /**
+     * Public description of the backend (never includes secrets)
+     * @returns {object}
+     */
+    describe() {
+        return {
+            type: this.type,
+            label: this.label,
+            model: this.model
+        };
+    }
+}
+
+module.exports = EmbeddingBackend;
@@ -0,0 +1,92 @@
+// OpenAI-Compatible Embedding Backend - Embeds text through a /embeddings HTTP endpoint
+// Works with OpenAI, vLLM, LM Studio, Ollama's OpenAI API and local stand-in servers
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+const EmbeddingBackend = require('./EmbeddingBackend');
+
+class OpenAICompatibleEmbeddingBackend extends EmbeddingBackend {
+    constructor(config = {}) {
+        super({ ...config, type: 'openai-compatible' });
+        if (!config.baseUrl || typeof config.baseUrl !== 'string') {
+            throw new Error('OpenAI-compatible embedding backend requires a baseUrl');
+        }
+        if (!config.model || typeof config.model !== 'string') {
+            throw new Error('OpenAI-compatible embedding backend requires a model');
+        }
+        this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+        this.apiKeyEnv = config.apiKeyEnv || null;
+    }
+
+    async embed(texts) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKeyEnv) {
+            const apiKey = process.env[this.apiKeyEnv];
+            if (!apiKey) {
+                throw new Error(`${this.apiKeyEnv} environment variable is required`);
+            }
+            headers.Authorization = `Bearer ${apiKey}`;
+        }
+
+        const parsed = await this._post(`${this.baseUrl}/embeddings`, { model: this.model, input: texts }, headers);
+        if (!Array.isArray(parsed.data)) {
+            throw new Error(`${this.label} error: Response did not contain data[]`);
+        }
+
+        const vectors = new Array(texts.length).fill(null);
+        parsed.data.forEach((item, position) => {
+            const index = typeof item.index === 'number' ? item.index : position;
+            vectors[index] = Array.isArray(item.embedding) ? item.embedding : null;
+        });
+        return vectors;
+    }
+
+    /**
+     * POST a JSON body and parse the JSON response
+     * @private
+     */
+    _post(urlString, body, headers) {
+        return new Promise((resolve, reject) => {
+            let url;
+            try {
+                url = new URL(urlString);
+            } catch (error) {
+                reject(new Error(`${this.label} error: Invalid baseUrl ${this.baseUrl}`));
+                return;
+            }
+
+            const payload = JSON.stringify(body);
+            const transport = url.protocol === 'https:' ? https : http;
+            const req = transport.request(url, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(payload) }
+            }, (res) => {
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', chunk => { data += chunk; });
+                res.on('end', () => {
+                    if (res.statusCode < 200 || res.statusCode >= 300) {
+                        reject(new Error(`${this.label} error: HTTP ${res.statusCode}\n${data.slice(0, 2000)}`));
+                        return;
+                    }
+                    try {
+                        resolve(JSON.parse(data));
+                    } catch (error) {
+                        reject(new Error(`${this.label} error: Invalid JSON response`));
+                    }
+                });
+            });
+
+            req.setTimeout(this.timeoutMs, () => {
+                req.destroy();
+                reject(new Error(`${this.label} timeout after ${Math.round(this.timeoutMs / 1000)} seconds`));
+            });
+            req.on('error', (error) => {
+                reject(new Error(`${this.label} error: ${error.message}`));
+            });
+            req.end(payload);
+        });
+    }
+}
+
+module.exports = OpenAICompatibleEmbeddingBackend;
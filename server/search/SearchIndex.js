@@ -0,0 +1,381 @@
+// Search Index - Chunked BM25 keyword index over the text files of one directory
+// Optionally adds embedding vectors for hybrid (keyword + semantic) ranking
+const fs = require('fs');
+const path = require('path');
+
+class SearchIndex {
+    static DEFAULTS = {
+        chunkLines: 40,          // Lines per chunk
+        chunkOverlap: 10,        // Lines shared by consecutive chunks
+        maxFileSize: 512 * 1024, // Larger files are skipped
+        maxFiles: 5000,          // Stop walking after this many files
+        maxDepth: 10,
+        extensions: ['.md', '.txt', '.js', '.ts', '.json'],
+        ignoreDirs: ['node_modules', '.git'],
+        semanticWeight: 0.5      // Share of the hybrid score taken by embedding similarity
+    };
+
+    // BM25 parameters
+    static K1 = 1.2;
+    static B = 0.75;
+
+    static STOP_WORDS = new Set([
+        'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'has', 'have', 'was',
+        'were', 'will', 'with', 'this', 'that', 'from', 'they', 'then', 'than', 'into', 'its', 'our',
+        'your', 'their', 'there', 'these', 'those', 'what', 'when', 'which', 'who', 'how'
+    ]);
+
+    /**
+     * @param {string} rootDir - Absolute directory to index
+     * @param {object} options - Overrides for DEFAULTS plus baseDir (paths in results are relative to it)
+     *                           and embeddingBackend (optional EmbeddingBackend)
+     */
+    constructor(rootDir, options = {}) {
+        this.rootDir = path.resolve(rootDir);
+        this.options = { ...SearchIndex.DEFAULTS, ...options };
+        this.baseDir = options.baseDir || this.rootDir;
+        this.embeddingBackend = options.embeddingBackend || null;
+
+        this.chunks = new Map();        // chunkId -> { id, file, startLine, endLine, content, terms: Map, length, vector }
+        this.fileChunks = new Map();    // absolute file path -> chunkIds
+        this.documentFrequency = new Map();
+        this.totalLength = 0;
+        this.builtAt = null;
+        this.updatedAt = null;
+        this.embeddingErrors = 0;
+    }
+
+    /**
+     * Split text into lower-case search terms (camelCase and snake_case identifiers are split too)
+     * @param {string} text - Text
+     * @returns {string[]}
+     */
+    static tokenize(text) {
+        return (String(text || '')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .match(/[a-z0-9]{2,}/g) || [])
+            .filter(term => !SearchIndex.STOP_WORDS.has(term));
+    }
+
+    /**
+     * Split file content into overlapping line windows
+     * @param {string} content - File content
+     * @param {number} chunkLines - Lines per chunk
+     * @param {number} chunkOverlap - Lines shared by consecutive chunks
+     * @returns {Array<{startLine: number, endLine: number, content: string}>} 1-based inclusive line ranges
+     */
+    static chunkText(content, chunkLines, chunkOverlap) {
+        const lines = String(content || '').split(/\r?\n/);
+        const step = Math.max(1, chunkLines - chunkOverlap);
+        const chunks = [];
+        for (let start = 0; start < lines.length; start += step) {
+            const slice = lines.slice(start, start + chunkLines);
+            if (slice.some(line => line.trim())) {
+                chunks.push({ startLine: start + 1, endLine: start + slice.length, content: slice.join('\n') });
+            }
+            if (start + chunkLines >= lines.length) break;
+        }
+        return chunks;
+    }
+
+    /**
+     * Index every text file under the root directory (replaces any previous contents)
+     * @returns {Promise<object>} stats()
+     */
+    async build() {
+        this.chunks.clear();
+        this.fileChunks.clear();
+        this.documentFrequency.clear();
+        this.totalLength = 0;
+        this.embeddingErrors = 0;
+
+        for (const filePath of this._walk()) {
+            this._addFile(filePath);
+        }
+        await this._embedPending();
+
+        this.builtAt = new Date().toISOString();
+        this.updatedAt = this.builtAt;
+        return this.stats();
+    }
+
+    /**
+     * Re-index one file after it changed, was created or was deleted
+     * @param {string} filePath - Absolute file path
+     * @returns {Promise<boolean>} True if the index changed
+     */
+    async refreshFile(filePath) {
+        const absolutePath = path.resolve(filePath);
+        if (!this.contains(absolutePath)) return false;
+
+        const hadFile = this.fileChunks.has(absolutePath);
+        this._removeFile(absolutePath);
+        const added = this._isIndexable(absolutePath) && this._addFile(absolutePath);
+        if (added) {
+            await this._embedPending();
+        }
+        if (hadFile || added) {
+            this.updatedAt = new Date().toISOString();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Whether a path lies inside the indexed directory
+     * @param {string} filePath - Absolute path
+     * @returns {boolean}
+     */
+    contains(filePath) {
+        const relative = path.relative(this.rootDir, path.resolve(filePath));
+        return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - Query text
+     * @param {object} options - { limit: number (default 10), mode: 'keyword'|'hybrid' (default hybrid when embeddings exist) }
+     * @returns {Promise<Array<{path: string, startLine: number, endLine: number, content: string, score: number, keywordScore: number, semanticScore: number|null}>>}
+     */
+    async search(query, options = {}) {
+        const limit = Math.max(1, Math.min(100, options.limit || 10));
+        const queryTerms = [...new Set(SearchIndex.tokenize(query))];
+        const keywordScores = this._bm25(queryTerms);
+
+        let queryVector = null;
+        const hybrid = options.mode !== 'keyword' && this.embeddingBackend && this._hasVectors();
+        if (hybrid) {
+            try {
+                [queryVector] = await this.embeddingBackend.embed([query]);
+            } catch (error) {
+                console.warn(`[SearchIndex] Query embedding failed, using keyword ranking: ${error.message}`);
+            }
+        }
+
+        const maxKeyword = Math.max(0, ...keywordScores.values());
+        const results = [];
+        this.chunks.forEach(chunk => {
+            const keywordScore = keywordScores.get(chunk.id) || 0;
+            const semanticScore = queryVector && chunk.vector ? SearchIndex.cosine(queryVector, chunk.vector) : null;
+            const score = semanticScore === null
+                ? keywordScore
+                : (maxKeyword > 0 ? keywordScore / maxKeyword : 0) * (1 - this.options.semanticWeight) +
+                  Math.max(0, semanticScore) * this.options.semanticWeight;
+            if (score > 0) {
+                results.push({
+                    path: this._relativePath(chunk.file),
+                    startLine: chunk.startLine,
+                    endLine: chunk.endLine,
+                    content: chunk.content,
+                    score: score,
+                    keywordScore: keywordScore,
+                    semanticScore: semanticScore
+                });
+            }
+        });
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    /**
+     * Index statistics
+     * @returns {object}
+     */
+    stats() {
+        return {
+            directory: this._relativePath(this.rootDir) || '.',
+            files: this.fileChunks.size,
+            chunks: this.chunks.size,
+            terms: this.documentFrequency.size,
+            embeddings: this.embeddingBackend ? this.embeddingBackend.describe() : null,
+            embeddingErrors: this.embeddingErrors,
+            builtAt: this.builtAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Cosine similarity of two vectors
+     * @param {number[]} a - Vector
+     * @param {number[]} b - Vector
+     * @returns {number}
+     */
+    static cosine(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    /**
+     * BM25 score per chunk for the query terms
+     * @private
+     */
+    _bm25(queryTerms) {
+        const scores = new Map();
+        const count = this.chunks.size;
+        if (count === 0 || queryTerms.length === 0) return scores;
+
+        const averageLength = this.totalLength / count || 1;
+        queryTerms.forEach(term => {
+            const df = this.documentFrequency.get(term) || 0;
+            if (df === 0) return;
+            const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+            this.chunks.forEach(chunk => {
+                const tf = chunk.terms.get(term);
+                if (!tf) return;
+                const weight = idf * (tf * (SearchIndex.K1 + 1)) /
+                    (tf + SearchIndex.K1 * (1 - SearchIndex.B + SearchIndex.B * chunk.length / averageLength));
+                scores.set(chunk.id, (scores.get(chunk.id) || 0) + weight);
+            });
+        });
+        return scores;
+    }
+
+    /**
+     * Chunk and index one file
+     * @private
+     * @returns {boolean} True if the file was indexed
+     */
+    _addFile(filePath) {
+        let content;
+        try {
+            const stats = fs.statSync(filePath);
+            if (!stats.isFile() || stats.size > this.options.maxFileSize) return false;
+            content = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            return false;
+        }
+        if (content.includes('\u0000')) return false; // Binary file with a text extension
+
+        const ids = [];
+        const relativePath = this._relativePath(filePath);
+        SearchIndex.chunkText(content, this.options.chunkLines, this.options.chunkOverlap).forEach(piece => {
+            // The path is indexed with every chunk so file names match queries
+            const tokens = SearchIndex.tokenize(`${relativePath}\n${piece.content}`);
+            const terms = new Map();
+            tokens.forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+            terms.forEach((tf, term) => this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1));
+
+            const id = `${relativePath}#${piece.startLine}`;
+            this.chunks.set(id, { id, file: filePath, ...piece, terms, length: tokens.length, vector: null });
+            this.totalLength += tokens.length;
+            ids.push(id);
+        });
+        this.fileChunks.set(filePath, ids);
+        return true;
+    }
+
+    /**
+     * Remove a file's chunks from the index
+     * @private
+     */
+    _removeFile(filePath) {
+        const ids = this.fileChunks.get(filePath);
+        if (!ids) return;
+        ids.forEach(id => {
+            const chunk = this.chunks.get(id);
+            if (!chunk) return;
+            chunk.terms.forEach((tf, term) => {
+                const df = (this.documentFrequency.get(term) || 1) - 1;
+                if (df > 0) {
+                    this.documentFrequency.set(term, df);
+                } else {
+                    this.documentFrequency.delete(term);
+                }
+            });
+            this.totalLength -= chunk.length;
+            this.chunks.delete(id);
+        });
+        this.fileChunks.delete(filePath);
+    }
+
+    /**
+     * Compute embeddings for chunks that have none (failures leave the chunk keyword-only)
+     * @private
+     */
+    async _embedPending() {
+        if (!this.embeddingBackend) return;
+
+        const pending = [...this.chunks.values()].filter(chunk => !chunk.vector);
+        const batchSize = this.embeddingBackend.batchSize;
+        for (let i = 0; i < pending.length; i += batchSize) {
+            const batch = pending.slice(i, i + batchSize);
+            try {
+                const vectors = await this.embeddingBackend.embed(batch.map(chunk => chunk.content));
+                batch.forEach((chunk, index) => { chunk.vector = vectors[index] || null; });
+            } catch (error) {
+                this.embeddingErrors++;
+                console.warn(`[SearchIndex] Embedding failed for ${batch.length} chunks: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _hasVectors() {
+        for (const chunk of this.chunks.values()) {
+            if (chunk.vector) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Text files under the root, skipping ignored directories
+     * @private
+     * @returns {string[]} Absolute paths
+     */
+    _walk() {
+        const files = [];
+        const walkDir = (dirPath, depth) => {
+            if (depth > this.options.maxDepth || files.length >= this.options.maxFiles) return;
+            let entries;
+            try {
+                entries = fs.readdirSync(dirPath, { withFileTypes: true });
+            } catch (error) {
+                console.warn(`[SearchIndex] Could not read ${dirPath}: ${error.message}`);
+                return;
+            }
+            for (const entry of entries) {
+                if (files.length >= this.options.maxFiles) return;
+                const fullPath = path.join(dirPath, entry.name);
+                if (entry.isDirectory()) {
+                    if (!this.options.ignoreDirs.includes(entry.name.toLowerCase())) {
+                        walkDir(fullPath, depth + 1);
+                    }
+                } else if (entry.isFile() && this._isIndexable(fullPath)) {
+                    files.push(fullPath);
+                }
+            }
+        };
+        walkDir(this.rootDir, 0);
+        return files;
+    }
+
+    /**
+     * Whether a file has an indexed extension and is outside ignored directories
+     * @private
+     */
+    _isIndexable(filePath) {
+        if (!this.options.extensions.includes(path.extname(filePath).toLowerCase())) return false;
+        const segments = path.relative(this.rootDir, filePath).split(path.sep).slice(0, -1);
+        return !segments.some(segment => this.options.ignoreDirs.includes(segment.toLowerCase()));
+    }
+
+    /**
+     * Path relative to the base directory, with forward slashes
+     * @private
+     */
+    _relativePath(filePath) {
+        return path.relative(this.baseDir, filePath).split(path.sep).join('/');
+    }
+}
+
+module.exports = SearchIndex;
@@ -0,0 +1,175 @@
+// Search Index Manager - One SearchIndex per scope directory, built on first use
+// Kept fresh from file watcher events; embeddings are configured in search-config.json
+const fs = require('fs');
+const path = require('path');
+const SearchIndex = require('./SearchIndex');
+const OpenAICompatibleEmbeddingBackend = require('./OpenAICompatibleEmbeddingBackend');
+
+class SearchIndexManager {
+    static BACKEND_TYPES = {
+        'openai-compatible': OpenAICompatibleEmbeddingBackend
+    };
+
+    // Editors write files in several steps; wait for them to settle before re-indexing
+    static REFRESH_DEBOUNCE_MS = 500;
+
+    /**
+     * @param {object} options
+     * @param {string} options.baseDir - Result paths are relative to this directory
+     * @param {object} options.indexOptions - Options passed to every SearchIndex (extensions, ignoreDirs, ...)
+     * @param {Function} [options.watch] - watch(rootDir) starts a file watcher that reports to notifyFileChange();
+     *                                     returns { success } or { error }
+     */
+    constructor(options = {}) {
+        this.baseDir = options.baseDir;
+        this.indexOptions = options.indexOptions || {};
+        this.watch = options.watch || null;
+        this.embeddingBackend = null;
+        this.indexes = new Map();       // rootDir -> { index, building: Promise|null, watched: boolean }
+        this.pendingRefresh = new Map(); // filePath -> timer
+    }
+
+    /**
+     * Load index settings and the optional embedding backend from a JSON file
+     * Format: { "chunkLines", "chunkOverlap", "semanticWeight", "embedding": { "type", "baseUrl", "model", ... } }
+     * A missing file is not an error (keyword-only search)
+     * @param {string} filePath - Absolute path to the config file
+     * @returns {{success: boolean, embeddings: boolean, errors: string[]}}
+     */
+    loadConfigFromFile(filePath) {
+        if (!filePath || !fs.existsSync(filePath)) {
+            return { success: true, embeddings: false, errors: [] };
+        }
+
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.warn(`[SearchIndexManager] Could not parse ${filePath}: ${error.message}`);
+            return { success: false, embeddings: false, errors: [error.message] };
+        }
+
+        ['chunkLines', 'chunkOverlap', 'maxFileSize', 'maxFiles', 'semanticWeight'].forEach(key => {
+            if (typeof config[key] === 'number') {
+                this.indexOptions[key] = config[key];
+            }
+        });
+
+        if (config.embedding) {
+            const BackendClass = SearchIndexManager.BACKEND_TYPES[config.embedding.type];
+            try {
+                if (!BackendClass) {
+                    throw new Error(`Unknown embedding backend type: ${config.embedding.type}`);
+                }
+                this.embeddingBackend = new BackendClass(config.embedding);
+            } catch (error) {
+                console.warn(`[SearchIndexManager] Embeddings disabled: ${error.message}`);
+                return { success: false, embeddings: false, errors: [error.message] };
+            }
+        }
+
+        return { success: true, embeddings: !!this.embeddingBackend, errors: [] };
+    }
+
+    /**
+     * Get the index for a directory, building it on first use
+     * @param {string} rootDir - Absolute directory
+     * @param {boolean} rebuild - Rebuild even if an index exists
+     * @returns {Promise<SearchIndex>}
+     */
+    async getIndex(rootDir, rebuild = false) {
+        const key = path.resolve(rootDir);
+        let entry = this.indexes.get(key);
+
+        if (!entry) {
+            entry = {
+                index: new SearchIndex(key, { ...this.indexOptions, baseDir: this.baseDir, embeddingBackend: this.embeddingBackend }),
+                building: null,
+                watched: false
+            };
+            this.indexes.set(key, entry);
+            rebuild = true;
+        }
+
+        if (entry.building) {
+            await entry.building;
+        } else if (rebuild) {
+            entry.building = entry.index.build();
+            try {
+                await entry.building;
+            } finally {
+                entry.building = null;
+            }
+            if (!entry.watched && this.watch) {
+                const result = this.watch(key);
+                entry.watched = !!(result && result.success);
+            }
+        }
+
+        return entry.index;
+    }
+
+    /**
+     * Search a directory's index
+     * @param {string} rootDir - Absolute directory
+     * @param {string} query - Query text
+     * @param {object} options - { limit, mode }
+     * @returns {Promise<{results: Array, index: object}>}
+     */
+    async query(rootDir, query, options = {}) {
+        const index = await this.getIndex(rootDir);
+        const results = await index.search(query, options);
+        return { results, index: this.describe(rootDir) };
+    }
+
+    /**
+     * Queue a re-index of a changed, created or deleted file in every index that contains it
+     * @param {string} filePath - Absolute file path
+     */
+    notifyFileChange(filePath) {
+        const absolutePath = path.resolve(filePath);
+        const affected = [...this.indexes.values()].filter(entry => entry.index.contains(absolutePath));
+        if (affected.length === 0) return;
+
+        clearTimeout(this.pendingRefresh.get(absolutePath));
+        this.pendingRefresh.set(absolutePath, setTimeout(() => {
+            this.pendingRefresh.delete(absolutePath);
+            affected.forEach(entry => {
+                entry.index.refreshFile(absolutePath).catch(error => {
+                    console.warn(`[SearchIndexManager] Could not re-index ${absolutePath}: ${error.message}`);
+                });
+            });
+        }, SearchIndexManager.REFRESH_DEBOUNCE_MS));
+    }
+
+    /**
+     * Stats for one index
+     * @param {string} rootDir - Absolute directory
+     * @returns {object|null}
+     */
+    describe(rootDir) {
+        const entry = this.indexes.get(path.resolve(rootDir));
+        return entry ? { ...entry.index.stats(), watched: entry.watched, building: !!entry.building } : null;
+    }
+
+    /**
+     * Stats for every index
+     * @returns {{embeddings: object|null, indexes: Array}}
+     */
+    list() {
+        return {
+            embeddings: this.embeddingBackend ? this.embeddingBackend.describe() : null,
+            indexes: [...this.indexes.keys()].map(key => this.describe(key))
+        };
+    }
+
+    /**
+     * Cancel pending refreshes
+     */
+    shutdown() {
+        this.pendingRefresh.forEach(timer => clearTimeout(timer));
+        this.pendingRefresh.clear();
+    }
+}
+
+module.exports = SearchIndexManager;
@@ -0,0 +1,427 @@
+// Snapshot Harness - Regression checks for the pipeline prompts and for parsing/scoring of agent responses
+// Prompts for every case/step/modifier combination are compared with golden files in snapshots/prompts/;
+// recorded responses in snapshots/responses/ are replayed through StructuredOutputParser, the output schemas
+// and RubricScorer
+const fs = require('fs');
+const path = require('path');
+const OutputSchemaValidator = require('../utils/OutputSchemaValidator');
+const RevisionHistoryService = require('../../modules/services/RevisionHistoryService');
+const RubricScorer = require('../../modules/services/RubricScorer');
+const StructuredOutputParser = require('../../modules/utils/StructuredOutputParser');
+
+class SnapshotHarness {
+    static STATUS = {
+        UNCHANGED: 'unchanged',
+        CHANGED: 'changed',
+        NEW: 'new',         // No golden file yet
+        MISSING: 'missing', // Golden file whose combination no longer exists
+        ERROR: 'error',
+        UPDATED: 'updated'  // Golden file written or removed by an update
+    };
+
+    // Unchanged lines shown around each change in text diffs
+    static CONTEXT_LINES = 3;
+
+    // Changed lines shown per diff before the rest is summarised
+    static MAX_DIFF_LINES = 200;
+
+    /**
+     * @param {object} options
+     * @param {PromptAssembler} options.assembler - Prompt assembler for the app root
+     * @param {string} options.referenceDir - reference/ directory (for the modifier files of each step)
+     * @param {string} options.snapshotDir - Directory holding prompts/ and responses/
+     */
+    constructor(options = {}) {
+        this.assembler = options.assembler;
+        this.referenceDir = options.referenceDir;
+        this.snapshotDir = options.snapshotDir;
+        this.promptDir = path.join(this.snapshotDir, 'prompts');
+        this.responseDir = path.join(this.snapshotDir, 'responses');
+        this.scorer = new RubricScorer();
+        this.outputValidator = new OutputSchemaValidator();
+    }
+
+    /**
+     * Assemble the prompt of every case/step/modifier combination for a fixed fixture project
+     * Core steps get the case's modifiers, no modifiers and each of their modifier files on its own;
+     * inference and process steps (which take no modifiers) get one prompt each
+     * @param {string} [filter] - Only combinations whose ID contains this text
+     * @returns {Promise<Array<{id: string, prompt: string|null, error: string|null}>>} ID is the golden file path without .md
+     */
+    async collectPrompts(filter = '') {
+        const combinations = [];
+        const cases = await this.assembler.getCases();
+
+        for (const caseNumber of Object.keys(cases).sort((a, b) => Number(a) - Number(b))) {
+            const caseConfig = cases[caseNumber];
+            const project = SnapshotHarness.fixtureProject(caseNumber, await this.assembler.getCaseSections(caseNumber));
+            const caseDir = `case-${caseNumber}`;
+
+            project.sections.forEach(section => {
+                if (section.isInferenceStep) {
+                    combinations.push({ id: `${caseDir}/${section.stepName}`, project, section });
+                    return;
+                }
+                const variants = new Map([[section.stepName, section.modifiers]]);
+                if (section.modifiers.length > 0) {
+                    variants.set(`${section.stepName}+none`, []);
+                }
+                this._modifierFiles(section.stepName)
+                    .filter(modifier => !(section.modifiers.length === 1 && section.modifiers[0] === modifier))
+                    .forEach(modifier => variants.set(`${section.stepName}+${modifier}`, [modifier]));
+                variants.forEach((modifiers, name) => {
+                    combinations.push({ id: `${caseDir}/${name}`, project, section: { ...section, modifiers } });
+                });
+            });
+
+            Object.entries(caseConfig.processSteps || {}).forEach(([name, processConfig]) => {
+                const trigger = ((processConfig && processConfig.triggers) || [])[0];
+                combinations.push({
+                    id: `${caseDir}/process/${name}`,
+                    project,
+                    section: SnapshotHarness.fixtureSection({
+                        id: name,
+                        stepName: name,
+                        name: name,
+                        dependencies: trigger ? [trigger] : [],
+                        isProcessStep: true,
+                        processStepType: name
+                    })
+                });
+            });
+        }
+
+        const results = [];
+        for (const combination of combinations.filter(c => c.id.includes(filter))) {
+            try {
+                const prompt = await this.assembler.getPrompt(combination.section, combination.project);
+                results.push({ id: combination.id, prompt, error: null });
+            } catch (error) {
+                results.push({ id: combination.id, prompt: null, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Compare assembled prompts with the golden files
+     * @param {object} [options]
+     * @param {boolean} [options.update] - Write new and changed golden files, remove those without a combination
+     * @param {string} [options.filter] - Only combinations whose ID contains this text
+     * @returns {Promise<Array<{id: string, status: string, diff: object|null, error: string|null}>>}
+     */
+    async checkPrompts(options = {}) {
+        const filter = options.filter || '';
+        const current = await this.collectPrompts(filter);
+        const results = current.map(({ id, prompt, error }) => {
+            const goldenPath = path.join(this.promptDir, `${id}.md`);
+            if (error) {
+                return { id, status: SnapshotHarness.STATUS.ERROR, diff: null, error };
+            }
+            const golden = fs.existsSync(goldenPath) ? fs.readFileSync(goldenPath, 'utf8') : null;
+            const status = golden === null
+                ? SnapshotHarness.STATUS.NEW
+                : (golden === prompt ? SnapshotHarness.STATUS.UNCHANGED : SnapshotHarness.STATUS.CHANGED);
+            const diff = status === SnapshotHarness.STATUS.CHANGED ? RevisionHistoryService.diffLines(golden, prompt) : null;
+            if (options.update && status !== SnapshotHarness.STATUS.UNCHANGED) {
+                fs.mkdirSync(path.dirname(goldenPath), { recursive: true });
+                fs.writeFileSync(goldenPath, prompt, 'utf8');
+                return { id, status: SnapshotHarness.STATUS.UPDATED, diff, error: null };
+            }
+            return { id, status, diff, error: null };
+        });
+
+        const currentIds = new Set(current.map(result => result.id));
+        this._listFiles(this.promptDir, '.md')
+            .map(file => file.slice(0, -'.md'.length))
+            .filter(id => id.includes(filter) && !currentIds.has(id))
+            .forEach(id => {
+                if (options.update) {
+                    fs.unlinkSync(path.join(this.promptDir, `${id}.md`));
+                }
+                results.push({
+                    id,
+                    status: options.update ? SnapshotHarness.STATUS.UPDATED : SnapshotHarness.STATUS.MISSING,
+                    diff: null,
+                    error: options.update ? 'Golden file removed (combination no longer exists)' : null
+                });
+            });
+
+        return results.sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Replay the recorded responses through the parser and the rubric scorer and compare with the recorded results
+     * @param {object} [options]
+     * @param {boolean} [options.update] - Store the current results as the expected ones
+     * @param {string} [options.filter] - Only fixtures whose name contains this text
+     * @returns {Promise<Array<{id: string, status: string, changes: Array<{field: string, diff: object}>, error: string|null}>>}
+     */
+    async replayResponses(options = {}) {
+        const results = [];
+        const files = this._listFiles(this.responseDir, '.json').filter(file => file.includes(options.filter || ''));
+
+        for (const file of files) {
+            const fixturePath = path.join(this.responseDir, file);
+            const id = file.slice(0, -'.json'.length);
+            try {
+                const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+                const actual = await this.evaluateResponse(fixture.stepName, fixture.output);
+                const expected = fixture.expected || {};
+                const changes = ['structuredOutputs', 'schemaErrors', 'score', 'failedItems']
+                    .map(field => ({
+                        field,
+                        before: SnapshotHarness._stableJson(expected[field]),
+                        after: SnapshotHarness._stableJson(actual[field])
+                    }))
+                    .filter(change => change.before !== change.after)
+                    .map(change => ({ field: change.field, diff: RevisionHistoryService.diffLines(change.before, change.after) }));
+
+                if (changes.length > 0 && options.update) {
+                    fs.writeFileSync(fixturePath, JSON.stringify({ ...fixture, expected: actual }, null, 2), 'utf8');
+                }
+                const status = changes.length === 0
+                    ? SnapshotHarness.STATUS.UNCHANGED
+                    : (options.update ? SnapshotHarness.STATUS.UPDATED : SnapshotHarness.STATUS.CHANGED);
+                results.push({ id, status, changes, error: null });
+            } catch (error) {
+                results.push({ id, status: SnapshotHarness.STATUS.ERROR, changes: [], error: error.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Parse, validate and score a response the way the app does
+     * @param {string} stepName - Step the response is for
+     * @param {string} output - Agent response
+     * @returns {Promise<{structuredOutputs: object, schemaErrors: string[]|null, score: number, failedItems: string[]}>}
+     *          schemaErrors is null when the step has no output schema
+     */
+    async evaluateResponse(stepName, output) {
+        const validation = this.outputValidator.validate(await this.assembler.getOutputSchema(stepName), output);
+        const quality = this.scorer.score(output, await this.assembler.getRubric(stepName), validation);
+        return {
+            structuredOutputs: StructuredOutputParser.parse(output),
+            schemaErrors: validation.hasSchema ? validation.errors : null,
+            score: Math.round(quality.score * 1000) / 1000,
+            failedItems: quality.failedItems.map(item => item.id)
+        };
+    }
+
+    /**
+     * Record the outputs of a project's steps as response fixtures (existing fixtures are replaced)
+     * @param {object} project - Project from a project group file
+     * @returns {Promise<string[]>} Fixture names written
+     */
+    async recordResponses(project) {
+        fs.mkdirSync(this.responseDir, { recursive: true });
+        const written = [];
+        for (const section of (project.sections || []).filter(s => s.output && s.output.trim())) {
+            const stepName = section.stepName || section.sectionId;
+            const name = `case-${project.case}-${section.sectionId}`.replace(/[^a-zA-Z0-9_-]/g, '-');
+            const fixture = {
+                name,
+                caseNumber: project.case,
+                stepName,
+                recordedAt: new Date().toISOString(),
+                output: section.output,
+                expected: await this.evaluateResponse(stepName, section.output)
+            };
+            fs.writeFileSync(path.join(this.responseDir, `${name}.json`), JSON.stringify(fixture, null, 2), 'utf8');
+            written.push(name);
+        }
+        return written;
+    }
+
+    /**
+     * Whether check results contain differences (anything but unchanged or updated)
+     * @param {Array} results - Results of checkPrompts() and/or replayResponses()
+     * @returns {boolean}
+     */
+    static hasDifferences(results) {
+        const { UNCHANGED, UPDATED } = SnapshotHarness.STATUS;
+        return results.some(result => result.status !== UNCHANGED && result.status !== UPDATED);
+    }
+
+    /**
+     * Format check results as a readable report with a unified diff per change
+     * @param {{prompts: Array|null, responses: Array|null}} results - Check results
+     * @param {object} [options]
+     * @param {boolean} [options.markdown] - Markdown (diffs in ```diff blocks) instead of plain text
+     * @returns {string}
+     */
+    static formatReport(results, options = {}) {
+        const markdown = Boolean(options.markdown);
+        const lines = [];
+        const heading = (text) => lines.push(markdown ? `\n## ${text}\n` : `\n=== ${text} ===`);
+        const block = (diffLines) => {
+            if (markdown) lines.push('```diff');
+            lines.push(...diffLines);
+            if (markdown) lines.push('```');
+        };
+
+        const section = (title, items, describe) => {
+            if (!items) return;
+            heading(title);
+            const counts = {};
+            items.forEach(item => { counts[item.status] = (counts[item.status] || 0) + 1; });
+            lines.push(Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ') || 'nothing to check');
+            if (counts[SnapshotHarness.STATUS.NEW] || counts[SnapshotHarness.STATUS.MISSING]) {
+                lines.push('New and missing golden files are created or removed with --update');
+            }
+            items.filter(item => item.status !== SnapshotHarness.STATUS.UNCHANGED).forEach(item => {
+                lines.push(markdown ? `\n### ${item.id} (${item.status})` : `\n[${item.status}] ${item.id}`);
+                describe(item);
+            });
+        };
+
+        section('Prompts', results.prompts, (item) => {
+            if (item.error) lines.push(item.error);
+            if (item.diff) block(SnapshotHarness.formatDiff(item.diff, 'golden', 'current'));
+        });
+        section('Recorded responses', results.responses, (item) => {
+            if (item.error) lines.push(item.error);
+            item.changes.forEach(change => {
+                lines.push(markdown ? `\n${change.field}:` : `${change.field}:`);
+                block(SnapshotHarness.formatDiff(change.diff, 'recorded', 'replayed'));
+            });
+        });
+
+        return lines.join('\n').trim();
+    }
+
+    /**
+     * Unified diff lines (---/+++ header, @@ hunks with context) for a diffLines() result
+     * @param {object} diff - Result of RevisionHistoryService.diffLines
+     * @param {string} beforeLabel - Name of the left side
+     * @param {string} afterLabel - Name of the right side
+     * @returns {string[]}
+     */
+    static formatDiff(diff, beforeLabel, afterLabel) {
+        // Changed rows become a removed and an added line
+        const ops = [];
+        diff.rows.forEach(row => {
+            if (row.type === 'same') {
+                ops.push({ sign: ' ', text: row.left.text, left: row.left.number, right: row.right.number });
+            } else {
+                if (row.left) ops.push({ sign: '-', text: row.left.text, left: row.left.number, right: null });
+                if (row.right) ops.push({ sign: '+', text: row.right.text, left: null, right: row.right.number });
+            }
+        });
+
+        const context = SnapshotHarness.CONTEXT_LINES;
+        const visible = new Set();
+        ops.forEach((op, index) => {
+            if (op.sign === ' ') return;
+            for (let i = Math.max(0, index - context); i <= Math.min(ops.length - 1, index + context); i++) {
+                visible.add(i);
+            }
+        });
+
+        const lines = [`--- ${beforeLabel}`, `+++ ${afterLabel}`];
+        let shown = 0;
+        let previous = -2;
+        for (let index = 0; index < ops.length; index++) {
+            if (!visible.has(index)) continue;
+            if (shown >= SnapshotHarness.MAX_DIFF_LINES) {
+                lines.push(`... ${diff.added + diff.removed} changed line(s) in total`);
+                break;
+            }
+            const op = ops[index];
+            if (index !== previous + 1) {
+                const left = ops.slice(index).find(candidate => candidate.left !== null);
+                const right = ops.slice(index).find(candidate => candidate.right !== null);
+                lines.push(`@@ -${left ? left.left : 0} +${right ? right.right : 0} @@`);
+            }
+            lines.push(`${op.sign}${op.text}`);
+            previous = index;
+            shown++;
+        }
+        return lines;
+    }
+
+    /**
+     * Project with every section of a case, fixed inputs and stand-in outputs, so prompts only change with the templates
+     * @param {string|number} caseNumber - Case number
+     * @param {object[]} sectionDefinitions - Sections from PipelineConfig.generateSectionsForCase
+     * @returns {object} Project
+     */
+    static fixtureProject(caseNumber, sectionDefinitions) {
+        return {
+            id: `snapshot-case-${caseNumber}`,
+            name: `Snapshot Case ${caseNumber}`,
+            description: 'Fixture project for prompt snapshots',
+            case: Number(caseNumber),
+            caseChain: null,
+            automationDirectory: null,
+            scopeDirectory: null,
+            sections: sectionDefinitions.map(definition => SnapshotHarness.fixtureSection(definition))
+        };
+    }
+
+    /**
+     * Section with a fixed input and output named after the step
+     * @param {object} definition - Section definition ({ id, stepName, name, ... })
+     * @returns {object} Section
+     */
+    static fixtureSection(definition) {
+        return {
+            sectionId: definition.id,
+            sectionName: definition.name,
+            stepName: definition.stepName,
+            dependencies: definition.dependencies || [],
+            modifiers: definition.modifiers || [],
+            specialized: definition.specialized || null,
+            isInferenceStep: Boolean(definition.isInferenceStep),
+            isProcessStep: Boolean(definition.isProcessStep),
+            processStepType: definition.processStepType || null,
+            input: `[fixture input for ${definition.id}]`,
+            output: `[fixture output of ${definition.id}]`,
+            status: 'complete'
+        };
+    }
+
+    /**
+     * Modifier files available for a step
+     * @private
+     */
+    _modifierFiles(stepName) {
+        const dir = path.join(this.referenceDir, 'pipeline-steps', 'modifiers', stepName);
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith('.md'))
+            .map(file => file.slice(0, -'.md'.length))
+            .sort();
+    }
+
+    /**
+     * Files with an extension under a directory, as forward-slash paths relative to it
+     * @private
+     */
+    _listFiles(dir, extension, prefix = '') {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+            const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) return this._listFiles(path.join(dir, entry.name), extension, relative);
+            return entry.name.endsWith(extension) ? [relative] : [];
+        }).sort();
+    }
+
+    /**
+     * JSON with sorted object keys, so key order never shows up as a change
+     * @private
+     */
+    static _stableJson(value) {
+        const sortKeys = (item) => {
+            if (Array.isArray(item)) return item.map(sortKeys);
+            if (item && typeof item === 'object') {
+                return Object.keys(item).sort().reduce((sorted, key) => ({ ...sorted, [key]: sortKeys(item[key]) }), {});
+            }
+            return item;
+        };
+        return value === undefined ? '' : JSON.stringify(sortKeys(value), null, 2);
+    }
+}
+
+module.exports = SnapshotHarness;
@@ -0,0 +1,137 @@
+// Template Store - User-defined project templates, one JSON file each under saved-files/templates
+const fs = require('fs');
+const path = require('path');
+
+class TemplateStore {
+    // Marks a JSON file as a project template (guards imports of project group files)
+    static KIND = 'feat-spec-template';
+
+    static MAX_TEMPLATE_SIZE = 10 * 1024 * 1024;
+
+    /**
+     * @param {string} directory - Directory holding the template files (created on first save)
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * All templates, most recently updated first
+     * @returns {Array<object>} Full template documents
+     */
+    list() {
+        if (!fs.existsSync(this.directory)) return [];
+
+        return fs.readdirSync(this.directory)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                try {
+                    return JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+                } catch (error) {
+                    console.warn(`[TemplateStore] Skipping unreadable template ${file}: ${error.message}`);
+                    return null;
+                }
+            })
+            .filter(template => template && TemplateStore.validate(template).length === 0)
+            .sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')));
+    }
+
+    /**
+     * Create a template; a template without an id, or whose id is already taken, gets a new one from its name
+     * (an imported file never replaces a stored template)
+     * @param {object} template - Template document
+     * @returns {object} Saved template
+     * @throws {Error} If the template is invalid or too large
+     */
+    save(template) {
+        const errors = TemplateStore.validate(template);
+        if (errors.length > 0) {
+            throw new Error(`Invalid template: ${errors.join('; ')}`);
+        }
+
+        const now = new Date().toISOString();
+        const requestedId = TemplateStore._safeId(template.id);
+        const id = requestedId && !fs.existsSync(this._filePath(requestedId)) ? requestedId : this._uniqueId(template.name);
+        const saved = { ...template, id, createdAt: template.createdAt || now, updatedAt: now };
+        const content = JSON.stringify(saved, null, 2);
+        if (content.length > TemplateStore.MAX_TEMPLATE_SIZE) {
+            throw new Error('Template exceeds the maximum size');
+        }
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(this._filePath(id), content, 'utf8');
+        return saved;
+    }
+
+    /**
+     * Delete a template
+     * @param {string} id - Template ID
+     * @returns {boolean} False if there was no such template
+     */
+    remove(id) {
+        const safeId = TemplateStore._safeId(id);
+        if (!safeId || !fs.existsSync(this._filePath(safeId))) return false;
+        fs.unlinkSync(this._filePath(safeId));
+        return true;
+    }
+
+    /**
+     * Structural checks for a template document
+     * @param {object} template - Template document
+     * @returns {string[]} Problems (empty when valid)
+     */
+    static validate(template) {
+        const errors = [];
+        if (!template || typeof template !== 'object' || Array.isArray(template)) {
+            return ['template must be an object'];
+        }
+        if (template.kind !== TemplateStore.KIND) {
+            errors.push(`kind must be "${TemplateStore.KIND}"`);
+        }
+        if (typeof template.name !== 'string' || !template.name.trim()) {
+            errors.push('name is required');
+        }
+        if (template.case !== null && template.case !== undefined && !Number.isInteger(template.case)) {
+            errors.push('case must be an integer');
+        }
+        if (!Array.isArray(template.sections)) {
+            errors.push('sections must be an array');
+        } else {
+            template.sections.forEach((section, index) => {
+                if (!section || typeof section.sectionId !== 'string' || !section.sectionId) {
+                    errors.push(`sections[${index}] needs a sectionId`);
+                }
+            });
+        }
+        return errors;
+    }
+
+    /**
+     * @private
+     */
+    _uniqueId(name) {
+        const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'template';
+        let id = `user-${base}`;
+        for (let n = 2; fs.existsSync(this._filePath(id)); n++) {
+            id = `user-${base}-${n}`;
+        }
+        return id;
+    }
+
+    /**
+     * @private
+     */
+    _filePath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    /**
+     * IDs become file names: letters, digits, dashes and underscores only
+     * @private
+     */
+    static _safeId(id) {
+        return typeof id === 'string' && /^[a-zA-Z0-9_-]{1,100}$/.test(id) ? id : null;
+    }
+}
+
+module.exports = TemplateStore;
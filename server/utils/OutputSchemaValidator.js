@@ -0,0 +1,75 @@
+// Output Schema Validator - Validates the structured JSON of a step output against the step's
+// JSON Schema from pipeline-config.json ("outputSchemas")
+const Ajv = require('ajv');
+const StructuredOutputParser = require('../../modules/utils/StructuredOutputParser');
+
+class OutputSchemaValidator {
+    // Error messages reported per output (the rest are counted)
+    static MAX_ERRORS = 20;
+
+    constructor() {
+        this.ajv = new Ajv({
+            allErrors: true,
+            strict: false
+        });
+        this.compiled = new Map(); // schema JSON → compiled validate function
+    }
+
+    /**
+     * Validate a step output against a schema
+     * @param {object|null} schema - JSON Schema (null when the step has none)
+     * @param {string} output - Step output
+     * @returns {{hasSchema: boolean, valid: boolean, data: *, errors: string[]}} data is the parsed JSON
+     *          (null when none was found or it does not parse); errors are "<path> <message>" lines
+     */
+    validate(schema, output) {
+        const extracted = StructuredOutputParser.extractJson(output);
+        if (!schema) {
+            return { hasSchema: false, valid: true, data: extracted.data, errors: [] };
+        }
+        if (!extracted.found) {
+            return { hasSchema: true, valid: false, data: null, errors: ['No JSON found: expected a ```json block'] };
+        }
+        if (extracted.error) {
+            return { hasSchema: true, valid: false, data: null, errors: [`Invalid JSON: ${extracted.error}`] };
+        }
+
+        const validateFn = this._compile(schema);
+        if (validateFn(extracted.data)) {
+            return { hasSchema: true, valid: true, data: extracted.data, errors: [] };
+        }
+        return { hasSchema: true, valid: false, data: extracted.data, errors: this.formatErrors(validateFn.errors) };
+    }
+
+    /**
+     * Format Ajv errors as "<path> <message>" lines
+     * @param {Array} errors - Ajv errors
+     * @returns {string[]}
+     */
+    formatErrors(errors) {
+        const lines = (errors || []).map(err => {
+            const detail = err.params && err.params.additionalProperty ? ` "${err.params.additionalProperty}"` : '';
+            return `${err.instancePath || '/'} ${err.message || 'is invalid'}${detail}`;
+        });
+        if (lines.length > OutputSchemaValidator.MAX_ERRORS) {
+            const more = lines.length - OutputSchemaValidator.MAX_ERRORS;
+            return [...lines.slice(0, OutputSchemaValidator.MAX_ERRORS), `...and ${more} more`];
+        }
+        return lines;
+    }
+
+    /**
+     * Compile a schema once per distinct schema
+     * @private
+     * @throws {Error} If the schema is not a valid JSON Schema
+     */
+    _compile(schema) {
+        const key = JSON.stringify(schema);
+        if (!this.compiled.has(key)) {
+            this.compiled.set(key, this.ajv.compile(schema));
+        }
+        return this.compiled.get(key);
+    }
+}
+
+module.exports = OutputSchemaValidator;
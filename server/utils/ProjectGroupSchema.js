@@ -1,5 +1,5 @@
 // JSON Schema for Project Group Files
-// Supports both new format (projects) and old format (pages) for backward compatibility
+// Describes the current schemaVersion; older files are upgraded by ProjectGroupMigrations before validation
 
 const projectGroupSchema = {
     type: 'object',
@@ -14,11 +14,11 @@ const projectGroupSchema = {
                     id: { type: 'string', minLength: 1 },
                     name: { type: 'string', minLength: 1 },
                     description: { type: 'string' },
-                    case: { type: 'integer', minimum: 1, maximum: 4 },
+                    case: { type: 'integer', minimum: 1 }, // Cases are defined in pipeline-config.json
                     caseChain: { 
                         type: ['object', 'null'],
                         properties: {
-                            previousCase: { type: 'integer', minimum: 1, maximum: 4 },
+                            previousCase: { type: 'integer', minimum: 1 },
                             enhancedFrom: { type: 'string' }
                         }
                     },
@@ -27,6 +27,10 @@ const projectGroupSchema = {
                     automationEngine: { type: 'string' },
                     automationDirectory: { type: ['string', 'null'] },
                     scopeDirectory: { type: ['string', 'null'] },
+                    agentProvider: { type: ['string', 'null'] },
+                    tokenBudget: { type: ['object', 'null'] },
+                    tokenUsage: { type: ['object', 'null'] },
+                    contextWindow: { type: ['object', 'null'] },
                     status: { type: 'string' },
                     sections: {
                         type: 'array',
@@ -43,6 +47,11 @@ const projectGroupSchema = {
                                 prompt: { type: 'string' },
                                 input: { type: 'string' },
                                 output: { type: 'string' },
+                                structuredOutput: {}, // Parsed JSON of the output (any JSON value or null)
+                                structuredOutputErrors: {
+                                    type: 'array',
+                                    items: { type: 'string' }
+                                },
                                 dependencies: { 
                                     type: 'array',
                                     items: { type: 'string' }
@@ -57,6 +66,19 @@ const projectGroupSchema = {
                                 isInferenceStep: { type: 'boolean' },
                                 processStepType: { type: ['string', 'null'] },
                                 specialized: { type: ['string', 'null'] },
+                                revisions: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['id', 'field', 'value', 'source', 'timestamp'],
+                                        properties: {
+                                            field: { type: 'string', enum: ['output', 'input', 'prompt'] },
+                                            value: { type: 'string' },
+                                            source: { type: 'string' },
+                                            timestamp: { type: 'string' }
+                                        }
+                                    }
+                                },
                                 lastModified: { type: 'string' }
                             },
                             additionalProperties: true // Allow extra fields for flexibility
@@ -137,7 +159,8 @@ const projectGroupSchema = {
             },
             additionalProperties: true
         },
-        activeProjectId: { type: ['string', 'null'] }
+        activeProjectId: { type: ['string', 'null'] },
+        schemaVersion: { type: 'integer', minimum: 0 }
     },
     // At least one of projects or pages must exist
     anyOf: [
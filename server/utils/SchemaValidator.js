@@ -1,6 +1,7 @@
 // Schema Validator - Validates project group files using JSON Schema
 const Ajv = require('ajv');
 const projectGroupSchema = require('./ProjectGroupSchema');
+const ProjectGroupMigrations = require('../../modules/utils/ProjectGroupMigrations');
 
 class SchemaValidator {
     constructor() {
@@ -14,8 +15,9 @@ class SchemaValidator {
     
     /**
      * Validate project group data against schema
+     * Older files are validated as they will look after migration to the current schemaVersion
      * @param {object} data - Project group data to validate
-     * @returns {object} Validation result with success flag and errors
+     * @returns {object} Validation result with success flag, errors and the migration dry-run report
      */
     validateProjectGroup(data) {
         if (!data || typeof data !== 'object') {
@@ -26,13 +28,25 @@ class SchemaValidator {
             };
         }
         
+        let migration;
+        try {
+            ({ state: data, report: migration } = ProjectGroupMigrations.migrate(data));
+        } catch (error) {
+            return {
+                success: false,
+                errors: [{ message: error.message, instancePath: '/schemaVersion' }],
+                message: error.message
+            };
+        }
+        
         const valid = this.validate(data);
         
         if (!valid) {
             return {
                 success: false,
                 errors: this.validate.errors || [],
-                message: this.ajv.errorsText(this.validate.errors, { separator: '; ' })
+                message: this.ajv.errorsText(this.validate.errors, { separator: '; ' }),
+                migration
             };
         }
         
@@ -45,11 +59,12 @@ class SchemaValidator {
                     instancePath: '',
                     schemaPath: '#/anyOf'
                 }],
-                message: 'File must contain either "projects" or "pages" array'
+                message: 'File must contain either "projects" or "pages" array',
+                migration
             };
         }
         
-        return { success: true };
+        return { success: true, migration };
     }
     
     /**
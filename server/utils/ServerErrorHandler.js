@@ -16,6 +16,7 @@ class ServerErrorHandler {
         FILE_READ_ERROR: 'FILE_READ_ERROR',
         FILE_WRITE_ERROR: 'FILE_WRITE_ERROR',
         TIMEOUT_ERROR: 'TIMEOUT_ERROR',
+        CONFLICT: 'CONFLICT',
         UNKNOWN_ERROR: 'UNKNOWN_ERROR'
     };
     
@@ -151,6 +152,8 @@ class ServerErrorHandler {
             httpStatus = 403;
         } else if (errorResponse.code === ServerErrorHandler.ErrorCode.VALIDATION_ERROR) {
             httpStatus = 400;
+        } else if (errorResponse.code === ServerErrorHandler.ErrorCode.CONFLICT) {
+            httpStatus = 409;
         }
         
         res.writeHead(httpStatus, { 'Content-Type': 'application/json' });
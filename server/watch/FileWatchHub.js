@@ -0,0 +1,204 @@
+// File Watch Hub - One fs.watch per directory, shared by every owner (API watchers, search indexes, event streams)
+// Raw watcher events are debounced and a file is only reported once its size and mtime stop changing
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+class FileWatchHub extends EventEmitter {
+    static EVENTS = {
+        CREATED: 'file-created',
+        CHANGED: 'file-changed',
+        DELETED: 'file-deleted'
+    };
+
+    /**
+     * @param {object} options
+     * @param {number} [options.debounceMs] - Quiet time after the last raw event before a file is checked
+     * @param {number} [options.stableIntervalMs] - Delay between the size/mtime checks of a file still being written
+     * @param {number} [options.maxWaitMs] - Report a file that keeps changing after this long anyway
+     * @param {string[]} [options.ignoreDirs] - Directory names whose contents are never reported
+     */
+    constructor(options = {}) {
+        super();
+        this.debounceMs = options.debounceMs || 300;
+        this.stableIntervalMs = options.stableIntervalMs || 500;
+        this.maxWaitMs = options.maxWaitMs || 30000;
+        this.ignoreDirs = new Set(options.ignoreDirs || []);
+        this.directories = new Map(); // directory -> { watcher, refs, startedAt, fileStates: Map, pending: Map }
+    }
+
+    /**
+     * Start watching a directory, or add an owner to its existing watcher
+     * Every watch() must be balanced by an unwatch()
+     * @param {string} directory - Absolute, validated directory
+     */
+    watch(directory) {
+        const existing = this.directories.get(directory);
+        if (existing) {
+            existing.refs++;
+            return;
+        }
+
+        const entry = {
+            watcher: null,
+            refs: 1,
+            startedAt: Date.now(),
+            fileStates: new Map(), // relative path -> { size, lastModified }
+            pending: new Map()     // relative path -> { timer, last, since }
+        };
+        this._scan(directory, entry);
+        const onChange = (eventType, filename) => {
+            if (!filename) return;
+            const relativePath = filename.toString();
+            if (this._isIgnored(relativePath)) return;
+            this._schedule(directory, entry, relativePath, this.debounceMs);
+        };
+        try {
+            entry.watcher = fs.watch(directory, { recursive: true }, onChange);
+        } catch (error) {
+            // Recursive watching needs Node 20 on Linux; older versions only see the directory's own files
+            if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+            console.warn(`[FileWatchHub] Recursive watching is not available here; changes in subdirectories of ${directory} are not reported`);
+            entry.watcher = fs.watch(directory, onChange);
+        }
+        entry.watcher.on('error', (error) => {
+            console.warn(`[FileWatchHub] Watcher for ${directory} failed: ${error.message}`);
+        });
+        this.directories.set(directory, entry);
+    }
+
+    /**
+     * Remove an owner; the watcher is closed when the last owner is gone
+     * @param {string} directory - Directory passed to watch()
+     */
+    unwatch(directory) {
+        const entry = this.directories.get(directory);
+        if (!entry) return;
+        entry.refs--;
+        if (entry.refs <= 0) {
+            this._close(entry);
+            this.directories.delete(directory);
+        }
+    }
+
+    /**
+     * Whether a directory is being watched
+     * @param {string} directory - Absolute directory
+     * @returns {boolean}
+     */
+    isWatching(directory) {
+        return this.directories.has(directory);
+    }
+
+    /**
+     * Close every watcher
+     */
+    close() {
+        this.directories.forEach(entry => this._close(entry));
+        this.directories.clear();
+    }
+
+    /**
+     * Record the files present when watching starts so they are not reported as created
+     * @private
+     */
+    _scan(directory, entry) {
+        try {
+            fs.readdirSync(directory, { withFileTypes: true })
+                .filter(dirent => dirent.isFile())
+                .forEach(dirent => {
+                    const stats = fs.statSync(path.join(directory, dirent.name));
+                    entry.fileStates.set(dirent.name, { size: stats.size, lastModified: stats.mtimeMs });
+                });
+        } catch (error) {
+            console.warn(`[FileWatchHub] Could not list ${directory}: ${error.message}`);
+        }
+    }
+
+    /**
+     * (Re)start the timer of a file; a raw event during the stability checks restarts the debounce
+     * @private
+     */
+    _schedule(directory, entry, relativePath, delay) {
+        const pending = entry.pending.get(relativePath) || { timer: null, last: null, since: Date.now() };
+        clearTimeout(pending.timer);
+        pending.timer = setTimeout(() => this._check(directory, entry, relativePath), delay);
+        entry.pending.set(relativePath, pending);
+    }
+
+    /**
+     * Report a file once two consecutive checks see the same size and mtime
+     * @private
+     */
+    _check(directory, entry, relativePath) {
+        const pending = entry.pending.get(relativePath);
+        if (!pending || !this.directories.has(directory)) return;
+        const filePath = path.join(directory, relativePath);
+
+        let stats;
+        try {
+            stats = fs.statSync(filePath);
+        } catch (error) {
+            entry.pending.delete(relativePath);
+            if (entry.fileStates.delete(relativePath)) {
+                this._emit(directory, FileWatchHub.EVENTS.DELETED, relativePath, filePath, null);
+            }
+            return;
+        }
+        if (!stats.isFile()) {
+            entry.pending.delete(relativePath);
+            return;
+        }
+
+        const current = { size: stats.size, lastModified: stats.mtimeMs };
+        const stable = pending.last && pending.last.size === current.size && pending.last.lastModified === current.lastModified;
+        if (!stable && Date.now() - pending.since < this.maxWaitMs) {
+            pending.last = current;
+            pending.timer = setTimeout(() => this._check(directory, entry, relativePath), this.stableIntervalMs);
+            return;
+        }
+
+        entry.pending.delete(relativePath);
+        const known = entry.fileStates.get(relativePath);
+        if (known && known.size === current.size && known.lastModified === current.lastModified) {
+            return; // Touched but not changed
+        }
+        entry.fileStates.set(relativePath, current);
+        // Files in subdirectories are not scanned up front; birth time tells new files from edited ones
+        const isNew = !known && (!relativePath.includes(path.sep) || stats.birthtimeMs >= entry.startedAt);
+        this._emit(directory, isNew ? FileWatchHub.EVENTS.CREATED : FileWatchHub.EVENTS.CHANGED, relativePath, filePath, current);
+    }
+
+    /**
+     * @private
+     */
+    _emit(directory, type, relativePath, filePath, state) {
+        this.emit('event', directory, type, {
+            name: path.basename(relativePath),
+            relativePath: relativePath.split(path.sep).join('/'),
+            path: filePath,
+            size: state ? state.size : null,
+            lastModified: state ? state.lastModified : null
+        });
+    }
+
+    /**
+     * @private
+     */
+    _isIgnored(relativePath) {
+        return relativePath.split(/[\\/]/).some(part => this.ignoreDirs.has(part));
+    }
+
+    /**
+     * @private
+     */
+    _close(entry) {
+        entry.pending.forEach(pending => clearTimeout(pending.timer));
+        entry.pending.clear();
+        if (entry.watcher) {
+            entry.watcher.close();
+        }
+    }
+}
+
+module.exports = FileWatchHub;
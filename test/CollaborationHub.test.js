@@ -0,0 +1,96 @@
+// CollaborationHub - field locks on section and project updates
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CollaborationHub = require('../server/collab/CollaborationHub');
+
+const FILE = 'group.json';
+let hub;
+let received;
+
+beforeEach(() => {
+    hub = new CollaborationHub();
+    received = { alice: [], bob: [] };
+    hub.join(FILE, { clientId: 'alice', name: 'Alice' }, (event, payload) => received.alice.push({ event, payload }));
+    hub.join(FILE, { clientId: 'bob', name: 'Bob' }, (event, payload) => received.bob.push({ event, payload }));
+});
+
+const lockOutput = (clientId) => hub.acquireLock(FILE, clientId, { projectId: 'p1', sectionId: 's1', field: 'output' });
+const sectionUpdate = (updates) => ({ type: 'section-update', projectId: 'p1', sectionId: 's1', updates });
+const stepList = (sections) => ({ type: 'project-update', projectId: 'p1', updates: { sections } });
+
+test('a section update is relayed to the other participants', () => {
+    const result = hub.applyOperation(FILE, 'alice', sectionUpdate({ output: 'draft' }));
+
+    assert.equal(result.seq, 1);
+    assert.equal(received.bob.filter(item => item.event === 'operation').length, 1);
+    assert.equal(received.alice.filter(item => item.event === 'operation').length, 0);
+});
+
+test('a section update to a field locked by someone else is rejected', () => {
+    lockOutput('bob');
+
+    const result = hub.applyOperation(FILE, 'alice', sectionUpdate({ output: 'overwrite' }));
+
+    assert.equal(result.status, 409);
+    assert.equal(result.lock.clientId, 'bob');
+    assert.equal(received.bob.filter(item => item.event === 'operation').length, 0);
+});
+
+test('the lock holder and unlocked fields can still be updated', () => {
+    lockOutput('bob');
+
+    assert.equal(hub.applyOperation(FILE, 'bob', sectionUpdate({ output: 'mine' })).seq, 1);
+    assert.equal(hub.applyOperation(FILE, 'alice', sectionUpdate({ status: 'complete', input: 'x' })).seq, 2);
+});
+
+test('a second participant cannot take a held lock', () => {
+    lockOutput('bob');
+
+    const result = lockOutput('alice');
+
+    assert.equal(result.status, 409);
+    assert.equal(result.lock.name, 'Bob');
+});
+
+test('a step list carrying an older value of a locked field is rejected', () => {
+    lockOutput('bob');
+    hub.applyOperation(FILE, 'bob', sectionUpdate({ output: 'edited by Bob' }));
+
+    const result = hub.applyOperation(FILE, 'alice', stepList([
+        { sectionId: 's1', output: 'stale copy' },
+        { sectionId: 's2', output: '' }
+    ]));
+
+    assert.equal(result.status, 409);
+    assert.equal(result.lock.field, 'output');
+});
+
+test('a step list carrying the current value of a locked field is accepted', () => {
+    lockOutput('bob');
+    hub.applyOperation(FILE, 'bob', sectionUpdate({ output: 'edited by Bob' }));
+
+    const result = hub.applyOperation(FILE, 'alice', stepList([
+        { sectionId: 's1', output: 'edited by Bob' },
+        { sectionId: 's2', output: 'new step' }
+    ]));
+
+    assert.equal(result.seq, 2);
+});
+
+test('a late joiner replays the compacted changes', () => {
+    hub.applyOperation(FILE, 'alice', sectionUpdate({ input: 'a' }));
+    hub.applyOperation(FILE, 'alice', sectionUpdate({ output: 'b' }));
+
+    const snapshot = hub.join(FILE, { clientId: 'carol', name: 'Carol' }, () => {});
+
+    assert.equal(snapshot.changes.length, 1);
+    assert.deepEqual(snapshot.changes[0].op.updates, { input: 'a', output: 'b' });
+});
+
+test('leaving releases the participant\'s locks', () => {
+    lockOutput('bob');
+
+    hub.leave(FILE, 'bob');
+
+    assert.ok(lockOutput('alice').lock);
+});
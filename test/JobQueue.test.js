@@ -0,0 +1,136 @@
+// JobQueue - persistence, cancel and resume
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobQueue = require('../server/jobs/JobQueue');
+
+let storageDir;
+let queues;
+
+beforeEach(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-test-'));
+    queues = [];
+});
+
+afterEach(() => {
+    queues.forEach(queue => queue.shutdown());
+    fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+const createQueue = (runTask) => {
+    const queue = new JobQueue({ storageDir, concurrency: 1, runTask });
+    queue.load();
+    queues.push(queue);
+    return queue;
+};
+
+const definition = (taskCount = 2) => ({
+    scopeDirectory: storageDir,
+    tasks: Array.from({ length: taskCount }, (_, index) => ({ sectionId: `s${index + 1}`, prompt: `Prompt ${index + 1}` }))
+});
+
+// Resolves when the job reaches one of the given statuses
+const waitForStatus = (queue, jobId, statuses) => new Promise(resolve => {
+    const check = () => {
+        const job = queue.get(jobId);
+        if (job && statuses.includes(job.status)) {
+            queue.off('event', check);
+            resolve(job);
+        }
+    };
+    queue.on('event', check);
+    check();
+});
+
+// A task that runs until it is aborted
+const untilAborted = (job, task, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(Object.assign(new Error('Aborted'), { cancelled: true })));
+});
+
+test('runs the tasks of a job in order', async () => {
+    const ran = [];
+    const queue = createQueue(async (job, task) => {
+        ran.push(task.sectionId);
+        return { output: `output of ${task.sectionId}`, provider: 'test' };
+    });
+
+    const { id } = queue.create(definition());
+    const job = await waitForStatus(queue, id, [JobQueue.STATUS.COMPLETED]);
+
+    assert.deepEqual(ran, ['s1', 's2']);
+    assert.equal(job.tasks[1].output, 'output of s2');
+});
+
+test('token usage reported by a task is kept on the task', async () => {
+    const queue = createQueue(async () => ({ output: 'done', usage: { promptTokens: 120, responseTokens: 30 } }));
+
+    const { id } = queue.create(definition(1));
+    const job = await waitForStatus(queue, id, [JobQueue.STATUS.COMPLETED]);
+
+    assert.deepEqual(job.tasks[0].usage, { promptTokens: 120, responseTokens: 30 });
+    assert.deepEqual(queue.summarize(job).tasks[0].usage, { promptTokens: 120, responseTokens: 30 });
+});
+
+test('cancelling a running job stops its task and marks it cancelled', async () => {
+    const queue = createQueue(untilAborted);
+    const { id } = queue.create(definition());
+    await waitForStatus(queue, id, [JobQueue.STATUS.RUNNING]);
+
+    assert.equal(queue.cancel(id).success, true);
+    const job = await waitForStatus(queue, id, [JobQueue.STATUS.CANCELLED]);
+
+    assert.equal(job.tasks[0].status, JobQueue.TASK_STATUS.CANCELLED);
+    assert.equal(job.tasks[1].status, JobQueue.TASK_STATUS.PENDING);
+    assert.equal(queue.cancel(id).success, false);
+});
+
+test('resuming a failed job keeps completed tasks and reruns the rest', async () => {
+    let failSecond = true;
+    const ran = [];
+    const queue = createQueue(async (job, task) => {
+        ran.push(task.sectionId);
+        if (task.sectionId === 's2' && failSecond) {
+            throw new Error('Agent failed');
+        }
+        return { output: task.sectionId };
+    });
+
+    const { id } = queue.create(definition(3));
+    const failed = await waitForStatus(queue, id, [JobQueue.STATUS.FAILED]);
+    assert.equal(failed.error, 's2: Agent failed');
+    assert.equal(failed.tasks[2].status, JobQueue.TASK_STATUS.PENDING);
+
+    failSecond = false;
+    assert.equal(queue.resume(id).success, true);
+    const job = await waitForStatus(queue, id, [JobQueue.STATUS.COMPLETED]);
+
+    assert.deepEqual(ran, ['s1', 's2', 's2', 's3']);
+    assert.equal(job.tasks[0].output, 's1');
+    assert.equal(job.error, null);
+});
+
+test('a completed job cannot be resumed', async () => {
+    const queue = createQueue(async () => ({ output: '' }));
+    const { id } = queue.create(definition(1));
+    await waitForStatus(queue, id, [JobQueue.STATUS.COMPLETED]);
+
+    assert.equal(queue.resume(id).success, false);
+});
+
+test('a job running when the server stops is loaded as interrupted and can be resumed', async () => {
+    const first = createQueue(untilAborted);
+    const { id } = first.create(definition());
+    await waitForStatus(first, id, [JobQueue.STATUS.RUNNING]);
+    first.shutdown();
+
+    const second = createQueue(async (job, task) => ({ output: `resumed ${task.sectionId}` }));
+    const interrupted = second.get(id);
+    assert.equal(interrupted.status, JobQueue.STATUS.INTERRUPTED);
+    assert.equal(interrupted.tasks[0].status, JobQueue.TASK_STATUS.PENDING);
+
+    assert.equal(second.resume(id).success, true);
+    const job = await waitForStatus(second, id, [JobQueue.STATUS.COMPLETED]);
+    assert.equal(job.tasks[0].output, 'resumed s1');
+});
@@ -0,0 +1,155 @@
+// OpenAICompatibleProvider - request body, /chat/completions response and event stream parsing against a local server
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const OpenAICompatibleProvider = require('../server/providers/OpenAICompatibleProvider');
+
+let server;
+let baseUrl;
+let requests;
+let respond;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+            respond(res);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(() => server.close());
+
+const createProvider = (options = {}) => new OpenAICompatibleProvider({ id: 'local', baseUrl, model: 'test-model', ...options });
+
+const sendJson = (status, data) => (res) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(typeof data === 'string' ? data : JSON.stringify(data));
+};
+
+test('sends the prompt to /chat/completions and returns the message content', async () => {
+    requests = [];
+    respond = sendJson(200, { choices: [{ message: { role: 'assistant', content: 'Generated spec' } }] });
+
+    const result = await createProvider({ systemPrompt: 'Be brief', temperature: 0.2, maxTokens: 100 })
+        .execute('Write a spec', { scopePath: __dirname });
+
+    assert.deepEqual(result, { success: true, output: 'Generated spec', stderr: '' });
+    assert.equal(requests[0].url, '/v1/chat/completions');
+    assert.deepEqual(requests[0].body, {
+        model: 'test-model',
+        messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Write a spec' }],
+        temperature: 0.2,
+        max_tokens: 100
+    });
+});
+
+test('sends the API key from the configured environment variable', async () => {
+    requests = [];
+    respond = sendJson(200, { choices: [{ message: { content: 'ok' } }] });
+    process.env.FEATSPEC_TEST_API_KEY = 'test-key';
+
+    try {
+        await createProvider({ apiKeyEnv: 'FEATSPEC_TEST_API_KEY' }).execute('Prompt', { scopePath: __dirname });
+    } finally {
+        delete process.env.FEATSPEC_TEST_API_KEY;
+    }
+
+    assert.equal(requests[0].headers.authorization, 'Bearer test-key');
+});
+
+test('a missing API key fails before sending the request', async () => {
+    requests = [];
+
+    await assert.rejects(createProvider({ apiKeyEnv: 'FEATSPEC_TEST_MISSING_KEY' }).execute('Prompt', { scopePath: __dirname }),
+        /FEATSPEC_TEST_MISSING_KEY environment variable is required/);
+    assert.equal(requests.length, 0);
+});
+
+test('an error status is reported with the response body', async () => {
+    requests = [];
+    respond = sendJson(429, { error: { message: 'Rate limit reached' } });
+
+    await assert.rejects(createProvider().execute('Prompt', { scopePath: __dirname }), /HTTP 429\n.*Rate limit reached/);
+});
+
+test('a response without choices[0].message.content is rejected', async () => {
+    requests = [];
+    respond = sendJson(200, { choices: [] });
+
+    await assert.rejects(createProvider().execute('Prompt', { scopePath: __dirname }), /did not contain choices\[0\]\.message\.content/);
+});
+
+test('a response that is not JSON is rejected', async () => {
+    requests = [];
+    respond = sendJson(200, '<html>Bad gateway</html>');
+
+    await assert.rejects(createProvider().execute('Prompt', { scopePath: __dirname }), /Invalid JSON response/);
+});
+
+const sendEvents = (lines, { delayMs = 5 } = {}) => (res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const rest = [...lines];
+    const next = () => {
+        if (rest.length === 0) {
+            res.end();
+            return;
+        }
+        res.write(rest.shift());
+        setTimeout(next, delayMs);
+    };
+    next();
+};
+
+const delta = (content) => `data: ${JSON.stringify({ choices: [{ delta: content === null ? { role: 'assistant' } : { content } }] })}\n\n`;
+
+test('streams deltas to onChunk when an onChunk callback is given', async () => {
+    requests = [];
+    respond = sendEvents([
+        ': keep-alive\n\n',
+        delta(null),
+        delta('Generated '),
+        // An event split across two writes
+        delta('spec').slice(0, 20),
+        delta('spec').slice(20),
+        'data: not json\n\n',
+        'data: [DONE]\n\n'
+    ]);
+    const chunks = [];
+
+    const result = await createProvider().execute('Write a spec', {
+        scopePath: __dirname,
+        onChunk: (text, stream) => chunks.push([text, stream])
+    });
+
+    assert.equal(requests[0].body.stream, true);
+    assert.deepEqual(chunks, [['Generated ', 'stdout'], ['spec', 'stdout']]);
+    assert.deepEqual(result, { success: true, output: 'Generated spec', stderr: '' });
+});
+
+test('reads CRLF event streams and a final event without a trailing newline', async () => {
+    requests = [];
+    respond = sendEvents([delta('one').replace(/\n/g, '\r\n'), delta('two').trimEnd()]);
+
+    const result = await createProvider().execute('Prompt', { scopePath: __dirname, onChunk: () => {} });
+
+    assert.equal(result.output, 'onetwo');
+});
+
+test('aborting the signal cancels a running stream', async () => {
+    requests = [];
+    respond = sendEvents([delta('partial'), delta('never read')], { delayMs: 200 });
+    const controller = new AbortController();
+
+    const execution = createProvider().execute('Prompt', {
+        scopePath: __dirname,
+        signal: controller.signal,
+        onChunk: () => controller.abort()
+    });
+
+    await assert.rejects(execution, (error) => error.cancelled === true);
+});
@@ -0,0 +1,116 @@
+// ProviderRegistry - loading agent-providers.json and resolving providers
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProviderRegistry = require('../server/providers/ProviderRegistry');
+
+let tempDir;
+let warn;
+
+beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-registry-test-'));
+    warn = console.warn;
+    console.warn = () => {}; // Skipped entries are reported with a warning
+});
+
+afterEach(() => {
+    console.warn = warn;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const writeConfig = (config) => {
+    const filePath = path.join(tempDir, 'agent-providers.json');
+    fs.writeFileSync(filePath, typeof config === 'string' ? config : JSON.stringify(config));
+    return filePath;
+};
+
+test('without a config file only the built-in cursor-cli provider is available', () => {
+    const registry = new ProviderRegistry();
+
+    const result = registry.loadFromFile(path.join(tempDir, 'missing.json'));
+
+    assert.deepEqual(result, { success: true, loaded: 0, errors: [] });
+    assert.equal(registry.resolve(null).id, 'cursor-cli');
+    assert.deepEqual(registry.list().providers.map(provider => provider.id), ['cursor-cli']);
+});
+
+test('the example config loads every provider', () => {
+    const registry = new ProviderRegistry();
+
+    const result = registry.loadFromFile(path.join(__dirname, '..', 'agent-providers.example.json'));
+
+    assert.deepEqual(result, { success: true, loaded: 3, errors: [] });
+    assert.equal(registry.resolve('local-llm').type, 'openai-compatible');
+    assert.equal(registry.resolve('echo').type, 'local-command');
+    assert.equal(registry.list().defaultProvider, 'cursor-cli');
+});
+
+test('the configured default provider is used when no id is given', () => {
+    const registry = new ProviderRegistry({ timeoutMs: 1234 });
+
+    registry.loadFromFile(writeConfig({
+        defaultProvider: 'local',
+        providers: [{ id: 'local', type: 'openai-compatible', baseUrl: 'http://localhost:1234/v1/', model: 'test-model' }]
+    }));
+
+    const provider = registry.resolve();
+    assert.equal(provider.id, 'local');
+    assert.equal(provider.baseUrl, 'http://localhost:1234/v1');
+    assert.equal(provider.timeoutMs, 1234);
+});
+
+test('invalid entries are skipped and reported', () => {
+    const registry = new ProviderRegistry();
+
+    const result = registry.loadFromFile(writeConfig({
+        defaultProvider: 'missing',
+        providers: [
+            { id: 'no-model', type: 'openai-compatible', baseUrl: 'http://localhost:1234/v1' },
+            { id: 'unknown', type: 'carrier-pigeon' },
+            { id: 'echo', type: 'local-command', command: 'cat' }
+        ]
+    }));
+
+    assert.equal(result.success, false);
+    assert.equal(result.loaded, 1);
+    assert.equal(result.errors.length, 3);
+    assert.match(result.errors[2], /Default provider "missing"/);
+    assert.equal(registry.resolve(null).id, 'cursor-cli');
+    assert.throws(() => registry.resolve('unknown'), /Agent provider not found: unknown/);
+});
+
+test('a config file that is not JSON is reported without registering anything', () => {
+    const registry = new ProviderRegistry();
+
+    const result = registry.loadFromFile(writeConfig('{ "providers": ['));
+
+    assert.equal(result.success, false);
+    assert.equal(result.errors.length, 1);
+    assert.equal(registry.list().providers.length, 1);
+});
+
+test('provider descriptions do not include secrets or commands', () => {
+    const registry = new ProviderRegistry();
+    registry.loadFromFile(writeConfig({
+        providers: [
+            { id: 'openai', type: 'openai-compatible', baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o', apiKeyEnv: 'OPENAI_API_KEY' },
+            { id: 'echo', type: 'local-command', label: 'Echo', command: 'cat', env: { TOKEN: 'secret' } }
+        ]
+    }));
+
+    assert.deepEqual(registry.list().providers.find(provider => provider.id === 'echo'),
+        { id: 'echo', type: 'local-command', label: 'Echo', model: null });
+    assert.equal(JSON.stringify(registry.list()).includes('OPENAI_API_KEY'), false);
+});
+
+test('a local-command provider returns the command\'s stdout', { skip: process.platform === 'win32' }, async () => {
+    const registry = new ProviderRegistry();
+    registry.loadFromFile(writeConfig({ providers: [{ id: 'echo', type: 'local-command', command: 'cat' }] }));
+
+    const result = await registry.resolve('echo').execute('Hello from the prompt', { scopePath: tempDir });
+
+    assert.equal(result.success, true);
+    assert.equal(result.output, 'Hello from the prompt');
+});
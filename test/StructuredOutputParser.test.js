@@ -0,0 +1,75 @@
+// StructuredOutputParser - step-keyed JSON outputs and older per-heading outputs
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const StructuredOutputParser = require('../modules/utils/StructuredOutputParser');
+
+// Input-structuring output saved before outputs were validated against a schema: one ```json block per step heading
+const OLD_FORMAT_OUTPUT = [
+    '# Input Structuring',
+    '',
+    '## Structured Outputs',
+    '',
+    '### For research Step',
+    '```json',
+    '{ "sources": ["Household interview notes"] }',
+    '```',
+    '',
+    '### For feature-extraction Step',
+    '```json',
+    '{ "features": [{ "name": "Shared list" }] }',
+    '```',
+    '',
+    '### For ux-specification',
+    '```json',
+    '{ "screens": ["List"] }',
+    '```',
+    '',
+    '### Decomposition Notes',
+    '```json',
+    '{ not valid json }',
+    '```'
+].join('\n');
+
+const pretty = (value) => JSON.stringify(value, null, 2);
+
+test('reads an older output by its step headings', () => {
+    const outputs = StructuredOutputParser.parse(OLD_FORMAT_OUTPUT);
+
+    assert.deepEqual(outputs, {
+        research: pretty({ sources: ['Household interview notes'] }),
+        'feature-extraction': pretty({ features: [{ name: 'Shared list' }] }),
+        'ux-specification': pretty({ screens: ['List'] }),
+        decomposition: '{ not valid json }'
+    });
+});
+
+test('reads an older output stored on a section without structured data', () => {
+    const outputs = StructuredOutputParser.parse({ output: OLD_FORMAT_OUTPUT, structuredOutput: null });
+
+    assert.deepEqual(Object.keys(outputs), ['research', 'feature-extraction', 'ux-specification', 'decomposition']);
+});
+
+test('reads a step-keyed JSON output and skips metadata', () => {
+    const output = [
+        'Structured the notes.',
+        '```json',
+        pretty({ metadata: { source: 'notes.md' }, research: { sources: ['Notes'] }, 'app-analysis': [{ screen: 'List' }] }),
+        '```'
+    ].join('\n');
+
+    assert.deepEqual(StructuredOutputParser.parse(output), {
+        research: pretty({ sources: ['Notes'] }),
+        'app-analysis': pretty([{ screen: 'List' }])
+    });
+});
+
+test('prefers the structured data stored on the section', () => {
+    const section = { output: OLD_FORMAT_OUTPUT, structuredOutput: { decomposition: { atoms: [] } } };
+
+    assert.deepEqual(StructuredOutputParser.parse(section), { decomposition: pretty({ atoms: [] }) });
+});
+
+test('an output without JSON has no structured outputs', () => {
+    assert.deepEqual(StructuredOutputParser.parse('Plain text only'), {});
+    assert.deepEqual(StructuredOutputParser.parse(null), {});
+});
@@ -0,0 +1,59 @@
+// TemplateStore - saving, id assignment and imports of templates with a taken id
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TemplateStore = require('../server/templates/TemplateStore');
+
+let tempDir;
+let store;
+
+beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-store-test-'));
+    store = new TemplateStore(path.join(tempDir, 'templates'));
+});
+
+afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const template = (name, extra = {}) => ({
+    kind: TemplateStore.KIND,
+    name,
+    case: 1,
+    sections: [{ sectionId: 'research', input: `${name} input` }],
+    ...extra
+});
+
+test('a template without an id gets one from its name', () => {
+    const first = store.save(template('Shopping List App'));
+    const second = store.save(template('Shopping List App'));
+
+    assert.equal(first.id, 'user-shopping-list-app');
+    assert.equal(second.id, 'user-shopping-list-app-2');
+    assert.equal(store.list().length, 2);
+});
+
+test('a template keeps a free id it already has', () => {
+    const saved = store.save(template('Shared', { id: 'team-template' }));
+
+    assert.equal(saved.id, 'team-template');
+});
+
+test('an imported template whose id is taken is saved under a new id', () => {
+    const stored = store.save(template('Original', { id: 'team-template' }));
+
+    const imported = store.save(template('Imported', { id: 'team-template' }));
+
+    assert.equal(imported.id, 'user-imported');
+    const byId = Object.fromEntries(store.list().map(item => [item.id, item]));
+    assert.equal(byId['team-template'].name, 'Original');
+    assert.equal(byId['team-template'].createdAt, stored.createdAt);
+    assert.equal(byId['user-imported'].sections[0].input, 'Imported input');
+});
+
+test('an invalid template is rejected', () => {
+    assert.throws(() => store.save({ kind: 'project-group', name: '', sections: {} }), /Invalid template: kind must be/);
+    assert.equal(store.list().length, 0);
+});
@@ -0,0 +1,112 @@
+// /api/save-file - revision check against concurrent changes (runs server.js against temporary directories)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PORT = 20000 + Math.floor(Math.random() * 20000);
+let tempDir;
+let server;
+
+before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'save-file-test-'));
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            SAVED_FILES_DIR: path.join(tempDir, 'saved-files'),
+            AGENT_JOBS_DIR: path.join(tempDir, 'automation-jobs'),
+            RUN_JOURNAL_DIR: path.join(tempDir, 'automation-journal'),
+            AGENT_PROVIDERS_FILE: path.join(tempDir, 'agent-providers.json'),
+            SEARCH_CONFIG_FILE: path.join(tempDir, 'search-config.json')
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 15000);
+        server.stdout.on('data', (data) => {
+            output += data;
+            if (output.includes('running at')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        server.stderr.on('data', (data) => { output += data; });
+        server.on('exit', (code) => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+});
+
+after(() => {
+    if (server) server.kill();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const post = async (pathname, body) => {
+    const response = await fetch(`http://localhost:${PORT}${pathname}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+const save = (content, baseRevision) => post('/api/save-file', { filename: 'group.json', content, baseRevision });
+
+const group = (name) => JSON.stringify({ version: 1, projects: [{ id: 'p1', name, sections: [] }] });
+
+test('a save without a base revision overwrites the file and returns its revision', async () => {
+    const first = await save(group('First'));
+    const second = await save(group('Second'));
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 200);
+    assert.match(second.body.data.revision, /^[0-9a-f]{16}$/);
+    assert.notEqual(second.body.data.revision, first.body.data.revision);
+});
+
+test('a save at the current revision succeeds and the loaded revision matches', async () => {
+    const saved = await save(group('Loaded'));
+    const loaded = await post('/api/load-file', { filename: 'group.json' });
+    assert.equal(loaded.body.data.revision, saved.body.data.revision);
+
+    const result = await save(group('Edited'), loaded.body.data.revision);
+
+    assert.equal(result.status, 200);
+});
+
+test('a save at an older revision is refused with the server copy', async () => {
+    const base = await save(group('Base'));
+    await save(group('Changed elsewhere'), base.body.data.revision);
+
+    const result = await save(group('Stale edit'), base.body.data.revision);
+
+    assert.equal(result.status, 409);
+    assert.equal(result.body.code, 'CONFLICT');
+    assert.equal(result.body.context.content, group('Changed elsewhere'));
+    assert.match(result.body.context.revision, /^[0-9a-f]{16}$/);
+});
+
+test('saving the content already on disk is not a conflict', async () => {
+    const base = await save(group('Base'));
+    await save(group('Same'), base.body.data.revision);
+
+    const result = await save(group('Same'), base.body.data.revision);
+
+    assert.equal(result.status, 200);
+});
+
+test('a save expecting a new file is refused when the file exists', async () => {
+    await save(group('Existing'));
+
+    const result = await save(group('New'), null);
+
+    assert.equal(result.status, 409);
+    assert.equal(result.body.context.content, group('Existing'));
+});
@@ -0,0 +1,160 @@
+/**
+ * Pipeline Runner (command line)
+ *
+ * Runs a project's pipeline from a project group file without the browser, using the same prompt
+ * assembly as the UI (PromptLoader/PipelineConfig) and the agent providers configured for the server.
+ * Each step's output is written back to the project group file and to <step>-output.md in the output
+ * directory, validated against the step's output schema and scored against the step's rubric from
+ * pipeline-config.json.
+ *
+ * Usage: node tools/pipeline-runner.js <project-group.json> [options]
+ *   --project <id|name>   Project to run (default: the active project, or the only one)
+ *   --from <step>         First step to run (section ID or step name)
+ *   --to <step>           Last step to run
+ *   --steps <a,b,...>     Run only these steps
+ *   --scope <dir>         Scope directory (default: the project's scope directory)
+ *   --provider <id>       Agent provider (default: the project's provider, else the server default)
+ *   --providers <file>    Agent providers file (default: AGENT_PROVIDERS_FILE or agent-providers.json)
+ *   --output-dir <dir>    Where step outputs are written (default: the project's automation directory)
+ *   --min-score <0-1>     Quality threshold for every step instead of the rubric thresholds
+ *   --keep-going          Continue after a failed step
+ *   --dry-run             Assemble the prompts only; nothing is executed or saved
+ *   --no-save             Do not write outputs back to the project group file
+ *   --json                Print the result as JSON
+ *
+ * Exits with 1 when a step failed, was skipped, scored below its threshold or did not match its output schema,
+ * 2 on usage or file errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PromptAssembler = require('../server/jobs/PromptAssembler');
+const PipelineRunner = require('../server/jobs/PipelineRunner');
+const ProviderRegistry = require('../server/providers/ProviderRegistry');
+const ProjectGroupMigrations = require('../modules/utils/ProjectGroupMigrations');
+
+const APP_ROOT = path.join(__dirname, '..');
+const DEFAULT_TIMEOUT_MS = 300000; // Same as the server's CURSOR_CLI_TIMEOUT
+
+const VALUE_OPTIONS = ['--project', '--from', '--to', '--steps', '--scope', '--provider', '--providers', '--output-dir', '--min-score'];
+const FLAG_OPTIONS = ['--keep-going', '--dry-run', '--no-save', '--json'];
+
+function parseArgs(argv) {
+    const options = { file: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (VALUE_OPTIONS.includes(arg)) {
+            if (argv[i + 1] === undefined) {
+                throw new Error(`${arg} needs a value`);
+            }
+            options[arg.slice(2)] = argv[++i];
+        } else if (FLAG_OPTIONS.includes(arg)) {
+            options[arg.slice(2)] = true;
+        } else if (!arg.startsWith('--') && !options.file) {
+            options.file = arg;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    if (!options.file) {
+        throw new Error('Usage: node tools/pipeline-runner.js <project-group.json> [options]');
+    }
+    if (options['min-score'] !== undefined) {
+        const minScore = Number(options['min-score']);
+        if (!(minScore >= 0 && minScore <= 1)) {
+            throw new Error('--min-score must be a number between 0 and 1');
+        }
+        options['min-score'] = minScore;
+    }
+    return options;
+}
+
+function findProject(state, selector) {
+    const projects = state.projects || [];
+    if (selector) {
+        const project = projects.find(p => p.id === selector) || projects.find(p => p.name === selector);
+        if (!project) {
+            throw new Error(`No project "${selector}" in the file (${projects.map(p => p.name).join(', ') || 'no projects'})`);
+        }
+        return project;
+    }
+    const active = projects.find(p => p.id === state.activeProjectId);
+    if (active) return active;
+    if (projects.length === 1) return projects[0];
+    throw new Error(`The file has ${projects.length} projects; choose one with --project`);
+}
+
+function resolveDirectory(dir, baseDir, mustExist) {
+    const resolved = path.resolve(baseDir, dir);
+    if (mustExist && (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory())) {
+        throw new Error(`Directory does not exist: ${resolved}`);
+    }
+    return resolved;
+}
+
+async function main(argv) {
+    let options, filePath, state, project, sections, runOptions, runner;
+    try {
+        options = parseArgs(argv);
+        filePath = path.resolve(options.file);
+        ({ state } = ProjectGroupMigrations.migrate(JSON.parse(fs.readFileSync(filePath, 'utf8'))));
+        project = findProject(state, options.project);
+        sections = PipelineRunner.selectSections(project, {
+            from: options.from,
+            to: options.to,
+            steps: options.steps ? options.steps.split(',').map(step => step.trim()).filter(Boolean) : []
+        });
+
+        // Relative scope and automation directories are relative to the app root, as in the server
+        const scope = options.scope || project.scopeDirectory;
+        if (!scope && !options['dry-run']) {
+            throw new Error('No scope directory: set one on the project or pass --scope');
+        }
+        const outputDir = options['output-dir'] || project.automationDirectory;
+
+        const providerRegistry = new ProviderRegistry({ timeoutMs: DEFAULT_TIMEOUT_MS });
+        const providersFile = options.providers
+            ? path.resolve(options.providers)
+            : (process.env.AGENT_PROVIDERS_FILE || path.join(APP_ROOT, 'agent-providers.json'));
+        const loaded = providerRegistry.loadFromFile(providersFile);
+        loaded.errors.forEach(error => console.error(`Warning: ${providersFile}: ${error}`));
+
+        runOptions = {
+            scopePath: scope ? resolveDirectory(scope, options.scope ? process.cwd() : APP_ROOT, !options['dry-run']) : null,
+            providerId: options.provider || null,
+            outputDir: outputDir && !options['dry-run'] ? resolveDirectory(outputDir, options['output-dir'] ? process.cwd() : APP_ROOT, false) : null,
+            minScore: options['min-score'],
+            continueOnError: Boolean(options['keep-going']),
+            dryRun: Boolean(options['dry-run'])
+        };
+        runner = new PipelineRunner({
+            assembler: new PromptAssembler(APP_ROOT),
+            providerRegistry,
+            log: options.json ? (line) => console.error(line) : (line) => console.log(line)
+        });
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    // Ctrl+C cancels the running step; the outputs finished so far are still saved
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+    const result = await runner.run(project, sections, { ...runOptions, signal: controller.signal });
+
+    if (!runOptions.dryRun && !options['no-save']) {
+        try {
+            fs.writeFileSync(filePath, JSON.stringify(state, null, 2), 'utf8');
+        } catch (error) {
+            console.error(`Could not save ${filePath}: ${error.message}`);
+            return 2;
+        }
+    }
+
+    console.log(options.json ? JSON.stringify(result, null, 2) : PipelineRunner.formatReport(result));
+    return PipelineRunner.hasFailures(result) ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
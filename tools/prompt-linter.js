@@ -0,0 +1,39 @@
+/**
+ * Prompt Linter (command line)
+ *
+ * Checks the prompt templates in reference/pipeline-steps against reference/pipeline-config.json
+ * (with the custom case files in reference/pipelines merged) for:
+ * - Undeclared variables (placeholders that would reach the agent unreplaced)
+ * - Declared variables no prompt uses
+ * - Missing modifier files
+ * - Broken step references (missing prompt files, unknown dependencies and triggers)
+ *
+ * Usage: node tools/prompt-linter.js [--json] [--reference <dir>]
+ * Exits with 1 when there are errors, 0 otherwise.
+ */
+
+const path = require('path');
+const PromptLinter = require('../modules/utils/PromptLinter');
+const PipelineStore = require('../server/pipelines/PipelineStore');
+
+function main(argv) {
+    const json = argv.includes('--json');
+    const referenceIndex = argv.indexOf('--reference');
+    const referenceDir = referenceIndex >= 0 && argv[referenceIndex + 1]
+        ? path.resolve(argv[referenceIndex + 1])
+        : path.join(__dirname, '..', 'reference');
+
+    let result;
+    try {
+        const { config, files } = new PipelineStore(referenceDir).readReference();
+        result = PromptLinter.lint(config, files);
+    } catch (error) {
+        console.error(`Could not read ${referenceDir}: ${error.message}`);
+        return 2;
+    }
+
+    console.log(json ? JSON.stringify(result, null, 2) : PromptLinter.formatReport(result));
+    return result.errors > 0 ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,119 @@
+/**
+ * Prompt Snapshots (command line)
+ *
+ * Regression checks for edits to reference/pipeline-steps, modifier files and pipeline-config.json:
+ * - Assembles the prompt of every case/step/modifier combination with PromptLoader.getPrompt and compares
+ *   it with the golden files in snapshots/prompts/
+ * - Replays the recorded agent responses in snapshots/responses/ through the structured output parser and
+ *   the rubric scorer and compares the results with the recorded ones
+ *
+ * Usage: node tools/prompt-snapshots.js [options]
+ *   --update                Accept the current prompts and results as the new golden files
+ *   --record <file.json>    Record the step outputs of a project group file as response fixtures
+ *   --project <id|name>     Project to record (default: the active project, or the only one)
+ *   --only <prompts|responses>
+ *   --filter <text>         Only combinations and fixtures whose name contains the text
+ *   --report <file.md>      Also write the report as Markdown
+ *   --snapshots <dir>       Snapshot directory (default: snapshots/)
+ *   --json                  Print the results as JSON
+ *
+ * Exits with 1 when anything differs from the golden files, 2 on usage or file errors.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PromptAssembler = require('../server/jobs/PromptAssembler');
+const SnapshotHarness = require('../server/snapshots/SnapshotHarness');
+const ProjectGroupMigrations = require('../modules/utils/ProjectGroupMigrations');
+
+const APP_ROOT = path.join(__dirname, '..');
+
+const VALUE_OPTIONS = ['--record', '--project', '--only', '--filter', '--report', '--snapshots'];
+const FLAG_OPTIONS = ['--update', '--json'];
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (VALUE_OPTIONS.includes(arg)) {
+            if (argv[i + 1] === undefined) {
+                throw new Error(`${arg} needs a value`);
+            }
+            options[arg.slice(2)] = argv[++i];
+        } else if (FLAG_OPTIONS.includes(arg)) {
+            options[arg.slice(2)] = true;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    if (options.only && !['prompts', 'responses'].includes(options.only)) {
+        throw new Error('--only must be "prompts" or "responses"');
+    }
+    return options;
+}
+
+function findProject(state, selector) {
+    const projects = state.projects || [];
+    const project = selector
+        ? projects.find(p => p.id === selector || p.name === selector)
+        : (projects.find(p => p.id === state.activeProjectId) || (projects.length === 1 ? projects[0] : null));
+    if (!project) {
+        throw new Error(selector ? `No project "${selector}" in the file` : 'Choose the project to record with --project');
+    }
+    return project;
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    const harness = new SnapshotHarness({
+        assembler: new PromptAssembler(APP_ROOT),
+        referenceDir: path.join(APP_ROOT, 'reference'),
+        snapshotDir: options.snapshots ? path.resolve(options.snapshots) : path.join(APP_ROOT, 'snapshots')
+    });
+
+    if (options.record) {
+        try {
+            const raw = JSON.parse(fs.readFileSync(path.resolve(options.record), 'utf8'));
+            const project = findProject(ProjectGroupMigrations.migrate(raw).state, options.project);
+            const written = await harness.recordResponses(project);
+            console.log(`Recorded ${written.length} response fixture(s): ${written.join(', ') || 'no step has output'}`);
+            return 0;
+        } catch (error) {
+            console.error(`Could not record ${options.record}: ${error.message}`);
+            return 2;
+        }
+    }
+
+    const results = { prompts: null, responses: null };
+    try {
+        const checkOptions = { update: Boolean(options.update), filter: options.filter };
+        if (options.only !== 'responses') {
+            results.prompts = await harness.checkPrompts(checkOptions);
+        }
+        if (options.only !== 'prompts') {
+            results.responses = await harness.replayResponses(checkOptions);
+        }
+        if (options.report) {
+            fs.writeFileSync(path.resolve(options.report),
+                `# Prompt Snapshot Report\n\n${SnapshotHarness.formatReport(results, { markdown: true })}\n`, 'utf8');
+        }
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    console.log(options.json ? JSON.stringify(results, null, 2) : SnapshotHarness.formatReport(results));
+    const all = [...(results.prompts || []), ...(results.responses || [])];
+    return SnapshotHarness.hasDifferences(all) ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -40,6 +40,15 @@ class SpecQualityChecker {
             'Complete Testing Requirements'
         ];
         
+        // Placeholder and unfinished-work markers (bracketed text that is not a markdown link or checkbox)
+        this.placeholderPatterns = [
+            /\[(?!\s*[xX]?\s*\])[^\]\n]+\](?!\()/,
+            /TODO/i,
+            /TBD/i,
+            /FIXME/i,
+            /XXX/i
+        ];
+        
         // Required subsections per component
         this.requiredComponentSubsections = [
             'Purpose and Responsibilities',
@@ -88,26 +97,96 @@ class SpecQualityChecker {
         };
     }
     
+    /**
+     * Find required headings that do not appear in the text
+     * @param {string} specText - Document text
+     * @param {string[]} sections - Heading titles (matched case-insensitively, any heading level)
+     * @returns {string[]} Missing section titles
+     */
+    findMissingSections(specText, sections = this.requiredSections) {
+        return sections.filter(section => {
+            const regex = new RegExp(`^#{1,6}\\s+(?:[\\d.]+\\s+)?${section.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'im');
+            return !regex.test(specText);
+        });
+    }
+    
+    /**
+     * Find lines containing vague terms
+     * @param {string} specText - Document text
+     * @param {string[]} terms - Vague terms to look for
+     * @returns {Array<{line: number, term: string, context: string}>}
+     */
+    findVagueTerms(specText, terms = this.vagueTerms) {
+        const matches = [];
+        const lines = specText.split('\n');
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const lowerLine = line.toLowerCase();
+            
+            for (const vagueTerm of terms) {
+                const regex = new RegExp(`\\b${vagueTerm}\\b`, 'i');
+                if (regex.test(lowerLine)) {
+                    matches.push({
+                        line: i + 1,
+                        term: vagueTerm,
+                        context: line.trim()
+                    });
+                }
+            }
+        }
+        
+        return matches;
+    }
+    
+    /**
+     * Find lines containing placeholders or TODO markers
+     * @param {string} specText - Document text
+     * @returns {Array<{line: number, context: string}>}
+     */
+    findPlaceholders(specText) {
+        const matches = [];
+        const lines = specText.split('\n');
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            for (const pattern of this.placeholderPatterns) {
+                if (pattern.test(line)) {
+                    matches.push({
+                        line: i + 1,
+                        context: line.trim()
+                    });
+                }
+            }
+        }
+        
+        return matches;
+    }
+    
+    /**
+     * Find coverage topics that are never mentioned
+     * @param {string} specText - Document text
+     * @param {string[]} topics - Topics as regular expression sources (matched case-insensitively)
+     * @returns {string[]} Topics not mentioned
+     */
+    findMissingTopics(specText, topics) {
+        return topics.filter(topic => !new RegExp(topic, 'i').test(specText));
+    }
+    
     /**
      * Check completeness - all required sections present
      */
     checkCompleteness(specText) {
-        const missingSections = [];
-        let foundSections = 0;
-        
-        for (const section of this.requiredSections) {
-            const regex = new RegExp(`##?\\s+${section.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i');
-            if (regex.test(specText)) {
-                foundSections++;
-            } else {
-                missingSections.push(section);
-                this.issues.push({
-                    type: 'completeness',
-                    severity: 'high',
-                    message: `Missing required section: ${section}`,
-                    section: section
-                });
-            }
+        const missingSections = this.findMissingSections(specText);
+        const foundSections = this.requiredSections.length - missingSections.length;
+        
+        for (const section of missingSections) {
+            this.issues.push({
+                type: 'completeness',
+                severity: 'high',
+                message: `Missing required section: ${section}`,
+                section: section
+            });
         }
         
         // Check component subsections
@@ -162,46 +241,11 @@ class SpecQualityChecker {
      * Check specificity - no vague terms
      */
     checkSpecificity(specText) {
-        const vagueTermMatches = [];
         const lines = specText.split('\n');
-        
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            const lowerLine = line.toLowerCase();
-            
-            for (const vagueTerm of this.vagueTerms) {
-                const regex = new RegExp(`\\b${vagueTerm}\\b`, 'i');
-                if (regex.test(lowerLine)) {
-                    vagueTermMatches.push({
-                        line: i + 1,
-                        term: vagueTerm,
-                        context: line.trim()
-                    });
-                }
-            }
-        }
+        const vagueTermMatches = this.findVagueTerms(specText);
         
         // Check for incomplete specifications
-        const incompletePatterns = [
-            /\[.*?\]/g,  // Placeholder brackets
-            /TODO/i,
-            /TBD/i,
-            /FIXME/i,
-            /XXX/i
-        ];
-        
-        const incompleteMatches = [];
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            for (const pattern of incompletePatterns) {
-                if (pattern.test(line)) {
-                    incompleteMatches.push({
-                        line: i + 1,
-                        context: line.trim()
-                    });
-                }
-            }
-        }
+        const incompleteMatches = this.findPlaceholders(specText);
         
         // Report issues
         for (const match of vagueTermMatches.slice(0, 20)) { // Limit to first 20